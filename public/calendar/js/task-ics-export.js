@@ -49,7 +49,21 @@
         }
     }
 
-    function taskToVEvent(task) {
+    /** Shared recurrence rules (task-engine/js/task-recurrence.js), or null when not loaded. */
+    function _recurrenceEngine() {
+        if (typeof TaskRecurrence !== 'undefined') return new TaskRecurrence();
+        if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+            return new (require('../../task-engine/js/task-recurrence.js'))();
+        }
+        return null;
+    }
+
+    /** Occurrences of a recurring task already recorded as child tasks (they count against COUNT). */
+    function _completedOccurrences(recurrence, task, allTasks) {
+        return recurrence.countCompletedOccurrences(allTasks || [], task.task_id);
+    }
+
+    function taskToVEvent(task, allTasks) {
         const id = task.task_id || task.id || ('node-' + Math.random().toString(36).slice(2));
         const uid = `task-${id}@github-task-manager`;
         const summary = escICS(task.task_name || task.name || task.label || 'Untitled Task');
@@ -78,6 +92,9 @@
         if (start) {
             lines.push('DTSTART;VALUE=DATE:' + start);
             lines.push('DTEND;VALUE=DATE:' + (end || start));
+            const recurrence = task.recurrence ? _recurrenceEngine() : null;
+            const rrule = recurrence ? recurrence.toRRule(task.recurrence, _completedOccurrences(recurrence, task, allTasks)) : '';
+            if (rrule) lines.push('RRULE:' + rrule);
         }
         lines.push('PRIORITY:' + priority);
         lines.push('STATUS:' + icsStatus);
@@ -144,7 +161,7 @@
         }
 
         var calName  = escICS(projectName + ' \u2014 ' + scope);
-        var vevents  = filtered.map(taskToVEvent);
+        var vevents  = filtered.map(function (t) { return taskToVEvent(t, tasks); });
 
         var lines = [
             'BEGIN:VCALENDAR',
@@ -203,7 +220,20 @@
         return _getTaskWorkers(task);
     }
 
-    function buildCalendarAppointment(task) {
+    /**
+     * Calendar appointments carry recurrence as a preset plus count; rules that need more
+     * (INTERVAL, BYDAY, BYMONTHDAY, UNTIL) become one virtual appointment per occurrence.
+     */
+    function expandForCalendar(task, allTasks) {
+        var recurrence = task && task.recurrence ? _recurrenceEngine() : null;
+        if (!recurrence || !recurrence.normalizeRule(task.recurrence)) return [task];
+        var completed = _completedOccurrences(recurrence, task, allTasks);
+        if (recurrence.toCalendarPreset(task.recurrence, completed)) return [task];
+        var occurrences = recurrence.expandTask(task, { limit: 52, completed: completed });
+        return occurrences.length ? occurrences : [task];
+    }
+
+    function buildCalendarAppointment(task, allTasks) {
         if (!task || typeof task !== 'object') return null;
 
         var start = normalizeCalendarDate(task.start_date || task.startDate || task.date || task.created_date);
@@ -220,15 +250,17 @@
 
         var workers = buildCalendarTaskWorkers(task);
         var professional = workers.length ? String(workers[0]) : '';
+        var recurrence = task.recurrence && task.occurrence_of === undefined ? _recurrenceEngine() : null;
+        var preset = recurrence ? recurrence.toCalendarPreset(task.recurrence, _completedOccurrences(recurrence, task, allTasks)) : null;
         var professionalId = task.assigned_workers && Array.isArray(task.assigned_workers)
             ? String(task.assigned_workers[0]?.worker_id || task.assigned_workers[0]?.id || professional)
             : String(task.creator_id || professional);
 
         return {
-            id: String(task.task_id || task.id || 'task-' + Math.random().toString(36).slice(2)),
+            id: String(task.task_id || task.id || 'task-' + Math.random().toString(36).slice(2)) + (task.occurrence_of !== undefined ? '@' + task.start_date : ''),
             date: start || new Date().toISOString(),
             endDate: end || start || new Date().toISOString(),
-            recurrence: String(task.recurrence || 'none').trim().toLowerCase(),
+            recurrence: preset ? preset.recurrence : 'none',
             title: String(task.task_name || task.name || task.label || 'Untitled Task'),
             description: descriptionParts.join('\n'),
             location: String(task.location || task.place || ''),
@@ -249,7 +281,7 @@
             timezone: 'UTC',
             calendarId: 'default',
             reminderMinutes: null,
-            recurrenceCount: null,
+            recurrenceCount: preset ? preset.recurrenceCount : null,
             professional: professional || null,
             professionalId: professionalId || null,
             createdAt: normalizeCalendarDate(task.created_date || task.createdAt || task.start_date) || new Date().toISOString()
@@ -279,7 +311,10 @@
             });
         }
 
-        var appointments = filtered.map(buildCalendarAppointment).filter(Boolean);
+        var appointments = filtered
+            .reduce(function (list, task) { return list.concat(expandForCalendar(task, tasks)); }, [])
+            .map(function (task) { return buildCalendarAppointment(task, tasks); })
+            .filter(Boolean);
         appointments.sort(function (a, b) {
             return new Date(a.date).getTime() - new Date(b.date).getTime();
         });
@@ -6,9 +6,15 @@
  */
 
 // Global variable expected by `tasks-template-config.js`
-// Shape: Array<{ id, label, scope, owner, repo, branch, tasksRoot }>
+// Shape: Array<{ id, label, scope, owner, repo, branch, tasksRoot, storage? }>
 //   scope: 'external' = deployed to GitHub Pages / live apps
 //          'local'    = local development / test fixtures
+//   storage (optional): storage adapter name, or ordered list of names, from
+//          public/task-engine/js/task-storage-adapters.js — 'worker', 'github', 'local-server',
+//          'folder', 'indexeddb', 'browser-cache', 'download' (or any adapter registered with
+//          TaskStorageAdapters.register). Saves go to the first one that can save in the current
+//          environment; loads try them before the default read order. Omit it to keep the default
+//          cascade (worker → GitHub → local server → browser cache).
 /** Canonical project descriptors exposed to the browser runtime and tests. */
 var PROJECTS_CONFIG = [
   // --- External (deployed) ---
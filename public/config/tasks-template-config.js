@@ -170,7 +170,8 @@ const TEMPLATE_CONFIG = {
       "completed_date",
       "comments",
       "attachments",
-      "dependencies"
+      "dependencies",
+      "recurrence"
     ]
   },
 
@@ -249,7 +250,61 @@ const TEMPLATE_CONFIG = {
     AUTO_SET_CREATOR_ID: true,
     DEFAULT_CREATOR_ID: "system@example.com",
     AUTO_NORMALIZE_STATUSES: true,
-    AUTO_VALIDATE_DEPENDENCIES: true
+    AUTO_VALIDATE_DEPENDENCIES: true,
+    // Push dependent tasks later when a task's end_date slips (task-engine/js/task-scheduler.js)
+    AUTO_RESCHEDULE_SUCCESSORS: false,
+    // Record a completed occurrence of a recurring task as a child task and move it to the next one (task-engine/js/task-recurrence.js)
+    AUTO_MATERIALIZE_RECURRENCES: true,
+    // Set milestone status (Achieved / Missed / In Progress) from the tasks that gate it (task-engine/js/task-project-registers.js)
+    AUTO_MILESTONE_STATUS: true,
+    // Set actual_hours to the sum of a task's time_entries (task-engine/js/task-time-tracking.js)
+    AUTO_ROLLUP_ACTUAL_HOURS: true,
+    // Move a task when a pull request referencing it opens or merges (task-engine/js/task-code-links.js)
+    AUTO_STATUS_FROM_PULL_REQUESTS: true
+  },
+
+  // Workload planner (task-engine/js/task-workload-planner.js)
+  WORKLOAD: {
+    // Capacity of workers without weekly_capacity_hours
+    DEFAULT_WEEKLY_CAPACITY_HOURS: 40,
+    // Days that take booked hours (0 = Sunday)
+    WORKING_DAYS: [1, 2, 3, 4, 5]
+  },
+
+  // Two-way GitHub Issues sync (task-engine/js/task-issue-sync.js)
+  ISSUE_SYNC: {
+    // Issue labels that carry a task's priority and category, e.g. "priority: High"
+    PRIORITY_LABEL_PREFIX: 'priority: ',
+    CATEGORY_LABEL_PREFIX: 'category: ',
+    // Task status set when an issue is closed as completed / closed as not planned / reopened
+    CLOSED_STATUS: 'Completed',
+    NOT_PLANNED_STATUS: 'Cancelled',
+    REOPENED_STATUS: 'In Progress',
+    // Side that wins a field changed on both sides since the last sync: 'github', 'tasks' or null (report only)
+    PREFER: null
+  },
+
+  // Commit and pull request links (task-engine/js/task-code-links.js)
+  CODE_LINKS: {
+    // Status set when a referencing pull request opens / merges
+    PR_OPENED_STATUS: 'In Review',
+    PR_MERGED_STATUS: 'Completed',
+    // Also link the "TaskDB|<action>|<id>|..." commits that save the tasks file itself
+    INCLUDE_TASKDB_COMMITS: false
+  },
+
+  // GitHub Projects (v2) board import/export (task-engine/js/task-github-projects.js)
+  GITHUB_PROJECTS: {
+    // Board fields read and written, matched by name
+    STATUS_FIELD: 'Status',
+    ITERATION_FIELD: 'Iteration',
+    ESTIMATE_FIELD: 'Estimate',
+    // Task hours per unit of the estimate field (e.g. 4 for half-day story points)
+    HOURS_PER_ESTIMATE: 1,
+    // Board status option → task status; options named like a task status need no entry
+    STATUS_MAP: { 'Todo': 'Not Started', 'Done': 'Completed' },
+    // Category of tasks created from board items
+    DEFAULT_CATEGORY: 'Feature'
   },
 
   // Access Control
@@ -339,7 +394,8 @@ const TEMPLATE_CONFIG = {
         repo: (match && match.repo) ? String(match.repo) : String(this.REPO || ''),
         branch: (match && match.branch) ? String(match.branch) : String(this.BRANCH || 'main'),
         tasksRoot: (match && match.tasksRoot) ? String(match.tasksRoot) : String(this.TASKS_ROOT || 'public/tasksDB'),
-        tasksFile: (match && match.tasksFile) ? String(match.tasksFile) : ''
+        tasksFile: (match && match.tasksFile) ? String(match.tasksFile) : '',
+        storage: (match && match.storage) ? match.storage : null
       };
     },
 
@@ -645,7 +645,8 @@ function buildTaskSupplementalDetailItems(task) {
 
     const actualHours = Number(task.actual_hours);
     if (Number.isFinite(actualHours) && actualHours > 0) {
-        detailItems.push(`<strong>Actual hours:</strong> ${actualHours}`);
+        const loggedEntries = Array.isArray(task.time_entries) ? task.time_entries.length : 0;
+        detailItems.push(`<strong>Actual hours:</strong> ${actualHours}${loggedEntries > 0 ? ` (${loggedEntries} time entr${loggedEntries === 1 ? 'y' : 'ies'})` : ''}`);
     }
 
     const summaryBits = [];
@@ -684,8 +685,10 @@ function buildTaskSupplementalDetailItems(task) {
         if (!linkItem || typeof linkItem !== 'object') return '';
         const url = escapeHtml(linkItem.url || linkItem.href || linkItem.path || '');
         const label = escapeHtml(linkItem.label || linkItem.title || linkItem.name || linkItem.url || linkItem.href || 'Link');
-        if (!url) return `<li>${label}</li>`;
-        return `<li><a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a></li>`;
+        // Pull request links (see task-engine/js/task-code-links.js) carry their last known state.
+        const state = linkItem.type === 'pull_request' && linkItem.state ? ` · ${escapeHtml(linkItem.state)}` : '';
+        if (!url) return `<li>${label}${state}</li>`;
+        return `<li><a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>${state}</li>`;
     });
     if (linksHtml) detailItems.push(linksHtml);
 
@@ -804,9 +807,20 @@ function sumInlineSubtaskHours(subtasks, parentTask, selector) {
     }, 0);
 }
 
+/**
+ * Project hour totals. `actual`/`trackedEstimated` only count tasks (and inline subtasks) with a
+ * recorded `actual_hours`, so `variance` compares like with like: actual minus estimate of the
+ * work that has logged time.
+ *
+ * @param {object[]} [tasks=[]]
+ * @returns {{ estimated: number, completed: number, taskCount: number, actual: number, trackedEstimated: number, trackedCount: number, variance: number }}
+ */
 function buildProjectHoursSummary(tasks = []) {
     const taskList = Array.isArray(tasks) ? tasks.filter(Boolean) : [];
-    return taskList.reduce((summary, task) => {
+    const recordedHours = (task) => toFiniteNumber(task.actual_hours);
+    const trackedEstimate = (task) => (recordedHours(task) > 0 ? toFiniteNumber(task.estimated_hours) : 0);
+    const trackedTask = (task) => (recordedHours(task) > 0 ? 1 : 0);
+    const totals = taskList.reduce((summary, task) => {
         const taskEstimatedHours = toFiniteNumber(task.estimated_hours);
         const inlineEstimatedHours = sumInlineSubtaskHours(task.subtasks, task, (subtask) => toFiniteNumber(subtask.estimated_hours));
         const taskCompletedHours = estimateCompletedHours(task);
@@ -814,9 +828,63 @@ function buildProjectHoursSummary(tasks = []) {
 
         summary.estimated += taskEstimatedHours + inlineEstimatedHours;
         summary.completed += taskCompletedHours + inlineCompletedHours;
+        summary.actual += recordedHours(task) + sumInlineSubtaskHours(task.subtasks, task, recordedHours);
+        summary.trackedEstimated += trackedEstimate(task) + sumInlineSubtaskHours(task.subtasks, task, trackedEstimate);
+        summary.trackedCount += trackedTask(task) + sumInlineSubtaskHours(task.subtasks, task, trackedTask);
         summary.taskCount += 1;
         return summary;
-    }, { estimated: 0, completed: 0, taskCount: 0 });
+    }, { estimated: 0, completed: 0, taskCount: 0, actual: 0, trackedEstimated: 0, trackedCount: 0 });
+    totals.variance = totals.actual - totals.trackedEstimated;
+    return totals;
+}
+
+/**
+ * Project popup line comparing logged hours with the estimate of the same tasks.
+ *
+ * @param {{ actual?: number, trackedEstimated?: number, trackedCount?: number, variance?: number }} projectHours
+ * @returns {string|null}
+ */
+function buildHoursVarianceItem(projectHours) {
+    if (!(Number(projectHours.trackedCount) > 0)) return null;
+    const variance = toFiniteNumber(projectHours.variance);
+    const estimate = toFiniteNumber(projectHours.trackedEstimated);
+    const percent = estimate > 0 ? ` (${variance >= 0 ? '+' : ''}${Math.round((variance / estimate) * 100)}%)` : '';
+    return `<strong>Actual vs estimate:</strong> ${formatHoursValue(toFiniteNumber(projectHours.actual))}h logged vs ${formatHoursValue(estimate)}h estimated on ${projectHours.trackedCount} tracked task${projectHours.trackedCount === 1 ? '' : 's'}, ${variance >= 0 ? '+' : '−'}${formatHoursValue(Math.abs(variance))}h${percent}`;
+}
+
+/**
+ * Project-level critical path lines: the computed chain and where the manual flag disagrees.
+ *
+ * @param {{ computed: boolean, report: object|null }} criticalPath
+ * @param {Map<number, object>} taskById
+ * @returns {string[]}
+ */
+function buildCriticalPathSummaryItems(criticalPath, taskById) {
+    const report = criticalPath.report;
+    if (!criticalPath.computed || !report || report.criticalPath.length === 0) return [];
+    const names = (ids) => ids.map(id => escapeHtml(taskById.get(id)?.task_name || `#${id}`)).join(', ');
+    return [
+        `<strong>Critical path (computed):</strong> ${report.criticalPath.map(id => escapeHtml(taskById.get(id)?.task_name || `#${id}`)).join(' → ')}${report.projectFinish ? ` (finishes ${report.projectFinish})` : ''}`,
+        report.flaggedNotCritical.length ? `<strong>Flagged critical but has float:</strong> ${names(report.flaggedNotCritical)}` : null,
+        report.criticalNotFlagged.length ? `<strong>Critical but not flagged:</strong> ${names(report.criticalNotFlagged)}` : null
+    ].filter(Boolean);
+}
+
+/**
+ * Task popup line describing computed criticality, float and any disagreement with `is_critical_path`.
+ *
+ * @param {object} task
+ * @param {{ computed: boolean, critical: Set<number>, floatById: Map<number, number> }} criticalPath
+ * @returns {string|null}
+ */
+function buildCriticalPathDetailItem(task, criticalPath) {
+    if (!criticalPath.computed || !criticalPath.floatById.has(task.task_id)) return null;
+    const isCritical = criticalPath.critical.has(task.task_id);
+    const float = criticalPath.floatById.get(task.task_id);
+    const mismatch = Boolean(task.is_critical_path) !== isCritical
+        ? ` — manual flag says ${task.is_critical_path ? 'critical' : 'not critical'}`
+        : '';
+    return `<strong>Critical path (computed):</strong> ${isCritical ? 'yes' : 'no'}, float ${float}d${mismatch}`;
 }
 
 function formatHoursValue(value) {
@@ -979,7 +1047,7 @@ function resolveProjectEndMode(project, terminalTasks) {
  *
  * @param {object} project
  * @param {object[]} terminalTasks
- * @param {{ estimated?: number, completed?: number, taskCount?: number }} [projectHours={}]
+ * @param {{ estimated?: number, completed?: number, taskCount?: number, actual?: number, trackedEstimated?: number, trackedCount?: number, variance?: number }} [projectHours={}]
  * @returns {{title: string, items: string[]}}
  */
 function buildProjectEndDetails(project, terminalTasks, projectHours = {}) {
@@ -1033,6 +1101,7 @@ function buildProjectEndDetails(project, terminalTasks, projectHours = {}) {
             terminalSummary,
             totalProjectHours > 0 ? `<strong>Total estimated hours:</strong> ${formatHoursValue(totalProjectHours)}h` : null,
             hasTrackedHours ? `<strong>Total done hours:</strong> ${formatHoursValue(totalProjectDoneHours)}h` : null,
+            buildHoursVarianceItem(projectHours),
             `<strong>End node type:</strong> ${endTypeLabel}`,
             `<strong>Delivery meaning:</strong> ${endConfig.summary || generatedMeaning}`,
             `<strong>What happens next:</strong> ${endConfig.next_step || generatedNextStep}`,
@@ -1129,6 +1198,32 @@ function buildProjectTaskTemplate(entry, data, options = {}) {
     return buildTaskManagementTemplate(entry, enrichedData, options);
 }
 
+/**
+ * Compute the critical path with the shared task-engine scheduler (`TaskScheduler`) when the
+ * page loaded it, so nodes follow dependencies, dates and `estimated_hours` instead of the
+ * hand-set `is_critical_path` flag. Without the scheduler the flag is used as-is.
+ *
+ * @param {object[]} tasks
+ * @returns {{ computed: boolean, critical: Set<number>, floatById: Map<number, number>, report: object|null }}
+ */
+function buildCriticalPathLookup(tasks) {
+    if (typeof TaskScheduler !== 'undefined') {
+        try {
+            const report = new TaskScheduler().criticalPathReport(tasks);
+            return {
+                computed: true,
+                critical: new Set(report.criticalPath),
+                floatById: new Map(report.tasks.map(entry => [entry.task_id, entry.total_float])),
+                report
+            };
+        } catch (error) {
+            console.warn('Critical path computation failed; using is_critical_path flags.', error);
+        }
+    }
+    const flagged = tasks.filter(t => typeof t?.task_id === 'number' && t.is_critical_path === true).map(t => t.task_id);
+    return { computed: false, critical: new Set(flagged), floatById: new Map(), report: null };
+}
+
 /**
  * Build a task-management graph template from TaskDB project data.
  *
@@ -1152,6 +1247,7 @@ function buildTaskManagementTemplate(entry, data, options = {}) {
         entry && entry.path
     );
     const { layerById, cycleNodes } = buildDependencyLayering(tasks);
+    const criticalPath = buildCriticalPathLookup(tasks);
 
     const projectStartNodeId = 'project-start';
     const projectEndNodeId = 'project-end';
@@ -1185,8 +1281,10 @@ function buildTaskManagementTemplate(entry, data, options = {}) {
                 `<strong>Tasks:</strong> ${tasks.length} | <strong>Status:</strong> ${project.status || 'Not Started'}`,
                 totalProjectHours > 0 ? `<strong>Total estimated hours:</strong> ${formatHoursValue(totalProjectHours)}h` : null,
                 `<strong>Total done hours:</strong> ${formatHoursValue(totalProjectDoneHours)}h`,
+                buildHoursVarianceItem(projectHours),
                 project.start_date ? `<strong>Timeline:</strong> ${project.start_date}${project.end_date ? ' → ' + project.end_date : ''}` : null,
-                project.budget ? `<strong>Budget:</strong> ${project.budget}` : null
+                project.budget ? `<strong>Budget:</strong> ${project.budget}` : null,
+                ...buildCriticalPathSummaryItems(criticalPath, taskById)
             ].filter(Boolean)
         }
     };
@@ -1235,6 +1333,7 @@ function buildTaskManagementTemplate(entry, data, options = {}) {
             status: task.status || 'Not Started',
             subtasksPath: effectiveSubtasksPath,
             subtasksTargets: primarySubtaskTarget ? [primarySubtaskTarget] : [],
+            isCriticalPath: criticalPath.critical.has(taskId),
             taskId  // numeric task_id for inline editing from popup
         });
 
@@ -1358,6 +1457,7 @@ function buildTaskManagementTemplate(entry, data, options = {}) {
                 depsHtml,
                 leadsToHtml,
                 cycleNote,
+                buildCriticalPathDetailItem(task, criticalPath),
                 acHtml,
                 subtasksDetailHtml
             ].filter(Boolean)
@@ -1670,6 +1770,9 @@ export async function initTemplates() {
 
         for (const entry of registry || []) {
             try {
+                // Archived projects keep their registry entry (with the _archive/ path) but stay out of the picker.
+                if (entry && entry.archived) continue;
+
                 // In production (non-dev), skip local template files (career-lite, task-management).
                 // Only load templates from remote URLs (/tasksDB/...).
                 if (!devMode && entry.path && !entry.path.startsWith('/') && !entry.path.startsWith('http')) {
@@ -6,7 +6,7 @@
  */
 
 // Assuming graph-data.js, cv-generator.js, walkthrough.js are in the same 'js' directory
-import { initTemplates, ensureDynamicTaskTemplate, getAvailableTemplates, getDefaultTemplateId, loadTemplate, buildInlineTaskSubgraphTemplatePublic, buildProjectTaskTemplatePublic, buildCleanGraphPayload, extractNodeContext } from './graph-data.js';
+import { initTemplates, ensureDynamicTaskTemplate, clearTemplateCache, getAvailableTemplates, getDefaultTemplateId, loadTemplate, buildInlineTaskSubgraphTemplatePublic, buildProjectTaskTemplatePublic, buildCleanGraphPayload, extractNodeContext } from './graph-data.js';
 import { generateClassicCV } from './cv-generator.js';
 import Walkthrough from './walkthrough.js';
 import { resolveStepsForTemplate } from './shared/tours.js';
@@ -662,7 +662,7 @@ class CurriculumGraph {
             .join("g")
              // Apply multiple classes for styling: base, type, layer, color variant, and status
             .attr("class", d => {
-                const baseClasses = `node node-type-${d.type} node-layer-${d.layer} layer-${d.layer} color-variant-${d.colorVariantIndex}`;
+                const baseClasses = `node node-type-${d.type} node-layer-${d.layer} layer-${d.layer} color-variant-${d.colorVariantIndex}${d.isCriticalPath ? ' node-critical-path' : ''}`;
                 if (this.config.showStatusVisuals && d.status) {
                     const normalizedStatus = d.status.toLowerCase().replace(/\s+/g, '-');
                     const legacyStatusClass = normalizedStatus === 'done' ? ' node-status-completed' : '';
@@ -1455,12 +1455,13 @@ class CurriculumGraph {
             if (node.taskId && typeof node.taskId === 'number') {
                 editBtn = `<button class="popup-edit-btn" data-edit-task-id="${node.taskId}" title="Edit task details">✏️ Edit</button>`;
             }
+            const timerBtn = this.buildTaskTimerButton(node);
             let copyContextBtn = '';
             if (node.templateType === 'task') {
                 copyContextBtn = `<button class="popup-copy-ctx-btn" title="Copy node context to clipboard">📋 Copy Context</button>`;
             }
 
-              contentHtml = `<h2 class="${titleClasses}"${titleStyle}>${details.title || node.label || node.id}</h2>${photoHtml}${itemsHtml}${parentNavBtn}${subtaskBtn}${editBtn}${copyContextBtn}${successorBtns}`;
+              contentHtml = `<h2 class="${titleClasses}"${titleStyle}>${details.title || node.label || node.id}</h2>${photoHtml}${itemsHtml}${parentNavBtn}${subtaskBtn}${editBtn}${timerBtn}${copyContextBtn}${successorBtns}`;
         }
 
         contentDiv.innerHTML = contentHtml;
@@ -1531,6 +1532,15 @@ class CurriculumGraph {
             });
         });
 
+        // Wire timer button
+        contentDiv.querySelectorAll('.popup-timer-btn[data-timer-task-id]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                const taskId = parseInt(btn.getAttribute('data-timer-task-id'), 10);
+                if (Number.isFinite(taskId)) this.toggleGraphTaskTimer(taskId, currentProjectId, btn);
+            });
+        });
+
         // Wire copy-context button
         contentDiv.querySelectorAll('.popup-copy-ctx-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -1629,43 +1639,7 @@ class CurriculumGraph {
 
             if (btn) btn.disabled = true;
             try {
-                const sourceData = window.graphInstance?.template?.sourceData;
-                const nextTasks = Array.isArray(sourceData?.tasks)
-                    ? sourceData.tasks.map((task) => (task && task.task_id === taskId ? { ...task, ...updates } : task))
-                    : null;
-
-                const isStandaloneFolderProject = projectId.startsWith('folder-')
-                    && window.FolderProjectService
-                    && typeof window.FolderProjectService.writeModuleToDisk === 'function';
-
-                if (isStandaloneFolderProject) {
-                    const rootModuleRelative = String(sourceData?.navigation?.rootModule || 'node.tasks.json').trim() || 'node.tasks.json';
-                    const writeResult = await window.FolderProjectService.writeModuleToDisk(
-                        projectId,
-                        rootModuleRelative,
-                        { ...(sourceData || {}), tasks: nextTasks || [] }
-                    );
-
-                    if (!writeResult || !writeResult.success) {
-                        throw new Error(writeResult?.error || 'Unable to save folder project changes');
-                    }
-                } else {
-                    // Try current origin; if 405 (e.g. Live Server), retry against local Node server
-                    const apiUrl = `/api/task?project=${encodeURIComponent(projectId)}&task_id=${taskId}`;
-                    const fetchOpts = { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(updates) };
-                    let res = await fetch(apiUrl, fetchOpts);
-                    if (res.status === 405) {
-                        const nodeServerUrl = `http://localhost:3000${apiUrl}`;
-                        res = await fetch(nodeServerUrl, fetchOpts);
-                    }
-                    const data = await res.json().catch(() => ({}));
-                    if (!res.ok || !data.ok) throw new Error(data.error || `Server responded ${res.status}`);
-                }
-
-                // Update in-memory task data so the popup reflects the change on next open
-                if (sourceData?.tasks && Array.isArray(nextTasks)) {
-                    sourceData.tasks = nextTasks;
-                }
+                await this.saveGraphTaskUpdates(taskId, projectId, updates);
                 if (fb) { fb.textContent = '✅ Saved successfully!'; fb.className = 'gt-feedback success'; fb.hidden = false; }
                 setTimeout(() => closeModal(), 1400);
             } catch (err) {
@@ -1676,6 +1650,132 @@ class CurriculumGraph {
         });
     }
 
+    /**
+     * Persist field updates of one task from the graph (folder projects through
+     * FolderProjectService, otherwise PATCH /api/task) and mirror them into the loaded template.
+     * @param {number} taskId
+     * @param {string} projectId
+     * @param {object} updates
+     */
+    async saveGraphTaskUpdates(taskId, projectId, updates) {
+        const sourceData = window.graphInstance?.template?.sourceData;
+        const nextTasks = Array.isArray(sourceData?.tasks)
+            ? sourceData.tasks.map((task) => (task && task.task_id === taskId ? { ...task, ...updates } : task))
+            : null;
+
+        const isStandaloneFolderProject = projectId.startsWith('folder-')
+            && window.FolderProjectService
+            && typeof window.FolderProjectService.writeModuleToDisk === 'function';
+
+        if (isStandaloneFolderProject) {
+            const rootModuleRelative = String(sourceData?.navigation?.rootModule || 'node.tasks.json').trim() || 'node.tasks.json';
+            const writeResult = await window.FolderProjectService.writeModuleToDisk(
+                projectId,
+                rootModuleRelative,
+                { ...(sourceData || {}), tasks: nextTasks || [] }
+            );
+
+            if (!writeResult || !writeResult.success) {
+                throw new Error(writeResult?.error || 'Unable to save folder project changes');
+            }
+        } else {
+            // Try current origin; if 405 (e.g. Live Server), retry against local Node server
+            const apiUrl = `/api/task?project=${encodeURIComponent(projectId)}&task_id=${taskId}`;
+            const fetchOpts = { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(updates) };
+            let res = await fetch(apiUrl, fetchOpts);
+            if (res.status === 405) {
+                const nodeServerUrl = `http://localhost:3000${apiUrl}`;
+                res = await fetch(nodeServerUrl, fetchOpts);
+            }
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) throw new Error(data.error || `Server responded ${res.status}`);
+        }
+
+        // Update in-memory task data so the popup reflects the change on next open
+        if (sourceData?.tasks && Array.isArray(nextTasks)) {
+            sourceData.tasks = nextTasks;
+        }
+    }
+
+    /** Shared time tracker, or null when task-time-tracking.js is not loaded. */
+    getTimeTracking() {
+        if (typeof TaskTimeTracking === 'undefined') return null;
+        if (!this.timeTracking) this.timeTracking = new TaskTimeTracking(window.TEMPLATE_CONFIG || {});
+        return this.timeTracking;
+    }
+
+    /** Running timers, shared with list-display through localStorage (`taskTimers`). */
+    loadTaskTimers() {
+        try {
+            const timers = JSON.parse(localStorage.getItem('taskTimers') || '{}');
+            return timers && typeof timers === 'object' ? timers : {};
+        } catch {
+            return {};
+        }
+    }
+
+    /** Timer button markup for a task node popup ('' when timers are unavailable). */
+    buildTaskTimerButton(node) {
+        const tracking = this.getTimeTracking();
+        if (!tracking || !node.taskId || typeof node.taskId !== 'number') return '';
+        const templateId = new URLSearchParams(window.location.search).get('template') || '';
+        const projectId = templateId.endsWith('-tasks') ? templateId.slice(0, -'-tasks'.length) : templateId;
+        const timer = this.loadTaskTimers()[tracking.timerKey(projectId, node.taskId)];
+        return timer
+            ? `<button class="popup-timer-btn running" data-timer-task-id="${node.taskId}" title="Stop the timer and log the time">⏹ Stop timer (${tracking.elapsedHours(timer).toFixed(2)}h)</button>`
+            : `<button class="popup-timer-btn" data-timer-task-id="${node.taskId}" title="Start tracking time on this task">▶ Start timer</button>`;
+    }
+
+    /**
+     * Start or stop the timer of a task. Embedded in list-display the host owns the task data, so
+     * the toggle is handed to it; standalone, a stopped timer is saved as a time entry.
+     * @param {number} taskId
+     * @param {string} projectId
+     * @param {HTMLElement} triggerBtn
+     */
+    async toggleGraphTaskTimer(taskId, projectId, triggerBtn) {
+        if (hasHostParentWindow()) {
+            this.hideNodeDetails();
+            postMessageToHost('toggleTaskTimer', { taskId, projectId });
+            return;
+        }
+
+        const tracking = this.getTimeTracking();
+        if (!tracking) return;
+        const key = tracking.timerKey(projectId, taskId);
+        const timers = this.loadTaskTimers();
+        triggerBtn.disabled = true;
+        try {
+            if (!timers[key]) {
+                const next = tracking.startTimer(timers, key, { worker: localStorage.getItem('taskManagerUserName') || '' });
+                localStorage.setItem('taskTimers', JSON.stringify(next));
+                triggerBtn.classList.add('running');
+                triggerBtn.textContent = '⏹ Stop timer (0.00h)';
+                return;
+            }
+
+            const note = window.prompt('Note for this time entry (optional):', '');
+            if (note === null) return;
+            const stopped = tracking.stopTimer(timers, key, { note });
+            if (!(stopped.entry.hours > 0)) {
+                localStorage.setItem('taskTimers', JSON.stringify(stopped.timers));
+                triggerBtn.classList.remove('running');
+                triggerBtn.textContent = '▶ Start timer';
+                return;
+            }
+            const task = window.graphInstance?.template?.sourceData?.tasks?.find(t => t && t.task_id === taskId) || { task_id: taskId };
+            const logged = tracking.addEntry(task, stopped.entry);
+            await this.saveGraphTaskUpdates(taskId, projectId, { time_entries: logged.time_entries, actual_hours: logged.actual_hours });
+            localStorage.setItem('taskTimers', JSON.stringify(stopped.timers));
+            triggerBtn.classList.remove('running');
+            triggerBtn.textContent = `✅ Logged ${stopped.entry.hours}h`;
+        } catch (err) {
+            triggerBtn.textContent = `❌ ${err.message}`;
+        } finally {
+            triggerBtn.disabled = false;
+        }
+    }
+
     /**
      * Copy a structured JSON task-subgraph schema to the clipboard.
      * - Root node: full task data including all subtasks (deep context)
@@ -3409,6 +3509,32 @@ document.addEventListener("DOMContentLoaded", async () => {
         });
         // --- End Subtask Navigation Engine ---
 
+        // --- Live updates from the local server change feed (/api/tasks/events) ---
+        (function subscribeToTaskChanges() {
+            const templateId = String(template?.id || '');
+            if (!templateId.endsWith('-tasks') || templateId.startsWith('folder-')) return;
+            if (typeof window.EventSource !== 'function') return;
+            const host = String(window.location.hostname || '');
+            if (host !== 'localhost' && host !== '127.0.0.1') return;
+
+            const projectId = templateId.slice(0, -'-tasks'.length);
+            const port = String(window.location.port || '');
+            const apiBase = (port === '3000' || port === '3100') ? '' : 'http://localhost:3000';
+            const source = new EventSource(`${apiBase}/api/tasks/events?project=${encodeURIComponent(projectId)}`);
+
+            const refreshRootGraph = debounce(async () => {
+                clearTemplateCache(templateId);
+                if (!(await ensureDynamicTaskTemplate(templateId))) return;
+                const fresh = loadTemplate(templateId);
+                const tpl = Object.assign({}, fresh.template, { nodes: fresh.nodes, links: fresh.links, details: fresh.details });
+                subtaskStack[0].template = tpl;
+                // Inside a submodule the refreshed root is shown when the user navigates back up.
+                if (subtaskStack.length === 1) renderTemplateInPlace(tpl);
+            }, 300);
+
+            source.addEventListener('tasks-changed', refreshRootGraph);
+        })();
+
     } catch (error) {
          console.error("Critical error during graph initialization:", error);
          if (container && !container.innerHTML.includes('Error')) {
@@ -452,7 +452,7 @@ export const GRAPH_SEMANTICS_GUIDE = deepFreeze({
     criticalPath: {
         field: 'is_critical_path',
         appliesTo: 'TaskDB task records',
-        description: 'Mark critical-path work in the source data. The graph preserves the flag on nodes and related exports even when edge styling stays generic.'
+        description: 'Task-management graphs compute the critical path from dependencies, dates and estimated_hours when task-engine/js/task-scheduler.js is loaded, ring those nodes, and report where the manual flag disagrees. Without the scheduler the flag in the source data is used as-is.'
     },
     subgraphs: {
         modules: 'Use navigation.modules[] to expose sibling module graphs in the sidebar.',
@@ -498,6 +498,13 @@ export const GRAPH_HOST_FEATURES = deepFreeze({
                 '../task-engine/js/task-schema-clipboard.js'
             ]
         },
+        TaskScheduler: {
+            purpose: 'Compute the critical path ringed on task nodes and listed in project and task popups.',
+            uiSurface: '.node-critical-path',
+            requiredScripts: [
+                '../task-engine/js/task-scheduler.js'
+            ]
+        },
         calendarExport: {
             purpose: 'Enable ICS export controls from graph task data.',
             uiSurface: '#calendarCtrlDetails',
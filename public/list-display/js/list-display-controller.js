@@ -36,6 +36,13 @@ class TaskManagerApp {
         // Issues sync state
         this.issuesForSync = [];
 
+        // History modal state (items currently rendered, newest first)
+        this.historyItems = [];
+
+        // Bulk edit state (task ids as strings)
+        this.bulkMode = false;
+        this.bulkSelection = new Set();
+
         // Multi-project state
         this.activeProjectId = null;
         this.projectPayload = null;
@@ -376,6 +383,15 @@ class TaskManagerApp {
                     return;
                 }
 
+                // Start/stop a task timer (triggered from graph node popup timer button)
+                if (e.data.type === 'toggleTaskTimer' && isFromGraphFrame) {
+                    const taskId = e.data.taskId;
+                    if (taskId) {
+                        this.toggleTaskTimer(String(taskId));
+                    }
+                    return;
+                }
+
                 // Task updated directly from graph-display modal — save it
                 if (e.data.type === 'taskUpdatedFromGraph' && isFromGraphFrame) {
                     const { taskId, taskData } = e.data;
@@ -474,8 +490,9 @@ class TaskManagerApp {
         if (!select || !templateConfig || !templateConfig.GITHUB) return;
 
         const staticProjects = Array.isArray(templateConfig.GITHUB.PROJECTS) ? templateConfig.GITHUB.PROJECTS : [];
+        let archivedIds = new Set();
         const getSelectableProjects = (extraProjects = []) => [
-            ...staticProjects,
+            ...staticProjects.filter(p => !archivedIds.has(p.id)),
             ...this.getStoredFolderProjects(),
             ...extraProjects
         ];
@@ -526,19 +543,250 @@ class TaskManagerApp {
             (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' || window.location.hostname === '::1');
         const hasLocalApiServer = isLocalhost && (window.location.port === '3000' || window.location.port === '3100');
         if (hasLocalApiServer) {
-            fetch('/api/projects', { cache: 'no-store' })
+            // Re-run after project lifecycle changes from the Manage Projects panel.
+            this.refreshProjectSelector = () => fetch('/api/projects?archived=1', { cache: 'no-store', headers: this.localApiHeaders() })
                 .then(r => r.ok ? r.json() : null)
                 .then(result => {
                     if (!result || !Array.isArray(result.projects)) return;
+                    archivedIds = new Set(result.projects.filter(p => p.archived).map(p => p.id));
                     const knownIds = new Set(getSelectableProjects().map(p => p.id));
                     const discovered = result.projects
-                        .filter(p => !knownIds.has(p.id))
-                        .map(p => ({ id: p.id, label: p.id, scope: p.scope || 'local' }));
-                    if (discovered.length > 0) {
-                        renderSelector(getSelectableProjects(discovered));
-                    }
+                        .filter(p => !p.archived && !knownIds.has(p.id))
+                        .map(p => ({ id: p.id, label: p.name || p.id, scope: p.scope || 'local' }));
+                    renderSelector(getSelectableProjects(discovered));
                 })
                 .catch(() => { /* non-critical */ });
+            this.refreshProjectSelector();
+
+            const manageProjectsBtn = document.getElementById('manageProjectsBtn');
+            if (manageProjectsBtn) {
+                manageProjectsBtn.hidden = false;
+                manageProjectsBtn.addEventListener('click', () => this.openProjectsModal());
+            }
+        }
+    }
+
+    // Project management (local API server)
+    /** Open the Manage Projects panel. */
+    openProjectsModal() {
+        const modal = document.getElementById('projectsModal');
+        if (!modal) return;
+        modal.style.display = 'block';
+        this.refreshLocalSession();
+        this.refreshManagedProjects();
+    }
+
+    /** Headers for local API calls, with the stored API token when the server has accounts enabled. */
+    localApiHeaders(headers = {}) {
+        const token = (typeof localStorage !== 'undefined' && localStorage.getItem('taskManagerApiToken')) || '';
+        return token ? { ...headers, 'Authorization': `Bearer ${token}` } : { ...headers };
+    }
+
+    /** Ask for a local API token (empty signs out) and show who the server now sees. */
+    async signInToLocalApi() {
+        const token = window.prompt('Paste an API token from tools/scripts/manage-local-users.js (leave empty to sign out):', '');
+        if (token === null) return;
+        if (token.trim()) localStorage.setItem('taskManagerApiToken', token.trim());
+        else localStorage.removeItem('taskManagerApiToken');
+        await this.refreshLocalSession();
+        await this.refreshManagedProjects();
+    }
+
+    /** Show the signed-in user and role for the active project in the projects panel. */
+    async refreshLocalSession() {
+        const el = document.getElementById('projectsSession');
+        if (!el) return;
+        try {
+            const res = await fetch(`/api/session?project=${encodeURIComponent(this.activeProjectId || '')}`, { cache: 'no-store', headers: this.localApiHeaders() });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+            el.textContent = !data.authEnabled
+                ? 'Accounts are not enabled on this server.'
+                : data.user ? `Signed in as ${data.user} (${data.role} on this project)` : `Not signed in (${data.role} access)`;
+        } catch (e) {
+            el.textContent = `Sign-in failed: ${e.message}`;
+        }
+    }
+
+    /** Close the Manage Projects panel. */
+    closeProjectsModal() {
+        const modal = document.getElementById('projectsModal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /** Set projects panel status. */
+    setProjectsStatus(message, type = 'info') {
+        const el = document.getElementById('projectsStatus');
+        if (!el) return;
+        if (!message) {
+            el.style.display = 'none';
+            el.textContent = '';
+            return;
+        }
+        el.style.display = 'block';
+        el.className = `validation-messages ${type}`;
+        el.textContent = message;
+    }
+
+    /** Load local server projects, archived ones included, into the panel. */
+    async refreshManagedProjects() {
+        this.setProjectsStatus('Loading projects...', 'info');
+        try {
+            const res = await fetch('/api/projects?archived=1', { cache: 'no-store', headers: this.localApiHeaders() });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+            this.renderManagedProjects(Array.isArray(data.projects) ? data.projects : []);
+            this.setProjectsStatus('');
+        } catch (e) {
+            this.renderManagedProjects([]);
+            this.setProjectsStatus(`Failed to load projects: ${e.message}`, 'error');
+        }
+    }
+
+    /** Render managed projects. */
+    renderManagedProjects(projects) {
+        const list = document.getElementById('projectsList');
+        if (!list) return;
+
+        const arr = Array.isArray(projects) ? projects : [];
+        this.managedProjects = arr;
+        if (arr.length === 0) {
+            list.innerHTML = `<div class="empty-state" style="display:block; padding: 14px;"><p>No projects found on the local server.</p></div>`;
+            return;
+        }
+
+        list.innerHTML = arr.map((project, index) => {
+            const actions = project.archived
+                ? [['restore', '♻️ Restore'], ['clone', '📄 Clone'], ['delete', '🗑️ Delete']]
+                : project.scope === 'external'
+                    ? [['rename', '✏️ Rename'], ['clone', '📄 Clone']]
+                    : [['rename', '✏️ Rename'], ['clone', '📄 Clone'], ['archive', '📦 Archive'], ['delete', '🗑️ Delete']];
+            const badge = project.archived ? 'archived' : project.scope;
+            const current = project.id === this.activeProjectId ? ' • current' : '';
+
+            return `
+                <div class="project-manage-item${project.archived ? ' archived' : ''}">
+                    <div>
+                        <div class="history-title">${this.escapeHtml(project.name || project.id)}</div>
+                        <div class="history-meta">${this.escapeHtml(`${project.id} • ${badge}${current}`)}</div>
+                    </div>
+                    <div class="project-manage-actions">
+                        ${actions.map(([action, label]) => `<button type="button" class="btn-secondary" onclick="app.manageProject(${index}, '${action}')">${label}</button>`).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /** Run a lifecycle action on a listed project (password protected). */
+    manageProject(index, action) {
+        const project = Array.isArray(this.managedProjects) ? this.managedProjects[index] : null;
+        if (!project) return;
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._manageProject, project, action);
+        } else {
+            this._manageProject(project, action);
+        }
+    }
+
+    /** Manage project. */
+    async _manageProject(project, action) {
+        const projectId = project.id;
+        const label = project.name || projectId;
+        let url = `/api/projects/${encodeURIComponent(projectId)}/${action}`;
+        let method = 'POST';
+        let body = {};
+
+        if (action === 'rename') {
+            const name = window.prompt('Project name:', label);
+            if (name === null) return;
+            if (name.trim() && name.trim() !== label) body.name = name.trim();
+            if (project.scope === 'local' && !project.archived) {
+                const newId = window.prompt('Project folder id (keep it to only change the name):', projectId);
+                if (newId === null) return;
+                if (newId.trim() && newId.trim() !== projectId) body.newId = newId.trim();
+            }
+            if (!body.name && !body.newId) return;
+        } else if (action === 'clone') {
+            const name = window.prompt('Name for the copy:', `${label} (copy)`);
+            if (!name || !name.trim()) return;
+            body.name = name.trim();
+        } else if (action === 'archive') {
+            if (!window.confirm(`Archive "${label}"? It leaves the project list until restored.`)) return;
+        } else if (action === 'delete') {
+            const typed = window.prompt(`Permanently delete "${label}" with its history? Type ${projectId} to confirm:`);
+            if (typed === null) return;
+            if (typed.trim() !== projectId) {
+                this.showToast('Project id did not match; nothing was deleted', 'warning');
+                return;
+            }
+            url = `/api/projects/${encodeURIComponent(projectId)}?confirm=${encodeURIComponent(projectId)}`;
+            method = 'DELETE';
+            body = null;
+        }
+
+        const headers = this.localApiHeaders({ 'Content-Type': 'application/json', 'X-Actor': this.currentUser || '' });
+        // Renaming or deleting the open project must not discard changes another tab saved meanwhile.
+        const loadedEtag = projectId === this.activeProjectId && this.database ? this.database.localDiskEtag : null;
+        if (loadedEtag && (action === 'rename' || action === 'delete')) headers['If-Match'] = loadedEtag;
+
+        this.setProjectsStatus(`Working on ${label}...`, 'info');
+        try {
+            const res = await fetch(url, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+            const messages = {
+                rename: `Renamed ${label}`,
+                clone: `Cloned ${label} as ${data.projectId}`,
+                archive: `Archived ${label}`,
+                restore: `Restored ${label}`,
+                delete: `Deleted ${label}`
+            };
+            this.showToast(messages[action], 'success');
+            await this.refreshManagedProjects();
+            if (typeof this.refreshProjectSelector === 'function') await this.refreshProjectSelector();
+            await this.followManagedProject(projectId, action, data);
+        } catch (e) {
+            this.setProjectsStatus(`Could not ${action} ${label}: ${e.message}`, 'error');
+        }
+    }
+
+    /** Keep the active project valid after it was renamed, archived or deleted. */
+    async followManagedProject(projectId, action, result) {
+        if (projectId !== this.activeProjectId) return;
+        if (action === 'rename' && result.projectId && result.projectId !== projectId) {
+            await this.setActiveProject(result.projectId);
+        } else if (action === 'rename') {
+            await this.loadTasks();
+        } else if (action === 'archive' || action === 'delete') {
+            const templateConfig = window.TEMPLATE_CONFIG || TEMPLATE_CONFIG;
+            await this.setActiveProject(templateConfig.GITHUB.DEFAULT_PROJECT_ID || 'github-task-manager');
+        }
+    }
+
+    /** Create a local project from _templates/starter_project_template.json. */
+    async createProjectFromTemplate() {
+        const projectName = (window.prompt('Enter a name for the new project:') || '').trim();
+        if (!projectName) return;
+        try {
+            const res = await fetch('/api/create-project', {
+                method: 'POST',
+                headers: this.localApiHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ projectName, fromTemplate: true })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+            this.showToast(`Created ${projectName}`, 'success');
+            await this.refreshManagedProjects();
+            if (typeof this.refreshProjectSelector === 'function') await this.refreshProjectSelector();
+            await this.setActiveProject(data.projectId);
+        } catch (e) {
+            this.setProjectsStatus(`Could not create project: ${e.message}`, 'error');
         }
     }
 
@@ -1084,9 +1332,13 @@ class TaskManagerApp {
     }
 
     /** Filter task collection. */
-    filterTaskCollection(tasks, { status = null, priority = null } = {}) {
+    filterTaskCollection(tasks, { status = null, priority = null, query = '' } = {}) {
         let filtered = Array.isArray(tasks) ? [...tasks] : [];
 
+        if (query && typeof TaskQuery !== 'undefined') {
+            filtered = TaskQuery.filter(filtered, query, { me: this.currentUser || '' });
+        }
+
         if (status) {
             filtered = filtered.filter(task => {
                 const taskStatus = String(task && task.status || '');
@@ -1688,6 +1940,11 @@ class TaskManagerApp {
         localStorage.setItem('taskManagerUserName', name);
     }
 
+    /** Name recorded as actor in history: the GitHub login when signed in, else the typed user name. */
+    getActorName() {
+        return this.getGitHubOAuthUser() || this.currentUser || '';
+    }
+
     // Password Protection Methods
     /** Get access config. */
     getAccessConfig() {
@@ -1774,6 +2031,11 @@ class TaskManagerApp {
         if (!this.isPasswordProtected()) {
             return true;
         }
+
+        // Signed in with GitHub: writes use the user's own token instead of the shared password
+        if (this.isGitHubConnected()) {
+            return true;
+        }
         
         // Check if authenticated and session is still valid
         if (this.isAuthenticated && this.authExpiry) {
@@ -1963,6 +2225,7 @@ class TaskManagerApp {
         } catch (e) {
             // ignore
         }
+        this.clearGitHubOAuthToken();
         this.updateAccessIndicator();
         this.showToast('🔒 Logged out', 'info');
     }
@@ -1979,6 +2242,16 @@ class TaskManagerApp {
         return '';
     }
 
+    /** Get the GitHub login of the signed-in user. */
+    getGitHubOAuthUser() {
+        if (!this.isGitHubConnected()) return '';
+        try {
+            return String(sessionStorage.getItem('githubOAuthUser') || '').trim();
+        } catch (e) {
+            return '';
+        }
+    }
+
     /** Set git hub oauth token. */
     setGitHubOAuthToken(token, user = '') {
         try {
@@ -2006,6 +2279,10 @@ class TaskManagerApp {
             // ignore
         }
         if (this.config) this.config.token = '';
+        const templateConfig = window.TEMPLATE_CONFIG || TEMPLATE_CONFIG;
+        if (templateConfig && templateConfig.GITHUB) {
+            templateConfig.GITHUB.TOKEN = '';
+        }
     }
 
     /** Check whether git hub connected. */
@@ -2026,39 +2303,148 @@ class TaskManagerApp {
         if (err) { err.style.display = 'none'; err.textContent = ''; }
     }
 
+    /** Leave the password prompt for GitHub sign-in, keeping the action that asked for access. */
+    switchToGitHubLogin() {
+        const pendingAction = this.pendingAction;
+        this.closePasswordModal();
+        this.pendingAction = pendingAction;
+        this.showGitHubLoginModal();
+    }
+
     /** Close git hub login modal. */
     closeGitHubLoginModal() {
         const modal = document.getElementById('githubLoginModal');
         if (modal) modal.style.display = 'none';
         // Stop polling if running
         if (this._deviceFlowPollTimer) {
-            clearInterval(this._deviceFlowPollTimer);
+            clearTimeout(this._deviceFlowPollTimer);
             this._deviceFlowPollTimer = null;
         }
+        this._deviceFlowId = (this._deviceFlowId || 0) + 1;
+        this.pendingAction = null;
     }
 
-    /** Start git hub device flow. */
+    /**
+     * Start git hub device flow.
+     * GitHub's device endpoints do not allow CORS, so the flow runs through the Worker
+     * (`/login/device/code`, `/login/oauth/access_token`); without a Worker the redirect flow is shown.
+     */
     async startGitHubDeviceFlow() {
-        const oauthConfig = window.GITHUB_OAUTH_CONFIG;
-        if (!oauthConfig || !oauthConfig.CLIENT_ID) {
-            this.showGitHubLoginError('GitHub OAuth is not configured. Set GITHUB_OAUTH_CLIENT_ID secret.');
+        const oauthConfig = window.GITHUB_OAUTH_CONFIG || {};
+        const workerUrl = this.getWorkerUrl();
+        if (!workerUrl) {
+            if (oauthConfig.CLIENT_ID) {
+                this.showManualOAuthInstructions();
+            } else {
+                this.showGitHubLoginError('GitHub sign-in needs the Worker URL (GITHUB.WORKER_URL) or an OAuth client id.');
+            }
             return;
         }
 
+        const err = document.getElementById('githubLoginError');
+        if (err) { err.style.display = 'none'; err.textContent = ''; }
         try {
-            // Note: GitHub Device Flow requires a CORS proxy or backend because
-            // the /login/device/code endpoint doesn't support CORS from browsers.
-            // For a fully static site, we'll need to guide users to manually authorize.
-            // Alternative: Use a simple Cloudflare Worker as CORS proxy.
-            
-            // For now, show instructions for manual OAuth authorization
-            this.showManualOAuthInstructions();
+            const res = await fetch(`${workerUrl}/login/device/code`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scope: oauthConfig.SCOPES || 'public_repo' })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.device_code) {
+                throw new Error(data.error_description || data.error || `HTTP ${res.status}`);
+            }
+
+            document.getElementById('githubLoginStep1').style.display = 'none';
+            document.getElementById('githubLoginStep2').style.display = 'block';
+            document.getElementById('deviceUserCode').textContent = data.user_code;
+            const link = document.getElementById('deviceVerificationLink');
+            link.href = data.verification_uri || 'https://github.com/login/device';
+            link.textContent = `Open ${String(link.href).replace(/^https?:\/\//, '')} →`;
+            document.getElementById('devicePollStatus').textContent = '⏳ Waiting for you to authorize...';
+
+            const interval = Math.max(Number(data.interval) * 1000 || 0, Number(oauthConfig.POLL_INTERVAL) || 5000);
+            this.pollGitHubDeviceFlow(workerUrl, data.device_code, interval, Number(data.expires_in) || 900);
         } catch (e) {
             console.error('Device flow error:', e);
             this.showGitHubLoginError(`OAuth error: ${e.message}`);
         }
     }
 
+    /** Poll the Worker until the user approves the device code, it expires, or the modal is closed. */
+    pollGitHubDeviceFlow(workerUrl, deviceCode, interval, expiresIn) {
+        if (this._deviceFlowPollTimer) clearTimeout(this._deviceFlowPollTimer);
+        const flowId = (this._deviceFlowId || 0) + 1;
+        this._deviceFlowId = flowId;
+        const deadline = Date.now() + expiresIn * 1000;
+
+        const poll = async () => {
+            this._deviceFlowPollTimer = null;
+            if (flowId !== this._deviceFlowId) return;
+            if (Date.now() > deadline) {
+                this.showGitHubLoginError('The code expired. Start the GitHub login again.');
+                return;
+            }
+            let data = {};
+            try {
+                const res = await fetch(`${workerUrl}/login/oauth/access_token`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ device_code: deviceCode })
+                });
+                data = await res.json().catch(() => ({}));
+            } catch (e) {
+                data = { error: 'authorization_pending' };
+            }
+            if (flowId !== this._deviceFlowId) return;
+
+            if (data.access_token) {
+                await this.completeGitHubLogin(data.access_token);
+                return;
+            }
+            if (data.error === 'slow_down') {
+                interval = Math.max(interval + 5000, Number(data.interval) * 1000 || 0);
+            } else if (data.error !== 'authorization_pending') {
+                this.showGitHubLoginError(`GitHub login failed: ${data.error_description || data.error || 'no token returned'}`);
+                return;
+            }
+            this._deviceFlowPollTimer = setTimeout(poll, interval);
+        };
+        this._deviceFlowPollTimer = setTimeout(poll, interval);
+    }
+
+    /** Store the token with the user's login and resume whatever asked for access. */
+    async completeGitHubLogin(token) {
+        let login = '';
+        try {
+            const res = await fetch('https://api.github.com/user', {
+                headers: { 'Authorization': `token ${token}`, 'Accept': 'application/vnd.github.v3+json' }
+            });
+            const user = res.ok ? await res.json() : null;
+            login = user && user.login ? String(user.login) : '';
+        } catch (e) {
+            // ignore
+        }
+        if (!login) {
+            this.showGitHubLoginError('GitHub returned a token but not the signed-in user. Try again.');
+            return;
+        }
+
+        this.setGitHubOAuthToken(token, login);
+        document.getElementById('githubLoginStep2').style.display = 'none';
+        document.getElementById('githubLoginSuccess').style.display = 'block';
+        document.getElementById('githubLoginUser').textContent = `Signed in as @${login}`;
+        this.updateAccessIndicator();
+        this.showToast(`🐙 Signed in as @${login}`, 'success');
+
+        const pendingAction = this.pendingAction;
+        this.pendingAction = null;
+        if (pendingAction) {
+            this.closeGitHubLoginModal();
+            const { action, args } = pendingAction;
+            action.apply(this, args);
+        }
+    }
+
     /** Show manual oauth instructions. */
     showManualOAuthInstructions() {
         const oauthConfig = window.GITHUB_OAUTH_CONFIG;
@@ -2116,7 +2502,12 @@ class TaskManagerApp {
         
         indicator.style.display = 'flex';
         
-        if (this.checkAuth()) {
+        const githubUser = this.getGitHubOAuthUser();
+        if (githubUser) {
+            indicator.className = 'auth-indicator unlocked';
+            indicator.innerHTML = `🐙 <span>@${this.escapeHtml(githubUser)}</span>`;
+            indicator.title = 'Signed in with GitHub. Click to sign out';
+        } else if (this.checkAuth()) {
             indicator.className = 'auth-indicator unlocked';
             indicator.innerHTML = '🔓 <span>Unlocked</span>';
             indicator.title = 'Click to lock';
@@ -2232,6 +2623,25 @@ class TaskManagerApp {
         }
     }
 
+    /** Describe a local-disk save conflict and ask whether to overwrite the newer file. */
+    confirmSaveConflict(conflict) {
+        const conflicts = conflict && Array.isArray(conflict.conflicts) ? conflict.conflicts : [];
+        const lines = conflicts.slice(0, 8).map((entry) => {
+            const label = entry.taskName ? `#${entry.taskId} ${entry.taskName}` : `#${entry.taskId}`;
+            return entry.action === 'update'
+                ? `- ${label}: ${entry.changeSummary}`
+                : `- ${label}: ${entry.action === 'create' ? 'only in your version' : 'missing from your version'}`;
+        });
+        if (conflicts.length > lines.length) lines.push(`- ...and ${conflicts.length - lines.length} more`);
+
+        return confirm([
+            'Someone else saved this project since you loaded it.',
+            conflicts.length ? `Your version differs in ${conflicts.length} task(s):\n${lines.join('\n')}` : '',
+            'OK: overwrite the file on disk with your version.',
+            'Cancel: keep your edits in this tab without saving.'
+        ].filter(Boolean).join('\n\n'));
+    }
+
     /** Save tasks. */
     async saveTasks() {
         if (!this.database) return;
@@ -2239,8 +2649,18 @@ class TaskManagerApp {
         this.showLoading();
         try {
             // Ensure actor name is attached to Worker writes for history/audit.
-            this.database.actor = this.currentUser || '';
-            const result = await this.database.saveTasks();
+            this.database.actor = this.getActorName();
+            let result = await this.database.saveTasks();
+
+            // The local server rejected the write because the file changed underneath us (If-Match).
+            if (result && result.conflict) {
+                this.hideLoading();
+                if (!this.confirmSaveConflict(result.conflict)) {
+                    throw new Error('The project changed on disk since it was loaded. Your edits are kept in this tab; reload to pick up the latest version.');
+                }
+                this.showLoading();
+                result = await this.database.saveTasks('Update tasks', { force: true });
+            }
 
             // TaskDatabase.saveTasks() returns { success: false, error: ... } for validation/auth issues.
             // Treat that as a failure (otherwise UI incorrectly claims GitHub was updated).
@@ -2328,98 +2748,598 @@ class TaskManagerApp {
         if (modal) modal.style.display = 'none';
     }
 
-    /** Set history status. */
-    setHistoryStatus(message, type = 'info') {
-        const el = document.getElementById('historyStatus');
-        if (!el) return;
-        if (!message) {
-            el.style.display = 'none';
-            el.textContent = '';
-            return;
-        }
-        el.style.display = 'block';
-        el.className = `validation-messages ${type}`;
-        el.textContent = message;
+    // Reports
+    /** History report builder from task-history-reports.js, or null when the script is not loaded. */
+    getHistoryReports() {
+        if (typeof TaskHistoryReports === 'undefined') return null;
+        if (!this.historyReports) this.historyReports = new TaskHistoryReports();
+        return this.historyReports;
     }
 
-    /** Get worker url. */
-    getWorkerUrl() {
-        try {
-            const templateConfig = window.TEMPLATE_CONFIG || TEMPLATE_CONFIG;
-            const gh = templateConfig && templateConfig.GITHUB ? templateConfig.GITHUB : null;
-            return (gh && gh.WORKER_URL) ? String(gh.WORKER_URL).trim() : '';
-        } catch {
-            return '';
-        }
+    /** Open the reports modal and load the project history. */
+    openReportsModal() {
+        const modal = document.getElementById('reportsModal');
+        if (!modal) return;
+        modal.style.display = 'block';
+        this.populateReportScopes();
+        this.refreshReports();
     }
 
-    /** Get raw history url. */
-    getRawHistoryUrl(projectId) {
-        const owner = this.config && this.config.owner ? this.config.owner : '';
-        const repo = this.config && this.config.repo ? this.config.repo : '';
-        const branch = this.config && this.config.branch ? this.config.branch : 'main';
-        let tasksFile = '';
+    /** Close the reports modal. */
+    closeReportsModal() {
+        const modal = document.getElementById('reportsModal');
+        if (modal) modal.style.display = 'none';
+    }
 
+    /** Fill the scope picker with the project's sprints and milestones. */
+    populateReportScopes() {
+        const select = document.getElementById('reportScope');
+        const reports = this.getHistoryReports();
+        if (!select || !reports) return;
+        const previous = select.value;
+        const project = (this.database && this.database.currentProject) || {};
+        const scopes = reports.scopes(project);
+        select.innerHTML = scopes.map(scope => `<option value="${this.escapeAttribute(scope.key)}">${this.escapeHtml(scope.label)}</option>`).join('');
+        const activeSprint = (Array.isArray(project.sprints) ? project.sprints : []).find(sprint => sprint && sprint.status === 'Active');
+        const fallback = activeSprint ? `sprint:${activeSprint.name}` : 'project';
+        select.value = scopes.some(scope => scope.key === previous) ? previous : fallback;
+    }
+
+    /** Reload the full retained history (the last 2000 events) and redraw the report. */
+    async refreshReports() {
+        const projectId = this.activeProjectId || 'github-task-manager';
+        this.setReportsStatus('Loading history...', 'info');
         try {
-            const templateConfig = window.TEMPLATE_CONFIG || TEMPLATE_CONFIG;
-            const gh = templateConfig && templateConfig.GITHUB ? templateConfig.GITHUB : null;
-            if (gh && typeof gh.getTasksFile === 'function') {
-                tasksFile = String(gh.getTasksFile(projectId) || '');
-            }
-        } catch {
-            // Ignore and use the fallback below.
+            this.reportEvents = await this.loadHistoryItems({ projectId, limit: 2000 });
+            this.renderReport();
+        } catch (e) {
+            console.error('Report history load failed', e);
+            this.reportEvents = [];
+            this.renderReport();
+            this.setReportsStatus(`Failed to load history, showing current state only: ${e.message}`, 'warning');
         }
+    }
 
-        if (!tasksFile) {
-            const safeProject = String(projectId || '').replace(/[^a-zA-Z0-9_-]/g, '') || 'github-task-manager';
-            tasksFile = `public/tasksDB/external/${safeProject}/node.tasks.json`;
-        }
+    /** Set reports status. */
+    setReportsStatus(message, type = 'info') {
+        const el = document.getElementById('reportsStatus');
+        if (!el) return;
+        el.style.display = message ? 'block' : 'none';
+        el.className = `validation-messages ${type}`;
+        el.textContent = message || '';
+    }
 
-        const historyPath = String(tasksFile)
-            .replace(/\\/g, '/')
-            .replace(/\/[^\/]+$/g, '/history/changes.ndjson');
+    /** Draw the selected report from the loaded history. */
+    renderReport() {
+        const reports = this.getHistoryReports();
+        const chart = document.getElementById('reportChart');
+        if (!reports || !chart || !this.database) return;
 
-        return `https://raw.githubusercontent.com/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/${encodeURIComponent(branch)}/${historyPath}`;
+        const readField = (id, fallback) => {
+            const el = document.getElementById(id);
+            return el && el.value ? el.value : fallback;
+        };
+        const type = readField('reportType', 'burndown');
+        const unitSelect = document.getElementById('reportUnit');
+        if (unitSelect) unitSelect.disabled = !(type === 'burndown' || type === 'burnup');
+        const scopeSelect = document.getElementById('reportScope');
+        if (scopeSelect) scopeSelect.disabled = type === 'cfd' || type === 'cycle' || type === 'lead';
+
+        const events = Array.isArray(this.reportEvents) ? this.reportEvents : [];
+        this.currentReport = reports.buildReport(type, events, this.database.tasks || [], {
+            project: this.database.currentProject || {},
+            scopeKey: type === 'burndown' || type === 'burnup' ? readField('reportScope', 'project') : 'project',
+            unit: readField('reportUnit', 'hours')
+        });
+        chart.innerHTML = this.currentReport.svg;
+        // History files keep only their last 2000 lines, so a full load may start mid-project.
+        const truncated = events.length >= 2000;
+        this.setReportsStatus(
+            `${this.currentReport.summary} • replayed from ${events.length} history event${events.length === 1 ? '' : 's'}`
+                + (truncated ? ' • history retention limit reached, earlier changes are not replayed' : ''),
+            truncated ? 'warning' : 'info'
+        );
     }
 
-    /** Apply history filter. */
-    applyHistoryFilter() {
-        this.refreshHistory();
+    /** File name for an exported report. */
+    getReportFileName(extension) {
+        const projectId = String(this.activeProjectId || 'project').replace(/[^a-zA-Z0-9_-]/g, '');
+        const type = this.currentReport ? this.currentReport.type : 'report';
+        return `${projectId}-${type}-${new Date().toISOString().slice(0, 10)}.${extension}`;
     }
 
-    /** Refresh history. */
-    async refreshHistory() {
-        const projectId = this.activeProjectId || 'github-task-manager';
-        const filterEl = document.getElementById('historyTaskIdFilter');
-        const taskId = filterEl ? String(filterEl.value || '').trim() : '';
+    /** Download the current report as SVG, PNG or CSV. */
+    async exportReport(format) {
+        const report = this.currentReport;
+        if (!report) {
+            this.showToast('Open a report first', 'warning');
+            return;
+        }
+        if (format === 'csv') {
+            this.downloadBlob(report.csv, 'text/csv;charset=utf-8;', this.getReportFileName('csv'));
+            return;
+        }
+        if (format === 'svg') {
+            this.downloadBlob(report.svg, 'image/svg+xml;charset=utf-8;', this.getReportFileName('svg'));
+            return;
+        }
 
-        this.setHistoryStatus('Loading history...', 'info');
+        // PNG: rasterize the SVG through a canvas.
+        const url = URL.createObjectURL(new Blob([report.svg], { type: 'image/svg+xml;charset=utf-8' }));
         try {
-            const items = await this.loadHistoryItems({ projectId, taskId, limit: 200 });
-            this.renderHistory(items);
-            this.setHistoryStatus(items.length ? `Loaded ${items.length} history entries.` : 'No history entries found yet.', items.length ? 'success' : 'info');
-        } catch (e) {
-            console.error('History load failed', e);
-            this.renderHistory([]);
-            this.setHistoryStatus(`Failed to load history: ${e.message}`, 'error');
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('Could not render the chart'));
+                image.src = url;
+            });
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width || 760;
+            canvas.height = image.height || 360;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) throw new Error('Could not encode the PNG');
+            this.downloadBlob(blob, 'image/png', this.getReportFileName('png'));
+        } catch (error) {
+            this.showToast(`PNG export failed: ${error.message}`, 'error');
+        } finally {
+            URL.revokeObjectURL(url);
         }
     }
 
-    /** Load history items. */
-    async loadHistoryItems({ projectId, taskId = '', limit = 200 }) {
-        const safeProject = String(projectId || '').replace(/[^a-zA-Z0-9_-]/g, '') || 'github-task-manager';
-        const workerUrl = this.getWorkerUrl();
+    // Project registers
+    /** Milestone, risk and change-log helper from task-project-registers.js, or null when the script is not loaded. */
+    getProjectRegisters() {
+        if (typeof TaskProjectRegisters === 'undefined') return null;
+        if (!this.projectRegisters) {
+            const templateConfig = (typeof window !== 'undefined' && window.TEMPLATE_CONFIG) ? window.TEMPLATE_CONFIG : (typeof TEMPLATE_CONFIG !== 'undefined' ? TEMPLATE_CONFIG : {});
+            this.projectRegisters = new TaskProjectRegisters(templateConfig);
+            this.projectRegisterEnums = (templateConfig && templateConfig.ENUMS) || {};
+        }
+        return this.projectRegisters;
+    }
 
-        // Preferred: Worker endpoint (avoids GitHub raw caching quirks)
-        if (workerUrl) {
-            const url = new URL(`${workerUrl}/api/task-history`);
-            url.searchParams.set('project', safeProject);
-            url.searchParams.set('limit', String(limit));
-            if (taskId) url.searchParams.set('taskId', taskId);
+    /** Options for a register select: the configured enum, or the fallback list. */
+    getRegisterOptions(enumName, fallback) {
+        const values = this.projectRegisterEnums && this.projectRegisterEnums[enumName];
+        return Array.isArray(values) && values.length > 0 ? values : fallback;
+    }
 
-            const res = await fetch(url.toString(), { method: 'GET' });
-            if (!res.ok) {
-                const err = await res.json().catch(() => ({ error: `HTTP ${res.status}` }));
+    /** Open the milestones, risks and change log panels. */
+    openProjectRegistersModal() {
+        const modal = document.getElementById('projectRegistersModal');
+        if (!modal) return;
+        if (!this.getProjectRegisters()) {
+            this.showToast('Project registers are not available', 'error');
+            return;
+        }
+        modal.style.display = 'block';
+        this.closeRegisterEditor();
+        this.renderProjectRegisters();
+    }
+
+    /** Close the project registers modal. */
+    closeProjectRegistersModal() {
+        const modal = document.getElementById('projectRegistersModal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /** Redraw the three register panels from the current project. */
+    renderProjectRegisters() {
+        const registers = this.getProjectRegisters();
+        if (!registers || !this.database) return;
+        const project = this.database.currentProject || {};
+        const tasks = this.database.tasks || [];
+        const badge = (status) => `<span class="register-status register-status-${this.escapeAttribute(String(status || '').toLowerCase().replace(/[^a-z]+/g, '-'))}">${this.escapeHtml(status || '—')}</span>`;
+        const actions = (collection, index) => `
+            <button type="button" class="btn-secondary" onclick="app.editRegisterEntry('${collection}', ${index})" title="Edit">✏️</button>
+            <button type="button" class="btn-secondary" onclick="app.removeRegisterEntry('${collection}', ${index})" title="Delete">🗑️</button>`;
+
+        const milestonesEl = document.getElementById('registerMilestones');
+        if (milestonesEl) {
+            const milestones = registers.list(project, 'milestones');
+            milestonesEl.innerHTML = milestones.length === 0
+                ? '<p class="register-empty">No milestones yet.</p>'
+                : milestones.map((milestone, index) => {
+                    const state = registers.milestoneState(milestone, tasks);
+                    const linked = state.tasks.map(task => `#${this.escapeHtml(task.task_id)} ${this.escapeHtml(task.task_name || '')}`).join(', ');
+                    const drift = state.derived && state.status !== milestone.status ? ` <small>(saves as ${this.escapeHtml(state.status)})</small>` : '';
+                    return `
+                        <div class="register-row" data-testid="milestone-row">
+                            <div class="register-main">
+                                <strong>${this.escapeHtml(milestone.name || `Milestone ${index + 1}`)}</strong>
+                                ${badge(state.derived ? state.status : milestone.status)}${drift}
+                                <div class="register-meta">Due ${this.escapeHtml(milestone.due_date || '—')} • ${state.derived ? `${state.done}/${state.total} gating tasks done` : 'manual status'}</div>
+                                <div class="register-progress"><span style="width: ${state.percent}%"></span></div>
+                                ${linked ? `<div class="register-meta">Gated by ${linked}</div>` : ''}
+                            </div>
+                            <div class="register-actions">${actions('milestones', index)}</div>
+                        </div>`;
+                }).join('');
+        }
+
+        const heatMapEl = document.getElementById('registerHeatMap');
+        const risksEl = document.getElementById('registerRisks');
+        const risks = registers.list(project, 'risks');
+        if (heatMapEl) {
+            const map = registers.heatMap(risks);
+            heatMapEl.innerHTML = `
+                <table class="risk-heat-map" aria-label="Risk heat map">
+                    <thead><tr><th>Probability ↓ / Impact →</th>${map.impacts.map(impact => `<th>${this.escapeHtml(impact)}</th>`).join('')}</tr></thead>
+                    <tbody>${map.rows.map(row => `
+                        <tr><th>${this.escapeHtml(row.probability)}</th>${row.cells.map(cell => `
+                            <td class="risk-cell risk-${this.escapeAttribute(String(cell.score.label).toLowerCase())}" title="${this.escapeAttribute(`${row.probability} × ${cell.impact}: ${cell.score.label}`)}">
+                                ${cell.risks.map(risk => `<button type="button" class="risk-chip" onclick="app.editRegisterEntry('risks', ${risk.index})">${this.escapeHtml(risk.name)}</button>`).join('')}
+                            </td>`).join('')}
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                ${map.unrated.length > 0 ? `<p class="register-meta">Not rated: ${map.unrated.map(risk => this.escapeHtml(risk.name)).join(', ')}</p>` : ''}`;
+        }
+        if (risksEl) {
+            risksEl.innerHTML = risks.length === 0
+                ? '<p class="register-empty">No risks recorded.</p>'
+                : risks.map((risk, index) => {
+                    const score = registers.riskScore(risk.probability, risk.impact);
+                    return `
+                        <div class="register-row" data-testid="risk-row">
+                            <div class="register-main">
+                                <strong>${this.escapeHtml(risk.name || `Risk ${index + 1}`)}</strong> ${badge(risk.status || 'Open')}
+                                <div class="register-meta">${this.escapeHtml(risk.probability || '?')} × ${this.escapeHtml(risk.impact || '?')} = ${this.escapeHtml(score ? score.label : 'unrated')}${risk.owner ? ` • Owner ${this.escapeHtml(risk.owner)}` : ''}</div>
+                                ${risk.mitigation_plan ? `<div class="register-meta">Mitigation: ${this.escapeHtml(risk.mitigation_plan)}</div>` : ''}
+                            </div>
+                            <div class="register-actions">${actions('risks', index)}</div>
+                        </div>`;
+                }).join('');
+        }
+
+        const changesEl = document.getElementById('registerChanges');
+        if (changesEl) {
+            const changes = registers.list(project, 'change_log');
+            changesEl.innerHTML = changes.length === 0
+                ? '<p class="register-empty">No change requests.</p>'
+                : changes.map((change, index) => {
+                    const decided = change.status && change.status !== 'Pending';
+                    return `
+                        <div class="register-row" data-testid="change-row">
+                            <div class="register-main">
+                                <strong>${this.escapeHtml(change.change_id || `Change ${index + 1}`)}</strong> ${badge(change.status || 'Pending')}
+                                <div>${this.escapeHtml(change.description || '')}</div>
+                                <div class="register-meta">Requested by ${this.escapeHtml(change.requested_by || '—')} on ${this.escapeHtml(change.date || '—')}${decided && change.approved_by ? ` • decided by ${this.escapeHtml(change.approved_by)}${change.decision_date ? ` on ${this.escapeHtml(change.decision_date)}` : ''}` : ''}</div>
+                                ${change.impact ? `<div class="register-meta">Impact: ${this.escapeHtml(change.impact)}</div>` : ''}
+                            </div>
+                            <div class="register-actions">
+                                ${decided
+                                    ? `<button type="button" class="btn-secondary" onclick="app.decideChangeRequest(${index}, 'Pending')" title="Reopen">↩️</button>`
+                                    : `<button type="button" class="btn-secondary" onclick="app.decideChangeRequest(${index}, 'Approved')" data-testid="approve-change">✅ Approve</button>
+                                       <button type="button" class="btn-secondary" onclick="app.decideChangeRequest(${index}, 'Rejected')">❌ Reject</button>`}
+                                ${actions('change_log', index)}
+                            </div>
+                        </div>`;
+                }).join('');
+        }
+    }
+
+    /** Show the editor form for a new (`index` null) or existing register entry. */
+    editRegisterEntry(collection, index = null) {
+        const registers = this.getProjectRegisters();
+        const editor = document.getElementById('registerEditor');
+        if (!registers || !editor || !this.database) return;
+        const project = this.database.currentProject || {};
+        const entry = index === null ? {} : (registers.list(project, collection)[index] || {});
+        const select = (name, values, current) => `<select name="${name}">${values.map(value => `<option value="${this.escapeAttribute(value)}"${value === current ? ' selected' : ''}>${this.escapeHtml(value)}</option>`).join('')}</select>`;
+        const text = (name, label, value, type = 'text') => `<label>${label}<input type="${type}" name="${name}" value="${this.escapeAttribute(value || '')}"></label>`;
+        const area = (name, label, value) => `<label>${label}<textarea name="${name}" rows="2">${this.escapeHtml(value || '')}</textarea></label>`;
+
+        let fields = '';
+        let title = '';
+        if (collection === 'milestones') {
+            title = index === null ? 'New milestone' : `Edit ${entry.name || 'milestone'}`;
+            const linkedIds = new Set((registers.milestoneTasks(entry, this.database.tasks || [])).map(task => String(task.task_id)));
+            fields = `
+                ${text('name', 'Name', entry.name)}
+                ${text('due_date', 'Due date', entry.due_date, 'date')}
+                <label>Status${select('status', this.getRegisterOptions('MILESTONE_STATUS', ['Not Started', 'In Progress', 'Achieved', 'Missed']), entry.status || 'Not Started')}</label>
+                <label class="register-checkbox"><input type="checkbox" name="auto_status"${entry.auto_status === false ? '' : ' checked'}> Derive status from gating tasks</label>
+                ${area('description', 'Description', entry.description)}
+                <label>Gating tasks<select name="linked_task_ids" multiple size="6">${(this.database.tasks || []).map(task => `<option value="${this.escapeAttribute(task.task_id)}"${linkedIds.has(String(task.task_id)) ? ' selected' : ''}>#${this.escapeHtml(task.task_id)} ${this.escapeHtml(task.task_name || '')}</option>`).join('')}</select></label>`;
+        } else if (collection === 'risks') {
+            title = index === null ? 'New risk' : `Edit ${entry.name || 'risk'}`;
+            fields = `
+                ${text('name', 'Name', entry.name)}
+                <label>Probability${select('probability', registers.probabilities, entry.probability || registers.probabilities[0])}</label>
+                <label>Impact${select('impact', registers.impacts, entry.impact || registers.impacts[0])}</label>
+                <label>Status${select('status', this.getRegisterOptions('RISK_STATUS', ['Open', 'Mitigated', 'Closed']), entry.status || 'Open')}</label>
+                ${text('owner', 'Owner', entry.owner)}
+                ${area('description', 'Description', entry.description)}
+                ${area('mitigation_plan', 'Mitigation plan', entry.mitigation_plan)}`;
+        } else if (collection === 'change_log') {
+            title = index === null ? `New change request ${registers.nextChangeId(project)}` : `Edit ${entry.change_id || 'change request'}`;
+            fields = `
+                ${area('description', 'Description', entry.description)}
+                ${text('requested_by', 'Requested by', entry.requested_by || (index === null ? this.currentUser : ''))}
+                ${text('date', 'Date', entry.date || (index === null ? new Date().toISOString().slice(0, 10) : ''), 'date')}
+                ${area('impact', 'Schedule, budget or scope impact', entry.impact)}`;
+        } else {
+            return;
+        }
+
+        this.registerEditorTarget = { collection, index };
+        editor.innerHTML = `
+            <h3>${this.escapeHtml(title)}</h3>
+            <form id="registerEditorForm" class="register-form" onsubmit="event.preventDefault(); app.saveRegisterEntry();">
+                ${fields}
+                <div class="register-form-actions">
+                    <button type="submit" class="btn-primary" data-testid="register-save">Save</button>
+                    <button type="button" class="btn-secondary" onclick="app.closeRegisterEditor()">Cancel</button>
+                </div>
+            </form>`;
+        editor.style.display = 'block';
+        const first = editor.querySelector('input, textarea, select');
+        if (first) first.focus();
+    }
+
+    /** Hide the register editor form. */
+    closeRegisterEditor() {
+        const editor = document.getElementById('registerEditor');
+        if (editor) {
+            editor.style.display = 'none';
+            editor.innerHTML = '';
+        }
+        this.registerEditorTarget = null;
+    }
+
+    /** Save the open register form. */
+    async saveRegisterEntry() {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._saveRegisterEntry);
+        } else {
+            await this._saveRegisterEntry();
+        }
+    }
+
+    /** Build the entry from the register form, store it on the project and save. */
+    async _saveRegisterEntry() {
+        const registers = this.getProjectRegisters();
+        const form = document.getElementById('registerEditorForm');
+        const target = this.registerEditorTarget;
+        if (!registers || !form || !target || !this.database) return;
+
+        const project = this.database.currentProject || {};
+        const existing = target.index === null ? {} : (registers.list(project, target.collection)[target.index] || {});
+        const value = (name) => {
+            const field = form.elements[name];
+            return field ? String(field.value || '').trim() : '';
+        };
+        const entry = { ...existing };
+        const setOptional = (name) => {
+            const next = value(name);
+            if (next) entry[name] = next;
+            else delete entry[name];
+        };
+
+        if (target.collection === 'milestones') {
+            entry.name = value('name');
+            if (!entry.name) {
+                this.showToast('Milestone name is required', 'error');
+                return;
+            }
+            setOptional('due_date');
+            setOptional('description');
+            entry.status = value('status');
+            entry.auto_status = Boolean(form.elements.auto_status && form.elements.auto_status.checked);
+            const ids = Array.from(form.elements.linked_task_ids ? form.elements.linked_task_ids.selectedOptions : []).map(option => Number(option.value));
+            entry.linked_task_ids = ids.filter(Number.isInteger);
+            // Ids now carry the link; names that point at tasks no longer selected would keep gating.
+            if (Array.isArray(entry.linked_task_names)) {
+                const selected = new Set(entry.linked_task_ids);
+                const names = entry.linked_task_names.filter(name => !(this.database.tasks || []).some(task => task.task_name === name && !selected.has(task.task_id)));
+                entry.linked_task_names = names;
+            }
+        } else if (target.collection === 'risks') {
+            entry.name = value('name');
+            if (!entry.name) {
+                this.showToast('Risk name is required', 'error');
+                return;
+            }
+            entry.probability = value('probability');
+            entry.impact = value('impact');
+            entry.status = value('status');
+            const score = registers.riskScore(entry.probability, entry.impact);
+            if (score) entry.score = score.label;
+            ['owner', 'description', 'mitigation_plan'].forEach(setOptional);
+        } else {
+            entry.description = value('description');
+            if (!entry.description) {
+                this.showToast('Describe the change request', 'error');
+                return;
+            }
+            if (!entry.change_id) entry.change_id = registers.nextChangeId(project);
+            if (!entry.status) entry.status = 'Pending';
+            if (entry.approved_by === undefined) entry.approved_by = null;
+            ['requested_by', 'date', 'impact'].forEach(setOptional);
+        }
+
+        try {
+            this.database.currentProject = registers.upsert(project, target.collection, target.index, entry);
+            this.closeRegisterEditor();
+            await this.saveBoardChanges(`${entry.name || entry.change_id} saved`);
+            this.renderProjectRegisters();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /** Delete a register entry. */
+    async removeRegisterEntry(collection, index) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._removeRegisterEntry, collection, index);
+        } else {
+            await this._removeRegisterEntry(collection, index);
+        }
+    }
+
+    /** Confirm, remove the entry from the project and save. */
+    async _removeRegisterEntry(collection, index) {
+        const registers = this.getProjectRegisters();
+        if (!registers || !this.database) return;
+        const entry = registers.list(this.database.currentProject, collection)[index];
+        if (!entry) return;
+        const label = entry.name || entry.change_id || `entry ${index + 1}`;
+        if (!confirm(`Delete ${label}?`)) return;
+        try {
+            this.database.currentProject = registers.remove(this.database.currentProject || {}, collection, index);
+            this.closeRegisterEditor();
+            await this.saveBoardChanges(`${label} deleted`);
+            this.renderProjectRegisters();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /** Approve, reject or reopen a change request. */
+    async decideChangeRequest(index, status) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._decideChangeRequest, index, status);
+        } else {
+            await this._decideChangeRequest(index, status);
+        }
+    }
+
+    /** Record the decision with the current user as approver and save. */
+    async _decideChangeRequest(index, status) {
+        const registers = this.getProjectRegisters();
+        if (!registers || !this.database) return;
+        try {
+            const project = registers.decideChange(this.database.currentProject || {}, index, status, { approver: this.currentUser || null });
+            const change = project.change_log[index];
+            this.database.currentProject = project;
+            await this.saveBoardChanges(`${change.change_id || 'Change request'} ${status === 'Pending' ? 'reopened' : status.toLowerCase()}`);
+            this.renderProjectRegisters();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /** Set history status. */
+    setHistoryStatus(message, type = 'info') {
+        const el = document.getElementById('historyStatus');
+        if (!el) return;
+        if (!message) {
+            el.style.display = 'none';
+            el.textContent = '';
+            return;
+        }
+        el.style.display = 'block';
+        el.className = `validation-messages ${type}`;
+        el.textContent = message;
+    }
+
+    /** Get worker url. */
+    getWorkerUrl() {
+        try {
+            const templateConfig = window.TEMPLATE_CONFIG || TEMPLATE_CONFIG;
+            const gh = templateConfig && templateConfig.GITHUB ? templateConfig.GITHUB : null;
+            return (gh && gh.WORKER_URL) ? String(gh.WORKER_URL).trim() : '';
+        } catch {
+            return '';
+        }
+    }
+
+    /** Resolve the local server history endpoint when edits are persisted through the local disk API. */
+    getLocalHistoryApiUrl() {
+        if (typeof window === 'undefined' || !window.location || !this.isLocalHost()) return '';
+        const port = String(window.location.port || '');
+        const servedByLocalApi = port === '3000' || port === '3100';
+        const savesToLocalDisk = Boolean(this.database && this.database.sourceKind === 'local-disk');
+        if (!savesToLocalDisk && (!servedByLocalApi || this.getWorkerUrl())) return '';
+        return servedByLocalApi ? '/api/task-history' : 'http://localhost:3000/api/task-history';
+    }
+
+    /** Get raw history url. */
+    getRawHistoryUrl(projectId) {
+        const owner = this.config && this.config.owner ? this.config.owner : '';
+        const repo = this.config && this.config.repo ? this.config.repo : '';
+        const branch = this.config && this.config.branch ? this.config.branch : 'main';
+        let tasksFile = '';
+
+        try {
+            const templateConfig = window.TEMPLATE_CONFIG || TEMPLATE_CONFIG;
+            const gh = templateConfig && templateConfig.GITHUB ? templateConfig.GITHUB : null;
+            if (gh && typeof gh.getTasksFile === 'function') {
+                tasksFile = String(gh.getTasksFile(projectId) || '');
+            }
+        } catch {
+            // Ignore and use the fallback below.
+        }
+
+        if (!tasksFile) {
+            const safeProject = String(projectId || '').replace(/[^a-zA-Z0-9_-]/g, '') || 'github-task-manager';
+            tasksFile = `public/tasksDB/external/${safeProject}/node.tasks.json`;
+        }
+
+        const historyPath = String(tasksFile)
+            .replace(/\\/g, '/')
+            .replace(/\/[^\/]+$/g, '/history/changes.ndjson');
+
+        return `https://raw.githubusercontent.com/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/${encodeURIComponent(branch)}/${historyPath}`;
+    }
+
+    /** Apply history filter. */
+    applyHistoryFilter() {
+        this.refreshHistory();
+    }
+
+    /** Refresh history. */
+    async refreshHistory() {
+        const projectId = this.activeProjectId || 'github-task-manager';
+        const filterEl = document.getElementById('historyTaskIdFilter');
+        const taskId = filterEl ? String(filterEl.value || '').trim() : '';
+
+        this.setHistoryStatus('Loading history...', 'info');
+        try {
+            const items = await this.loadHistoryItems({ projectId, taskId, limit: 200 });
+            this.renderHistory(items);
+            this.setHistoryStatus(items.length ? `Loaded ${items.length} history entries.` : 'No history entries found yet.', items.length ? 'success' : 'info');
+        } catch (e) {
+            console.error('History load failed', e);
+            this.renderHistory([]);
+            this.setHistoryStatus(`Failed to load history: ${e.message}`, 'error');
+        }
+    }
+
+    /** Load history items. */
+    async loadHistoryItems({ projectId, taskId = '', limit = 200 }) {
+        const safeProject = String(projectId || '').replace(/[^a-zA-Z0-9_-]/g, '') || 'github-task-manager';
+        const workerUrl = this.getWorkerUrl();
+
+        // Local server: same /api/task-history contract as the worker, backed by the local history file.
+        const localHistoryUrl = this.getLocalHistoryApiUrl();
+        if (localHistoryUrl) {
+            const url = new URL(localHistoryUrl, window.location.href);
+            url.searchParams.set('project', safeProject);
+            url.searchParams.set('limit', String(limit));
+            if (taskId) url.searchParams.set('taskId', taskId);
+
+            const res = await fetch(url.toString(), { method: 'GET', cache: 'no-store', headers: this.localApiHeaders() });
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({ error: `HTTP ${res.status}` }));
+                throw new Error(err.error || `HTTP ${res.status}`);
+            }
+            const data = await res.json();
+            return Array.isArray(data.items) ? data.items : [];
+        }
+
+        // Preferred: Worker endpoint (avoids GitHub raw caching quirks)
+        if (workerUrl) {
+            const url = new URL(`${workerUrl}/api/task-history`);
+            url.searchParams.set('project', safeProject);
+            url.searchParams.set('limit', String(limit));
+            if (taskId) url.searchParams.set('taskId', taskId);
+
+            const res = await fetch(url.toString(), { method: 'GET' });
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({ error: `HTTP ${res.status}` }));
                 throw new Error(err.error || `HTTP ${res.status}`);
             }
             const data = await res.json();
@@ -2447,18 +3367,102 @@ class TaskManagerApp {
         return parsed;
     }
 
+    /** Ask the active history backend for a rollback plan that ends right after the given event. */
+    async requestHistoryRollback(evt) {
+        const safeProject = String(this.activeProjectId || '').replace(/[^a-zA-Z0-9_-]/g, '') || 'github-task-manager';
+        const target = { ts: evt.ts, taskId: evt.taskId, action: evt.action, dryRun: true };
+        const localHistoryUrl = this.getLocalHistoryApiUrl();
+        const workerUrl = this.getWorkerUrl();
+
+        let url = '';
+        let body = null;
+        if (localHistoryUrl) {
+            url = new URL(`${localHistoryUrl}/rollback`, window.location.href).toString();
+            body = { project: safeProject, ...target };
+        } else if (workerUrl) {
+            url = `${workerUrl}/api/task-history/rollback`;
+            body = { projectId: safeProject, ...target };
+        } else {
+            throw new Error('Restoring history needs the local server or a configured Worker URL.');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: localHistoryUrl ? this.localApiHeaders(headers) : headers,
+            body: JSON.stringify(body)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+    }
+
+    /** Preview restoring the project to a history event, then apply it through the normal save path. */
+    async restoreHistoryEvent(index) {
+        const evt = Array.isArray(this.historyItems) ? this.historyItems[index] : null;
+        if (!evt || !this.database) return;
+
+        this.setHistoryStatus('Preparing restore preview...', 'info');
+        let plan;
+        try {
+            plan = await this.requestHistoryRollback(evt);
+        } catch (e) {
+            this.setHistoryStatus(`Failed to preview restore: ${e.message}`, 'error');
+            return;
+        }
+
+        const changes = Array.isArray(plan.changes) ? plan.changes : [];
+        if (changes.length === 0) {
+            this.setHistoryStatus('The project already matches this point in history.', 'info');
+            return;
+        }
+
+        const lines = changes.slice(0, 12).map((entry) => {
+            const label = entry.taskName ? `#${entry.taskId} ${entry.taskName}` : `#${entry.taskId}`;
+            if (entry.action === 'create') return `- ${label}: restored`;
+            if (entry.action === 'delete') return `- ${label}: removed`;
+            return `- ${label}: ${entry.changeSummary}`;
+        });
+        if (changes.length > lines.length) lines.push(`- ...and ${changes.length - lines.length} more`);
+
+        const when = evt.ts ? new Date(evt.ts).toLocaleString() : 'this event';
+        const confirmed = confirm([
+            `Restore the project to just after ${when}?`,
+            `This undoes ${plan.undone} later change(s) and affects ${changes.length} task(s):\n${lines.join('\n')}`,
+            plan.skipped ? `${plan.skipped} later change(s) no longer apply and will be left as they are.` : '',
+            'Unsaved edits in this tab will be replaced.'
+        ].filter(Boolean).join('\n\n'));
+        if (!confirmed) {
+            this.setHistoryStatus('Restore cancelled.', 'info');
+            return;
+        }
+
+        const previousTasks = this.database.tasks;
+        this.database.tasks = Array.isArray(plan.tasks) ? plan.tasks : [];
+        try {
+            await this.saveTasks();
+            this.syncProjectContextFromDatabase();
+            await this.restoreCurrentContext({ syncGraph: false });
+            this.setHistoryStatus(`Restored ${changes.length} task(s).`, 'success');
+        } catch (e) {
+            this.database.tasks = previousTasks;
+            this.setHistoryStatus(`Restore failed: ${e.message}`, 'error');
+        }
+    }
+
     /** Render history. */
     renderHistory(items) {
         const list = document.getElementById('historyList');
         if (!list) return;
 
         const arr = Array.isArray(items) ? items : [];
+        this.historyItems = arr;
         if (arr.length === 0) {
             list.innerHTML = `<div class="empty-state" style="display:block; padding: 14px;"><p>No history found for this project yet.</p></div>`;
             return;
         }
 
-        list.innerHTML = arr.map(evt => {
+        list.innerHTML = arr.map((evt, index) => {
             const ts = evt.ts ? new Date(evt.ts).toLocaleString() : '';
             const actor = evt.actor ? String(evt.actor) : 'unknown';
             const action = evt.action ? String(evt.action) : 'update';
@@ -2495,6 +3499,9 @@ class TaskManagerApp {
                         <span class="history-meta">${this.escapeHtml(summary)}</span>
                     </summary>
                     <div class="history-meta">${this.escapeHtml(meta)}</div>
+                    <div class="history-actions">
+                        <button type="button" class="btn-secondary" onclick="app.restoreHistoryEvent(${index})">↩ Restore to here</button>
+                    </div>
                     <pre class="history-changes">${detailsText}</pre>
                 </details>
             `;
@@ -2504,10 +3511,24 @@ class TaskManagerApp {
     /** Render tasks. */
     renderTasks() {
         const tasksList = document.getElementById('tasksList');
-        const timelineView = document.getElementById('timelineView');
         const graphView = document.getElementById('graphView');
         const emptyState = document.getElementById('emptyState');
         const emptyStateMessage = emptyState ? emptyState.querySelector('p') : null;
+        // Views drawn in place of the task list, keyed by view mode.
+        const altViews = {
+            timeline: { element: document.getElementById('timelineView'), render: () => this.renderTimeline() },
+            sprint: { element: document.getElementById('sprintView'), render: () => this.renderSprintBoard() },
+            board: { element: document.getElementById('boardView'), render: () => this.renderKanbanBoard() },
+            workload: { element: document.getElementById('workloadView'), render: () => this.renderWorkload() }
+        };
+        const hideAltViews = (except = null, clear = false) => {
+            Object.keys(altViews).forEach((mode) => {
+                const view = altViews[mode].element;
+                if (!view || mode === except) return;
+                if (clear) view.innerHTML = '';
+                view.style.display = 'none';
+            });
+        };
 
         this.renderProjectNavigation();
 
@@ -2518,10 +3539,7 @@ class TaskManagerApp {
 
         if (this.viewMode === 'graph' && graphView) {
             if (tasksList) tasksList.style.display = 'none';
-            if (timelineView) {
-                timelineView.innerHTML = '';
-                timelineView.style.display = 'none';
-            }
+            hideAltViews(null, true);
             if (emptyState) emptyState.style.display = 'none';
 
             graphView.style.display = 'block';
@@ -2534,10 +3552,7 @@ class TaskManagerApp {
 
         if (this.filteredTasks.length === 0) {
             tasksList.innerHTML = '';
-            if (timelineView) {
-                timelineView.innerHTML = '';
-                timelineView.style.display = 'none';
-            }
+            hideAltViews(null, true);
             if (emptyStateMessage) {
                 emptyStateMessage.textContent = this.activeModulePath
                     ? 'No tasks found in this submodule. Use the module tree to switch context or return to the root project flow.'
@@ -2549,17 +3564,17 @@ class TaskManagerApp {
 
         emptyState.style.display = 'none';
 
-        if (this.viewMode === 'timeline' && timelineView) {
+        const altView = altViews[this.viewMode];
+        if (altView && altView.element) {
             tasksList.style.display = 'none';
-            timelineView.style.display = 'block';
-            this.renderTimeline();
+            hideAltViews(this.viewMode);
+            altView.element.style.display = 'block';
+            altView.render();
             this.updateViewToggle();
             return;
         }
 
-        if (timelineView) {
-            timelineView.style.display = 'none';
-        }
+        hideAltViews();
         tasksList.style.display = '';
         this.updateViewToggle();
 
@@ -2573,8 +3588,12 @@ class TaskManagerApp {
             const taskReference = this.supportsTaskEditing(task) ? String(task.task_id ?? task.id).trim() : '';
             const modulePath = this.normalizeModulePath(task.__modulePath || this.resolveTaskModulePath(task) || '');
             const showModuleAction = modulePath && modulePath !== this.activeModulePath;
-            // Card click always opens task detail modal; module navigation is only via task-actions button
-            const cardAction = `app.openTaskDetail(${index})`;
+            // Card click opens the task detail modal (or toggles selection in bulk mode); module navigation is only via task-actions button
+            const isBulkSelectable = this.bulkMode && Boolean(taskReference);
+            const isBulkSelected = isBulkSelectable && this.bulkSelection.has(taskReference);
+            const cardAction = isBulkSelectable
+                ? `app.toggleBulkSelection('${this.escapeHtml(taskReference)}')`
+                : `app.openTaskDetail(${index})`;
             const taskDataAttribute = taskReference ? ` data-task-id="${this.escapeHtml(taskReference)}"` : '';
             const cardAttributes = cardAction ? `${taskDataAttribute} role="button" tabindex="0" onclick="${cardAction}"` : taskDataAttribute;
             const taskStyle = taskDepth > 0 ? ` style="--task-depth:${Math.min(taskDepth, 6)};"` : '';
@@ -2605,6 +3624,8 @@ class TaskManagerApp {
             if (taskReference) {
                 actionBits.push(`<button class="btn-secondary" onclick="event.stopPropagation(); app.editTask('${this.escapeHtml(taskReference)}')">Edit</button>`);
                 actionBits.push(`<button class="btn-danger" onclick="event.stopPropagation(); app.deleteTask('${this.escapeHtml(taskReference)}')">Delete</button>`);
+                const timerButton = this.renderTaskTimerButton(taskReference);
+                if (timerButton) actionBits.push(timerButton);
                 actionBits.push(linkedIssue
                     ? `<a class="btn-secondary" href="${linkedIssue.url}" target="_blank" rel="noopener" onclick="event.stopPropagation()">Open Issue</a>`
                     : `<button class="btn-secondary" onclick="event.stopPropagation(); app.createIssueForTask('${this.escapeHtml(taskReference)}')">Create Issue</button>`);
@@ -2615,8 +3636,9 @@ class TaskManagerApp {
                 : '';
 
             return `
-            <div class="task-card ${statusClass}${taskReference ? '' : ' readonly'}" data-layer-depth="${taskDepth}"${taskStyle}${cardAttributes}>
+            <div class="task-card ${statusClass}${taskReference ? '' : ' readonly'}${isBulkSelected ? ' bulk-selected' : ''}" data-layer-depth="${taskDepth}"${taskStyle}${cardAttributes}>
                 <div class="task-header">
+                    ${isBulkSelectable ? `<input type="checkbox" class="bulk-select" aria-label="Select task" tabindex="-1"${isBulkSelected ? ' checked' : ''}>` : ''}
                     <div>
                         <h3 class="task-title">${this.escapeHtml(task.task_name || task.title)}</h3>
                         <div class="task-meta">
@@ -2647,9 +3669,141 @@ class TaskManagerApp {
         `;}).join('');
     }
 
+    /** Turn multi-select mode on or off and reset the selection. */
+    toggleBulkMode(force) {
+        this.bulkMode = typeof force === 'boolean' ? force : !this.bulkMode;
+        this.bulkSelection.clear();
+        const bar = document.getElementById('bulkActionBar');
+        if (bar) bar.hidden = !this.bulkMode;
+        const btn = document.getElementById('bulkModeBtn');
+        if (btn) btn.classList.toggle('active', this.bulkMode);
+        this.renderTasks();
+        this.updateBulkSelectionCount();
+    }
+
+    /** Add or remove one task from the bulk selection. */
+    toggleBulkSelection(taskId) {
+        const key = String(taskId);
+        const selected = !this.bulkSelection.has(key);
+        if (selected) this.bulkSelection.add(key);
+        else this.bulkSelection.delete(key);
+
+        const card = document.querySelector(`.task-card[data-task-id="${CSS.escape(key)}"]`);
+        if (card) {
+            card.classList.toggle('bulk-selected', selected);
+            const checkbox = card.querySelector('.bulk-select');
+            if (checkbox) checkbox.checked = selected;
+        }
+        this.updateBulkSelectionCount();
+    }
+
+    /** Select every editable task in the current filtered view. */
+    selectAllVisibleTasks() {
+        this.filteredTasks
+            .filter(task => this.supportsTaskEditing(task))
+            .forEach(task => this.bulkSelection.add(String(task.task_id ?? task.id).trim()));
+        this.renderTasks();
+        this.updateBulkSelectionCount();
+    }
+
+    /** Clear bulk selection. */
+    clearBulkSelection() {
+        this.bulkSelection.clear();
+        this.renderTasks();
+        this.updateBulkSelectionCount();
+    }
+
+    /** Update bulk selection count. */
+    updateBulkSelectionCount() {
+        const count = this.bulkSelection.size;
+        const label = document.getElementById('bulkSelectionCount');
+        if (label) label.textContent = `${count} selected`;
+        const applyBtn = document.getElementById('bulkApplyBtn');
+        if (applyBtn) applyBtn.disabled = count === 0;
+    }
+
+    /** Turn the bulk action bar fields into one update operation per selected task. */
+    buildBulkOperations() {
+        const readField = (id) => {
+            const el = document.getElementById(id);
+            return el ? String(el.value || '').trim() : '';
+        };
+        const status = readField('bulkStatus');
+        const assignees = readField('bulkAssignee');
+        const sprint = readField('bulkSprint');
+        const addTag = readField('bulkAddTag');
+        const removeTag = readField('bulkRemoveTag');
+
+        const operations = [];
+        this.bulkSelection.forEach((taskId) => {
+            const task = this.database.getTask(taskId);
+            if (!task) return;
+
+            const changes = {};
+            if (status) changes.status = status;
+            if (assignees) changes.assigned_workers = assignees === '-' ? [] : this.parseAssignedWorkers(assignees);
+            if (sprint) changes.sprint_name = sprint === '-' ? null : sprint;
+            if (addTag || removeTag) {
+                const tags = Array.isArray(task.tags) ? task.tags.filter(tag => tag !== removeTag) : [];
+                if (addTag && !tags.includes(addTag)) tags.push(addTag);
+                changes.tags = tags;
+            }
+            if (Object.keys(changes).length > 0) operations.push({ op: 'update', taskId: task.task_id, changes });
+        });
+        return operations;
+    }
+
+    /** Apply bulk changes. */
+    async applyBulkChanges() {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._applyBulkChanges);
+        } else {
+            await this._applyBulkChanges();
+        }
+    }
+
+    /** Send the bulk edit as one atomic batch and refresh the views. */
+    async _applyBulkChanges() {
+        if (!this.database) return;
+        const operations = this.buildBulkOperations();
+        if (operations.length === 0) {
+            this.showToast('Select tasks and choose at least one change', 'warning');
+            return;
+        }
+
+        const message = `Bulk update of ${operations.length} task${operations.length === 1 ? '' : 's'}`;
+        this.showLoading();
+        try {
+            this.database.actor = this.getActorName();
+            let result = await this.database.applyBatch(operations, message);
+
+            if (result && result.conflict) {
+                this.hideLoading();
+                if (!this.confirmSaveConflict(result.conflict)) {
+                    throw new Error('The project changed on disk since it was loaded. Reload and try again.');
+                }
+                this.showLoading();
+                result = await this.database.applyBatch(operations, message, { force: true });
+            }
+
+            if (!result || result.success !== true) {
+                throw new Error((result && result.error) ? result.error : 'Bulk update failed');
+            }
+
+            this.syncProjectContextFromDatabase();
+            await this.restoreCurrentContext({ syncGraph: false });
+            this.toggleBulkMode(false);
+            this.showToast(`${message} saved`, 'success');
+        } catch (error) {
+            this.showToast(`Bulk update failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     /** Set view mode. */
     setViewMode(mode) {
-        const next = (mode === 'timeline' || mode === 'graph') ? mode : 'list';
+        const next = ['timeline', 'sprint', 'board', 'workload', 'graph'].includes(mode) ? mode : 'list';
         if (this.viewMode === next) return;
         this.viewMode = next;
         this.renderTasks();
@@ -2708,119 +3862,1066 @@ class TaskManagerApp {
         }
     }
 
-    /** Update view toggle. */
-    updateViewToggle() {
-        const listBtn = document.getElementById('viewListBtn');
-        const timelineBtn = document.getElementById('viewTimelineBtn');
-        const graphBtn = document.getElementById('viewGraphBtn');
-        if (listBtn) listBtn.classList.toggle('active', this.viewMode === 'list');
-        if (timelineBtn) timelineBtn.classList.toggle('active', this.viewMode === 'timeline');
-        if (graphBtn) graphBtn.classList.toggle('active', this.viewMode === 'graph');
+    /** Update view toggle. */
+    updateViewToggle() {
+        const listBtn = document.getElementById('viewListBtn');
+        const timelineBtn = document.getElementById('viewTimelineBtn');
+        const sprintBtn = document.getElementById('viewSprintBtn');
+        const boardBtn = document.getElementById('viewBoardBtn');
+        const workloadBtn = document.getElementById('viewWorkloadBtn');
+        const graphBtn = document.getElementById('viewGraphBtn');
+        if (listBtn) listBtn.classList.toggle('active', this.viewMode === 'list');
+        if (timelineBtn) timelineBtn.classList.toggle('active', this.viewMode === 'timeline');
+        if (sprintBtn) sprintBtn.classList.toggle('active', this.viewMode === 'sprint');
+        if (boardBtn) boardBtn.classList.toggle('active', this.viewMode === 'board');
+        if (workloadBtn) workloadBtn.classList.toggle('active', this.viewMode === 'workload');
+        if (graphBtn) graphBtn.classList.toggle('active', this.viewMode === 'graph');
+    }
+
+    /** Set timeline scale. */
+    setTimelineScale(scale) {
+        const next = (scale === 'week') ? 'week' : 'day';
+        this.timelineScale = next;
+        if (this.viewMode === 'timeline') this.renderTasks();
+    }
+
+    /** Parse date. */
+    parseDate(dateStr) {
+        if (!dateStr || typeof dateStr !== 'string') return null;
+        const d = new Date(`${dateStr}T00:00:00`);
+        return Number.isNaN(d.getTime()) ? null : d;
+    }
+
+    /** Calculate the number of days between two dates. */
+    daysBetween(a, b) {
+        const ms = 24 * 60 * 60 * 1000;
+        return Math.floor((b.getTime() - a.getTime()) / ms);
+    }
+
+    /** Format short date. */
+    formatShortDate(d) {
+        try {
+            return d.toISOString().slice(0, 10);
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Compute the critical path of the whole project (not just the filtered view) and where
+     * the manual `is_critical_path` flag disagrees with it; `null` when the scheduler is not loaded.
+     */
+    computeCriticalPathReport() {
+        if (typeof TaskScheduler === 'undefined' || !this.database || !Array.isArray(this.database.tasks)) return null;
+        try {
+            return new TaskScheduler().criticalPathReport(this.database.tasks);
+        } catch (error) {
+            console.warn('Critical path computation failed:', error);
+            return null;
+        }
+    }
+
+    /** Render the timeline note listing the computed critical path and flag disagreements. */
+    renderCriticalPathNote(report) {
+        if (!report || report.criticalPath.length === 0) return '';
+        const ids = (list) => list.map(id => `#${id}`).join(', ');
+        const mismatches = [];
+        if (report.flaggedNotCritical.length > 0) mismatches.push(`flagged but have float: ${ids(report.flaggedNotCritical)}`);
+        if (report.criticalNotFlagged.length > 0) mismatches.push(`critical but not flagged: ${ids(report.criticalNotFlagged)}`);
+        return `
+            <div class="timeline-critical-note">
+                <strong>Critical path (computed):</strong> ${this.escapeHtml(report.criticalPath.map(id => `#${id}`).join(' → '))}
+                ${report.projectFinish ? ` • finishes ${this.escapeHtml(report.projectFinish)}` : ''}
+                ${mismatches.length > 0 ? `<div class="timeline-critical-mismatch">Manual flag disagrees — ${this.escapeHtml(mismatches.join('; '))}</div>` : ''}
+                ${report.cycles.length > 0 ? `<div class="timeline-critical-mismatch">Dependency cycle, not scheduled: ${this.escapeHtml(ids(report.cycles))}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Virtual occurrences of a recurring task after its current one, up to `horizon` (`YYYY-MM-DD`);
+     * empty without the shared TaskRecurrence or a rule.
+     */
+    getTimelineOccurrences(task, horizon) {
+        if (typeof TaskRecurrence === 'undefined' || !task.recurrence) return [];
+        const recurrence = new TaskRecurrence();
+        const completed = recurrence.countCompletedOccurrences(this.database ? this.database.tasks : [], task.task_id);
+        return recurrence.expandTask(task, { to: horizon, limit: 52, completed }).slice(1);
+    }
+
+    /** Render timeline. */
+    renderTimeline() {
+        const timelineView = document.getElementById('timelineView');
+        if (!timelineView) return;
+
+        const tasks = (this.filteredTasks || []).slice();
+        const dated = tasks
+            .map(t => ({
+                task: t,
+                start: this.parseDate(t.start_date),
+                end: this.parseDate(t.end_date) || this.parseDate(t.start_date)
+            }))
+            .filter(x => x.start && x.end);
+
+        if (dated.length === 0) {
+            timelineView.innerHTML = `<div class="empty-state" style="display:block; padding: 18px;">
+                <p>No tasks with valid start/end dates to render on a timeline.</p>
+            </div>`;
+            return;
+        }
+
+        let min = dated[0].start;
+        let max = dated[0].end;
+        for (const item of dated) {
+            if (item.start < min) min = item.start;
+            if (item.end > max) max = item.end;
+        }
+
+        // Recurring tasks show their upcoming occurrences across the view (at least eight weeks ahead)
+        const viewEnd = this.formatShortDate(max);
+        for (const item of dated) {
+            const eightWeeks = this.formatShortDate(new Date(item.start.getTime() + 56 * 24 * 60 * 60 * 1000));
+            item.occurrences = this.getTimelineOccurrences(item.task, viewEnd > eightWeeks ? viewEnd : eightWeeks)
+                .map(occurrence => ({ occurrence, start: this.parseDate(occurrence.start_date), end: this.parseDate(occurrence.end_date) }))
+                .filter(entry => entry.start && entry.end);
+            for (const entry of item.occurrences) {
+                if (entry.end > max) max = entry.end;
+            }
+        }
+
+        const totalDays = Math.max(1, this.daysBetween(min, max) + 1);
+        const scale = (totalDays > 180) ? 'week' : this.timelineScale;
+        const units = (scale === 'week') ? Math.ceil(totalDays / 7) : totalDays;
+        const unitWidth = (scale === 'week') ? 10 : 16;
+
+        // Sort by start date
+        dated.sort((a, b) => a.start - b.start);
+
+        // Highlight the computed critical path; fall back to the manual flag without the scheduler
+        const criticalReport = this.computeCriticalPathReport();
+        const computedCritical = criticalReport ? new Set(criticalReport.criticalPath) : null;
+        const floatById = new Map((criticalReport ? criticalReport.tasks : []).map(entry => [entry.task_id, entry.total_float]));
+
+        const headerTitle = `Timeline (${this.formatShortDate(min)} → ${this.formatShortDate(max)})`;
+        const barPosition = (start, end) => {
+            const startOffsetDays = this.daysBetween(min, start);
+            const endOffsetDays = this.daysBetween(min, end);
+            const unitStart = (scale === 'week') ? Math.floor(startOffsetDays / 7) : startOffsetDays;
+            const unitEnd = (scale === 'week') ? Math.floor(endOffsetDays / 7) : endOffsetDays;
+            const unitLen = Math.max(1, (unitEnd - unitStart + 1));
+            return `left: calc(${unitStart} * var(--unit-width)); width: calc(${unitLen} * var(--unit-width));`;
+        };
+        const recurrenceLabel = (task) => (typeof TaskRecurrence !== 'undefined' ? new TaskRecurrence().describe(task.recurrence) : '');
+
+        const rowsHtml = dated.map(({ task, start, end, occurrences }) => {
+            const statusClass = `status-${String(task.status || '').toLowerCase().replace(/\s+/g, '-')}`;
+            const taskId = Number(task.task_id);
+            const isCritical = computedCritical ? computedCritical.has(taskId) : Boolean(task.is_critical_path);
+            const flagMismatch = computedCritical && floatById.has(taskId) && Boolean(task.is_critical_path) !== isCritical;
+            const floatLabel = floatById.has(taskId) ? ` • float ${floatById.get(taskId)}d` : '';
+            const barTitle = `${task.task_name || task.title}${isCritical ? ' — critical path' : ''}${flagMismatch ? ' (manual flag disagrees)' : ''}`;
+            const repeats = recurrenceLabel(task);
+            const occurrenceBars = (occurrences || []).map(entry => `
+                        <div class="timeline-bar occurrence" style="${barPosition(entry.start, entry.end)}" title="${this.escapeHtml(`${task.task_name || task.title} — next occurrence ${entry.occurrence.start_date}`)}"></div>`).join('');
+
+            return `
+                <div class="timeline-row" onclick="app.editTask('${task.task_id || task.id}')" role="button" tabindex="0">
+                    <div class="timeline-task">
+                        <div class="task-name">${this.escapeHtml(task.task_name || task.title)}</div>
+                        <div class="task-sub">${this.escapeHtml(task.status || '')} • ${this.escapeHtml(task.start_date || '')} → ${this.escapeHtml(task.end_date || '')}${floatLabel}${repeats ? ` • ↻ ${this.escapeHtml(repeats)}` : ''}</div>
+                    </div>
+                    <div class="timeline-track">
+                        <div class="timeline-bar ${statusClass} ${isCritical ? 'critical' : ''} ${flagMismatch ? 'flag-mismatch' : ''}" style="${barPosition(start, end)}" title="${this.escapeHtml(barTitle)}"></div>${occurrenceBars}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        timelineView.innerHTML = `
+            <div class="timeline-header">
+                <h3>${this.escapeHtml(headerTitle)}</h3>
+                <div class="timeline-actions">
+                    <button type="button" class="btn-secondary" onclick="app.setTimelineScale('day')" ${scale === 'day' ? 'disabled' : ''}>Day</button>
+                    <button type="button" class="btn-secondary" onclick="app.setTimelineScale('week')" ${scale === 'week' ? 'disabled' : ''}>Week</button>
+                </div>
+            </div>
+            ${this.renderCriticalPathNote(criticalReport)}
+            <div class="timeline-scroll">
+                <div class="timeline-grid" style="--units:${units}; --unit-width:${unitWidth}px;">
+                    ${rowsHtml}
+                </div>
+            </div>
+        `;
+    }
+
+    // Sprint planning
+    /** Sprint planner from task-sprint-planner.js, or null when the script is not loaded. */
+    getSprintPlanner() {
+        if (typeof TaskSprintPlanner === 'undefined') return null;
+        if (!this.sprintPlanner) this.sprintPlanner = new TaskSprintPlanner();
+        return this.sprintPlanner;
+    }
+
+    /**
+     * Render the sprint planning board: backlog and one column per sprint with capacity,
+     * drag-to-assign cards, start/close actions and the velocity history.
+     * Totals cover every task in the project; cards follow the current search and filters.
+     */
+    renderSprintBoard() {
+        const sprintView = document.getElementById('sprintView');
+        if (!sprintView) return;
+
+        const planner = this.getSprintPlanner();
+        if (!planner || !this.database) {
+            sprintView.innerHTML = `<div class="empty-state" style="display:block; padding: 18px;">
+                <p>Sprint planning is unavailable (task-sprint-planner.js not loaded).</p>
+            </div>`;
+            return;
+        }
+
+        const project = this.database.currentProject || {};
+        const board = planner.buildBoard(project, this.database.tasks || [], this.database.workers || []);
+        const visibleIndex = new Map();
+        (this.filteredTasks || []).forEach((task, index) => {
+            if (this.supportsTaskEditing(task)) visibleIndex.set(String(task.task_id), index);
+        });
+        const editable = typeof this.database.updateTask === 'function';
+        const sprintOptions = board.sprints.filter(sprint => sprint.status !== 'Completed');
+
+        const renderCard = (task) => {
+            const index = visibleIndex.get(String(task.task_id));
+            if (index === undefined) return '';
+            const displayStatus = task.status === 'Completed' ? 'Done' : (task.status || '');
+            const statusSlug = displayStatus.toLowerCase().replace(/\s+/g, '-');
+            const workers = (Array.isArray(task.assigned_workers) ? task.assigned_workers : [])
+                .map(worker => worker && (worker.name || worker.worker_id || worker.email))
+                .filter(Boolean);
+            const moveOptions = [`<option value="">Backlog</option>`]
+                .concat(sprintOptions.map(sprint => `<option value="${this.escapeAttribute(sprint.name)}" ${sprint.name === task.sprint_name ? 'selected' : ''}>${this.escapeHtml(sprint.name)}</option>`))
+                .join('');
+            return `
+                <div class="sprint-card status-${statusSlug}" data-task-id="${this.escapeHtml(String(task.task_id))}" ${editable ? `draggable="true" ondragstart="app.onBoardDragStart(event, ${Number(task.task_id)})"` : ''}
+                     role="button" tabindex="0" onclick="app.openTaskDetail(${index})" data-testid="sprint-card">
+                    <div class="sprint-card-title">#${this.escapeHtml(String(task.task_id))} ${this.escapeHtml(task.task_name || '')}</div>
+                    <div class="sprint-card-meta">
+                        <span>${this.escapeHtml(displayStatus || 'No status')}</span>
+                        ${task.estimated_hours ? `<span>⏱️ ${this.escapeHtml(String(task.estimated_hours))}h</span>` : ''}
+                        ${workers.length > 0 ? `<span>👤 ${this.escapeHtml(workers.join(', '))}</span>` : ''}
+                    </div>
+                    ${editable ? `<select class="sprint-card-move" aria-label="Move task to sprint" onclick="event.stopPropagation()" onchange="app.moveTaskToSprint(${Number(task.task_id)}, this.value)">${moveOptions}</select>` : ''}
+                </div>
+            `;
+        };
+
+        const renderColumn = ({ key, title, subtitle, tasks, summary, actions, closed }) => `
+            <section class="sprint-column ${closed ? 'closed' : ''}" data-sprint="${this.escapeAttribute(key)}"
+                ${editable && !closed ? `ondragover="app.onBoardDragOver(event)" ondragleave="app.onBoardDragLeave(event)" ondrop="app.onSprintDrop(event)"` : ''} data-testid="sprint-column">
+                <header class="sprint-column-header">
+                    <div>
+                        <h4>${this.escapeHtml(title)}</h4>
+                        ${subtitle ? `<div class="sprint-column-subtitle">${this.escapeHtml(subtitle)}</div>` : ''}
+                    </div>
+                    ${actions || ''}
+                </header>
+                ${summary || ''}
+                <div class="sprint-column-cards">
+                    ${tasks.map(renderCard).join('') || '<div class="sprint-column-empty">No tasks</div>'}
+                </div>
+            </section>
+        `;
+
+        const renderCapacity = (sprint) => {
+            const percent = sprint.capacityHours > 0 ? Math.min(100, Math.round((sprint.committedHours / sprint.capacityHours) * 100)) : 0;
+            const workerRows = sprint.workers.map(worker => `
+                <li class="${worker.capacityHours > 0 && worker.assignedHours > worker.capacityHours ? 'over' : ''}">
+                    ${this.escapeHtml(worker.name)}: ${worker.assignedHours}h / ${worker.capacityHours > 0 ? `${worker.capacityHours}h` : 'no capacity set'}
+                </li>
+            `).join('');
+            return `
+                <div class="sprint-capacity ${sprint.overCapacity ? 'over' : ''}" title="Committed vs. capacity from assigned workers' weekly_capacity_hours">
+                    <div class="sprint-capacity-label">
+                        ${sprint.committedHours}h committed / ${sprint.capacityHours > 0 ? `${sprint.capacityHours}h capacity` : 'no capacity'}
+                        ${sprint.completedHours > 0 ? ` • ${sprint.completedHours}h done` : ''}
+                    </div>
+                    <div class="sprint-capacity-bar"><span style="width:${percent}%"></span></div>
+                    ${workerRows ? `<ul class="sprint-capacity-workers">${workerRows}</ul>` : ''}
+                </div>
+            `;
+        };
+
+        const sprintActions = (sprint) => {
+            if (!editable || sprint.status === 'Completed') return '';
+            const name = this.escapeAttribute(JSON.stringify(sprint.name));
+            return sprint.status === 'Active'
+                ? `<button type="button" class="btn-secondary" onclick="app.closeSprint(${name})" data-testid="close-sprint">Close</button>`
+                : `<button type="button" class="btn-secondary" onclick="app.startSprint(${name})" data-testid="start-sprint">Start</button>`;
+        };
+
+        const backlogHours = board.backlog.reduce((sum, task) => sum + planner.taskHours(task), 0);
+        const columns = [
+            renderColumn({
+                key: '',
+                title: 'Backlog',
+                subtitle: `${board.backlog.length} task${board.backlog.length === 1 ? '' : 's'} • ${backlogHours}h`,
+                tasks: board.backlog
+            })
+        ].concat(board.sprints.map(sprint => renderColumn({
+            key: sprint.name,
+            title: sprint.name,
+            subtitle: [sprint.status, [sprint.start_date, sprint.end_date].filter(Boolean).join(' → '), sprint.goal].filter(Boolean).join(' • '),
+            tasks: sprint.tasks,
+            summary: renderCapacity(sprint),
+            actions: sprintActions(sprint),
+            closed: sprint.status === 'Completed'
+        })));
+
+        const velocity = planner.velocitySummary(project);
+        const velocityRows = velocity.history.slice().reverse().map(record => `
+            <tr>
+                <td>${this.escapeHtml(String(record.sprint || ''))}</td>
+                <td>${this.escapeHtml(String(record.closed_date || ''))}</td>
+                <td>${Number(record.committed_hours) || 0}h</td>
+                <td>${Number(record.completed_hours) || 0}h</td>
+                <td>${Number(record.completed_tasks) || 0}</td>
+                <td>${Array.isArray(record.rolled_over_task_ids) && record.rolled_over_task_ids.length > 0
+                    ? `${this.escapeHtml(record.rolled_over_task_ids.map(id => `#${id}`).join(', '))} → ${this.escapeHtml(record.rolled_to || 'Backlog')}`
+                    : '—'}</td>
+            </tr>
+        `).join('');
+
+        sprintView.innerHTML = `
+            <div class="timeline-header">
+                <h3>Sprint planning</h3>
+                <div class="timeline-actions">
+                    ${velocity.averageCompletedHours !== null ? `<span class="sprint-velocity-average">Average velocity: ${velocity.averageCompletedHours}h / sprint</span>` : ''}
+                    ${editable ? '<button type="button" class="btn-secondary" onclick="app.addSprint()" data-testid="add-sprint">➕ Sprint</button>' : ''}
+                </div>
+            </div>
+            ${board.unknownSprints.length > 0 ? `<div class="timeline-critical-note">Tasks reference sprints missing from project.sprints and are shown in the backlog: ${this.escapeHtml(board.unknownSprints.join(', '))}</div>` : ''}
+            <div class="sprint-board">${columns.join('')}</div>
+            ${velocityRows ? `
+                <details class="sprint-velocity" open>
+                    <summary>Velocity history</summary>
+                    <table>
+                        <thead><tr><th>Sprint</th><th>Closed</th><th>Committed</th><th>Completed</th><th>Tasks done</th><th>Rolled over</th></tr></thead>
+                        <tbody>${velocityRows}</tbody>
+                    </table>
+                </details>
+            ` : ''}
+        `;
+    }
+
+    /** Remember the dragged task for a sprint column or kanban cell drop. */
+    onBoardDragStart(event, taskId) {
+        if (!event || !event.dataTransfer) return;
+        event.dataTransfer.setData('text/plain', String(taskId));
+        event.dataTransfer.effectAllowed = 'move';
+    }
+
+    /** Allow dropping onto a sprint column or kanban cell. */
+    onBoardDragOver(event) {
+        event.preventDefault();
+        if (event.currentTarget) event.currentTarget.classList.add('drag-over');
+    }
+
+    /** Clear the drop highlight. */
+    onBoardDragLeave(event) {
+        if (event.currentTarget) event.currentTarget.classList.remove('drag-over');
+    }
+
+    /** Assign the dropped task to the column's sprint (empty key = backlog). */
+    onSprintDrop(event) {
+        event.preventDefault();
+        const column = event.currentTarget;
+        if (!column) return;
+        column.classList.remove('drag-over');
+        const taskId = Number(event.dataTransfer && event.dataTransfer.getData('text/plain'));
+        if (!Number.isInteger(taskId)) return;
+        this.moveTaskToSprint(taskId, column.dataset.sprint || '');
+    }
+
+    /** Move a task to a sprint, or to the backlog when `sprintName` is empty. */
+    async moveTaskToSprint(taskId, sprintName) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._moveTaskToSprint, taskId, sprintName);
+        } else {
+            await this._moveTaskToSprint(taskId, sprintName);
+        }
+    }
+
+    /** Set the task's sprint_name and save. */
+    async _moveTaskToSprint(taskId, sprintName) {
+        if (!this.database) return;
+        const task = this.database.getTask(taskId);
+        const next = String(sprintName || '').trim() || null;
+        if (!task || (task.sprint_name || null) === next) return;
+
+        const result = this.database.updateTask(taskId, { sprint_name: next });
+        if (!result || !result.success) {
+            this.showToast(`Could not move task: ${(result && (result.error || (result.errors || []).join(', '))) || 'update failed'}`, 'error');
+            return;
+        }
+        await this.saveBoardChanges();
+    }
+
+    /** Append a sprint after the last one. */
+    async addSprint() {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._addSprint);
+        } else {
+            await this._addSprint();
+        }
+    }
+
+    /** Add the next sprint to project.sprints and save. */
+    async _addSprint() {
+        const planner = this.getSprintPlanner();
+        if (!planner || !this.database) return;
+        try {
+            const { project, sprint } = planner.addSprint(this.database.currentProject || {});
+            this.database.currentProject = project;
+            await this.saveBoardChanges(`${sprint.name} added (${sprint.start_date} → ${sprint.end_date})`);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /** Start a planned sprint. */
+    async startSprint(sprintName) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._startSprint, sprintName);
+        } else {
+            await this._startSprint(sprintName);
+        }
+    }
+
+    /** Mark the sprint Active and save. */
+    async _startSprint(sprintName) {
+        const planner = this.getSprintPlanner();
+        if (!planner || !this.database) return;
+        try {
+            const { project } = planner.startSprint(this.database.currentProject || {}, sprintName);
+            this.database.currentProject = project;
+            await this.saveBoardChanges(`${sprintName} started`);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /** Close the active sprint. */
+    async closeSprint(sprintName) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._closeSprint, sprintName);
+        } else {
+            await this._closeSprint(sprintName);
+        }
+    }
+
+    /** Close the sprint, roll unfinished tasks forward, record its velocity and save. */
+    async _closeSprint(sprintName) {
+        const planner = this.getSprintPlanner();
+        if (!planner || !this.database) return;
+        try {
+            const { project, changes, record } = planner.closeSprint(
+                this.database.currentProject || {},
+                this.database.tasks || [],
+                sprintName
+            );
+            const destination = record.rolled_to || 'the backlog';
+            if (changes.length > 0 && !confirm(`Close ${sprintName}? ${changes.length} unfinished task(s) will move to ${destination}.`)) return;
+
+            const failed = changes.filter(change => {
+                const result = this.database.updateTask(change.task_id, change.after);
+                return !result || !result.success;
+            });
+            if (failed.length > 0) throw new Error(`Could not roll over ${failed.map(change => `#${change.task_id}`).join(', ')}`);
+
+            this.database.currentProject = project;
+            await this.saveBoardChanges(`${sprintName} closed: ${record.completed_hours}h done${changes.length > 0 ? `, ${changes.length} task(s) moved to ${destination}` : ''}`);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /** Save sprint or kanban board changes and refresh the views. */
+    async saveBoardChanges(message = '') {
+        try {
+            await this.saveTasks();
+        } catch (_) {
+            // saveTasks already reported the failure.
+            return;
+        }
+        this.syncProjectContextFromDatabase();
+        await this.restoreCurrentContext({ syncGraph: false });
+        if (message) this.showToast(message, 'info');
+    }
+
+    // Kanban board
+    /** Kanban board model from task-kanban-board.js, or null when the script is not loaded. */
+    getKanbanBoard() {
+        if (typeof TaskKanbanBoard === 'undefined') return null;
+        if (!this.kanbanBoard) {
+            const templateConfig = (typeof window !== 'undefined' && window.TEMPLATE_CONFIG) ? window.TEMPLATE_CONFIG : (typeof TEMPLATE_CONFIG !== 'undefined' ? TEMPLATE_CONFIG : {});
+            this.kanbanBoard = new TaskKanbanBoard(templateConfig);
+        }
+        return this.kanbanBoard;
+    }
+
+    /** Change the board columns and swimlanes for this session (defaults come from project.kanban). */
+    setKanbanLayout(groupBy, swimlanes) {
+        this.kanbanLayout = { groupBy, swimlanes: swimlanes || null };
+        if (this.viewMode === 'board') this.renderTasks();
+    }
+
+    /**
+     * Render the kanban board: one column per value of the grouping field, optional swimlanes,
+     * WIP limit badges, drag-and-drop and keyboard card movement (Alt+Arrow keys).
+     */
+    renderKanbanBoard() {
+        const boardView = document.getElementById('boardView');
+        if (!boardView) return;
+
+        const kanban = this.getKanbanBoard();
+        if (!kanban || !this.database) {
+            boardView.innerHTML = `<div class="empty-state" style="display:block; padding: 18px;">
+                <p>The board is unavailable (task-kanban-board.js not loaded).</p>
+            </div>`;
+            return;
+        }
+
+        const project = this.database.currentProject || {};
+        const settings = kanban.getSettings(project);
+        const layout = this.kanbanLayout || {};
+        const groupBy = kanban.normalizeField(layout.groupBy || settings.groupBy);
+        const swimlanes = layout.groupBy ? (layout.swimlanes ? kanban.normalizeField(layout.swimlanes, null) : null) : settings.swimlanes;
+
+        const cardIndex = new Map();
+        const tasks = (this.filteredTasks || []).filter((task, index) => {
+            if (!this.supportsTaskEditing(task)) return false;
+            cardIndex.set(String(task.task_id), index);
+            return true;
+        });
+        const board = kanban.buildBoard(tasks, {
+            groupBy,
+            swimlanes,
+            wipLimits: settings.wipLimits,
+            project,
+            workers: this.database.workers || [],
+            categories: this.database.categories || []
+        });
+        this._kanbanBoard = board;
+
+        const fieldOptions = (selected, includeNone) => (includeNone ? [{ value: '', label: 'None' }] : [])
+            .concat(TaskKanbanBoard.fields())
+            .map(field => `<option value="${field.value}" ${field.value === (selected || '') ? 'selected' : ''}>${this.escapeHtml(field.label)}</option>`)
+            .join('');
+
+        const renderCard = (task) => {
+            const displayStatus = task.status === 'Completed' ? 'Done' : (task.status || '');
+            const statusSlug = displayStatus.toLowerCase().replace(/\s+/g, '-');
+            const workers = (Array.isArray(task.assigned_workers) ? task.assigned_workers : [])
+                .map(worker => worker && (worker.name || worker.worker_id || worker.email))
+                .filter(Boolean);
+            const meta = [];
+            if (groupBy !== 'status') meta.push(this.escapeHtml(displayStatus));
+            if (groupBy !== 'priority' && task.priority) meta.push(this.escapeHtml(task.priority));
+            if (task.estimated_hours) meta.push(`⏱️ ${this.escapeHtml(String(task.estimated_hours))}h`);
+            if (groupBy !== 'assignee' && workers.length > 0) meta.push(`👤 ${this.escapeHtml(workers.join(', '))}`);
+            return `
+                <div class="sprint-card kanban-card status-${statusSlug}" data-kanban-task="${Number(task.task_id)}" draggable="true"
+                     ondragstart="app.onBoardDragStart(event, ${Number(task.task_id)})" onclick="app.openTaskDetail(${cardIndex.get(String(task.task_id))})"
+                     onkeydown="app.onKanbanCardKeydown(event, ${Number(task.task_id)})" role="button" tabindex="0"
+                     aria-label="#${Number(task.task_id)} ${this.escapeAttribute(task.task_name || '')}. Alt+Arrow keys move the card." data-testid="kanban-card">
+                    <div class="sprint-card-title">#${Number(task.task_id)} ${this.escapeHtml(task.task_name || '')}</div>
+                    ${meta.length > 0 ? `<div class="sprint-card-meta">${meta.map(bit => `<span>${bit}</span>`).join('')}</div>` : ''}
+                </div>
+            `;
+        };
+
+        const header = board.columns.map((column, columnIndex) => `
+            <div class="kanban-column-header ${column.overLimit ? 'over' : (column.atLimit ? 'at-limit' : '')}">
+                <span class="kanban-column-title">${this.escapeHtml(column.label)}</span>
+                <button type="button" class="kanban-wip" onclick="app.editKanbanWipLimit(${columnIndex})"
+                        title="Set the WIP limit for this column" data-testid="kanban-wip">
+                    ${column.count}${column.wipLimit !== null ? ` / ${column.wipLimit}` : ''}
+                </button>
+            </div>
+        `).join('');
+
+        const lanesHtml = board.lanes.map(lane => `
+            ${board.swimlanes ? `<div class="kanban-lane-title" style="grid-column: 1 / -1;">${this.escapeHtml(lane.label || 'None')}</div>` : ''}
+            ${board.columns.map(column => `
+                <div class="kanban-cell ${column.overLimit ? 'over' : ''}" data-column="${this.escapeAttribute(column.value)}" data-lane="${this.escapeAttribute(lane.value)}"
+                     ondragover="app.onBoardDragOver(event)" ondragleave="app.onBoardDragLeave(event)" ondrop="app.onKanbanDrop(event)" data-testid="kanban-cell">
+                    ${lane.cells[column.value].map(renderCard).join('')}
+                </div>
+            `).join('')}
+        `).join('');
+
+        boardView.innerHTML = `
+            <div class="timeline-header">
+                <h3>Board</h3>
+                <div class="timeline-actions">
+                    <label>Columns
+                        <select onchange="app.setKanbanLayout(this.value, document.getElementById('kanbanSwimlanes').value)" data-testid="kanban-group-by">${fieldOptions(board.groupBy, false)}</select>
+                    </label>
+                    <label>Swimlanes
+                        <select id="kanbanSwimlanes" onchange="app.setKanbanLayout('${board.groupBy}', this.value)" data-testid="kanban-swimlanes">${fieldOptions(board.swimlanes, true)}</select>
+                    </label>
+                </div>
+            </div>
+            <div class="kanban-scroll">
+                <div class="kanban-grid" style="grid-template-columns: repeat(${board.columns.length}, minmax(220px, 1fr));">
+                    ${header}
+                    ${lanesHtml}
+                </div>
+            </div>
+        `;
+
+        if (this._kanbanFocusTaskId !== undefined) {
+            const card = boardView.querySelector(`[data-kanban-task="${this._kanbanFocusTaskId}"]`);
+            if (card) card.focus();
+            this._kanbanFocusTaskId = undefined;
+        }
+    }
+
+    /** Move a dropped card into the cell's column and swimlane. */
+    onKanbanDrop(event) {
+        event.preventDefault();
+        const cell = event.currentTarget;
+        if (!cell) return;
+        cell.classList.remove('drag-over');
+        const taskId = Number(event.dataTransfer && event.dataTransfer.getData('text/plain'));
+        if (!Number.isInteger(taskId)) return;
+        this.moveKanbanCard(taskId, cell.dataset.column || '', cell.dataset.lane || '');
+    }
+
+    /** Keyboard card movement: Alt+Left/Right changes column, Alt+Up/Down changes swimlane, Enter opens the task. */
+    onKanbanCardKeydown(event, taskId) {
+        const board = this._kanbanBoard;
+        if (!board) return;
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            event.currentTarget.click();
+            return;
+        }
+        if (!event.altKey || !['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(event.key)) return;
+        event.preventDefault();
+
+        const laneIndex = board.lanes.findIndex(lane => Object.values(lane.cells).some(cell => cell.some(task => Number(task.task_id) === taskId)));
+        if (laneIndex === -1) return;
+        const lane = board.lanes[laneIndex];
+        const columnIndex = board.columns.findIndex(column => lane.cells[column.value].some(task => Number(task.task_id) === taskId));
+        const nextColumn = board.columns[columnIndex + (event.key === 'ArrowRight' ? 1 : (event.key === 'ArrowLeft' ? -1 : 0))];
+        const nextLane = board.lanes[laneIndex + (event.key === 'ArrowDown' ? 1 : (event.key === 'ArrowUp' ? -1 : 0))];
+        if (!nextColumn || !nextLane) return;
+
+        this._kanbanFocusTaskId = taskId;
+        this.moveKanbanCard(taskId, nextColumn.value, nextLane.value);
+    }
+
+    /** Move a card to another column (and swimlane). */
+    async moveKanbanCard(taskId, columnValue, laneValue) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._moveKanbanCard, taskId, columnValue, laneValue);
+        } else {
+            await this._moveKanbanCard(taskId, columnValue, laneValue);
+        }
+    }
+
+    /** Apply the card move as a task update, asking first when the column is at its WIP limit, and save. */
+    async _moveKanbanCard(taskId, columnValue, laneValue) {
+        const kanban = this.getKanbanBoard();
+        const board = this._kanbanBoard;
+        const task = this.database && this.database.getTask(taskId);
+        if (!kanban || !board || !task) return;
+
+        try {
+            const changes = kanban.moveChanges(task, board.groupBy, columnValue, {
+                workers: this.database.workers || [],
+                swimlanes: board.swimlanes,
+                lane: board.swimlanes ? laneValue : undefined
+            });
+            if (!changes) return;
+
+            const column = board.columns.find(entry => entry.value === columnValue);
+            const entering = kanban.valueOf(task, board.groupBy) !== columnValue;
+            if (column && entering && column.atLimit
+                && !confirm(`"${column.label}" is at its WIP limit (${column.count} / ${column.wipLimit}). Move #${taskId} anyway?`)) {
+                return;
+            }
+
+            const result = this.database.updateTask(taskId, changes);
+            if (!result || !result.success) {
+                throw new Error((result && (result.error || (result.errors || []).join(', '))) || 'update failed');
+            }
+            await this.saveBoardChanges(`#${taskId} moved to ${column ? column.label : (columnValue || 'none')}`);
+        } catch (error) {
+            this.showToast(`Could not move task: ${error.message}`, 'error');
+        }
+    }
+
+    /** Set the WIP limit of a board column. */
+    async editKanbanWipLimit(columnIndex) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._editKanbanWipLimit, columnIndex);
+        } else {
+            await this._editKanbanWipLimit(columnIndex);
+        }
+    }
+
+    /** Prompt for the column's WIP limit, store it in project.kanban.wip_limits and save. */
+    async _editKanbanWipLimit(columnIndex) {
+        const kanban = this.getKanbanBoard();
+        const board = this._kanbanBoard;
+        const column = board && board.columns[columnIndex];
+        if (!kanban || !column) return;
+
+        const answer = window.prompt(`WIP limit for "${column.label}" (empty or 0 removes it):`, column.wipLimit === null ? '' : String(column.wipLimit));
+        if (answer === null) return;
+        const limit = Number(String(answer).trim() || 0);
+        if (!Number.isInteger(limit) || limit < 0) {
+            this.showToast('WIP limit must be a whole number', 'error');
+            return;
+        }
+
+        this.database.currentProject = kanban.setWipLimit(this.database.currentProject || {}, board.groupBy, column.value, limit);
+        await this.saveBoardChanges(limit > 0 ? `WIP limit for ${column.label} set to ${limit}` : `WIP limit for ${column.label} removed`);
+    }
+
+    // Workload
+    /** Workload planner from task-workload-planner.js, or null when the script is not loaded. */
+    getWorkloadPlanner() {
+        if (typeof TaskWorkloadPlanner === 'undefined') return null;
+        if (!this.workloadPlanner) {
+            const templateConfig = (typeof window !== 'undefined' && window.TEMPLATE_CONFIG) ? window.TEMPLATE_CONFIG : (typeof TEMPLATE_CONFIG !== 'undefined' ? TEMPLATE_CONFIG : {});
+            this.workloadPlanner = new TaskWorkloadPlanner(templateConfig);
+        }
+        return this.workloadPlanner;
+    }
+
+    /** Render the per-worker capacity grid and any leveling suggestions. */
+    renderWorkload() {
+        const workloadView = document.getElementById('workloadView');
+        if (!workloadView) return;
+
+        const planner = this.getWorkloadPlanner();
+        if (!planner || !this.database) {
+            workloadView.innerHTML = `<div class="empty-state" style="display:block; padding: 18px;">
+                <p>The workload view is unavailable (task-workload-planner.js not loaded).</p>
+            </div>`;
+            return;
+        }
+
+        const unit = this.workloadScale === 'week' ? 'week' : 'day';
+        const spanDays = unit === 'week' ? 12 * 7 : 4 * 7;
+        const from = planner.formatDay(planner.weekStart(planner.parseDay(new Date().toISOString())) + (this.workloadOffset || 0) * spanDays);
+        const tasks = this.getContextBaseTasks();
+        const load = planner.buildLoad(tasks, this.database.workers || [], { unit, from });
+
+        const header = load.buckets.map(bucket => `<th class="${bucket.working ? '' : 'workload-off'}" title="${this.escapeAttribute(bucket.start === bucket.end ? bucket.start : `${bucket.start} → ${bucket.end}`)}">${this.escapeHtml(bucket.label)}</th>`).join('');
+        const rows = load.workers.map(row => `
+            <tr data-testid="workload-row">
+                <th class="workload-worker">
+                    ${this.escapeHtml(row.name)}
+                    <div class="sprint-card-meta"><span>${this.escapeHtml(String(row.weeklyCapacity))}h/week</span>${row.overCount > 0 ? `<span class="workload-over-count">⚠️ ${row.overCount} over</span>` : ''}</div>
+                </th>
+                ${row.cells.map((cell, index) => {
+                    const bucket = load.buckets[index];
+                    const title = cell.tasks.length > 0
+                        ? cell.tasks.map(entry => `#${entry.task_id} ${entry.task_name}: ${entry.hours}h`).join('\n')
+                        : 'Nothing booked';
+                    const share = cell.capacity > 0 ? Math.min(100, Math.round((cell.hours / cell.capacity) * 100)) : (cell.hours > 0 ? 100 : 0);
+                    return `<td class="workload-cell ${cell.over ? 'over' : ''} ${bucket.working ? '' : 'workload-off'}" title="${this.escapeAttribute(title)}">
+                        ${cell.hours > 0 || cell.capacity > 0 ? `<span class="workload-hours">${cell.hours}/${cell.capacity}</span><span class="workload-bar"><span style="width: ${share}%"></span></span>` : ''}
+                    </td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+
+        const notes = [];
+        if (load.unscheduled.length > 0) notes.push(`Not booked (no start date): ${load.unscheduled.map(id => `#${id}`).join(', ')}`);
+        if (load.unassigned.length > 0) notes.push(`Unassigned: ${load.unassigned.map(id => `#${id}`).join(', ')}`);
+
+        const leveling = this.workloadLeveling;
+        const levelingHtml = !leveling ? '' : `
+            <div class="workload-leveling" data-testid="workload-leveling">
+                <h4>Leveling suggestions</h4>
+                ${leveling.suggestions.length === 0
+                    ? '<p class="register-meta">No task can move within its float without delaying the project or another task.</p>'
+                    : `<table class="workload-suggestions">
+                        <thead><tr><th>Task</th><th>Workers</th><th>Planned</th><th>Suggested</th><th>Float</th><th></th></tr></thead>
+                        <tbody>${leveling.suggestions.map((suggestion, index) => `
+                            <tr>
+                                <td>#${Number(suggestion.task_id)} ${this.escapeHtml(suggestion.task_name)}</td>
+                                <td>${this.escapeHtml(suggestion.workers.join(', '))}</td>
+                                <td>${this.escapeHtml(suggestion.start_date)} → ${this.escapeHtml(suggestion.end_date)}</td>
+                                <td>${this.escapeHtml(suggestion.new_start_date)} → ${this.escapeHtml(suggestion.new_end_date)} <small>(+${suggestion.shift_days}d)</small></td>
+                                <td>${suggestion.total_float}d</td>
+                                <td><button type="button" class="btn-secondary" onclick="app.applyWorkloadLeveling(${index})">Apply</button></td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                    <button type="button" class="btn-primary" onclick="app.applyWorkloadLeveling()" data-testid="workload-apply-all">Apply all</button>`}
+                ${leveling.remaining.length > 0 ? `<p class="register-meta">Still over capacity afterwards: ${leveling.remaining.slice(0, 10).map(entry => this.escapeHtml(`${entry.worker} ${entry.date} (${entry.hours}/${entry.capacity}h)`)).join(', ')}${leveling.remaining.length > 10 ? ', …' : ''}</p>` : ''}
+            </div>`;
+
+        workloadView.innerHTML = `
+            <div class="timeline-header">
+                <h3>Workload ${this.escapeHtml(load.from)} → ${this.escapeHtml(load.to)}</h3>
+                <div class="timeline-actions">
+                    <button type="button" class="btn-secondary" onclick="app.shiftWorkloadRange(-1)" title="Earlier">◀</button>
+                    <button type="button" class="btn-secondary" onclick="app.shiftWorkloadRange(0)">Today</button>
+                    <button type="button" class="btn-secondary" onclick="app.shiftWorkloadRange(1)" title="Later">▶</button>
+                    <button type="button" class="btn-secondary" onclick="app.setWorkloadScale('day')" ${unit === 'day' ? 'disabled' : ''}>Day</button>
+                    <button type="button" class="btn-secondary" onclick="app.setWorkloadScale('week')" ${unit === 'week' ? 'disabled' : ''}>Week</button>
+                    <button type="button" class="btn-secondary" onclick="app.suggestWorkloadLeveling()" data-testid="workload-suggest">⚖️ Suggest leveling</button>
+                </div>
+            </div>
+            ${load.workers.length === 0
+                ? '<div class="empty-state" style="display:block; padding: 18px;"><p>No workers yet. Add workers to the project or assign tasks to see their load.</p></div>'
+                : `<div class="workload-scroll">
+                    <table class="workload-grid" data-testid="workload-grid">
+                        <thead><tr><th>Worker</th>${header}</tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`}
+            ${notes.length > 0 ? `<p class="workload-notes">${notes.map(note => this.escapeHtml(note)).join(' • ')}</p>` : ''}
+            ${levelingHtml}
+        `;
+    }
+
+    /** Switch the workload grid between days and weeks. */
+    setWorkloadScale(scale) {
+        this.workloadScale = scale === 'week' ? 'week' : 'day';
+        this.workloadOffset = 0;
+        if (this.viewMode === 'workload') this.renderTasks();
+    }
+
+    /** Page the workload range earlier (-1) or later (1); 0 returns to this week. */
+    shiftWorkloadRange(step) {
+        this.workloadOffset = step === 0 ? 0 : (this.workloadOffset || 0) + (step < 0 ? -1 : 1);
+        if (this.viewMode === 'workload') this.renderTasks();
     }
 
-    /** Set timeline scale. */
-    setTimelineScale(scale) {
-        const next = (scale === 'week') ? 'week' : 'day';
-        this.timelineScale = next;
-        if (this.viewMode === 'timeline') this.renderTasks();
+    /** Compute leveling suggestions for the tasks in context and show them under the grid. */
+    suggestWorkloadLeveling() {
+        const planner = this.getWorkloadPlanner();
+        if (!planner || !this.database) return;
+        const leveling = planner.suggestLeveling(this.getContextBaseTasks(), this.database.workers || []);
+        this.workloadLeveling = leveling.suggestions.length > 0 || leveling.remaining.length > 0 ? leveling : null;
+        if (!this.workloadLeveling) this.showToast('Nobody is over capacity', 'success');
+        this.renderTasks();
     }
 
-    /** Parse date. */
-    parseDate(dateStr) {
-        if (!dateStr || typeof dateStr !== 'string') return null;
-        const d = new Date(`${dateStr}T00:00:00`);
-        return Number.isNaN(d.getTime()) ? null : d;
+    /** Apply one leveling suggestion, or all of them when `index` is omitted. */
+    async applyWorkloadLeveling(index) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._applyWorkloadLeveling, index);
+        } else {
+            await this._applyWorkloadLeveling(index);
+        }
     }
 
-    /** Calculate the number of days between two dates. */
-    daysBetween(a, b) {
-        const ms = 24 * 60 * 60 * 1000;
-        return Math.floor((b.getTime() - a.getTime()) / ms);
+    /** Move the suggested tasks to their new dates and save. */
+    async _applyWorkloadLeveling(index) {
+        const leveling = this.workloadLeveling;
+        if (!leveling || !this.database) return;
+        const selected = index === undefined ? leveling.suggestions : [leveling.suggestions[index]].filter(Boolean);
+        if (selected.length === 0) return;
+
+        const failed = selected.filter(suggestion => {
+            const result = this.database.updateTask(suggestion.task_id, { start_date: suggestion.new_start_date, end_date: suggestion.new_end_date });
+            return !result || !result.success;
+        });
+        if (failed.length > 0) {
+            this.showToast(`Could not move ${failed.map(suggestion => `#${suggestion.task_id}`).join(', ')}`, 'error');
+            return;
+        }
+
+        // Other suggestions were computed against the old dates; ask again after a partial apply.
+        this.workloadLeveling = null;
+        await this.saveBoardChanges(`${selected.length} task(s) moved to level the workload`);
     }
 
-    /** Format short date. */
-    formatShortDate(d) {
+    // Time tracking
+    /** Timer and timesheet helper from task-time-tracking.js, or null when the script is not loaded. */
+    getTimeTracking() {
+        if (typeof TaskTimeTracking === 'undefined') return null;
+        if (!this.timeTracking) {
+            const templateConfig = (typeof window !== 'undefined' && window.TEMPLATE_CONFIG) ? window.TEMPLATE_CONFIG : (typeof TEMPLATE_CONFIG !== 'undefined' ? TEMPLATE_CONFIG : {});
+            this.timeTracking = new TaskTimeTracking(templateConfig);
+        }
+        return this.timeTracking;
+    }
+
+    /** Running timers of every project, kept in localStorage (`taskTimers`) so the graph display sees them too. */
+    loadTaskTimers() {
         try {
-            return d.toISOString().slice(0, 10);
-        } catch {
-            return '';
+            const timers = JSON.parse(localStorage.getItem('taskTimers') || '{}');
+            return timers && typeof timers === 'object' ? timers : {};
+        } catch (_) {
+            return {};
         }
     }
 
-    /** Render timeline. */
-    renderTimeline() {
-        const timelineView = document.getElementById('timelineView');
-        if (!timelineView) return;
+    /** Persist the running timers. */
+    saveTaskTimers(timers) {
+        localStorage.setItem('taskTimers', JSON.stringify(timers || {}));
+    }
 
-        const tasks = (this.filteredTasks || []).slice();
-        const dated = tasks
-            .map(t => ({
-                task: t,
-                start: this.parseDate(t.start_date),
-                end: this.parseDate(t.end_date) || this.parseDate(t.start_date)
-            }))
-            .filter(x => x.start && x.end);
+    /** Running timer of a task in the active project, or null. */
+    getTaskTimer(taskId) {
+        const tracking = this.getTimeTracking();
+        if (!tracking) return null;
+        return this.loadTaskTimers()[tracking.timerKey(this.activeProjectId, taskId)] || null;
+    }
 
-        if (dated.length === 0) {
-            timelineView.innerHTML = `<div class="empty-state" style="display:block; padding: 18px;">
-                <p>No tasks with valid start/end dates to render on a timeline.</p>
-            </div>`;
+    /** Start/stop button for a task card ('' without time tracking). */
+    renderTaskTimerButton(taskId) {
+        if (!this.getTimeTracking()) return '';
+        const timer = this.getTaskTimer(taskId);
+        const id = this.escapeAttribute(taskId);
+        return timer
+            ? `<button class="btn-danger task-timer-running" onclick="event.stopPropagation(); app.toggleTaskTimer('${id}')" title="Stop the timer and log the time" data-testid="stop-timer">⏹ Stop (since ${this.escapeHtml(String(timer.start).slice(11, 16))})</button>`
+            : `<button class="btn-secondary" onclick="event.stopPropagation(); app.toggleTaskTimer('${id}')" title="Start tracking time on this task" data-testid="start-timer">▶ Timer</button>`;
+    }
+
+    /** Start a task timer, or stop it and log the time (stopping saves, so it needs access). */
+    async toggleTaskTimer(taskId) {
+        const tracking = this.getTimeTracking();
+        if (!tracking || !this.database) return;
+        if (!this.getTaskTimer(taskId)) {
+            try {
+                const key = tracking.timerKey(this.activeProjectId, taskId);
+                this.saveTaskTimers(tracking.startTimer(this.loadTaskTimers(), key, { worker: this.currentUser || '' }));
+                this.showToast('Timer started', 'info');
+                this.renderTasks();
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
             return;
         }
-
-        let min = dated[0].start;
-        let max = dated[0].end;
-        for (const item of dated) {
-            if (item.start < min) min = item.start;
-            if (item.end > max) max = item.end;
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._stopTaskTimer, taskId);
+        } else {
+            await this._stopTaskTimer(taskId);
         }
+    }
 
-        const totalDays = Math.max(1, this.daysBetween(min, max) + 1);
-        const scale = (totalDays > 180) ? 'week' : this.timelineScale;
-        const units = (scale === 'week') ? Math.ceil(totalDays / 7) : totalDays;
-        const unitWidth = (scale === 'week') ? 10 : 16;
+    /** Stop the running timer, add its time entry to the task and save. */
+    async _stopTaskTimer(taskId) {
+        const tracking = this.getTimeTracking();
+        const task = this.database && this.database.getTask(taskId);
+        if (!tracking || !task) return;
+        const note = window.prompt('Note for this time entry (optional):', '');
+        if (note === null) return;
+        try {
+            const stopped = tracking.stopTimer(this.loadTaskTimers(), tracking.timerKey(this.activeProjectId, taskId), { note });
+            if (!(stopped.entry.hours > 0)) {
+                this.saveTaskTimers(stopped.timers);
+                this.showToast('Timer stopped before a minute passed; nothing logged', 'info');
+                this.renderTasks();
+                return;
+            }
+            const logged = tracking.addEntry(task, stopped.entry);
+            const result = this.database.updateTask(taskId, { time_entries: logged.time_entries, actual_hours: logged.actual_hours });
+            if (!result || !result.success) throw new Error((result && (result.errors ? result.errors.join(', ') : result.error)) || 'Could not log the time');
+            this.saveTaskTimers(stopped.timers);
+            await this.saveBoardChanges(`${stopped.entry.hours}h logged on #${taskId}`);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
 
-        // Sort by start date
-        dated.sort((a, b) => a.start - b.start);
+    /** Open the weekly timesheet. */
+    openTimesheetModal() {
+        const modal = document.getElementById('timesheetModal');
+        if (!modal) return;
+        const tracking = this.getTimeTracking();
+        if (!tracking) {
+            this.showToast('Time tracking is not available', 'error');
+            return;
+        }
+        const weekInput = document.getElementById('timesheetWeek');
+        if (weekInput && !weekInput.value) weekInput.value = tracking.weekStart(tracking.timestamp().slice(0, 10));
+        modal.style.display = 'block';
+        this.renderTimesheet();
+    }
 
-        const headerTitle = `Timeline (${this.formatShortDate(min)} → ${this.formatShortDate(max)})`;
-        const rowsHtml = dated.map(({ task, start, end }) => {
-            const statusClass = `status-${String(task.status || '').toLowerCase().replace(/\s+/g, '-')}`;
-            const startOffsetDays = this.daysBetween(min, start);
-            const endOffsetDays = this.daysBetween(min, end);
-            const unitStart = (scale === 'week') ? Math.floor(startOffsetDays / 7) : startOffsetDays;
-            const unitEnd = (scale === 'week') ? Math.floor(endOffsetDays / 7) : endOffsetDays;
-            const unitLen = Math.max(1, (unitEnd - unitStart + 1));
-            const leftCss = `calc(${unitStart} * var(--unit-width))`;
-            const widthCss = `calc(${unitLen} * var(--unit-width))`;
+    /** Close the timesheet modal. */
+    closeTimesheetModal() {
+        const modal = document.getElementById('timesheetModal');
+        if (modal) modal.style.display = 'none';
+    }
 
-            return `
-                <div class="timeline-row" onclick="app.editTask('${task.task_id || task.id}')" role="button" tabindex="0">
-                    <div class="timeline-task">
-                        <div class="task-name">${this.escapeHtml(task.task_name || task.title)}</div>
-                        <div class="task-sub">${this.escapeHtml(task.status || '')} • ${this.escapeHtml(task.start_date || '')} → ${this.escapeHtml(task.end_date || '')}</div>
-                    </div>
-                    <div class="timeline-track">
-                        <div class="timeline-bar ${statusClass} ${task.is_critical_path ? 'critical' : ''}" style="left: ${leftCss}; width: ${widthCss};" title="${this.escapeHtml(task.task_name || task.title)}"></div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+    /** Move the timesheet by whole weeks. */
+    shiftTimesheetWeek(weeks) {
+        const tracking = this.getTimeTracking();
+        const weekInput = document.getElementById('timesheetWeek');
+        if (!tracking || !weekInput) return;
+        const monday = Date.parse(`${tracking.weekStart(weekInput.value || tracking.timestamp().slice(0, 10))}T00:00:00Z`);
+        weekInput.value = new Date(monday + weeks * 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        this.renderTimesheet();
+    }
+
+    /** Timesheet of the selected week and worker. */
+    buildTimesheet() {
+        const tracking = this.getTimeTracking();
+        if (!tracking || !this.database) return null;
+        const weekInput = document.getElementById('timesheetWeek');
+        const workerSelect = document.getElementById('timesheetWorker');
+        return tracking.timesheet(this.database.tasks || [], {
+            weekStart: (weekInput && weekInput.value) || undefined,
+            worker: workerSelect ? workerSelect.value : ''
+        });
+    }
 
-        timelineView.innerHTML = `
-            <div class="timeline-header">
-                <h3>${this.escapeHtml(headerTitle)}</h3>
-                <div class="timeline-actions">
-                    <button type="button" class="btn-secondary" onclick="app.setTimelineScale('day')" ${scale === 'day' ? 'disabled' : ''}>Day</button>
-                    <button type="button" class="btn-secondary" onclick="app.setTimelineScale('week')" ${scale === 'week' ? 'disabled' : ''}>Week</button>
-                </div>
-            </div>
-            <div class="timeline-scroll">
-                <div class="timeline-grid" style="--units:${units}; --unit-width:${unitWidth}px;">
-                    ${rowsHtml}
-                </div>
-            </div>
-        `;
+    /** Redraw the timesheet table and the worker filter. */
+    renderTimesheet() {
+        const tracking = this.getTimeTracking();
+        const container = document.getElementById('timesheetTable');
+        if (!tracking || !container || !this.database) return;
+
+        const workerSelect = document.getElementById('timesheetWorker');
+        if (workerSelect) {
+            const selected = workerSelect.value;
+            const names = new Set();
+            const collect = (tasks) => (tasks || []).forEach(task => {
+                if (!task || typeof task !== 'object') return;
+                (Array.isArray(task.time_entries) ? task.time_entries : []).forEach(entry => names.add(String((entry && entry.worker) || '').trim() || 'Unassigned'));
+                collect(task.subtasks);
+            });
+            collect(this.database.tasks);
+            workerSelect.innerHTML = `<option value="">All workers</option>${Array.from(names).sort().map(name => `<option value="${this.escapeAttribute(name)}"${name === selected ? ' selected' : ''}>${this.escapeHtml(name)}</option>`).join('')}`;
+        }
+
+        const sheet = this.buildTimesheet();
+        const weekInput = document.getElementById('timesheetWeek');
+        if (weekInput) weekInput.value = sheet.weekStart;
+        const dayHeads = sheet.days.map(day => `<th>${this.escapeHtml(new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', timeZone: 'UTC' }))}</th>`).join('');
+        const cells = (hours) => hours.map(value => `<td>${value > 0 ? value : ''}</td>`).join('');
+
+        container.innerHTML = sheet.workers.length === 0
+            ? '<p class="register-empty">No time logged in this week.</p>'
+            : `<table class="timesheet-table" data-testid="timesheet-table">
+                <thead><tr><th>Task</th>${dayHeads}<th>Total</th></tr></thead>
+                <tbody>${sheet.workers.map(worker => `
+                    <tr class="timesheet-worker"><th colspan="${sheet.days.length + 2}">👤 ${this.escapeHtml(worker.worker)}</th></tr>
+                    ${worker.rows.map(row => `<tr><td>#${this.escapeHtml(row.task_id)} ${this.escapeHtml(row.task_name)}</td>${cells(row.hours)}<td><strong>${row.total}</strong></td></tr>`).join('')}
+                    <tr class="timesheet-total"><td>Total</td>${cells(worker.dayTotals)}<td><strong>${worker.total}</strong></td></tr>`).join('')}
+                </tbody>
+                <tfoot><tr><td>Week total</td><td colspan="${sheet.days.length}"></td><td><strong>${sheet.total}</strong></td></tr></tfoot>
+            </table>`;
+    }
+
+    /** Download the selected week as CSV. */
+    exportTimesheetCsv() {
+        const tracking = this.getTimeTracking();
+        const sheet = this.buildTimesheet();
+        if (!tracking || !sheet) return;
+        const projectId = String(this.activeProjectId || 'project').replace(/[^a-zA-Z0-9_-]/g, '');
+        this.downloadBlob(tracking.timesheetCsv(sheet), 'text/csv;charset=utf-8;', `${projectId}-timesheet-${sheet.weekStart}.csv`);
     }
 
     // GitHub Issues Sync
@@ -3084,6 +5185,259 @@ class TaskManagerApp {
         }
     }
 
+    /** Issue sync engine (task-engine/js/task-issue-sync.js) resolving conflicts in favour of `prefer`. */
+    createIssueSync(prefer = null) {
+        if (typeof TaskIssueSync === 'undefined') return null;
+        const templateConfig = (typeof window !== 'undefined' && window.TEMPLATE_CONFIG) ? window.TEMPLATE_CONFIG : (typeof TEMPLATE_CONFIG !== 'undefined' ? TEMPLATE_CONFIG : {});
+        return new TaskIssueSync(templateConfig, prefer ? { prefer } : {});
+    }
+
+    /** Sync tasks linked to issues with GitHub in both directions (or preview with `dryRun`). */
+    syncLinkedIssues(dryRun = false) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._syncLinkedIssues, dryRun);
+        } else {
+            this._syncLinkedIssues(dryRun);
+        }
+    }
+
+    /** Sync tasks linked to issues with GitHub in both directions (or preview with `dryRun`). */
+    async _syncLinkedIssues(dryRun = false) {
+        const preferSelect = document.getElementById('issuesSyncPrefer');
+        const engine = this.createIssueSync(preferSelect ? preferSelect.value : null);
+        if (!this.githubApi || !engine) {
+            this.setIssuesSyncStatus('GitHub API not initialized yet.', 'error');
+            return;
+        }
+        this.setIssuesSyncStatus(dryRun ? 'Previewing sync...' : 'Syncing linked issues...', 'info');
+
+        try {
+            const tasks = (this.database.tasks || []).slice();
+            const report = await engine.sync(tasks, this.githubApi, { workers: this.database.workers || [], dryRun });
+            const failures = [];
+            let saved = 0;
+            if (!dryRun) {
+                report.tasks.forEach((task, index) => {
+                    const previous = tasks[index];
+                    if (task === previous) return;
+                    const updates = {};
+                    Object.keys(task).forEach(key => {
+                        if (task[key] !== previous[key]) updates[key] = task[key];
+                    });
+                    const result = this.database.updateTask(task.task_id, updates);
+                    if (result && result.success) saved++;
+                    else failures.push(`Task ${task.task_id} not updated: ${result && result.errors ? result.errors.join(', ') : (result && result.error) || 'unknown error'}`);
+                });
+                if (saved > 0) {
+                    await this.saveTasks();
+                    this.syncProjectContextFromDatabase();
+                    await this.restoreCurrentContext({ syncGraph: false });
+                }
+            }
+
+            const lines = engine.formatReport(report);
+            this.renderIssuesSyncReport([...lines.slice(0, -1), ...failures], report.conflicts.length);
+            const summary = `${dryRun ? 'Preview: ' : ''}${lines[lines.length - 1]}`;
+            this.setIssuesSyncStatus(summary, failures.length > 0 ? 'error' : (report.conflicts.length > 0 ? 'warning' : 'success'));
+        } catch (e) {
+            console.error('Issues sync failed', e);
+            this.setIssuesSyncStatus(`Issues sync failed: ${e.message}`, 'error');
+        }
+    }
+
+    /** Commit/pull request linker (task-engine/js/task-code-links.js). */
+    createCodeLinks() {
+        if (typeof TaskCodeLinks === 'undefined') return null;
+        const templateConfig = (typeof window !== 'undefined' && window.TEMPLATE_CONFIG) ? window.TEMPLATE_CONFIG : (typeof TEMPLATE_CONFIG !== 'undefined' ? TEMPLATE_CONFIG : {});
+        return new TaskCodeLinks(templateConfig);
+    }
+
+    /** Link the repository's commits and pull requests to the tasks they reference. */
+    linkCodeReferences() {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._linkCodeReferences);
+        } else {
+            this._linkCodeReferences();
+        }
+    }
+
+    /** Link the repository's commits and pull requests to the tasks they reference. */
+    async _linkCodeReferences() {
+        const linker = this.createCodeLinks();
+        if (!this.githubApi || !linker) {
+            this.setIssuesSyncStatus('GitHub API not initialized yet.', 'error');
+            return;
+        }
+        this.setIssuesSyncStatus('Scanning commits and pull requests...', 'info');
+
+        try {
+            const [pullRequests, commits] = await Promise.all([
+                this.githubApi.listPullRequests('all'),
+                this.githubApi.listCommits()
+            ]);
+            const tasks = (this.database.tasks || []).slice();
+            const result = linker.link(tasks, {
+                commits: Array.isArray(commits) ? commits : [],
+                pullRequests: Array.isArray(pullRequests) ? pullRequests : [],
+                repo: `${this.config.owner}/${this.config.repo}`,
+                projectId: this.activeProjectId || ''
+            });
+            const failures = [];
+            let saved = 0;
+            result.tasks.forEach((task, index) => {
+                if (task === tasks[index]) return;
+                const updates = { links: task.links };
+                if (task.status !== tasks[index].status) updates.status = task.status;
+                const outcome = this.database.updateTask(task.task_id, updates);
+                if (outcome && outcome.success) saved++;
+                else failures.push(`Task ${task.task_id} not updated: ${outcome && outcome.errors ? outcome.errors.join(', ') : (outcome && outcome.error) || 'unknown error'}`);
+            });
+            if (saved > 0) {
+                await this.saveTasks();
+                this.syncProjectContextFromDatabase();
+                await this.restoreCurrentContext({ syncGraph: false });
+            }
+
+            const lines = linker.formatResult(result);
+            this.renderIssuesSyncReport([...lines.slice(0, -1), ...failures]);
+            this.setIssuesSyncStatus(lines[lines.length - 1], failures.length > 0 ? 'error' : 'success');
+        } catch (e) {
+            console.error('Linking commits failed', e);
+            this.setIssuesSyncStatus(`Linking commits failed: ${e.message}`, 'error');
+        }
+    }
+
+    /** GitHub Projects board importer/exporter (task-engine/js/task-github-projects.js). */
+    createGitHubProjects() {
+        if (typeof TaskGitHubProjects === 'undefined') return null;
+        const templateConfig = (typeof window !== 'undefined' && window.TEMPLATE_CONFIG) ? window.TEMPLATE_CONFIG : (typeof TEMPLATE_CONFIG !== 'undefined' ? TEMPLATE_CONFIG : {});
+        return new TaskGitHubProjects(templateConfig);
+    }
+
+    /** Board owner and number from the Issues dialog, else from the last import. */
+    getProjectBoardTarget() {
+        const recorded = (this.database && this.database.currentProject && this.database.currentProject.github_project) || {};
+        const ownerInput = document.getElementById('projectBoardOwner');
+        const numberInput = document.getElementById('projectBoardNumber');
+        const owner = (ownerInput && ownerInput.value.trim()) || recorded.owner || this.config.owner || '';
+        const number = parseInt(numberInput && numberInput.value, 10) || recorded.number || null;
+        return { owner, number };
+    }
+
+    /** Import the GitHub Projects board into this project (or preview the diff with `dryRun`). */
+    importProjectBoard(dryRun = false) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._importProjectBoard, dryRun);
+        } else {
+            this._importProjectBoard(dryRun);
+        }
+    }
+
+    /** Import the GitHub Projects board into this project (or preview the diff with `dryRun`). */
+    async _importProjectBoard(dryRun = false) {
+        const engine = this.createGitHubProjects();
+        const { owner, number } = this.getProjectBoardTarget();
+        if (!this.githubApi || !engine) {
+            this.setIssuesSyncStatus('GitHub API not initialized yet.', 'error');
+            return;
+        }
+        if (!owner || !number) {
+            this.setIssuesSyncStatus('Enter the board owner and project number.', 'warning');
+            return;
+        }
+        this.setIssuesSyncStatus(`Reading project board ${owner} #${number}...`, 'info');
+
+        try {
+            const board = await engine.fetchBoard(this.githubApi, owner, number);
+            const tasks = (this.database.tasks || []).slice();
+            const result = engine.importBoard({ project: this.database.currentProject || {}, tasks }, board, { owner });
+            const lines = engine.formatImport(result);
+            const failures = [];
+            if (!dryRun) {
+                let saved = 0;
+                result.tasks.forEach((task, index) => {
+                    if (task === tasks[index]) return;
+                    const updates = {};
+                    result.changes.filter(change => change.task_id === task.task_id).forEach(change => { updates[change.field] = change.to; });
+                    const outcome = this.database.updateTask(task.task_id, updates);
+                    if (outcome && outcome.success) saved++;
+                    else failures.push(`Task ${task.task_id} not updated: ${outcome && outcome.errors ? outcome.errors.join(', ') : (outcome && outcome.error) || 'unknown error'}`);
+                });
+                result.created.forEach(taskData => {
+                    const outcome = this.database.createTask(taskData, this.currentUser);
+                    if (outcome && outcome.success) saved++;
+                    else failures.push(`"${taskData.task_name}" not imported: ${outcome && outcome.errors ? outcome.errors.join(', ') : 'unknown error'}`);
+                });
+                if (result.projectChanged) {
+                    this.database.currentProject = result.project;
+                    saved++;
+                }
+                if (saved > 0) await this.saveBoardChanges();
+            }
+
+            this.renderIssuesSyncReport([...lines.slice(0, -1), ...failures]);
+            this.setIssuesSyncStatus(`${dryRun ? 'Preview: ' : ''}${lines[lines.length - 1]}`, failures.length > 0 ? 'error' : 'success');
+        } catch (e) {
+            console.error('Project board import failed', e);
+            this.setIssuesSyncStatus(`Project board import failed: ${e.message}`, 'error');
+        }
+    }
+
+    /** Export this project's tasks to the GitHub Projects board (or preview the diff with `dryRun`). */
+    exportProjectBoard(dryRun = false) {
+        if (this.isPasswordProtected()) {
+            this.requireAuth(this._exportProjectBoard, dryRun);
+        } else {
+            this._exportProjectBoard(dryRun);
+        }
+    }
+
+    /** Export this project's tasks to the GitHub Projects board (or preview the diff with `dryRun`). */
+    async _exportProjectBoard(dryRun = false) {
+        const engine = this.createGitHubProjects();
+        const { owner, number } = this.getProjectBoardTarget();
+        if (!this.githubApi || !engine) {
+            this.setIssuesSyncStatus('GitHub API not initialized yet.', 'error');
+            return;
+        }
+        if (!owner || !number) {
+            this.setIssuesSyncStatus('Enter the board owner and project number.', 'warning');
+            return;
+        }
+        this.setIssuesSyncStatus(`Reading project board ${owner} #${number}...`, 'info');
+
+        try {
+            const board = await engine.fetchBoard(this.githubApi, owner, number);
+            const plan = engine.planExport(this.database.tasks || [], board);
+            const lines = engine.formatExport(plan);
+            if (dryRun) {
+                this.renderIssuesSyncReport(lines.slice(0, -1));
+                this.setIssuesSyncStatus(`Preview: ${lines[lines.length - 1]}`, plan.warnings.length > 0 ? 'warning' : 'success');
+                return;
+            }
+
+            const applied = await engine.applyExport(this.githubApi, board, plan);
+            applied.added.forEach(entry => this.database.updateTask(entry.task_id, { project_item_id: entry.item_id }));
+            if (applied.added.length > 0) await this.saveBoardChanges();
+            this.renderIssuesSyncReport(lines.slice(0, -1));
+            this.setIssuesSyncStatus(`Sent ${applied.applied} change(s) to the board; ${plan.warnings.length} warning(s)`, plan.warnings.length > 0 ? 'warning' : 'success');
+        } catch (e) {
+            console.error('Project board export failed', e);
+            this.setIssuesSyncStatus(`Project board export failed: ${e.message}`, 'error');
+        }
+    }
+
+    /** Render the per-issue sync report; the first `conflictCount` lines are conflicts. */
+    renderIssuesSyncReport(lines, conflictCount = 0) {
+        const el = document.getElementById('issuesSyncReport');
+        if (!el) return;
+        if (!lines || lines.length === 0) {
+            el.innerHTML = '';
+            return;
+        }
+        el.innerHTML = `<ul>${lines.map((line, index) => `<li class="${index < conflictCount ? 'conflict' : ''}">${this.escapeHtml(line)}</li>`).join('')}</ul>`;
+    }
+
     /** Update stats. */
     updateStats(taskSource = null) {
         const tasks = Array.isArray(taskSource) ? taskSource : this.getContextBaseTasks();
@@ -3140,11 +5494,20 @@ class TaskManagerApp {
     filterTasks() {
         const statusFilter = document.getElementById('filterStatus').value;
         const priorityFilter = document.getElementById('filterPriority').value;
+        const queryInput = document.getElementById('taskQuery');
+        const query = queryInput ? queryInput.value.trim() : '';
         const baseTasks = this.getContextBaseTasks();
 
+        if (queryInput && typeof TaskQuery !== 'undefined') {
+            const { errors } = TaskQuery.parse(query);
+            queryInput.classList.toggle('invalid', errors.length > 0);
+            queryInput.setCustomValidity(errors.join('; '));
+        }
+
         this.filteredTasks = this.filterTaskCollection(baseTasks, {
             status: statusFilter === 'all' ? null : statusFilter,
-            priority: priorityFilter === 'all' ? null : priorityFilter
+            priority: priorityFilter === 'all' ? null : priorityFilter,
+            query
         });
 
         this.renderTasks();
@@ -3175,6 +5538,8 @@ class TaskManagerApp {
         if (modalTitle) modalTitle.textContent = 'Add New Task';
         document.getElementById('taskForm').reset();
         document.getElementById('taskId').value = '';
+        document.getElementById('taskActualHours').readOnly = false;
+        document.getElementById('taskActualHours').title = '';
         this.refreshCategoryOptions({ preserveValue: false });
         this.populateFormWithDefaults();
         modal.style.display = 'block';
@@ -3330,6 +5695,8 @@ class TaskManagerApp {
 
         if (resolvedTask.estimated_hours) metaBits.push(`⏱ ${resolvedTask.estimated_hours}h est.`);
         if (resolvedTask.actual_hours) metaBits.push(`⏱ ${resolvedTask.actual_hours}h actual`);
+        const timeEntries = Array.isArray(resolvedTask.time_entries) ? resolvedTask.time_entries.filter(Boolean) : [];
+        const codeLinks = Array.isArray(resolvedTask.links) ? resolvedTask.links.filter(link => link && (link.type === 'commit' || link.type === 'pull_request')) : [];
         if (resolvedTask.start_date) metaBits.push(`📅 ${resolvedTask.start_date}`);
         if (resolvedTask.end_date) metaBits.push(`→ ${resolvedTask.end_date}`);
         if (typeof resolvedTask.progress_percentage === 'number' && resolvedTask.progress_percentage > 0) metaBits.push(`${resolvedTask.progress_percentage}%`);
@@ -3347,6 +5714,10 @@ class TaskManagerApp {
         }
         if (this.supportsTaskEditing(resolvedTask)) {
             modalActions.push(`<button type="button" class="task-node-btn task-node-nav-btn" data-popup-action="edit" data-edit-task-id="${esc(String(resolvedTask.task_id ?? resolvedTask.id).trim())}"><span class="tn-name">✏️ Edit Task</span></button>`);
+            if (this.getTimeTracking()) {
+                const running = this.getTaskTimer(String(resolvedTask.task_id ?? resolvedTask.id).trim());
+                modalActions.push(`<button type="button" class="task-node-btn task-node-nav-btn" data-popup-action="timer" data-timer-task-id="${esc(String(resolvedTask.task_id ?? resolvedTask.id).trim())}"><span class="tn-name">${running ? '⏹ Stop Timer' : '▶ Start Timer'}</span></button>`);
+            }
         }
 
         content.innerHTML = `
@@ -3366,6 +5737,8 @@ class TaskManagerApp {
                 ${childTasks.length > 0 ? `<div class="tpp-section-title">Child Tasks</div><div class="task-node-list">${childTasks.map(relatedTask => renderTaskButton(relatedTask)).join('')}</div>` : ''}
                 ${acceptanceCriteria.length > 0 ? `<div class="tpp-section-title">Acceptance Criteria</div><ul>${acceptanceCriteria.map(item => `<li>${esc(item)}</li>`).join('')}</ul>` : ''}
                 ${tags.length > 0 ? `<div class="tpp-section-title">Tags</div><div class="tpp-tag-list">${tags.map(tag => `<span class="tpp-tag">${esc(tag)}</span>`).join('')}</div>` : ''}
+                ${timeEntries.length > 0 ? `<div class="tpp-section-title">Time Logged</div><ul class="time-entry-list">${timeEntries.map(entry => `<li>${esc(String(entry.start || '').slice(0, 10))} · ${esc(entry.worker || 'Unassigned')} · ${esc(entry.hours ?? '')}h${entry.note ? ` — ${esc(entry.note)}` : ''}</li>`).join('')}</ul>` : ''}
+                ${codeLinks.length > 0 ? `<div class="tpp-section-title">Commits &amp; Pull Requests</div><ul class="code-link-list">${codeLinks.map(link => `<li>${link.url ? `<a href="${esc(link.url)}" target="_blank" rel="noopener noreferrer">${esc(link.label || link.sha || `PR #${link.number}`)}</a>` : esc(link.label || link.sha || `PR #${link.number}`)}${link.type === 'pull_request' && link.state ? ` <span class="code-link-state state-${esc(link.state)}">${esc(link.state)}</span>` : ''}</li>`).join('')}</ul>` : ''}
             </div>
         `;
 
@@ -3396,6 +5769,17 @@ class TaskManagerApp {
             });
         });
 
+        content.querySelectorAll('.task-node-btn[data-popup-action="timer"]').forEach((button) => {
+            button.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                const timerTaskId = button.getAttribute('data-timer-task-id');
+                if (!timerTaskId) return;
+                this.closeTaskNodeModal();
+                this.toggleTaskTimer(timerTaskId);
+            });
+        });
+
         content.querySelectorAll('.task-node-btn[data-popup-action="edit"]').forEach((button) => {
             button.addEventListener('click', (event) => {
                 event.preventDefault();
@@ -3616,7 +6000,12 @@ class TaskManagerApp {
         document.getElementById('taskEndDate').value = task.end_date || task.dueDate || '';
         document.getElementById('taskProgress').value = task.progress_percentage || task.progress || 0;
         document.getElementById('taskEstimatedHours').value = task.estimated_hours || '';
-        document.getElementById('taskActualHours').value = task.actual_hours || '';
+        const actualHoursInput = document.getElementById('taskActualHours');
+        const loggedEntries = Array.isArray(task.time_entries) ? task.time_entries.length : 0;
+        actualHoursInput.value = task.actual_hours || '';
+        // With logged time, actual_hours is the sum of the entries (AUTOMATION.AUTO_ROLLUP_ACTUAL_HOURS).
+        actualHoursInput.readOnly = loggedEntries > 0;
+        actualHoursInput.title = loggedEntries > 0 ? `Sum of ${loggedEntries} logged time entr${loggedEntries === 1 ? 'y' : 'ies'}` : '';
         document.getElementById('taskCategory').value = task.category_name || '';
         document.getElementById('taskTags').value = task.tags ? task.tags.join(', ') : '';
         document.getElementById('taskCriticalPath').checked = task.is_critical_path || false;
@@ -3639,6 +6028,15 @@ class TaskManagerApp {
             document.getElementById('taskDependencies').value = '';
         }
 
+        // Object rules are shown in their RRULE form
+        const recurrenceInput = document.getElementById('taskRecurrence');
+        if (recurrenceInput) {
+            const rule = task.recurrence;
+            recurrenceInput.value = rule && typeof rule === 'object'
+                ? (typeof TaskRecurrence !== 'undefined' ? new TaskRecurrence().toRRule(rule) : JSON.stringify(rule))
+                : String(rule && rule !== 'none' ? rule : '');
+        }
+
         // Populate automatic fields
         document.getElementById('displayTaskId').textContent = task.task_id || task.id || '--';
         document.getElementById('displayCreatedDate').textContent = task.created_date ? new Date(task.created_date).toLocaleString() : '--';
@@ -3688,6 +6086,12 @@ class TaskManagerApp {
             this.showValidationMessages(result.errors || [result.error], []);
             return;
         }
+        if (Array.isArray(result.rescheduled) && result.rescheduled.length > 0) {
+            this.showToast(`Moved ${result.rescheduled.length} dependent task(s) later: ${result.rescheduled.map(change => `#${change.task_id}`).join(', ')}`, 'info');
+        }
+        if (result.recurrence) {
+            this.showToast(`Recorded occurrence as #${result.recurrence.created.task_id}; next occurrence starts ${result.recurrence.next.start_date}`, 'info');
+        }
 
         try {
             await this.saveTasks();
@@ -3730,7 +6134,8 @@ class TaskManagerApp {
             is_critical_path: document.getElementById('taskCriticalPath')?.checked || false,
             assigned_workers: this.parseAssignedWorkers(document.getElementById('taskAssignedWorkers').value),
             parent_task_id: this.parseParentTaskId(document.getElementById('parentTaskId').value),
-            dependencies: dependencies
+            dependencies: dependencies,
+            recurrence: (document.getElementById('taskRecurrence')?.value || '').trim() || undefined
         };
     }
 
@@ -4133,6 +6538,11 @@ class TaskManagerApp {
         return div.innerHTML;
     }
 
+    /** Escape text for a double- or single-quoted HTML attribute. */
+    escapeAttribute(text) {
+        return this.escapeHtml(String(text ?? '')).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     /** Show loading. */
     showLoading() {
         document.getElementById('loadingOverlay').style.display = 'flex';
@@ -4174,15 +6584,30 @@ class TaskManagerApp {
         // Filter changes
         document.getElementById('filterStatus').addEventListener('change', () => this.filterTasks());
         document.getElementById('filterPriority').addEventListener('change', () => this.filterTasks());
+        const taskQuery = document.getElementById('taskQuery');
+        if (taskQuery) {
+            let queryTimer = null;
+            taskQuery.addEventListener('input', () => {
+                clearTimeout(queryTimer);
+                queryTimer = setTimeout(() => this.filterTasks(), 200);
+            });
+        }
         const taskScopeMode = document.getElementById('taskScopeMode');
         if (taskScopeMode) {
             taskScopeMode.value = this.taskScopeMode;
             taskScopeMode.addEventListener('change', (event) => this.setTaskScopeMode(event.target.value));
         }
 
-        window.addEventListener('tasks-externally-updated', () => {
+        window.addEventListener('tasks-externally-updated', (event) => {
+            const detail = (event && event.detail) || {};
             this.syncProjectContextFromDatabase();
             this.filterTasks();
+            if (detail.trigger === 'server-event' && Array.isArray(detail.changes) && detail.changes.length) {
+                const count = detail.changes.length;
+                const who = detail.actor ? ` by ${detail.actor}` : (detail.source === 'external' ? ' on disk' : '');
+                this.showToast(`${count} task${count === 1 ? '' : 's'} updated${who}`, 'info');
+                return;
+            }
             this.showToast('Tasks refreshed from local files', 'info');
         });
 
@@ -4249,6 +6674,17 @@ class GitHubAPI {
         return await response.json();
     }
 
+    /** Read every page of a list endpoint. */
+    async list(endpoint) {
+        const items = [];
+        for (let page = 1; ; page += 1) {
+            const separator = endpoint.includes('?') ? '&' : '?';
+            const batch = await this.request(`${endpoint}${separator}per_page=100&page=${page}`);
+            items.push(...batch);
+            if (batch.length < 100) return items;
+        }
+    }
+
     /** Get file content from the configured GitHub repository. */
     async getFileContent(path) {
         try {
@@ -4280,8 +6716,8 @@ class GitHubAPI {
 
     /** List GitHub issues for the configured repository. */
     async listIssues(state = 'open') {
-        const qs = new URLSearchParams({ state, per_page: '100' }).toString();
-        return await this.request(`/repos/${this.config.owner}/${this.config.repo}/issues?${qs}`);
+        const qs = new URLSearchParams({ state }).toString();
+        return await this.list(`/repos/${this.config.owner}/${this.config.repo}/issues?${qs}`);
     }
 
     /** Create a GitHub issue for the configured repository. */
@@ -4296,6 +6732,54 @@ class GitHubAPI {
         }
         return await this.request(`/repos/${this.config.owner}/${this.config.repo}/issues`, 'POST', payload);
     }
+
+    /** List the comments of a GitHub issue. */
+    async listIssueComments(number) {
+        return await this.list(`/repos/${this.config.owner}/${this.config.repo}/issues/${number}/comments`);
+    }
+
+    /** Update state, labels, assignees or milestone of a GitHub issue. */
+    async updateIssue(number, patch) {
+        return await this.request(`/repos/${this.config.owner}/${this.config.repo}/issues/${number}`, 'PATCH', patch);
+    }
+
+    /** Add a comment to a GitHub issue. */
+    async createIssueComment(number, body) {
+        return await this.request(`/repos/${this.config.owner}/${this.config.repo}/issues/${number}/comments`, 'POST', { body });
+    }
+
+    /** List the milestones of the configured repository. */
+    async listMilestones() {
+        return await this.list(`/repos/${this.config.owner}/${this.config.repo}/milestones?state=all`);
+    }
+
+    /** Create a milestone in the configured repository. */
+    async createMilestone(title) {
+        return await this.request(`/repos/${this.config.owner}/${this.config.repo}/milestones`, 'POST', { title });
+    }
+
+    /** List the most recently updated pull requests of the configured repository. */
+    async listPullRequests(state = 'all') {
+        const qs = new URLSearchParams({ state, sort: 'updated', direction: 'desc' }).toString();
+        return await this.list(`/repos/${this.config.owner}/${this.config.repo}/pulls?${qs}`);
+    }
+
+    /** List the latest commits of a branch (the configured branch by default). */
+    async listCommits(branch = '') {
+        const qs = new URLSearchParams({ sha: branch || this.config.branch || '' });
+        if (!qs.get('sha')) qs.delete('sha');
+        const query = qs.toString();
+        return await this.list(`/repos/${this.config.owner}/${this.config.repo}/commits${query ? `?${query}` : ''}`);
+    }
+
+    /** Run a GraphQL query or mutation (GitHub Projects boards) and return its `data`. */
+    async graphql(query, variables = {}) {
+        const payload = await this.request('/graphql', 'POST', { query, variables });
+        if (payload.errors && payload.errors.length > 0) {
+            throw new Error(payload.errors.map(error => error.message).join('; '));
+        }
+        return payload.data;
+    }
 }
 
 // Initialize the application
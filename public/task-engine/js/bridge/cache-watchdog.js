@@ -26,6 +26,7 @@
       this._gracePeriod = 0;
       this._isSaving = false;
       this._bridgeOnline = null;
+      this._pendingRemoteEtag = null;
       this._listeners = [];
     }
 
@@ -52,12 +53,25 @@
 
     endSave() {
       this._isSaving = false;
+      const pendingEtag = this._pendingRemoteEtag;
+      this._pendingRemoteEtag = null;
+      if (pendingEtag && pendingEtag !== this._knownEtag) this._fetchFull('server-event');
     }
 
     async forceRefresh() {
       await this._fetchFull('forced');
     }
 
+    // Server-pushed change: refetch unless it is the version we already hold or are about to acknowledge.
+    async notifyRemoteChange(etag) {
+      if (etag && etag === this._knownEtag) return;
+      if (this._isSaving) {
+        this._pendingRemoteEtag = etag || '*';
+        return;
+      }
+      await this._fetchFull('server-event');
+    }
+
     destroy() {
       this._listeners.forEach(([target, event, fn]) => target.removeEventListener(event, fn));
       this._listeners = [];
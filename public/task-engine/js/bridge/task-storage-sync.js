@@ -44,15 +44,20 @@
       return { payload, etag, fromCache: false };
     }
 
-    async savePayload(payload) {
+    async savePayload(payload, { ifMatch = null, actor = '' } = {}) {
       this._watchdog?.beginSave();
       try {
+        const headers = { 'Content-Type': 'application/json' };
+        if (ifMatch) headers['If-Match'] = ifMatch;
+        if (actor) headers['X-Actor'] = actor;
         const res = await this._fetch(this.tasksUrl, {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
+          headers,
           body: JSON.stringify(payload)
         });
 
+        if (res.status === 412) throw await this._conflictError(res);
+
         if (!res.ok) {
           let message = `Save failed: ${res.status} ${res.statusText}`;
           try {
@@ -72,9 +77,51 @@
       }
     }
 
+    async postBatch(operations, { ifMatch = null, actor = '', message = '' } = {}) {
+      this._watchdog?.beginSave();
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        if (ifMatch) headers['If-Match'] = ifMatch;
+        if (actor) headers['X-Actor'] = actor;
+        const res = await this._fetch(this.batchUrl, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ operations, message })
+        });
+
+        if (res.status === 412) throw await this._conflictError(res);
+
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          const err = new Error(`Batch failed: ${data.error || `${res.status} ${res.statusText}`}`);
+          err.errors = Array.isArray(data.errors) ? data.errors : [];
+          throw err;
+        }
+
+        const etag = res.headers.get('ETag');
+        this._watchdog?.acknowledge(etag);
+        return { etag, tasks: data.tasks, results: Array.isArray(data.results) ? data.results : [] };
+      } finally {
+        this._watchdog?.endSave();
+      }
+    }
+
+    async _conflictError(res) {
+      const conflict = await res.json().catch(() => ({}));
+      const err = new Error('Save conflict: the project changed on disk since it was loaded');
+      err.code = 'SAVE_CONFLICT';
+      err.conflict = {
+        etag: conflict.etag || res.headers.get('ETag'),
+        conflicts: Array.isArray(conflict.conflicts) ? conflict.conflicts : []
+      };
+      return err;
+    }
+
     _rebuildUrls() {
       const qs = `project=${encodeURIComponent(this.projectId)}`;
       this.tasksUrl = `${this.baseUrl}/api/tasks?${qs}`;
+      this.eventsUrl = `${this.baseUrl}/api/tasks/events?${qs}`;
+      this.batchUrl = `${this.baseUrl}/api/tasks/batch?${qs}`;
       this.statusUrl = `${this.baseUrl}/api/health`;
     }
 
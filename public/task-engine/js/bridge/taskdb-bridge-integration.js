@@ -47,16 +47,27 @@
       timeout: 8000
     });
 
+    let knownEtag = null;
+    let lastServerEvent = null;
+
     const watchdog = new globalScope.TaskBridgeCacheWatchdog({
       apiUrl: sync.tasksUrl,
       cooldownMs: 3000,
       graceMs: 4000,
-      onRefresh: async (freshPayload) => {
+      onRefresh: async (freshPayload, meta = {}) => {
+        if (meta.etag) knownEtag = meta.etag;
         const tasks = db.applyLoadedPayload(freshPayload);
         db.tasks = Array.isArray(tasks) ? tasks : [];
         db._lastSyncedTasksSnapshot = db.cloneTasksSnapshot(db.tasks);
+        const serverEvent = meta.trigger === 'server-event' ? lastServerEvent : null;
         globalScope.dispatchEvent(new CustomEvent('tasks-externally-updated', {
-          detail: { taskCount: db.tasks.length }
+          detail: {
+            taskCount: db.tasks.length,
+            trigger: meta.trigger || '',
+            source: serverEvent ? serverEvent.source : '',
+            actor: serverEvent ? serverEvent.actor : '',
+            changes: serverEvent && Array.isArray(serverEvent.changes) ? serverEvent.changes : []
+          }
         }));
       },
       onOffline: () => dispatchBridgeStatus(false),
@@ -66,7 +77,38 @@
     sync.setWatchdog(watchdog);
 
     let initialized = false;
-    let knownEtag = null;
+    let eventSource = null;
+
+    // Follow the server's change feed so every open tab and view refreshes without polling.
+    function subscribeToChanges() {
+      if (typeof globalScope.EventSource !== 'function') return;
+      if (eventSource && eventSource.url === sync.eventsUrl) return;
+      if (eventSource) eventSource.close();
+
+      eventSource = new globalScope.EventSource(sync.eventsUrl);
+      // Each (re)connect announces the current ETag, which covers changes missed while disconnected.
+      eventSource.addEventListener('ready', (event) => {
+        try {
+          const detail = JSON.parse(event.data);
+          lastServerEvent = null;
+          watchdog.notifyRemoteChange(detail && detail.etag);
+        } catch {
+          // Ignore malformed frames.
+        }
+      });
+      eventSource.addEventListener('tasks-changed', (event) => {
+        let detail = null;
+        try {
+          detail = JSON.parse(event.data);
+        } catch {
+          return;
+        }
+        if (!detail || detail.projectId !== sync.projectId) return;
+        lastServerEvent = detail;
+        watchdog.notifyRemoteChange(detail.etag);
+      });
+      // EventSource reconnects by itself; the watchdog reports the bridge going offline.
+    }
 
     async function ensureInitialized() {
       if (initialized) return;
@@ -80,6 +122,7 @@
     async function loadFromBridge(projectId) {
       sync.setProjectId(projectId || resolveActiveProjectId());
       await ensureInitialized();
+      if (initialized) subscribeToChanges();
 
       const online = await sync.isOnline();
       dispatchBridgeStatus(online);
@@ -88,23 +131,43 @@
       const result = await sync.loadPayload(knownEtag);
       if (result.etag) knownEtag = result.etag;
       if (result.fromCache) return { handled: true, payload: null, fromCache: true };
-      return { handled: true, payload: result.payload, fromCache: false };
+      return { handled: true, payload: result.payload, fromCache: false, etag: knownEtag };
     }
 
-    async function saveToBridge(projectId, payload) {
+    async function saveToBridge(projectId, payload, options = {}) {
       sync.setProjectId(projectId || resolveActiveProjectId());
       const online = await sync.isOnline();
       dispatchBridgeStatus(online);
       if (!online) return { handled: false };
 
-      const result = await sync.savePayload(payload);
+      // A forced save deliberately overwrites whatever is on disk after a conflict.
+      const result = await sync.savePayload(payload, {
+        ifMatch: options.force ? null : knownEtag,
+        actor: options.actor || ''
+      });
       if (result.etag) knownEtag = result.etag;
       return { handled: true, etag: result.etag };
     }
 
+    async function applyBatchToBridge(projectId, operations, options = {}) {
+      sync.setProjectId(projectId || resolveActiveProjectId());
+      const online = await sync.isOnline();
+      dispatchBridgeStatus(online);
+      if (!online) return { handled: false };
+
+      const result = await sync.postBatch(operations, {
+        ifMatch: options.force ? null : knownEtag,
+        actor: options.actor || '',
+        message: options.message || ''
+      });
+      if (result.etag) knownEtag = result.etag;
+      return { handled: true, ...result };
+    }
+
     return {
       loadFromBridge,
       saveToBridge,
+      applyBatchToBridge,
       resolveProjectId: resolveActiveProjectId
     };
   }
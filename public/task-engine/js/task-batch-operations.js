@@ -0,0 +1,169 @@
+/**
+ * Atomic batch operations over a TaskDB task list.
+ *
+ * Shared by the local server (`POST /api/tasks/batch`) and the browser
+ * `TaskDatabase` so bulk edits behave the same whichever backend persists
+ * them: every operation is applied to a copy, and the copy is only returned
+ * when the whole batch validated.
+ */
+
+/**
+ * Apply create/update/delete/move operations to a project's tasks as one unit.
+ */
+class TaskBatchOperations {
+  /**
+   * Create a batch helper bound to the validator and automation used for single-task writes.
+   *
+   * @param {TemplateValidator} validator
+   * @param {TemplateAutomation} automation
+   */
+  constructor(validator, automation) {
+    this.validator = validator;
+    this.automation = automation;
+  }
+
+  /**
+   * Locate a task by numeric id across top-level tasks and inline subtasks.
+   *
+   * @param {object[]} tasks
+   * @param {number} taskId
+   * @returns {{task: object, taskIndex: number, taskList: object[]}|null}
+   */
+  findTaskLocation(tasks, taskId) {
+    if (!Array.isArray(tasks)) return null;
+
+    for (let index = 0; index < tasks.length; index += 1) {
+      const task = tasks[index];
+      if (!task || typeof task !== 'object') continue;
+      if (task.task_id === taskId) return { task, taskIndex: index, taskList: tasks };
+
+      const nestedMatch = this.findTaskLocation(task.subtasks, taskId);
+      if (nestedMatch) return nestedMatch;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether pointing `taskId` at `parentTaskId` would make the parent_task_id chain loop.
+   *
+   * @param {object[]} tasks
+   * @param {number} taskId
+   * @param {number} parentTaskId
+   * @returns {boolean}
+   */
+  createsParentCycle(tasks, taskId, parentTaskId) {
+    const seen = new Set();
+    let currentId = parentTaskId;
+    while (currentId !== null && currentId !== undefined) {
+      if (currentId === taskId) return true;
+      if (seen.has(currentId)) return false;
+      seen.add(currentId);
+      const location = this.findTaskLocation(tasks, currentId);
+      currentId = location ? location.task.parent_task_id : null;
+    }
+    return false;
+  }
+
+  /**
+   * Apply a batch to a copy of `projectData.tasks`.
+   *
+   * Operations:
+   * - `{ op: 'create', task }` — `task.task_id` is allocated when omitted
+   * - `{ op: 'update', taskId, changes }` — shallow merge; `task_id` cannot change
+   * - `{ op: 'delete', taskId }`
+   * - `{ op: 'move', taskId, parentTaskId?, index? }` — re-parent via `parent_task_id` and/or reorder within its list
+   *
+   * @param {object} projectData - Current project payload; only `tasks` is copied and changed.
+   * @param {object[]} operations
+   * @returns {{ok: boolean, tasks: object[], results: object[], errors: object[]}}
+   */
+  apply(projectData, operations) {
+    const tasks = JSON.parse(JSON.stringify((projectData && projectData.tasks) || []));
+    const working = { ...(projectData || {}), tasks };
+    const results = [];
+    const errors = [];
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      errors.push({ index: -1, op: '', error: 'operations must be a non-empty array' });
+      return { ok: false, tasks, results, errors };
+    }
+
+    operations.forEach((operation, index) => {
+      const op = operation && typeof operation === 'object' ? String(operation.op || '') : '';
+      const fail = (error, details = {}) => errors.push({ index, op, error, ...details });
+      const validate = (task) => {
+        const validation = this.validator.validate(task, 'task');
+        if (validation.isValid) return true;
+        fail('Task validation failed', { taskId: task.task_id, errors: validation.errors });
+        return false;
+      };
+
+      if (op === 'create') {
+        const input = operation.task;
+        if (!input || typeof input !== 'object' || Array.isArray(input)) return fail('create needs a task object');
+        if (input.task_id !== undefined && this.findTaskLocation(tasks, Number(input.task_id))) {
+          return fail(`Task ${input.task_id} already exists`, { taskId: Number(input.task_id) });
+        }
+        const task = this.automation.autoPopulateTask({ ...input }, working);
+        if (!validate(task)) return;
+        tasks.push(task);
+        results.push({ index, op, taskId: task.task_id });
+        return;
+      }
+
+      if (!['update', 'delete', 'move'].includes(op)) return fail(`Unsupported op "${op}"`);
+
+      const taskId = Number(operation.taskId);
+      if (!Number.isInteger(taskId)) return fail(`${op} needs a numeric taskId`);
+      const location = this.findTaskLocation(tasks, taskId);
+      if (!location) return fail(`Task ${taskId} not found`, { taskId });
+
+      if (op === 'update') {
+        const changes = operation.changes;
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return fail('update needs a changes object', { taskId });
+        const task = { ...location.task, ...changes, task_id: taskId };
+        if (!validate(task)) return;
+        location.taskList[location.taskIndex] = task;
+      } else if (op === 'delete') {
+        location.taskList.splice(location.taskIndex, 1);
+      } else {
+        const task = location.task;
+        if (Object.prototype.hasOwnProperty.call(operation, 'parentTaskId')) {
+          const parentTaskId = operation.parentTaskId === null ? null : Number(operation.parentTaskId);
+          if (parentTaskId !== null) {
+            if (!this.findTaskLocation(tasks, parentTaskId)) return fail(`Parent task ${parentTaskId} not found`, { taskId });
+            if (this.createsParentCycle(tasks, taskId, parentTaskId)) return fail(`Moving task ${taskId} under ${parentTaskId} would create a cycle`, { taskId });
+          }
+          task.parent_task_id = parentTaskId;
+        }
+        if (operation.index !== undefined) {
+          const targetIndex = Number(operation.index);
+          if (!Number.isInteger(targetIndex) || targetIndex < 0) return fail('move index must be a non-negative integer', { taskId });
+          location.taskList.splice(location.taskIndex, 1);
+          location.taskList.splice(Math.min(targetIndex, location.taskList.length), 0, task);
+        }
+      }
+      results.push({ index, op, taskId });
+    });
+
+    if (errors.length === 0) {
+      const seen = new Set();
+      const duplicates = new Set();
+      this.automation.collectTaskIds(tasks).forEach((id) => {
+        if (seen.has(id)) duplicates.add(id);
+        seen.add(id);
+      });
+      if (duplicates.size > 0) {
+        errors.push({ index: -1, op: '', error: `Duplicate task_id detected: ${Array.from(duplicates).join(', ')}` });
+      }
+    }
+
+    return { ok: errors.length === 0, tasks, results, errors };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskBatchOperations;
+}
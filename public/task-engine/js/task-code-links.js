@@ -0,0 +1,223 @@
+/**
+ * Commit and pull request links on tasks.
+ *
+ * Commit messages, pull request titles, bodies and branch names refer to a task as `task #12`,
+ * `task-12` or, when several projects share a repository, `task #project-id/12`. With
+ * `CODE_LINKS.INCLUDE_TASKDB_COMMITS` the `TaskDB|<action>|<id>|…` subjects of task-file saves
+ * count too (off by default: every save of the links would itself be linked on the next scan).
+ *
+ * Each reference becomes a typed entry in `task.links`:
+ *
+ *   { "type": "commit", "sha": "…", "url": "…/commit/…", "label": "abc1234 Fix login", "date": "…" }
+ *   { "type": "pull_request", "number": 42, "state": "draft|open|closed|merged", "url": "…/pull/42", "label": "PR #42: Fix login" }
+ *
+ * With `AUTOMATION.AUTO_STATUS_FROM_PULL_REQUESTS`, a task whose pull request opens (or leaves
+ * draft) moves to `CODE_LINKS.PR_OPENED_STATUS` and one whose pull request merges to
+ * `CODE_LINKS.PR_MERGED_STATUS`.
+ * Only a change of pull request state moves a task, so a status set by hand afterwards sticks.
+ */
+
+/** Task states the pull request automation leaves alone. */
+const CODE_LINK_FINAL_STATUSES = ['Completed', 'Done', 'Cancelled'];
+
+/**
+ * Find task references in commits and pull requests and record them on the tasks.
+ */
+class TaskCodeLinks {
+  /**
+   * Create the linker.
+   *
+   * @param {object} [config] - TEMPLATE_CONFIG; reads `CODE_LINKS` and `AUTOMATION.AUTO_STATUS_FROM_PULL_REQUESTS`.
+   */
+  constructor(config = {}) {
+    const links = (config && config.CODE_LINKS) || {};
+    const automation = (config && config.AUTOMATION) || {};
+    this.includeTaskDbCommits = Boolean(links.INCLUDE_TASKDB_COMMITS);
+    this.openedStatus = links.PR_OPENED_STATUS || 'In Review';
+    this.mergedStatus = links.PR_MERGED_STATUS || 'Completed';
+    this.autoStatus = automation.AUTO_STATUS_FROM_PULL_REQUESTS !== false;
+  }
+
+  /**
+   * Task ids referenced in a piece of text.
+   *
+   * @param {string} text - Commit message, pull request title/body or branch name.
+   * @param {string} [projectId] - References qualified with another project are skipped.
+   * @returns {number[]}
+   */
+  findReferences(text, projectId = '') {
+    const ids = new Set();
+    const source = String(text || '');
+    const pattern = /\btask(?:\s*#|-)(?:([A-Za-z0-9][\w.-]*)\/)?(\d+)\b/gi;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      if (match[1] && projectId && match[1] !== projectId) continue;
+      ids.add(Number(match[2]));
+    }
+    if (this.includeTaskDbCommits) {
+      const subject = source.match(/^TaskDB\|(?:create|update|delete)\|(\d+)\|/m);
+      if (subject) ids.add(Number(subject[1]));
+    }
+    return Array.from(ids).filter((id) => id > 0);
+  }
+
+  /**
+   * Commit as `{ sha, message, date, author, html_url }`, from `git log` output or GitHub REST JSON.
+   *
+   * @param {object} commit
+   * @returns {{ sha: string, message: string, date: string, author: string, html_url: string }}
+   */
+  normalizeCommit(commit) {
+    const details = (commit && commit.commit) || {};
+    const author = details.author || {};
+    return {
+      sha: String(commit.sha || ''),
+      message: String(commit.message || details.message || ''),
+      date: commit.date || author.date || '',
+      author: typeof commit.author === 'string' ? commit.author : (author.name || ''),
+      html_url: commit.html_url || ''
+    };
+  }
+
+  /**
+   * Link entry for a commit.
+   *
+   * @param {object} commit - See `normalizeCommit`.
+   * @param {string} [repo] - `owner/name`, used to build the URL when the commit has none.
+   * @returns {object}
+   */
+  commitLink(commit, repo = '') {
+    const normalized = this.normalizeCommit(commit);
+    const link = {
+      type: 'commit',
+      sha: normalized.sha,
+      url: normalized.html_url || (repo ? `https://github.com/${repo}/commit/${normalized.sha}` : ''),
+      label: `${normalized.sha.slice(0, 7)} ${normalized.message.split('\n')[0].trim()}`.trim()
+    };
+    if (normalized.date) link.date = normalized.date;
+    if (normalized.author) link.author = normalized.author;
+    return link;
+  }
+
+  /**
+   * Link entry for a pull request (GitHub REST JSON).
+   *
+   * @param {object} pullRequest
+   * @returns {object}
+   */
+  pullRequestLink(pullRequest) {
+    return {
+      type: 'pull_request',
+      number: pullRequest.number,
+      state: this.pullRequestState(pullRequest),
+      url: pullRequest.html_url || '',
+      label: `PR #${pullRequest.number}: ${String(pullRequest.title || '').trim()}`
+    };
+  }
+
+  /**
+   * `merged`, `closed`, `draft` or `open`.
+   *
+   * @param {object} pullRequest
+   * @returns {'draft'|'open'|'closed'|'merged'}
+   */
+  pullRequestState(pullRequest) {
+    if (pullRequest.merged_at || pullRequest.merged) return 'merged';
+    if (pullRequest.state === 'closed') return 'closed';
+    return pullRequest.draft ? 'draft' : 'open';
+  }
+
+  /** Identity of a code link, or null for other links. */
+  linkKey(link) {
+    if (!link || typeof link !== 'object') return null;
+    if (link.type === 'commit' && link.sha) return `commit:${link.sha}`;
+    if (link.type === 'pull_request' && link.number) return `pull_request:${link.number}`;
+    return null;
+  }
+
+  /**
+   * Record commits and pull requests on the tasks they reference.
+   *
+   * @param {object[]} tasks
+   * @param {{ commits?: object[], pullRequests?: object[], repo?: string, projectId?: string }} sources
+   * @returns {{
+   *   tasks: object[],
+   *   added: { task_id: number, type: string, label: string }[],
+   *   updated: { task_id: number, number: number, state: string }[],
+   *   statusChanges: { task_id: number, from: string, to: string, number: number }[]
+   * }} `tasks` holds changed copies; unchanged tasks are the same objects.
+   */
+  link(tasks, sources = {}) {
+    const list = Array.isArray(tasks) ? tasks : [];
+    const projectId = sources.projectId || '';
+    const byTask = new Map();
+    const collect = (ids, link) => {
+      ids.forEach((id) => {
+        if (!byTask.has(id)) byTask.set(id, []);
+        byTask.get(id).push(link);
+      });
+    };
+    (sources.commits || []).forEach((commit) => {
+      if (!commit || !commit.sha) return;
+      collect(this.findReferences(this.normalizeCommit(commit).message, projectId), this.commitLink(commit, sources.repo));
+    });
+    (sources.pullRequests || []).forEach((pullRequest) => {
+      if (!pullRequest || !pullRequest.number) return;
+      const text = [pullRequest.title, pullRequest.body, pullRequest.head && pullRequest.head.ref].filter(Boolean).join('\n');
+      collect(this.findReferences(text, projectId), this.pullRequestLink(pullRequest));
+    });
+
+    const result = { tasks: [], added: [], updated: [], statusChanges: [] };
+    result.tasks = list.map((task) => {
+      const found = byTask.get(Number(task && task.task_id));
+      if (!found) return task;
+      const links = Array.isArray(task.links) ? task.links.slice() : [];
+      let status = task.status;
+      let changed = false;
+      found.forEach((link) => {
+        const key = this.linkKey(link);
+        const index = links.findIndex((existing) => this.linkKey(existing) === key);
+        const previousState = index >= 0 ? links[index].state : null;
+        if (index < 0) {
+          links.push(link);
+          result.added.push({ task_id: task.task_id, type: link.type, label: link.label });
+          changed = true;
+        } else if (link.type === 'pull_request' && (links[index].state !== link.state || links[index].label !== link.label)) {
+          links[index] = { ...links[index], ...link };
+          if (previousState !== link.state) result.updated.push({ task_id: task.task_id, number: link.number, state: link.state });
+          changed = true;
+        }
+        if (link.type !== 'pull_request' || !this.autoStatus || previousState === link.state) return;
+        let next = null;
+        if (link.state === 'merged') next = this.mergedStatus;
+        else if (link.state === 'open') next = this.openedStatus;
+        if (next && next !== status && !CODE_LINK_FINAL_STATUSES.includes(status)) {
+          result.statusChanges.push({ task_id: task.task_id, from: status, to: next, number: link.number });
+          status = next;
+          changed = true;
+        }
+      });
+      return changed ? { ...task, links, status } : task;
+    });
+    return result;
+  }
+
+  /**
+   * Human-readable summary of a `link` result.
+   *
+   * @param {ReturnType<TaskCodeLinks['link']>} result
+   * @returns {string[]}
+   */
+  formatResult(result) {
+    const lines = result.statusChanges.map((change) => `Task ${change.task_id}: ${change.from || '—'} → ${change.to} (PR #${change.number})`);
+    lines.push(...result.added.map((entry) => `Task ${entry.task_id} + ${entry.label}`));
+    lines.push(...result.updated.map((entry) => `Task ${entry.task_id}: PR #${entry.number} is ${entry.state}`));
+    lines.push(`${result.added.length} link(s) added, ${result.updated.length} pull request(s) updated, ${result.statusChanges.length} status change(s)`);
+    return lines;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskCodeLinks;
+}
@@ -0,0 +1,517 @@
+/**
+ * Import and export between a TaskDB project and a GitHub Projects (v2) board.
+ *
+ * Board items map to tasks, matched by `task.project_item_id` or, for issue items, by the task's
+ * `issue-#N` tag. Custom fields are matched by name (`GITHUB_PROJECTS` in tasks-template-config.js):
+ *
+ * - Status (single select) ↔ `status`, through `GITHUB_PROJECTS.STATUS_MAP`
+ * - Iteration ↔ `sprint_name`; the board's iterations become `project.sprints`
+ * - Estimate (number) ↔ `estimated_hours`, times `GITHUB_PROJECTS.HOURS_PER_ESTIMATE`
+ * - draft item titles ↔ `task_name`
+ *
+ * The board's views are recorded in `project.github_project.views` and the first board view's
+ * columns and swimlanes become `project.kanban`. GitHub's API cannot create views, so export
+ * leaves them alone. Export adds tasks that are not on the board as draft items and sets the
+ * fields above on every linked item.
+ *
+ * Import and export both return a diff first (`importBoard`, `planExport`), so callers can show a
+ * dry run before saving or calling `applyExport`. The GitHub side is any client with
+ * `graphql(query, variables)` resolving to the response's `data`: the list app's GitHubAPI, or the
+ * REST and recorded-fixture clients of tools/scripts/sync-github-issues.js.
+ */
+
+/** Board, field and item query; items are read 100 at a time. */
+const GITHUB_PROJECTS_BOARD_QUERY = `query ProjectBoard($owner: String!, $number: Int!, $after: String) {
+  repositoryOwner(login: $owner) {
+    ... on ProjectV2Owner {
+      projectV2(number: $number) {
+        id
+        number
+        title
+        url
+        fields(first: 50) {
+          nodes {
+            ... on ProjectV2FieldCommon { id name dataType }
+            ... on ProjectV2SingleSelectField { options { id name } }
+            ... on ProjectV2IterationField {
+              configuration {
+                iterations { id title startDate duration }
+                completedIterations { id title startDate duration }
+              }
+            }
+          }
+        }
+        views(first: 20) {
+          nodes {
+            name
+            number
+            layout
+            filter
+            groupByFields(first: 1) { nodes { ... on ProjectV2FieldCommon { name } } }
+            verticalGroupByFields(first: 1) { nodes { ... on ProjectV2FieldCommon { name } } }
+          }
+        }
+        items(first: 100, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            type
+            isArchived
+            content {
+              ... on DraftIssue { id title body }
+              ... on Issue { number title body url state assignees(first: 10) { nodes { login } } }
+              ... on PullRequest { number title body url state isDraft merged }
+            }
+            fieldValues(first: 30) {
+              nodes {
+                ... on ProjectV2ItemFieldSingleSelectValue { name optionId field { ... on ProjectV2FieldCommon { name } } }
+                ... on ProjectV2ItemFieldIterationValue { title iterationId startDate duration field { ... on ProjectV2FieldCommon { name } } }
+                ... on ProjectV2ItemFieldNumberValue { number field { ... on ProjectV2FieldCommon { name } } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+/** Mutations used by `applyExport`, keyed by operation name. */
+const GITHUB_PROJECTS_MUTATIONS = {
+  AddDraftItem: `mutation AddDraftItem($projectId: ID!, $title: String!, $body: String) {
+  addProjectV2DraftIssue(input: { projectId: $projectId, title: $title, body: $body }) { projectItem { id } }
+}`,
+  UpdateItemField: `mutation UpdateItemField($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ProjectV2FieldValue!) {
+  updateProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: $value }) { projectV2Item { id } }
+}`,
+  ClearItemField: `mutation ClearItemField($projectId: ID!, $itemId: ID!, $fieldId: ID!) {
+  clearProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId }) { projectV2Item { id } }
+}`,
+  UpdateDraftIssue: `mutation UpdateDraftIssue($draftIssueId: ID!, $title: String!) {
+  updateProjectV2DraftIssue(input: { draftIssueId: $draftIssueId, title: $title }) { draftIssue { id } }
+}`
+};
+
+/** View layouts as stored in `project.github_project.views`. */
+const GITHUB_PROJECTS_LAYOUTS = { BOARD_LAYOUT: 'board', TABLE_LAYOUT: 'table', ROADMAP_LAYOUT: 'roadmap' };
+
+/**
+ * Map a GitHub Projects (v2) board to TaskDB tasks and back.
+ */
+class TaskGitHubProjects {
+  /**
+   * Create the importer/exporter.
+   *
+   * @param {object} [config] - TEMPLATE_CONFIG; reads `GITHUB_PROJECTS`, `ENUMS.TASK_STATUS` and
+   *   `DEFAULTS.TASK.default_duration_days`.
+   * @param {{ now?: () => Date }} [options]
+   */
+  constructor(config = {}, options = {}) {
+    const board = (config && config.GITHUB_PROJECTS) || {};
+    const enums = (config && config.ENUMS) || {};
+    const taskDefaults = (config && config.DEFAULTS && config.DEFAULTS.TASK) || {};
+    this.statusField = board.STATUS_FIELD || 'Status';
+    this.iterationField = board.ITERATION_FIELD || 'Iteration';
+    this.estimateField = board.ESTIMATE_FIELD || 'Estimate';
+    this.hoursPerEstimate = Number(board.HOURS_PER_ESTIMATE) > 0 ? Number(board.HOURS_PER_ESTIMATE) : 1;
+    this.statusMap = board.STATUS_MAP || { Todo: 'Not Started', Done: 'Completed' };
+    this.defaultCategory = board.DEFAULT_CATEGORY || 'Feature';
+    this.taskStatuses = enums.TASK_STATUS || ['Not Started', 'In Progress', 'On Hold', 'In Review', 'Completed', 'Done', 'Cancelled'];
+    this.durationDays = Number(taskDefaults.default_duration_days) > 0 ? Number(taskDefaults.default_duration_days) : 7;
+    this.doneStatuses = new Set(['Done', 'Completed']);
+    this.now = typeof options.now === 'function' ? options.now : () => new Date();
+  }
+
+  /**
+   * Read a board with all its items.
+   *
+   * @param {{ graphql: Function }} client
+   * @param {string} owner - User or organization login.
+   * @param {number} number - Project number from the board URL.
+   * @returns {Promise<object>} See `parseBoard`.
+   */
+  async fetchBoard(client, owner, number) {
+    let node = null;
+    const items = [];
+    let after = null;
+    do {
+      const data = await client.graphql(GITHUB_PROJECTS_BOARD_QUERY, { owner, number: Number(number), after });
+      const page = data && data.repositoryOwner && data.repositoryOwner.projectV2;
+      if (!page) throw new Error(`GitHub project ${owner}/#${number} not found`);
+      if (!node) node = page;
+      items.push(...((page.items && page.items.nodes) || []));
+      const info = (page.items && page.items.pageInfo) || {};
+      after = info.hasNextPage ? info.endCursor : null;
+    } while (after);
+    return this.parseBoard({ ...node, items: { nodes: items } });
+  }
+
+  /**
+   * Plain board from the `projectV2` node of the board query.
+   *
+   * @param {object} node
+   * @returns {{ id: string, number: number, title: string, url: string, fields: object, views: object[], items: object[] }}
+   */
+  parseBoard(node) {
+    const fields = ((node.fields && node.fields.nodes) || []).filter((field) => field && field.name);
+    const byName = (name) => fields.find((field) => field.name === name) || null;
+    const status = byName(this.statusField);
+    const iteration = byName(this.iterationField);
+    const estimate = byName(this.estimateField);
+    const config = (iteration && iteration.configuration) || {};
+    const groupName = (connection) => {
+      const first = connection && connection.nodes && connection.nodes[0];
+      return first && first.name ? first.name : null;
+    };
+
+    return {
+      id: node.id,
+      number: node.number,
+      title: node.title || '',
+      url: node.url || '',
+      fields: {
+        status: status ? { id: status.id, name: status.name, options: status.options || [] } : null,
+        iteration: iteration ? {
+          id: iteration.id,
+          name: iteration.name,
+          iterations: [
+            ...(config.completedIterations || []).map((entry) => ({ ...entry, completed: true })),
+            ...(config.iterations || []).map((entry) => ({ ...entry, completed: false }))
+          ]
+        } : null,
+        estimate: estimate ? { id: estimate.id, name: estimate.name } : null
+      },
+      views: ((node.views && node.views.nodes) || []).filter(Boolean).map((view) => ({
+        name: view.name,
+        layout: GITHUB_PROJECTS_LAYOUTS[view.layout] || String(view.layout || '').toLowerCase(),
+        filter: view.filter || '',
+        group_by: groupName(view.groupByFields),
+        vertical_group_by: groupName(view.verticalGroupByFields)
+      })),
+      items: ((node.items && node.items.nodes) || []).filter((item) => item && item.type !== 'REDACTED').map((item) => this.parseItem(item))
+    };
+  }
+
+  /** Plain item with its content and the mapped field values. */
+  parseItem(item) {
+    const content = item.content || {};
+    const values = {};
+    ((item.fieldValues && item.fieldValues.nodes) || []).forEach((value) => {
+      if (value && value.field && value.field.name) values[value.field.name] = value;
+    });
+    const status = values[this.statusField];
+    const iteration = values[this.iterationField];
+    const estimate = values[this.estimateField];
+    return {
+      id: item.id,
+      type: item.type,
+      archived: Boolean(item.isArchived),
+      draftIssueId: item.type === 'DRAFT_ISSUE' ? content.id || null : null,
+      number: content.number || null,
+      title: content.title || '',
+      body: content.body || '',
+      url: content.url || '',
+      state: content.state || null,
+      draft: Boolean(content.isDraft),
+      merged: Boolean(content.merged),
+      status: status ? status.name : null,
+      iteration: iteration ? iteration.title : null,
+      estimate: estimate && typeof estimate.number === 'number' ? estimate.number : null
+    };
+  }
+
+  /** Task status for a board status option, or null when it has none. */
+  taskStatus(option) {
+    if (!option) return null;
+    if (this.statusMap[option]) return this.statusMap[option];
+    return this.taskStatuses.includes(option) ? option : null;
+  }
+
+  /** Board status option for a task status, or null when the board has none. */
+  boardStatus(status, options) {
+    const same = (a, b) => a === b || (this.doneStatuses.has(a) && this.doneStatuses.has(b));
+    const option = options.find((candidate) => same(this.taskStatus(candidate.name), status));
+    return option || null;
+  }
+
+  /** `YYYY-MM-DD` a number of days after another. */
+  addDays(date, days) {
+    const value = new Date(`${date}T00:00:00Z`);
+    value.setUTCDate(value.getUTCDate() + days);
+    return value.toISOString().slice(0, 10);
+  }
+
+  /** Issue number a task is linked to through its `issue-#N` tag, or null. */
+  issueNumber(task) {
+    const tag = (Array.isArray(task && task.tags) ? task.tags : []).find((value) => typeof value === 'string' && /^issue-#\d+$/.test(value));
+    return tag ? Number(tag.slice(7)) : null;
+  }
+
+  /** Item linked to a task, or null. */
+  itemFor(task, items) {
+    if (task.project_item_id) return items.find((item) => item.id === task.project_item_id) || null;
+    const number = this.issueNumber(task);
+    return number ? items.find((item) => item.type === 'ISSUE' && item.number === number) || null : null;
+  }
+
+  /** Task fields an item sets; fields the board leaves empty are left out. */
+  taskFields(item) {
+    const fields = { task_name: item.title };
+    const status = this.taskStatus(item.status);
+    if (status) fields.status = status;
+    if (item.iteration) fields.sprint_name = item.iteration;
+    if (item.estimate !== null) fields.estimated_hours = item.estimate * this.hoursPerEstimate;
+    return fields;
+  }
+
+  /** Sprint record for a board iteration. */
+  sprintFor(iteration, today) {
+    const end = this.addDays(iteration.startDate, Math.max(1, Number(iteration.duration) || 1) - 1);
+    let status = 'Not Started';
+    if (iteration.completed) status = 'Completed';
+    else if (iteration.startDate <= today && today <= end) status = 'Active';
+    return { name: iteration.title, start_date: iteration.startDate, end_date: end, status };
+  }
+
+  /** New task for an item that is not in the project yet (ids are assigned by the caller). */
+  newTask(item, board, today) {
+    const fields = this.taskFields(item);
+    const iteration = board.fields.iteration && board.fields.iteration.iterations.find((entry) => entry.title === item.iteration);
+    const sprint = iteration ? this.sprintFor(iteration, today) : null;
+    const task = {
+      task_name: fields.task_name || `Item ${item.id}`,
+      description: item.body.trim() || `Imported from GitHub project "${board.title}"${item.url ? `: ${item.url}` : ''}`,
+      start_date: sprint ? sprint.start_date : today,
+      end_date: sprint ? sprint.end_date : this.addDays(today, this.durationDays),
+      priority: 'Medium',
+      status: fields.status || 'Not Started',
+      estimated_hours: fields.estimated_hours !== undefined ? fields.estimated_hours : 2,
+      category_name: this.defaultCategory,
+      sprint_name: fields.sprint_name || null,
+      tags: item.type === 'ISSUE' ? ['github', 'issues', `issue-#${item.number}`] : ['github'],
+      project_item_id: item.id
+    };
+    if (item.type === 'PULL_REQUEST') {
+      let state = item.state === 'CLOSED' ? 'closed' : (item.draft ? 'draft' : 'open');
+      if (item.merged || item.state === 'MERGED') state = 'merged';
+      task.links = [{ type: 'pull_request', number: item.number, state, url: item.url, label: `PR #${item.number}: ${item.title}` }];
+    }
+    return task;
+  }
+
+  /**
+   * Bring a board into a project.
+   *
+   * @param {{ project?: object, tasks?: object[] }} data - Current project file.
+   * @param {object} board - See `parseBoard`.
+   * @param {{ owner?: string }} [options] - Owner login recorded in `project.github_project`.
+   * @returns {{
+   *   project: object,
+   *   tasks: object[],
+   *   created: object[],
+   *   changes: { task_id: number, field: string, from: *, to: * }[],
+   *   sprints: string[],
+   *   projectChanged: boolean
+   * }} `tasks` holds changed copies (unchanged tasks are the same objects); `created` holds new
+   *   tasks without a `task_id`.
+   */
+  importBoard(data, board, options = {}) {
+    const today = this.now().toISOString().slice(0, 10);
+    const project = { ...((data && data.project) || {}) };
+    const tasks = Array.isArray(data && data.tasks) ? data.tasks : [];
+    const items = board.items.filter((item) => !item.archived);
+    const result = { project, tasks: [], created: [], changes: [], sprints: [], projectChanged: false };
+    const linked = new Set();
+
+    result.tasks = tasks.map((task) => {
+      const item = task ? this.itemFor(task, items) : null;
+      if (!item) return task;
+      linked.add(item.id);
+      const updates = this.taskFields(item);
+      if (item.type !== 'DRAFT_ISSUE') delete updates.task_name;
+      if (task.project_item_id !== item.id) updates.project_item_id = item.id;
+      const changed = {};
+      Object.keys(updates).forEach((field) => {
+        const from = task[field] === undefined ? null : task[field];
+        if (field === 'status' && this.doneStatuses.has(from) && this.doneStatuses.has(updates.status)) return;
+        if (from === updates[field]) return;
+        changed[field] = updates[field];
+        result.changes.push({ task_id: task.task_id, field, from, to: updates[field] });
+      });
+      return Object.keys(changed).length > 0 ? { ...task, ...changed } : task;
+    });
+
+    items.filter((item) => !linked.has(item.id)).forEach((item) => {
+      result.created.push(this.newTask(item, board, today));
+    });
+
+    const sprints = Array.isArray(project.sprints) ? project.sprints.slice() : [];
+    (board.fields.iteration ? board.fields.iteration.iterations : []).forEach((iteration) => {
+      if (sprints.some((sprint) => sprint && sprint.name === iteration.title)) return;
+      sprints.push(this.sprintFor(iteration, today));
+      result.sprints.push(iteration.title);
+    });
+    if (result.sprints.length > 0) project.sprints = sprints.sort((a, b) => String(a.start_date || '').localeCompare(String(b.start_date || '')));
+
+    project.github_project = {
+      owner: options.owner || (project.github_project && project.github_project.owner) || '',
+      number: board.number,
+      title: board.title,
+      url: board.url,
+      views: board.views
+    };
+    const boardView = board.views.find((view) => view.layout === 'board');
+    const kanbanField = (name) => {
+      if (name === this.statusField) return 'status';
+      if (name === this.iterationField) return 'sprint';
+      if (name === 'Assignees') return 'assignee';
+      return null;
+    };
+    if (boardView && kanbanField(boardView.vertical_group_by)) {
+      const kanban = { ...(project.kanban || {}), group_by: kanbanField(boardView.vertical_group_by) };
+      if (kanbanField(boardView.group_by)) kanban.swimlanes = kanbanField(boardView.group_by);
+      else delete kanban.swimlanes;
+      project.kanban = kanban;
+    }
+    result.projectChanged = JSON.stringify(project) !== JSON.stringify((data && data.project) || {});
+    return result;
+  }
+
+  /**
+   * Work out the board changes that bring it in line with the tasks.
+   *
+   * @param {object[]} tasks
+   * @param {object} board - See `parseBoard`.
+   * @returns {{ operations: object[], warnings: string[] }} Each operation is
+   *   `{ type: 'add', task_id, title, body, fields }`, `{ type: 'update'|'clear', task_id, itemId, field, fieldId, from, to, value }`
+   *   or `{ type: 'title', task_id, itemId, draftIssueId, from, to }`.
+   */
+  planExport(tasks, board) {
+    const plan = { operations: [], warnings: [] };
+    const items = board.items.filter((item) => !item.archived);
+    const { status, iteration, estimate } = board.fields;
+
+    const fieldChanges = (task, item) => {
+      const changes = [];
+      if (status && task.status) {
+        const option = this.boardStatus(task.status, status.options);
+        if (!option) plan.warnings.push(`Task ${task.task_id}: no "${status.name}" option for status "${task.status}"`);
+        else if (!item || option.name !== item.status) changes.push({ type: 'update', field: status.name, fieldId: status.id, from: item ? item.status : null, to: option.name, value: { singleSelectOptionId: option.id } });
+      }
+      if (iteration) {
+        const target = iteration.iterations.find((entry) => entry.title === task.sprint_name);
+        if (task.sprint_name && !target) plan.warnings.push(`Task ${task.task_id}: no iteration "${task.sprint_name}" on the board`);
+        else if (target && (!item || item.iteration !== target.title)) changes.push({ type: 'update', field: iteration.name, fieldId: iteration.id, from: item ? item.iteration : null, to: target.title, value: { iterationId: target.id } });
+        else if (!task.sprint_name && item && item.iteration) changes.push({ type: 'clear', field: iteration.name, fieldId: iteration.id, from: item.iteration, to: null });
+      }
+      if (estimate && typeof task.estimated_hours === 'number') {
+        const value = Math.round((task.estimated_hours / this.hoursPerEstimate) * 100) / 100;
+        if (!item || item.estimate !== value) changes.push({ type: 'update', field: estimate.name, fieldId: estimate.id, from: item ? item.estimate : null, to: value, value: { number: value } });
+      }
+      return changes;
+    };
+
+    (Array.isArray(tasks) ? tasks : []).forEach((task) => {
+      if (!task) return;
+      const item = this.itemFor(task, items);
+      if (!item) {
+        if (task.project_item_id) {
+          plan.warnings.push(`Task ${task.task_id}: item ${task.project_item_id} is no longer on the board`);
+        } else if (this.issueNumber(task)) {
+          plan.warnings.push(`Task ${task.task_id}: issue #${this.issueNumber(task)} is not on the board; add it on GitHub to export its fields`);
+        } else {
+          plan.operations.push({ type: 'add', task_id: task.task_id, title: task.task_name, body: task.description || '', fields: fieldChanges(task, null) });
+        }
+        return;
+      }
+      if (item.type === 'DRAFT_ISSUE' && item.draftIssueId && task.task_name && task.task_name !== item.title) {
+        plan.operations.push({ type: 'title', task_id: task.task_id, itemId: item.id, draftIssueId: item.draftIssueId, from: item.title, to: task.task_name });
+      }
+      fieldChanges(task, item).forEach((change) => plan.operations.push({ ...change, task_id: task.task_id, itemId: item.id }));
+    });
+    return plan;
+  }
+
+  /**
+   * Send an export plan to GitHub.
+   *
+   * @param {{ graphql: Function }} client
+   * @param {object} board
+   * @param {ReturnType<TaskGitHubProjects['planExport']>} plan
+   * @returns {Promise<{ added: { task_id: number, item_id: string }[], applied: number }>} Items
+   *   created for tasks, to be stored as their `project_item_id`.
+   */
+  async applyExport(client, board, plan) {
+    const result = { added: [], applied: 0 };
+    const setField = async (itemId, change) => {
+      if (change.type === 'clear') {
+        await client.graphql(GITHUB_PROJECTS_MUTATIONS.ClearItemField, { projectId: board.id, itemId, fieldId: change.fieldId });
+      } else {
+        await client.graphql(GITHUB_PROJECTS_MUTATIONS.UpdateItemField, { projectId: board.id, itemId, fieldId: change.fieldId, value: change.value });
+      }
+      result.applied += 1;
+    };
+
+    for (const operation of plan.operations) {
+      if (operation.type === 'add') {
+        const data = await client.graphql(GITHUB_PROJECTS_MUTATIONS.AddDraftItem, { projectId: board.id, title: operation.title, body: operation.body });
+        const item = data && data.addProjectV2DraftIssue && data.addProjectV2DraftIssue.projectItem;
+        if (!item || !item.id) throw new Error(`GitHub did not return the item added for task ${operation.task_id}`);
+        result.added.push({ task_id: operation.task_id, item_id: item.id });
+        result.applied += 1;
+        for (const change of operation.fields) await setField(item.id, change);
+      } else if (operation.type === 'title') {
+        await client.graphql(GITHUB_PROJECTS_MUTATIONS.UpdateDraftIssue, { draftIssueId: operation.draftIssueId, title: operation.to });
+        result.applied += 1;
+      } else {
+        await setField(operation.itemId, operation);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Dry-run diff of an `importBoard` result.
+   *
+   * @param {ReturnType<TaskGitHubProjects['importBoard']>} result
+   * @returns {string[]} The summary is the last line.
+   */
+  formatImport(result) {
+    const show = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+    const lines = result.created.map((task) => `+ Task "${task.task_name}" (${task.status}${task.sprint_name ? `, ${task.sprint_name}` : ''})`);
+    lines.push(...result.changes.map((change) => `~ Task ${change.task_id} ${change.field}: ${show(change.from)} → ${show(change.to)}`));
+    lines.push(...result.sprints.map((name) => `+ Sprint "${name}"`));
+    lines.push(`${result.created.length} task(s) to add, ${result.changes.length} field change(s), ${result.sprints.length} sprint(s) to add`);
+    return lines;
+  }
+
+  /**
+   * Dry-run diff of a `planExport` plan.
+   *
+   * @param {ReturnType<TaskGitHubProjects['planExport']>} plan
+   * @returns {string[]} The summary is the last line.
+   */
+  formatExport(plan) {
+    const show = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+    const lines = [];
+    plan.operations.forEach((operation) => {
+      if (operation.type === 'add') {
+        lines.push(`+ Draft item "${operation.title}" (task ${operation.task_id})`);
+        operation.fields.forEach((change) => lines.push(`  ${change.field}: ${show(change.to)}`));
+      } else if (operation.type === 'title') {
+        lines.push(`~ Task ${operation.task_id} title: ${operation.from} → ${operation.to}`);
+      } else {
+        lines.push(`~ Task ${operation.task_id} ${operation.field}: ${show(operation.from)} → ${show(operation.to)}`);
+      }
+    });
+    lines.push(...plan.warnings.map((warning) => `! ${warning}`));
+    const added = plan.operations.filter((operation) => operation.type === 'add').length;
+    lines.push(`${added} item(s) to add, ${plan.operations.length - added} field change(s), ${plan.warnings.length} warning(s)`);
+    return lines;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskGitHubProjects;
+}
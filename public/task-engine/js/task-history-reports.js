@@ -0,0 +1,568 @@
+/**
+ * Reports replayed from task history (`history/changes.ndjson` events).
+ *
+ * Each history event carries the task before and after the change, so the state of every task
+ * can be rebuilt for any day: tasks with events start from the `before` of their first event,
+ * tasks without events keep their current state throughout. From the daily states this module
+ * builds burndown/burnup per sprint or milestone, cumulative flow by status, and cycle/lead time
+ * distributions, and renders them as CSV or standalone SVG.
+ *
+ * Pure functions over plain payloads; the list view loads the events and exports the output.
+ */
+
+/** Milliseconds in one report day. */
+const REPORT_DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Upper bounds (days) of the cycle/lead time distribution buckets. */
+const REPORT_TIME_BUCKETS = [
+  { max: 1, label: '< 1d' },
+  { max: 2, label: '1-2d' },
+  { max: 4, label: '2-4d' },
+  { max: 7, label: '4-7d' },
+  { max: 14, label: '1-2w' },
+  { max: 28, label: '2-4w' },
+  { max: Infinity, label: '4w+' }
+];
+
+/** Series colours shared by the SVG charts. */
+const REPORT_COLORS = ['#0d6efd', '#2ea44f', '#fd7e14', '#6f42c1', '#dc3545', '#20c997', '#6c757d', '#ffc107', '#d63384'];
+
+/**
+ * Replay task history into report series.
+ */
+class TaskHistoryReports {
+  /**
+   * Create a report builder.
+   *
+   * @param {{ doneStatuses?: string[], startedStatuses?: string[], statusOrder?: string[] }} [options]
+   *   `startedStatuses` mark the start of cycle time; `statusOrder` orders the cumulative flow bands.
+   */
+  constructor(options = {}) {
+    this.doneStatuses = new Set(options.doneStatuses || ['Done', 'Completed']);
+    this.startedStatuses = new Set(options.startedStatuses || ['In Progress', 'In Review', 'Pending Review']);
+    this.statusOrder = options.statusOrder || ['Not Started', 'On Hold', 'Blocked', 'In Progress', 'In Review', 'Pending Review', 'Done', 'Completed', 'Cancelled'];
+  }
+
+  /**
+   * Valid events sorted oldest first.
+   *
+   * @param {object[]} events - History events in any order (the history API returns newest first).
+   * @returns {object[]}
+   */
+  normalizeEvents(events) {
+    return (Array.isArray(events) ? events : [])
+      .filter((event) => event && event.taskId !== undefined && event.taskId !== null && Number.isFinite(Date.parse(event.ts)))
+      .map((event, index) => ({ event, index, time: Date.parse(event.ts) }))
+      .sort((a, b) => a.time - b.time || b.index - a.index)
+      .map((entry) => entry.event);
+  }
+
+  /**
+   * Per-task state changes over time.
+   *
+   * @param {object[]} events
+   * @param {object[]} tasks - Current tasks.
+   * @returns {Map<string, { id: string, created: number|null, deleted: number|null, states: { time: number, task: object|null }[] }>}
+   *   `states[0].time` is -Infinity for the state before the first recorded event.
+   */
+  buildTimelines(events, tasks) {
+    const timelines = new Map();
+    const ensure = (id) => {
+      if (!timelines.has(id)) timelines.set(id, { id, created: null, deleted: null, states: [] });
+      return timelines.get(id);
+    };
+
+    this.normalizeEvents(events).forEach((event) => {
+      const timeline = ensure(String(event.taskId));
+      const time = Date.parse(event.ts);
+      if (timeline.states.length === 0 && event.action !== 'create') {
+        timeline.states.push({ time: -Infinity, task: event.before || event.after || null });
+      }
+      if (event.action === 'create') {
+        timeline.created = time;
+        timeline.deleted = null;
+        timeline.states.push({ time, task: event.after || null });
+      } else if (event.action === 'delete') {
+        timeline.deleted = time;
+        timeline.states.push({ time, task: null });
+      } else {
+        timeline.states.push({ time, task: event.after || null });
+      }
+    });
+
+    (Array.isArray(tasks) ? tasks : []).forEach((task) => {
+      if (!task || task.task_id === undefined || task.task_id === null) return;
+      const timeline = ensure(String(task.task_id));
+      if (timeline.states.length === 0) timeline.states.push({ time: -Infinity, task });
+      if (timeline.created === null && task.created_date && Number.isFinite(Date.parse(task.created_date))) {
+        timeline.created = Date.parse(task.created_date);
+      }
+    });
+    return timelines;
+  }
+
+  /**
+   * State of a task at a moment, or null when it did not exist.
+   *
+   * @param {{ states: { time: number, task: object|null }[] }} timeline
+   * @param {number} time
+   * @returns {object|null}
+   */
+  stateAt(timeline, time) {
+    let state = null;
+    for (const entry of timeline.states) {
+      if (entry.time > time) break;
+      state = entry.task;
+    }
+    return state;
+  }
+
+  /**
+   * Days from `from` to `to` inclusive (`YYYY-MM-DD`, UTC).
+   *
+   * @param {string} from
+   * @param {string} to
+   * @returns {string[]}
+   */
+  days(from, to) {
+    const start = Date.parse(`${from}T00:00:00Z`);
+    const end = Date.parse(`${to}T00:00:00Z`);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return [];
+    const days = [];
+    for (let time = start; time <= end && days.length < 3660; time += REPORT_DAY_MS) {
+      days.push(new Date(time).toISOString().slice(0, 10));
+    }
+    return days;
+  }
+
+  /**
+   * Default report range: the first recorded event (or project start) to today.
+   *
+   * @param {object[]} events
+   * @param {{ project?: object, today?: string }} [options]
+   * @returns {{ from: string, to: string }}
+   */
+  defaultRange(events, options = {}) {
+    const today = options.today || new Date().toISOString().slice(0, 10);
+    const first = this.normalizeEvents(events)[0];
+    const candidates = [first && String(first.ts).slice(0, 10), options.project && options.project.start_date]
+      .filter((day) => /^\d{4}-\d{2}-\d{2}$/.test(String(day || '')));
+    const from = candidates.sort()[0] || today;
+    return { from: from > today ? today : from, to: today };
+  }
+
+  /**
+   * Task states at the end of every day in the range.
+   *
+   * @param {object[]} events
+   * @param {object[]} tasks
+   * @param {{ from: string, to: string }} range
+   * @returns {{ day: string, tasks: object[] }[]}
+   */
+  dailySnapshots(events, tasks, range) {
+    const timelines = Array.from(this.buildTimelines(events, tasks).values());
+    return this.days(range.from, range.to).map((day) => {
+      const endOfDay = Date.parse(`${day}T00:00:00Z`) + REPORT_DAY_MS - 1;
+      return {
+        day,
+        tasks: timelines
+          .filter((timeline) => timeline.created === null || timeline.created <= endOfDay)
+          .map((timeline) => this.stateAt(timeline, endOfDay))
+          .filter(Boolean)
+      };
+    });
+  }
+
+  /**
+   * Task count per status per day.
+   *
+   * @param {object[]} events
+   * @param {object[]} tasks
+   * @param {{ from: string, to: string }} range
+   * @returns {{ days: string[], statuses: string[], series: Object<string, number[]> }}
+   */
+  cumulativeFlow(events, tasks, range) {
+    const snapshots = this.dailySnapshots(events, tasks, range);
+    const seen = new Set();
+    snapshots.forEach((snapshot) => snapshot.tasks.forEach((task) => seen.add(String(task.status || 'Not Started'))));
+    const statuses = this.statusOrder.filter((status) => seen.has(status))
+      .concat(Array.from(seen).filter((status) => !this.statusOrder.includes(status)).sort());
+    const series = {};
+    statuses.forEach((status) => {
+      series[status] = snapshots.map((snapshot) => snapshot.tasks.filter((task) => String(task.status || 'Not Started') === status).length);
+    });
+    return { days: snapshots.map((snapshot) => snapshot.day), statuses, series };
+  }
+
+  /**
+   * Whether a task state belongs to a sprint or milestone scope.
+   *
+   * @param {object} task
+   * @param {{ type: 'sprint'|'milestone'|'project', name?: string, milestone?: object }} scope
+   * @returns {boolean}
+   */
+  inScope(task, scope) {
+    if (!scope || scope.type === 'project') return true;
+    if (scope.type === 'sprint') return String(task.sprint_name || '').trim() === String(scope.name || '').trim();
+    const milestone = scope.milestone || {};
+    const ids = (Array.isArray(milestone.linked_task_ids) ? milestone.linked_task_ids : []).map(String);
+    const names = Array.isArray(milestone.linked_task_names) ? milestone.linked_task_names : [];
+    return ids.includes(String(task.task_id)) || names.includes(task.task_name);
+  }
+
+  /**
+   * Scope choices of a project: every sprint and every milestone.
+   *
+   * @param {object} project
+   * @returns {{ key: string, label: string, type: string, name: string, from: string, to: string, milestone?: object }[]}
+   */
+  scopes(project) {
+    const p = project || {};
+    const sprints = (Array.isArray(p.sprints) ? p.sprints : []).filter((sprint) => sprint && sprint.name).map((sprint) => ({
+      key: `sprint:${sprint.name}`,
+      label: `Sprint: ${sprint.name}`,
+      type: 'sprint',
+      name: sprint.name,
+      from: sprint.start_date || '',
+      to: sprint.end_date || ''
+    }));
+    const milestones = (Array.isArray(p.milestones) ? p.milestones : []).filter((milestone) => milestone && milestone.name).map((milestone) => ({
+      key: `milestone:${milestone.name}`,
+      label: `Milestone: ${milestone.name}`,
+      type: 'milestone',
+      name: milestone.name,
+      from: p.start_date || '',
+      to: milestone.due_date || '',
+      milestone
+    }));
+    return [{ key: 'project', label: 'Whole project', type: 'project', name: p.name || '', from: p.start_date || '', to: p.end_date || '' }]
+      .concat(sprints, milestones);
+  }
+
+  /**
+   * Burndown and burnup series for a scope.
+   *
+   * Scope is re-evaluated every day, so tasks added to or removed from a sprint change the scope line.
+   * Days after `today` are null. The ideal line runs from the first day's scope to zero on the last day.
+   *
+   * @param {object[]} events
+   * @param {object[]} tasks
+   * @param {{ scope?: object, from: string, to: string, unit?: 'hours'|'tasks', today?: string }} options
+   * @returns {{ days: string[], unit: string, scope: (number|null)[], completed: (number|null)[], remaining: (number|null)[], ideal: number[] }}
+   */
+  burn(events, tasks, options) {
+    const unit = options.unit === 'tasks' ? 'tasks' : 'hours';
+    const today = options.today || new Date().toISOString().slice(0, 10);
+    const weight = (task) => {
+      if (unit === 'tasks') return 1;
+      const hours = Number(task.estimated_hours);
+      return Number.isFinite(hours) && hours > 0 ? hours : 0;
+    };
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const snapshots = this.dailySnapshots(events, tasks, { from: options.from, to: options.to });
+    const scope = [];
+    const completed = [];
+    snapshots.forEach((snapshot) => {
+      if (snapshot.day > today) {
+        scope.push(null);
+        completed.push(null);
+        return;
+      }
+      const scoped = snapshot.tasks.filter((task) => task.status !== 'Cancelled' && this.inScope(task, options.scope));
+      scope.push(round(scoped.reduce((sum, task) => sum + weight(task), 0)));
+      completed.push(round(scoped.filter((task) => this.doneStatuses.has(task.status)).reduce((sum, task) => sum + weight(task), 0)));
+    });
+
+    const start = scope.find((value) => value !== null) || 0;
+    const steps = Math.max(1, snapshots.length - 1);
+    return {
+      days: snapshots.map((snapshot) => snapshot.day),
+      unit,
+      scope,
+      completed,
+      remaining: scope.map((value, index) => (value === null ? null : round(value - completed[index]))),
+      ideal: snapshots.map((_, index) => round(start - (start * index) / steps))
+    };
+  }
+
+  /**
+   * Cycle time (first started status → done) and lead time (created → done) of finished tasks, in days.
+   * A task that skips the started statuses has a cycle time of 0.
+   *
+   * @param {object[]} events
+   * @param {object[]} tasks
+   * @returns {{ task_id: string, task_name: string, created: string, started: string, finished: string, cycle_days: number, lead_days: number|null }[]}
+   */
+  flowTimes(events, tasks) {
+    const round = (value) => Math.round(value * 10) / 10;
+    const iso = (time) => (Number.isFinite(time) ? new Date(time).toISOString() : '');
+    const rows = [];
+
+    this.buildTimelines(events, tasks).forEach((timeline) => {
+      const current = timeline.states[timeline.states.length - 1].task;
+      if (!current || !this.doneStatuses.has(current.status)) return;
+
+      let started = null;
+      let finished = null;
+      let previous = timeline.states[0].task;
+      timeline.states.forEach((entry, index) => {
+        const status = entry.task && entry.task.status;
+        const before = index === 0 ? null : previous && previous.status;
+        if (Number.isFinite(entry.time)) {
+          if (started === null && this.startedStatuses.has(status) && status !== before) started = entry.time;
+          if (this.doneStatuses.has(status) && !this.doneStatuses.has(before)) finished = entry.time;
+        }
+        previous = entry.task;
+      });
+      if (finished === null) return;
+      if (started === null || started > finished) started = finished;
+
+      rows.push({
+        task_id: timeline.id,
+        task_name: current.task_name || '',
+        created: iso(timeline.created),
+        started: iso(started),
+        finished: iso(finished),
+        cycle_days: round((finished - started) / REPORT_DAY_MS),
+        lead_days: timeline.created === null ? null : round(Math.max(0, finished - timeline.created) / REPORT_DAY_MS)
+      });
+    });
+    return rows.sort((a, b) => a.finished.localeCompare(b.finished));
+  }
+
+  /**
+   * Histogram of durations in days.
+   *
+   * @param {number[]} values
+   * @returns {{ labels: string[], counts: number[], average: number|null, median: number|null }}
+   */
+  distribution(values) {
+    const list = (Array.isArray(values) ? values : []).filter((value) => Number.isFinite(value)).sort((a, b) => a - b);
+    const counts = REPORT_TIME_BUCKETS.map(() => 0);
+    list.forEach((value) => {
+      counts[REPORT_TIME_BUCKETS.findIndex((bucket) => value < bucket.max)] += 1;
+    });
+    const middle = Math.floor(list.length / 2);
+    return {
+      labels: REPORT_TIME_BUCKETS.map((bucket) => bucket.label),
+      counts,
+      average: list.length > 0 ? Math.round((list.reduce((sum, value) => sum + value, 0) / list.length) * 10) / 10 : null,
+      median: list.length === 0 ? null : (list.length % 2 === 1 ? list[middle] : Math.round(((list[middle - 1] + list[middle]) / 2) * 10) / 10)
+    };
+  }
+
+  /**
+   * CSV with a header row; values are quoted when needed and null becomes an empty cell.
+   *
+   * @param {string[]} headers
+   * @param {Array<Array<string|number|null>>} rows
+   * @returns {string}
+   */
+  toCsv(headers, rows) {
+    const cell = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers].concat(rows).map((row) => row.map(cell).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Standalone SVG line chart (or stacked area chart with `stacked: true`). Null values leave gaps.
+   *
+   * @param {{ title?: string, labels: string[], series: { name: string, values: (number|null)[], dashed?: boolean }[], stacked?: boolean, yLabel?: string, width?: number, height?: number }} chart
+   * @returns {string}
+   */
+  renderLineChartSvg(chart) {
+    const width = chart.width || 760;
+    const height = chart.height || 360;
+    const pad = { top: 36, right: 150, bottom: 48, left: 52 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const labels = chart.labels || [];
+    const series = chart.series || [];
+
+    let layers = series.map((entry) => entry.values.slice());
+    if (chart.stacked) {
+      const totals = labels.map(() => 0);
+      layers = series.map((entry) => entry.values.map((value, index) => {
+        totals[index] += Number(value) || 0;
+        return totals[index];
+      }));
+    }
+    const max = Math.max(1, ...layers.flat().filter((value) => Number.isFinite(value)));
+    const x = (index) => pad.left + (labels.length <= 1 ? plotW / 2 : (index * plotW) / (labels.length - 1));
+    const y = (value) => pad.top + plotH - (value / max) * plotH;
+    const esc = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const parts = [];
+    for (let step = 0; step <= 4; step += 1) {
+      const value = (max * step) / 4;
+      parts.push(`<line x1="${pad.left}" x2="${pad.left + plotW}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" stroke="#e5e7eb"/>`);
+      parts.push(`<text x="${pad.left - 6}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${esc(Math.round(value * 10) / 10)}</text>`);
+    }
+    const labelEvery = Math.max(1, Math.ceil(labels.length / 8));
+    labels.forEach((label, index) => {
+      if (index % labelEvery !== 0 && index !== labels.length - 1) return;
+      parts.push(`<text x="${x(index).toFixed(1)}" y="${pad.top + plotH + 18}" text-anchor="middle">${esc(label)}</text>`);
+    });
+
+    const paths = layers.map((values, layerIndex) => {
+      const segments = [];
+      let open = false;
+      values.forEach((value, index) => {
+        if (!Number.isFinite(value) || series[layerIndex].values[index] === null) {
+          open = false;
+          return;
+        }
+        segments.push(`${open ? 'L' : 'M'}${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+        open = true;
+      });
+      return segments.join(' ');
+    });
+
+    if (chart.stacked) {
+      layers.slice().reverse().forEach((values, reverseIndex) => {
+        const index = layers.length - 1 - reverseIndex;
+        const color = REPORT_COLORS[index % REPORT_COLORS.length];
+        if (!paths[index]) return;
+        const area = `${paths[index]} L${x(values.length - 1).toFixed(1)},${y(0).toFixed(1)} L${x(0).toFixed(1)},${y(0).toFixed(1)} Z`;
+        parts.push(`<path d="${area}" fill="${color}" fill-opacity="0.75" stroke="${color}"/>`);
+      });
+    } else {
+      paths.forEach((d, index) => {
+        if (!d) return;
+        const color = REPORT_COLORS[index % REPORT_COLORS.length];
+        parts.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="2"${series[index].dashed ? ' stroke-dasharray="6 4"' : ''}/>`);
+      });
+    }
+
+    series.forEach((entry, index) => {
+      const color = REPORT_COLORS[index % REPORT_COLORS.length];
+      const top = pad.top + index * 18;
+      parts.push(`<rect x="${pad.left + plotW + 14}" y="${top}" width="12" height="12" fill="${color}"/>`);
+      parts.push(`<text x="${pad.left + plotW + 32}" y="${top + 10}">${esc(entry.name)}</text>`);
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11" fill="#333">`,
+      `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+      chart.title ? `<text x="${pad.left}" y="22" font-size="14" font-weight="bold">${esc(chart.title)}</text>` : '',
+      chart.yLabel ? `<text transform="rotate(-90)" x="${-(pad.top + plotH / 2)}" y="14" text-anchor="middle">${esc(chart.yLabel)}</text>` : '',
+      `<line x1="${pad.left}" x2="${pad.left}" y1="${pad.top}" y2="${pad.top + plotH}" stroke="#999"/>`,
+      `<line x1="${pad.left}" x2="${pad.left + plotW}" y1="${pad.top + plotH}" y2="${pad.top + plotH}" stroke="#999"/>`,
+      ...parts,
+      '</svg>'
+    ].join('\n');
+  }
+
+  /**
+   * Standalone SVG bar chart.
+   *
+   * @param {{ title?: string, labels: string[], values: number[], yLabel?: string, width?: number, height?: number }} chart
+   * @returns {string}
+   */
+  renderBarChartSvg(chart) {
+    const width = chart.width || 760;
+    const height = chart.height || 320;
+    const pad = { top: 36, right: 20, bottom: 44, left: 52 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const labels = chart.labels || [];
+    const values = chart.values || [];
+    const max = Math.max(1, ...values);
+    const slot = labels.length > 0 ? plotW / labels.length : plotW;
+    const esc = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const bars = labels.map((label, index) => {
+      const value = Number(values[index]) || 0;
+      const barH = (value / max) * plotH;
+      const left = pad.left + index * slot + slot * 0.15;
+      return [
+        `<rect x="${left.toFixed(1)}" y="${(pad.top + plotH - barH).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${barH.toFixed(1)}" fill="${REPORT_COLORS[0]}"/>`,
+        `<text x="${(left + slot * 0.35).toFixed(1)}" y="${(pad.top + plotH - barH - 4).toFixed(1)}" text-anchor="middle">${value}</text>`,
+        `<text x="${(left + slot * 0.35).toFixed(1)}" y="${pad.top + plotH + 18}" text-anchor="middle">${esc(label)}</text>`
+      ].join('\n');
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11" fill="#333">`,
+      `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+      chart.title ? `<text x="${pad.left}" y="22" font-size="14" font-weight="bold">${esc(chart.title)}</text>` : '',
+      chart.yLabel ? `<text transform="rotate(-90)" x="${-(pad.top + plotH / 2)}" y="14" text-anchor="middle">${esc(chart.yLabel)}</text>` : '',
+      `<line x1="${pad.left}" x2="${pad.left + plotW}" y1="${pad.top + plotH}" y2="${pad.top + plotH}" stroke="#999"/>`,
+      ...bars,
+      '</svg>'
+    ].join('\n');
+  }
+
+  /**
+   * Build one report: the chart SVG plus CSV of its data.
+   *
+   * @param {'burndown'|'burnup'|'cfd'|'cycle'|'lead'} type
+   * @param {object[]} events
+   * @param {object[]} tasks
+   * @param {{ project?: object, scopeKey?: string, unit?: 'hours'|'tasks', today?: string }} [options]
+   * @returns {{ type: string, title: string, svg: string, csv: string, summary: string }}
+   */
+  buildReport(type, events, tasks, options = {}) {
+    const project = options.project || {};
+    const today = options.today || new Date().toISOString().slice(0, 10);
+    const scope = this.scopes(project).find((entry) => entry.key === options.scopeKey) || this.scopes(project)[0];
+    const fallback = this.defaultRange(events, { project, today });
+    const range = {
+      from: scope.from || fallback.from,
+      to: scope.to || fallback.to
+    };
+    if (range.from > range.to) range.from = range.to;
+
+    if (type === 'burndown' || type === 'burnup') {
+      const data = this.burn(events, tasks, { scope, ...range, unit: options.unit, today });
+      const unitLabel = data.unit === 'tasks' ? 'Tasks' : 'Hours';
+      const title = `${type === 'burndown' ? 'Burndown' : 'Burnup'} — ${scope.label}`;
+      const series = type === 'burndown'
+        ? [{ name: 'Remaining', values: data.remaining }, { name: 'Ideal', values: data.ideal, dashed: true }]
+        : [{ name: 'Scope', values: data.scope }, { name: 'Completed', values: data.completed }];
+      const last = data.remaining.filter((value) => value !== null).pop();
+      return {
+        type,
+        title,
+        svg: this.renderLineChartSvg({ title, labels: data.days, series, yLabel: unitLabel }),
+        csv: this.toCsv(['date', `scope_${data.unit}`, `completed_${data.unit}`, `remaining_${data.unit}`, `ideal_${data.unit}`],
+          data.days.map((day, index) => [day, data.scope[index], data.completed[index], data.remaining[index], data.ideal[index]])),
+        summary: last === undefined ? 'No data in range' : `${last} ${data.unit} remaining of ${data.scope.filter((value) => value !== null).pop()}`
+      };
+    }
+
+    if (type === 'cfd') {
+      const data = this.cumulativeFlow(events, tasks, range);
+      const title = `Cumulative flow — ${range.from} to ${range.to}`;
+      return {
+        type,
+        title,
+        svg: this.renderLineChartSvg({ title, labels: data.days, series: data.statuses.map((status) => ({ name: status, values: data.series[status] })), stacked: true, yLabel: 'Tasks' }),
+        csv: this.toCsv(['date'].concat(data.statuses), data.days.map((day, index) => [day].concat(data.statuses.map((status) => data.series[status][index])))),
+        summary: `${data.statuses.length} statuses over ${data.days.length} days`
+      };
+    }
+
+    const rows = this.flowTimes(events, tasks);
+    const field = type === 'lead' ? 'lead_days' : 'cycle_days';
+    const data = this.distribution(rows.map((row) => row[field]).filter((value) => value !== null));
+    const title = `${type === 'lead' ? 'Lead' : 'Cycle'} time distribution`;
+    return {
+      type,
+      title,
+      svg: this.renderBarChartSvg({ title, labels: data.labels, values: data.counts, yLabel: 'Tasks' }),
+      csv: this.toCsv(['task_id', 'task_name', 'created', 'started', 'finished', 'cycle_days', 'lead_days'],
+        rows.map((row) => [row.task_id, row.task_name, row.created, row.started, row.finished, row.cycle_days, row.lead_days])),
+      summary: data.average === null ? 'No finished tasks in the history' : `${rows.length} finished tasks • average ${data.average}d • median ${data.median}d`
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskHistoryReports;
+}
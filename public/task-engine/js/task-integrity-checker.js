@@ -0,0 +1,317 @@
+/**
+ * Project-wide integrity checks for TaskDB task graphs.
+ *
+ * `TemplateValidator.validateTask` looks at one task at a time. This pass looks at a
+ * whole project — the root module plus every sub-module file — and reports duplicate
+ * ids, dependencies that point nowhere, dependencies into modules that no longer
+ * exist, dependency cycles (with the path around the loop) and `parent_task_id`
+ * references that are missing or loop back on themselves.
+ *
+ * A dependency without `module_path` resolves in its own module first, then in the
+ * other modules of the project. `module_path` pins it to one module file, given
+ * project-relative as the file or its folder.
+ *
+ * Shared by `tools/scripts/validate-tasks-schema.js`, the local server write routes
+ * and `TaskDatabase.saveTasksLocalDisk`.
+ */
+
+/**
+ * Check dependency and parent links across the modules of one project.
+ */
+class TaskIntegrityChecker {
+  /**
+   * Normalize a project-relative module path (`./a\\b/` → `a/b`).
+   *
+   * @param {unknown} value
+   * @returns {string}
+   */
+  normalizeModulePath(value) {
+    return String(value || '')
+      .replace(/\\/g, '/')
+      .replace(/^\.\/+/, '')
+      .replace(/\/+$/, '')
+      .trim();
+  }
+
+  /**
+   * Flatten top-level tasks and recursive inline subtasks, keeping each task's field path.
+   *
+   * @param {object[]} tasks
+   * @param {string} [basePath='tasks']
+   * @param {{ task: object, path: string }[]} [collected=[]]
+   * @returns {{ task: object, path: string }[]}
+   */
+  flattenTasks(tasks, basePath = 'tasks', collected = []) {
+    if (!Array.isArray(tasks)) return collected;
+    tasks.forEach((task, index) => {
+      if (!task || typeof task !== 'object') return;
+      const taskPath = `${basePath}[${index}]`;
+      collected.push({ task, path: taskPath });
+      this.flattenTasks(task.subtasks, `${taskPath}.subtasks`, collected);
+    });
+    return collected;
+  }
+
+  /**
+   * Predecessor references of a task from `dependencies` (objects or plain ids) and `requisites`.
+   *
+   * @param {object} task
+   * @param {string} taskPath
+   * @returns {{ path: string, id: number|null, name: string, modulePath: string }[]}
+   */
+  getDependencyRefs(task, taskPath) {
+    const refs = [];
+    ['dependencies', 'requisites'].forEach((field) => {
+      if (!Array.isArray(task[field])) return;
+      task[field].forEach((dep, index) => {
+        const refPath = `${taskPath}.${field}[${index}]`;
+        if (typeof dep === 'number' || (typeof dep === 'string' && /^\d+$/.test(dep))) {
+          refs.push({ path: refPath, id: Number(dep), name: '', modulePath: '' });
+          return;
+        }
+        if (!dep || typeof dep !== 'object') return;
+        const id = Number(dep.predecessor_task_id);
+        const name = String(dep.predecessor_task_name || '').trim();
+        if (!Number.isFinite(id) && !name) return;
+        refs.push({
+          path: refPath,
+          id: Number.isFinite(id) && dep.predecessor_task_id !== null && dep.predecessor_task_id !== '' ? id : null,
+          name,
+          modulePath: this.normalizeModulePath(dep.module_path)
+        });
+      });
+    });
+    return refs;
+  }
+
+  /**
+   * Find the module a `module_path` names: the file itself, or `node.tasks.json` in that folder.
+   *
+   * @param {string} modulePath
+   * @param {Map<string, object>} modulesByPath
+   * @returns {object|null}
+   */
+  resolveModule(modulePath, modulesByPath) {
+    if (modulesByPath.has(modulePath)) return modulesByPath.get(modulePath);
+    return modulesByPath.get(`${modulePath}/node.tasks.json`) || null;
+  }
+
+  /**
+   * Check a whole project.
+   *
+   * Modules whose `tasks` is not an array are known to exist but were not loaded (the browser
+   * only holds the root module); references into them are not checked, and unqualified
+   * references that match nothing loaded are reported as warnings instead of errors.
+   *
+   * @param {{ path: string, tasks: object[]|null }[]} modules - The root module first.
+   * @returns {{
+   *   ok: boolean,
+   *   errors: { code: string, module: string, path: string, message: string, taskId?: number, cycle?: string[] }[],
+   *   warnings: { code: string, module: string, path: string, message: string }[],
+   *   cycles: { kind: 'dependency'|'parent', module: string, path: string, members: string[] }[]
+   * }}
+   */
+  checkProject(modules) {
+    const errors = [];
+    const warnings = [];
+    const cycles = [];
+    const list = (Array.isArray(modules) ? modules : [])
+      .filter((entry) => entry && typeof entry === 'object')
+      .map((entry, index) => ({
+        path: this.normalizeModulePath(entry.path) || (index === 0 ? 'node.tasks.json' : `module-${index}`),
+        tasks: Array.isArray(entry.tasks) ? entry.tasks : null
+      }));
+    const rootPath = list.length > 0 ? list[0].path : '';
+    const hasUnloadedModules = list.some((entry) => entry.tasks === null);
+    const where = (modulePath, fieldPath) => (modulePath === rootPath ? fieldPath : `${modulePath}:${fieldPath}`);
+    const label = (modulePath, taskId) => (modulePath === rootPath ? `#${taskId}` : `${modulePath}#${taskId}`);
+    const report = (target, code, modulePath, fieldPath, message, extra = {}) => {
+      target.push({ code, module: modulePath, path: where(modulePath, fieldPath), message, ...extra });
+    };
+
+    // Index every loaded module by id and by name.
+    const modulesByPath = new Map();
+    list.forEach((entry) => {
+      const flat = this.flattenTasks(entry.tasks || []);
+      const byId = new Map();
+      const byName = new Map();
+      flat.forEach(({ task, path }) => {
+        if (Number.isInteger(task.task_id)) {
+          if (byId.has(task.task_id)) {
+            report(errors, 'duplicate_task_id', entry.path, `${path}.task_id`, `duplicate task_id ${task.task_id} (also at ${byId.get(task.task_id).path})`, { taskId: task.task_id });
+          } else {
+            byId.set(task.task_id, { task, path });
+          }
+        }
+        const name = String(task.task_name || '').trim();
+        if (name && !byName.has(name)) byName.set(name, { task, path });
+      });
+      modulesByPath.set(entry.path, { ...entry, flat, byId, byName });
+    });
+
+    const lookup = (moduleEntry, ref) => {
+      if (!moduleEntry || !moduleEntry.tasks) return null;
+      if (ref.id !== null) return moduleEntry.byId.get(ref.id) || null;
+      return moduleEntry.byName.get(ref.name) || null;
+    };
+
+    // Resolve dependencies into graph edges keyed `module#id`.
+    const edges = new Map();
+    const nodeKey = (modulePath, taskId) => `${modulePath}#${taskId}`;
+    modulesByPath.forEach((moduleEntry) => {
+      moduleEntry.flat.forEach(({ task, path }) => {
+        this.getDependencyRefs(task, path).forEach((ref) => {
+          const refLabel = ref.id !== null ? `task ${ref.id}` : `task "${ref.name}"`;
+          let targetModule = moduleEntry;
+          let target = null;
+
+          if (ref.modulePath) {
+            targetModule = this.resolveModule(ref.modulePath, modulesByPath);
+            if (!targetModule) {
+              report(errors, 'missing_module', moduleEntry.path, ref.path, `depends on ${refLabel} in module "${ref.modulePath}", which does not exist`, { taskId: task.task_id });
+              return;
+            }
+            if (!targetModule.tasks) return;
+            target = lookup(targetModule, ref);
+          } else {
+            target = lookup(moduleEntry, ref);
+            if (!target) {
+              const matches = Array.from(modulesByPath.values())
+                .filter((other) => other !== moduleEntry && lookup(other, ref));
+              if (matches.length > 1) {
+                report(warnings, 'ambiguous_dependency', moduleEntry.path, ref.path, `${refLabel} exists in several modules (${matches.map((m) => m.path).join(', ')}); set module_path`);
+              }
+              if (matches.length > 0) {
+                targetModule = matches[0];
+                target = lookup(targetModule, ref);
+              }
+            }
+          }
+
+          if (!target) {
+            const inModule = ref.modulePath ? ` in module "${targetModule.path}"` : '';
+            if (!ref.modulePath && hasUnloadedModules) {
+              report(warnings, 'unresolved_dependency', moduleEntry.path, ref.path, `${refLabel} is not in the loaded modules`);
+            } else {
+              report(errors, 'dangling_dependency', moduleEntry.path, ref.path, `depends on ${refLabel}${inModule}, which does not exist`, { taskId: task.task_id });
+            }
+            return;
+          }
+          if (target.task === task) {
+            report(errors, 'self_dependency', moduleEntry.path, ref.path, 'task depends on itself', { taskId: task.task_id });
+            return;
+          }
+          if (!Number.isInteger(task.task_id) || !Number.isInteger(target.task.task_id)) return;
+
+          const from = nodeKey(targetModule.path, target.task.task_id);
+          if (!edges.has(from)) edges.set(from, []);
+          edges.get(from).push({ to: nodeKey(moduleEntry.path, task.task_id), module: moduleEntry.path, path: ref.path, taskId: task.task_id });
+        });
+      });
+    });
+
+    // Depth-first search; a back edge to a node still on the stack closes a cycle.
+    const state = new Map();
+    const stack = [];
+    const seenCycles = new Set();
+    const splitKey = (key) => {
+      const hash = key.lastIndexOf('#');
+      return { module: key.slice(0, hash), taskId: Number(key.slice(hash + 1)) };
+    };
+    const visit = (key) => {
+      state.set(key, 'active');
+      stack.push(key);
+      (edges.get(key) || []).forEach((edge) => {
+        if (state.get(edge.to) === 'active') {
+          const members = stack.slice(stack.indexOf(edge.to));
+          const signature = members.slice().sort().join('|');
+          if (seenCycles.has(signature)) return;
+          seenCycles.add(signature);
+          const labels = [...members, edge.to].map((member) => {
+            const { module, taskId } = splitKey(member);
+            return label(module, taskId);
+          });
+          const cyclePath = labels.join(' → ');
+          cycles.push({ kind: 'dependency', module: edge.module, path: cyclePath, members });
+          report(errors, 'dependency_cycle', edge.module, edge.path, `dependency cycle ${cyclePath}`, { taskId: edge.taskId, cycle: labels });
+        } else if (!state.has(edge.to)) {
+          visit(edge.to);
+        }
+      });
+      stack.pop();
+      state.set(key, 'done');
+    };
+    Array.from(edges.keys()).sort().forEach((key) => {
+      if (!state.has(key)) visit(key);
+    });
+
+    // parent_task_id must name a task in the same module, and the parent chain must end.
+    modulesByPath.forEach((moduleEntry) => {
+      const reportedLoops = new Set();
+      moduleEntry.flat.forEach(({ task, path }) => {
+        if (task.parent_task_id === null || task.parent_task_id === undefined || task.parent_task_id === '') return;
+        const parentId = Number(task.parent_task_id);
+        if (!moduleEntry.byId.has(parentId)) {
+          report(errors, 'dangling_parent', moduleEntry.path, `${path}.parent_task_id`, `parent task ${task.parent_task_id} does not exist`, { taskId: task.task_id });
+          return;
+        }
+
+        const chain = [task.task_id];
+        let current = moduleEntry.byId.get(parentId).task;
+        while (current && !chain.includes(current.task_id)) {
+          chain.push(current.task_id);
+          const next = current.parent_task_id;
+          current = next === null || next === undefined || next === '' ? null : (moduleEntry.byId.get(Number(next)) || { task: null }).task;
+        }
+        if (!current || current.task_id !== task.task_id) return;
+
+        const signature = chain.slice().sort((a, b) => a - b).join('|');
+        if (reportedLoops.has(signature)) return;
+        reportedLoops.add(signature);
+        const labels = [...chain, task.task_id].map((taskId) => label(moduleEntry.path, taskId));
+        const loopPath = labels.join(' → ');
+        cycles.push({ kind: 'parent', module: moduleEntry.path, path: loopPath, members: chain.map((taskId) => nodeKey(moduleEntry.path, taskId)) });
+        report(errors, 'parent_cycle', moduleEntry.path, `${path}.parent_task_id`, `parent_task_id loop ${loopPath}`, { taskId: task.task_id, cycle: labels });
+      });
+    });
+
+    return { ok: errors.length === 0, errors, warnings, cycles };
+  }
+
+  /**
+   * Check a single task list, e.g. the root module held in the browser.
+   *
+   * @param {object[]} tasks
+   * @param {{ modulePath?: string, otherModules?: string[] }} [options]
+   *   `otherModules` lists sub-module paths that exist but are not loaded.
+   * @returns {ReturnType<TaskIntegrityChecker['checkProject']>}
+   */
+  checkTasks(tasks, options = {}) {
+    const others = (options.otherModules || []).map((modulePath) => ({ path: modulePath, tasks: null }));
+    return this.checkProject([{ path: options.modulePath || 'node.tasks.json', tasks }, ...others]);
+  }
+
+  /**
+   * Errors present in `after` but not in `before`, so writes are only blocked by problems they introduce.
+   *
+   * @param {{ errors: object[] }} before
+   * @param {{ errors: object[] }} after
+   * @returns {object[]}
+   */
+  newErrors(before, after) {
+    // Field paths shift when tasks are inserted, so compare on the task and the message instead.
+    const signature = (issue) => [
+      issue.code,
+      issue.module,
+      issue.taskId ?? '',
+      issue.cycle ? issue.cycle.slice(0, -1).sort().join(',') : issue.message
+    ].join('|');
+    const existing = new Set(((before && before.errors) || []).map(signature));
+    return ((after && after.errors) || []).filter((issue) => !existing.has(signature(issue)));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskIntegrityChecker;
+}
@@ -0,0 +1,443 @@
+/**
+ * Two-way sync between tasks and the GitHub Issues they are linked to.
+ *
+ * A task is linked through its `issue-#N` tag. Each sync compares the task, the issue and the
+ * snapshot taken at the last sync (`task.issue_sync.base`): a field changed on one side only is
+ * copied to the other, a field changed on both sides is a conflict. Conflicts are resolved by
+ * `ISSUE_SYNC.PREFER` (`github` or `tasks`) or left alone and reported. Mapped fields:
+ *
+ * - status: open ↔ any open status, closed as completed ↔ Done/Completed, closed as not planned ↔ Cancelled
+ * - labels: `priority: X` ↔ `priority`, `category: X` ↔ `category_name`, other labels ↔ `tags`
+ *   (tasks require a priority and a category, so removing those labels on GitHub puts them back)
+ * - assignees ↔ `assigned_workers` (through each worker's `github_login`)
+ * - milestone ↔ `sprint_name`
+ * - comments are copied both ways once; copies carry `github_comment_id`
+ *
+ * The GitHub side is any client with `listIssues(state)`, `listIssueComments(number)`,
+ * `updateIssue(number, patch)`, `createIssueComment(number, body)`, `listMilestones()` and
+ * `createMilestone(title)`: the list app's GitHubAPI, or the REST and recorded-fixture clients
+ * of tools/scripts/sync-github-issues.js.
+ */
+
+/** Task tags that only mark the issue link and never become labels. */
+const ISSUE_LINK_TAGS = ['github', 'issues'];
+
+/** Scalar fields merged one value at a time, with the value meaning "not set" on a first sync. */
+const ISSUE_SYNC_SCALARS = { state: 'open', priority: null, category: null, milestone: null };
+
+/**
+ * Reconcile linked tasks and GitHub Issues.
+ */
+class TaskIssueSync {
+  /**
+   * Create the sync engine.
+   *
+   * @param {object} [config] - TEMPLATE_CONFIG; reads `ISSUE_SYNC` and `ENUMS.TASK_PRIORITY`.
+   * @param {{ prefer?: 'github'|'tasks'|null, now?: () => Date }} [options]
+   */
+  constructor(config = {}, options = {}) {
+    const sync = (config && config.ISSUE_SYNC) || {};
+    const enums = (config && config.ENUMS) || {};
+    this.priorityPrefix = typeof sync.PRIORITY_LABEL_PREFIX === 'string' ? sync.PRIORITY_LABEL_PREFIX : 'priority: ';
+    this.categoryPrefix = typeof sync.CATEGORY_LABEL_PREFIX === 'string' ? sync.CATEGORY_LABEL_PREFIX : 'category: ';
+    this.closedStatus = sync.CLOSED_STATUS || 'Completed';
+    this.notPlannedStatus = sync.NOT_PLANNED_STATUS || 'Cancelled';
+    this.reopenedStatus = sync.REOPENED_STATUS || 'In Progress';
+    this.prefer = options.prefer !== undefined ? options.prefer : (sync.PREFER || null);
+    this.priorities = enums.TASK_PRIORITY || ['Low', 'Medium', 'High', 'Critical'];
+    this.doneStatuses = new Set(['Done', 'Completed']);
+    this.now = typeof options.now === 'function' ? options.now : () => new Date();
+  }
+
+  /**
+   * Issue number a task is linked to, or null.
+   *
+   * @param {object} task
+   * @returns {number|null}
+   */
+  issueNumber(task) {
+    const tags = Array.isArray(task && task.tags) ? task.tags : [];
+    const tag = tags.find((value) => typeof value === 'string' && /^issue-#\d+$/.test(value));
+    return tag ? Number(tag.slice('issue-#'.length)) : null;
+  }
+
+  /**
+   * Whether a task tag only marks the issue link.
+   *
+   * @param {string} tag
+   * @returns {boolean}
+   */
+  isLinkTag(tag) {
+    return ISSUE_LINK_TAGS.includes(tag) || /^issue-#\d+$/.test(String(tag));
+  }
+
+  /**
+   * GitHub login of an assigned worker: its own `github_login`, else the project worker it names.
+   *
+   * @param {object} worker
+   * @param {object[]} workers - Project workers.
+   * @returns {string|null}
+   */
+  workerLogin(worker, workers = []) {
+    if (!worker || typeof worker !== 'object') return null;
+    if (worker.github_login) return String(worker.github_login);
+    const same = (a, b) => a && b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    const known = workers.find((candidate) => candidate && candidate.github_login
+      && (same(candidate.worker_id, worker.worker_id) || same(candidate.email, worker.email) || same(candidate.name, worker.name)));
+    return known ? String(known.github_login) : null;
+  }
+
+  /**
+   * Task fields in the shared sync vocabulary.
+   *
+   * @param {object} task
+   * @param {object[]} [workers]
+   * @returns {{ state: string, priority: string|null, category: string|null, milestone: string|null, tags: string[], assignees: string[] }}
+   */
+  taskView(task, workers = []) {
+    let state = 'open';
+    if (this.doneStatuses.has(task.status)) state = 'completed';
+    else if (task.status === this.notPlannedStatus) state = 'not_planned';
+    const tags = (Array.isArray(task.tags) ? task.tags : []).filter((tag) => typeof tag === 'string' && tag && !this.isLinkTag(tag));
+    const assignees = (Array.isArray(task.assigned_workers) ? task.assigned_workers : [])
+      .map((worker) => this.workerLogin(worker, workers))
+      .filter(Boolean);
+    return {
+      state,
+      priority: task.priority || null,
+      category: task.category_name || null,
+      milestone: task.sprint_name || null,
+      tags: this.sorted(tags),
+      assignees: this.sorted(assignees)
+    };
+  }
+
+  /**
+   * Issue fields in the shared sync vocabulary.
+   *
+   * @param {object} issue - GitHub issue JSON.
+   * @returns {{ state: string, priority: string|null, category: string|null, milestone: string|null, tags: string[], assignees: string[] }}
+   */
+  issueView(issue) {
+    let priority = null;
+    let category = null;
+    const tags = [];
+    (Array.isArray(issue.labels) ? issue.labels : []).forEach((label) => {
+      const name = typeof label === 'string' ? label : (label && label.name) || '';
+      if (!name) return;
+      const lower = name.toLowerCase();
+      if (this.priorityPrefix && lower.startsWith(this.priorityPrefix.toLowerCase())) {
+        const value = name.slice(this.priorityPrefix.length).trim().toLowerCase();
+        const known = this.priorities.find((candidate) => candidate.toLowerCase() === value);
+        if (known) { priority = known; return; }
+      }
+      if (this.categoryPrefix && lower.startsWith(this.categoryPrefix.toLowerCase())) {
+        category = name.slice(this.categoryPrefix.length).trim() || null;
+        return;
+      }
+      tags.push(name);
+    });
+    let state = 'open';
+    if (issue.state === 'closed') state = issue.state_reason === 'not_planned' ? 'not_planned' : 'completed';
+    return {
+      state,
+      priority,
+      category,
+      milestone: (issue.milestone && issue.milestone.title) || null,
+      tags: this.sorted(tags),
+      assignees: this.sorted((Array.isArray(issue.assignees) ? issue.assignees : []).map((user) => user && user.login).filter(Boolean))
+    };
+  }
+
+  /**
+   * Labels that carry a sync view.
+   *
+   * @param {{ priority: string|null, category: string|null, tags: string[] }} view
+   * @returns {string[]}
+   */
+  labelsFor(view) {
+    const labels = view.tags.slice();
+    if (view.priority) labels.push(`${this.priorityPrefix}${view.priority}`);
+    if (view.category) labels.push(`${this.categoryPrefix}${view.category}`);
+    return this.sorted(labels);
+  }
+
+  /** Sorted, de-duplicated copy of a list of strings. */
+  sorted(values) {
+    return Array.from(new Set(values.map(String))).sort();
+  }
+
+  /** Whether two sync values are equal (arrays compared as sorted sets). */
+  same(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(this.sorted(a || [])) === JSON.stringify(this.sorted(b || []));
+    return (a === undefined ? null : a) === (b === undefined ? null : b);
+  }
+
+  /**
+   * Three-way merge of one scalar field.
+   *
+   * @param {unknown} local - Task value.
+   * @param {unknown} remote - Issue value.
+   * @param {unknown} base - Value at the last sync.
+   * @param {boolean} hasBase - False on the first sync of a pair.
+   * @param {unknown} empty - Value meaning "not set", used on a first sync.
+   * @returns {{ value?: unknown, conflict?: boolean }}
+   */
+  mergeScalar(local, remote, base, hasBase, empty) {
+    if (this.same(local, remote)) return { value: local };
+    if (hasBase) {
+      if (this.same(local, base)) return { value: remote };
+      if (this.same(remote, base)) return { value: local };
+      return { conflict: true };
+    }
+    if (this.same(local, empty)) return { value: remote };
+    if (this.same(remote, empty)) return { value: local };
+    return { conflict: true };
+  }
+
+  /**
+   * Three-way merge of a set: additions and removals from both sides all apply. Without a base
+   * (first sync) the sets are joined.
+   *
+   * @param {string[]} local
+   * @param {string[]} remote
+   * @param {string[]} base
+   * @param {boolean} hasBase
+   * @returns {string[]}
+   */
+  mergeSet(local, remote, base, hasBase) {
+    if (!hasBase) return this.sorted([...local, ...remote]);
+    const removed = new Set([...base.filter((value) => !local.includes(value)), ...base.filter((value) => !remote.includes(value))]);
+    return this.sorted([...base, ...local, ...remote].filter((value) => !removed.has(value)));
+  }
+
+  /**
+   * Reconcile one linked task with its issue.
+   *
+   * @param {object} task
+   * @param {object} issue - GitHub issue JSON.
+   * @param {object[]} comments - GitHub comment JSON of the issue.
+   * @param {object[]} [workers] - Project workers (for `github_login`).
+   * @returns {{
+   *   task: object,
+   *   taskFields: string[],
+   *   issuePatch: object|null,
+   *   pulledComments: number,
+   *   pushComments: { index: number, body: string }[],
+   *   conflicts: { task_id: number, number: number, field: string, task: unknown, github: unknown, resolution: string|null }[]
+   * }} `task` is a changed copy, or the task itself when nothing changed; `issuePatch.milestone` is a milestone title.
+   */
+  reconcile(task, issue, comments = [], workers = []) {
+    const state = task.issue_sync && task.issue_sync.number === issue.number ? task.issue_sync : null;
+    const hasBase = Boolean(state && state.base);
+    const base = hasBase ? state.base : {};
+    const local = this.taskView(task, workers);
+    const remote = this.issueView(issue);
+    const merged = {};
+    const nextBase = {};
+    const conflicts = [];
+
+    Object.keys(ISSUE_SYNC_SCALARS).forEach((field) => {
+      const result = this.mergeScalar(local[field], remote[field], base[field], hasBase, ISSUE_SYNC_SCALARS[field]);
+      if (!result.conflict) {
+        merged[field] = result.value;
+      } else {
+        conflicts.push({ task_id: task.task_id, number: issue.number, field, task: local[field], github: remote[field], resolution: this.prefer || null });
+        if (this.prefer === 'github') merged[field] = remote[field];
+        else if (this.prefer === 'tasks') merged[field] = local[field];
+      }
+      // Tasks always carry a priority and a category, so a removed label is put back.
+      if ((field === 'priority' || field === 'category') && merged[field] === null && local[field]) merged[field] = local[field];
+      nextBase[field] = field in merged ? merged[field] : (hasBase ? base[field] : null);
+    });
+    ['tags', 'assignees'].forEach((field) => {
+      merged[field] = this.mergeSet(local[field], remote[field], hasBase ? (base[field] || []) : [], hasBase);
+      nextBase[field] = merged[field];
+    });
+    // Unresolved conflicts leave each side with its own value.
+    const value = (field) => (field in merged ? merged[field] : local[field]);
+    const target = { ...remote, ...merged };
+
+    // Issue side
+    const issuePatch = {};
+    if (!this.same(target.state, remote.state)) {
+      issuePatch.state = target.state === 'open' ? 'open' : 'closed';
+      if (issuePatch.state === 'closed') issuePatch.state_reason = target.state;
+    }
+    if (!this.same(this.labelsFor(target), this.labelsFor(remote))) issuePatch.labels = this.labelsFor(target);
+    if (!this.same(target.assignees, remote.assignees)) issuePatch.assignees = target.assignees;
+    if (!this.same(target.milestone, remote.milestone)) issuePatch.milestone = target.milestone;
+
+    // Task side
+    const next = { ...task };
+    const taskFields = [];
+    if (!this.same(value('state'), local.state)) {
+      next.status = { completed: this.closedStatus, not_planned: this.notPlannedStatus }[value('state')] || this.reopenedStatus;
+      taskFields.push('status');
+    }
+    if (!this.same(value('priority'), local.priority) && value('priority')) {
+      next.priority = value('priority');
+      taskFields.push('priority');
+    }
+    if (!this.same(value('category'), local.category) && value('category')) {
+      next.category_name = value('category');
+      taskFields.push('category_name');
+    }
+    if (!this.same(value('milestone'), local.milestone)) {
+      next.sprint_name = value('milestone');
+      taskFields.push('sprint_name');
+    }
+    if (!this.same(merged.tags, local.tags)) {
+      const current = Array.isArray(task.tags) ? task.tags : [];
+      next.tags = [...current.filter((tag) => this.isLinkTag(tag) || merged.tags.includes(tag)), ...merged.tags.filter((tag) => !current.includes(tag))];
+      taskFields.push('tags');
+    }
+    if (!this.same(merged.assignees, local.assignees)) {
+      const current = Array.isArray(task.assigned_workers) ? task.assigned_workers : [];
+      const kept = current.filter((worker) => {
+        const login = this.workerLogin(worker, workers);
+        return !login || merged.assignees.includes(login);
+      });
+      const keptLogins = kept.map((worker) => this.workerLogin(worker, workers));
+      const added = merged.assignees.filter((login) => !keptLogins.includes(login)).map((login) => {
+        const known = workers.find((worker) => worker && worker.github_login === login);
+        if (!known) return { name: login, github_login: login };
+        const copy = { name: known.name, github_login: login };
+        ['email', 'worker_id', 'role'].forEach((key) => { if (known[key]) copy[key] = known[key]; });
+        return copy;
+      });
+      next.assigned_workers = [...kept, ...added];
+      taskFields.push('assigned_workers');
+    }
+
+    // Comments: pull the issue's new ones, push task comments written since the last sync.
+    const taskComments = Array.isArray(task.comments) ? task.comments.slice() : [];
+    const known = new Set(taskComments.map((comment) => comment && comment.github_comment_id).filter(Boolean).map(String));
+    const pulled = (Array.isArray(comments) ? comments : [])
+      .filter((comment) => comment && !known.has(String(comment.id)))
+      .map((comment) => ({
+        author: (comment.user && comment.user.login) || 'github',
+        timestamp: comment.created_at || this.now().toISOString(),
+        text: comment.body || '',
+        github_comment_id: comment.id
+      }));
+    const pushComments = [];
+    if (hasBase) {
+      taskComments.forEach((comment, index) => {
+        if (!comment || comment.github_comment_id || !comment.text) return;
+        if (!(String(comment.timestamp || '') > String(state.synced_at || ''))) return;
+        pushComments.push({ index, body: `${comment.text}\n\n— ${comment.author || 'task manager'} (task #${task.task_id})` });
+      });
+    }
+    if (pulled.length > 0) {
+      next.comments = [...taskComments, ...pulled];
+      taskFields.push('comments');
+    }
+
+    const patch = Object.keys(issuePatch).length > 0 ? issuePatch : null;
+    const baseChanged = !hasBase || JSON.stringify(base) !== JSON.stringify(nextBase);
+    const changed = baseChanged || taskFields.length > 0 || Boolean(patch) || pushComments.length > 0;
+    if (changed) next.issue_sync = { number: issue.number, synced_at: this.now().toISOString(), base: nextBase };
+
+    return { task: changed ? next : task, taskFields, issuePatch: patch, pulledComments: pulled.length, pushComments, conflicts };
+  }
+
+  /**
+   * Sync every linked task with GitHub.
+   *
+   * @param {object[]} tasks
+   * @param {object} client - GitHub client (see the module comment).
+   * @param {{ workers?: object[], dryRun?: boolean }} [options] - A dry run reads GitHub and reports without writing either side.
+   * @returns {Promise<{
+   *   tasks: object[],
+   *   taskChanges: { task_id: number, number: number, fields: string[] }[],
+   *   issueChanges: { task_id: number, number: number, fields: string[] }[],
+   *   pulledComments: number,
+   *   pushedComments: number,
+   *   conflicts: object[],
+   *   missing: { task_id: number, number: number }[],
+   *   unlinked: number[]
+   * }>}
+   */
+  async sync(tasks, client, options = {}) {
+    const list = Array.isArray(tasks) ? tasks : [];
+    const workers = Array.isArray(options.workers) ? options.workers : [];
+    const dryRun = Boolean(options.dryRun);
+    const issues = ((await client.listIssues('all')) || []).filter((issue) => issue && !issue.pull_request);
+    const byNumber = new Map(issues.map((issue) => [issue.number, issue]));
+    const report = { tasks: list, taskChanges: [], issueChanges: [], pulledComments: 0, pushedComments: 0, conflicts: [], missing: [], unlinked: [] };
+    let milestones = null;
+    const milestoneNumber = async (title) => {
+      if (!title) return null;
+      if (!milestones) milestones = (await client.listMilestones()) || [];
+      let milestone = milestones.find((candidate) => candidate && candidate.title === title);
+      if (!milestone) {
+        milestone = await client.createMilestone(title);
+        milestones.push(milestone);
+      }
+      return milestone.number;
+    };
+
+    const linked = new Set();
+    const next = [];
+    for (const task of list) {
+      const number = this.issueNumber(task);
+      if (!number) { next.push(task); continue; }
+      linked.add(number);
+      const issue = byNumber.get(number);
+      if (!issue) {
+        report.missing.push({ task_id: task.task_id, number });
+        next.push(task);
+        continue;
+      }
+
+      const plan = this.reconcile(task, issue, await client.listIssueComments(number), workers);
+      report.conflicts.push(...plan.conflicts);
+      report.pulledComments += plan.pulledComments;
+      report.pushedComments += plan.pushComments.length;
+      if (plan.taskFields.length > 0) report.taskChanges.push({ task_id: task.task_id, number, fields: plan.taskFields });
+      if (plan.issuePatch) report.issueChanges.push({ task_id: task.task_id, number, fields: Object.keys(plan.issuePatch) });
+      if (dryRun) { next.push(task); continue; }
+
+      if (plan.issuePatch) {
+        const patch = { ...plan.issuePatch };
+        if ('milestone' in patch) patch.milestone = await milestoneNumber(patch.milestone);
+        await client.updateIssue(number, patch);
+      }
+      const updated = plan.task;
+      if (plan.pushComments.length > 0) {
+        updated.comments = (updated.comments || task.comments || []).slice();
+        for (const push of plan.pushComments) {
+          const created = await client.createIssueComment(number, push.body);
+          updated.comments[push.index] = { ...updated.comments[push.index], github_comment_id: created.id };
+        }
+      }
+      next.push(updated);
+    }
+
+    report.unlinked = issues.filter((issue) => issue.state === 'open' && !linked.has(issue.number)).map((issue) => issue.number);
+    if (!dryRun) report.tasks = next;
+    return report;
+  }
+
+  /**
+   * Human-readable summary of a sync report, conflicts first.
+   *
+   * @param {Awaited<ReturnType<TaskIssueSync['sync']>>} report
+   * @returns {string[]}
+   */
+  formatReport(report) {
+    const show = (value) => (Array.isArray(value) ? (value.join(', ') || '—') : (value === null || value === undefined ? '—' : String(value)));
+    const lines = report.conflicts.map((conflict) => `Conflict on #${conflict.number} (task ${conflict.task_id}) ${conflict.field}: task "${show(conflict.task)}" vs GitHub "${show(conflict.github)}"${conflict.resolution ? ` → kept ${conflict.resolution}` : ' → left unchanged'}`);
+    lines.push(...report.taskChanges.map((change) => `Task ${change.task_id} ← #${change.number}: ${change.fields.join(', ')}`));
+    lines.push(...report.issueChanges.map((change) => `#${change.number} ← task ${change.task_id}: ${change.fields.join(', ')}`));
+    lines.push(...report.missing.map((entry) => `Task ${entry.task_id} links to #${entry.number}, which was not found`));
+    lines.push(`${report.taskChanges.length} task(s) and ${report.issueChanges.length} issue(s) updated, ${report.pulledComments} comment(s) pulled, ${report.pushedComments} pushed, ${report.conflicts.length} conflict(s)${report.unlinked.length > 0 ? `, ${report.unlinked.length} open issue(s) not linked` : ''}`);
+    return lines;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskIssueSync;
+}
@@ -0,0 +1,235 @@
+/**
+ * Kanban board model for the list display.
+ *
+ * Groups tasks into columns by one field (`status`, `priority`, `sprint`, `assignee` or
+ * `category`), optionally split into swimlanes by a second field, and reports per-column WIP
+ * limits read from `project.kanban.wip_limits`. Moving a card becomes a plain task change
+ * (`{ status }`, `{ sprint_name }`, `{ assigned_workers }`...) that the caller saves through
+ * its usual update path.
+ *
+ * Project file settings (all optional):
+ *
+ *   "kanban": {
+ *     "group_by": "status",
+ *     "swimlanes": "category",
+ *     "wip_limits": { "status": { "In Progress": 3, "In Review": 2 } }
+ *   }
+ */
+
+/** Fields a board can group by, mapped to the task property they read and write. */
+const KANBAN_FIELDS = {
+  status: { property: 'status', label: 'Status' },
+  priority: { property: 'priority', label: 'Priority' },
+  sprint: { property: 'sprint_name', label: 'Sprint', emptyLabel: 'No sprint' },
+  assignee: { property: 'assigned_workers', label: 'Assignee', emptyLabel: 'Unassigned' },
+  category: { property: 'category_name', label: 'Category', emptyLabel: 'No category' }
+};
+
+/**
+ * Build kanban columns, swimlanes, WIP state and card moves.
+ */
+class TaskKanbanBoard {
+  /**
+   * Create a board model.
+   *
+   * @param {object} [config] - TEMPLATE_CONFIG; `ENUMS.TASK_STATUS` and `ENUMS.TASK_PRIORITY` give the column order.
+   * @param {{ statusAliases?: Object<string, string> }} [options] - Status values shown in another column
+   *   (default `Completed` → `Done`, matching the list view).
+   */
+  constructor(config = {}, options = {}) {
+    this.config = config || {};
+    this.statusAliases = options.statusAliases || { Completed: 'Done' };
+  }
+
+  /**
+   * Fields a board can group by.
+   *
+   * @returns {{ value: string, label: string }[]}
+   */
+  static fields() {
+    return Object.keys(KANBAN_FIELDS).map((value) => ({ value, label: KANBAN_FIELDS[value].label }));
+  }
+
+  /**
+   * Normalize a field name (`sprint_name` → `sprint`); unknown names fall back to `fallback`.
+   *
+   * @param {string} field
+   * @param {string|null} [fallback='status']
+   * @returns {string|null}
+   */
+  normalizeField(field, fallback = 'status') {
+    const value = String(field || '').trim();
+    if (KANBAN_FIELDS[value]) return value;
+    const byProperty = Object.keys(KANBAN_FIELDS).find((key) => KANBAN_FIELDS[key].property === value);
+    return byProperty || fallback;
+  }
+
+  /**
+   * Board settings from the project file with defaults applied.
+   *
+   * @param {object} project
+   * @returns {{ groupBy: string, swimlanes: string|null, wipLimits: Object<string, Object<string, number>> }}
+   */
+  getSettings(project) {
+    const kanban = project && project.kanban && typeof project.kanban === 'object' ? project.kanban : {};
+    return {
+      groupBy: this.normalizeField(kanban.group_by),
+      swimlanes: kanban.swimlanes ? this.normalizeField(kanban.swimlanes, null) : null,
+      wipLimits: kanban.wip_limits && typeof kanban.wip_limits === 'object' ? kanban.wip_limits : {}
+    };
+  }
+
+  /**
+   * Column key of a task for a field ('' for an empty value). Assignee uses the first assigned worker.
+   *
+   * @param {object} task
+   * @param {string} field
+   * @returns {string}
+   */
+  valueOf(task, field) {
+    if (!task) return '';
+    if (field === 'assignee') {
+      const worker = (Array.isArray(task.assigned_workers) ? task.assigned_workers : [])[0];
+      return worker ? String((typeof worker === 'string' ? worker : (worker.name || worker.email || worker.worker_id)) || '').trim() : '';
+    }
+    const value = String(task[KANBAN_FIELDS[field].property] || '').trim();
+    if (field === 'status' && this.statusAliases[value]) return this.statusAliases[value];
+    return value;
+  }
+
+  /**
+   * Ordered column values for a field: configured enums or project lists first, then any other
+   * value found on a task, then the empty column when the field is optional.
+   *
+   * @param {string} field
+   * @param {object[]} tasks
+   * @param {{ project?: object, workers?: object[], categories?: object[] }} [context]
+   * @returns {{ value: string, label: string }[]}
+   */
+  columnsFor(field, tasks, context = {}) {
+    const enums = this.config.ENUMS || {};
+    const aliased = new Set(Object.keys(this.statusAliases));
+    const known = {
+      status: (enums.TASK_STATUS || []).filter((status) => !aliased.has(status)),
+      priority: enums.TASK_PRIORITY || [],
+      sprint: (context.project && Array.isArray(context.project.sprints) ? context.project.sprints : [])
+        .filter((sprint) => sprint && sprint.name && sprint.status !== 'Completed')
+        .map((sprint) => String(sprint.name)),
+      assignee: (Array.isArray(context.workers) ? context.workers : []).map((worker) => worker && String(worker.name || worker.email || '')),
+      category: (Array.isArray(context.categories) ? context.categories : []).map((category) => category && String(category.name || ''))
+    }[field] || [];
+
+    const values = [];
+    known.concat((Array.isArray(tasks) ? tasks : []).map((task) => this.valueOf(task, field)))
+      .forEach((value) => {
+        if (value && !values.includes(value)) values.push(value);
+      });
+
+    const columns = values.map((value) => ({ value, label: value }));
+    if (KANBAN_FIELDS[field].emptyLabel) columns.push({ value: '', label: KANBAN_FIELDS[field].emptyLabel });
+    return columns;
+  }
+
+  /**
+   * Build the board.
+   *
+   * @param {object[]} tasks
+   * @param {{ groupBy?: string, swimlanes?: string|null, wipLimits?: object, project?: object, workers?: object[], categories?: object[] }} [options]
+   * @returns {{
+   *   groupBy: string,
+   *   swimlanes: string|null,
+   *   columns: { value: string, label: string, count: number, wipLimit: number|null, overLimit: boolean, atLimit: boolean }[],
+   *   lanes: { value: string, label: string, cells: Object<string, object[]> }[]
+   * }}
+   */
+  buildBoard(tasks, options = {}) {
+    const list = Array.isArray(tasks) ? tasks.filter((task) => task && typeof task === 'object') : [];
+    const groupBy = this.normalizeField(options.groupBy);
+    const swimlanes = options.swimlanes ? this.normalizeField(options.swimlanes, null) : null;
+    const limits = (options.wipLimits && options.wipLimits[groupBy]) || {};
+
+    const columns = this.columnsFor(groupBy, list, options).map((column) => {
+      const count = list.filter((task) => this.valueOf(task, groupBy) === column.value).length;
+      const wipLimit = Number.isInteger(limits[column.value]) && limits[column.value] > 0 ? limits[column.value] : null;
+      return { ...column, count, wipLimit, overLimit: wipLimit !== null && count > wipLimit, atLimit: wipLimit !== null && count >= wipLimit };
+    });
+
+    const laneColumns = swimlanes && swimlanes !== groupBy
+      ? this.columnsFor(swimlanes, list, options).filter((lane) => list.some((task) => this.valueOf(task, swimlanes) === lane.value))
+      : [{ value: '', label: '' }];
+
+    const lanes = laneColumns.map((lane) => {
+      const cells = {};
+      columns.forEach((column) => {
+        cells[column.value] = list.filter((task) => this.valueOf(task, groupBy) === column.value
+          && (!swimlanes || swimlanes === groupBy || this.valueOf(task, swimlanes) === lane.value));
+      });
+      return { ...lane, cells };
+    });
+
+    return { groupBy, swimlanes: swimlanes && swimlanes !== groupBy ? swimlanes : null, columns, lanes };
+  }
+
+  /**
+   * Task changes that move a card into another column (and swimlane).
+   *
+   * @param {object} task
+   * @param {string} field - Column field.
+   * @param {string} value - Target column value ('' = the empty column).
+   * @param {{ workers?: object[], swimlanes?: string|null, lane?: string }} [options]
+   * @returns {object|null} The changes, or null when the card stays where it is.
+   */
+  moveChanges(task, field, value, options = {}) {
+    const changes = {};
+    const apply = (targetField, targetValue) => {
+      const normalized = this.normalizeField(targetField);
+      const next = String(targetValue || '').trim();
+      if (this.valueOf(task, normalized) === next) return;
+      if (normalized === 'status' || normalized === 'priority') {
+        if (!next) throw new Error(`${KANBAN_FIELDS[normalized].label} cannot be empty`);
+        changes[KANBAN_FIELDS[normalized].property] = next;
+      } else if (normalized === 'assignee') {
+        const worker = (Array.isArray(options.workers) ? options.workers : [])
+          .find((candidate) => candidate && (candidate.name === next || candidate.email === next));
+        const others = (Array.isArray(task.assigned_workers) ? task.assigned_workers : []).slice(1)
+          .filter((entry) => entry && (entry.name || entry.email) !== next);
+        changes.assigned_workers = next
+          ? [worker ? { name: worker.name, email: worker.email } : { name: next }, ...others]
+          : [];
+      } else {
+        changes[KANBAN_FIELDS[normalized].property] = next || null;
+      }
+    };
+
+    apply(field, value);
+    if (options.swimlanes && options.lane !== undefined) apply(options.swimlanes, options.lane);
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Return a copy of the project with one WIP limit set, or removed when `limit` is empty or 0.
+   *
+   * @param {object} project
+   * @param {string} field
+   * @param {string} value
+   * @param {number|null} limit
+   * @returns {object}
+   */
+  setWipLimit(project, field, value, limit) {
+    const kanban = project && project.kanban && typeof project.kanban === 'object' ? project.kanban : {};
+    const normalized = this.normalizeField(field);
+    const wipLimits = { ...(kanban.wip_limits || {}) };
+    const fieldLimits = { ...(wipLimits[normalized] || {}) };
+    const number = Number(limit);
+    if (Number.isInteger(number) && number > 0) fieldLimits[value] = number;
+    else delete fieldLimits[value];
+    if (Object.keys(fieldLimits).length > 0) wipLimits[normalized] = fieldLimits;
+    else delete wipLimits[normalized];
+    return { ...project, kanban: { ...kanban, wip_limits: wipLimits } };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskKanbanBoard;
+}
@@ -0,0 +1,235 @@
+/**
+ * Project registers: milestones, risks and change requests.
+ *
+ * `project.milestones`, `project.risks` and `project.change_log` are plain arrays in the project
+ * file. This module derives milestone status from the tasks that gate them, scores risks on a
+ * probability × impact matrix for the heat map, and records change-request decisions. Every
+ * mutator returns a changed copy of the project; callers persist it with the task payload.
+ */
+
+/** Milestone statuses this module derives (MILESTONE_STATUS enum). */
+const MILESTONE_STATUSES = { notStarted: 'Not Started', inProgress: 'In Progress', achieved: 'Achieved', missed: 'Missed' };
+
+/**
+ * Milestone, risk and change-request rules for TaskDB projects.
+ */
+class TaskProjectRegisters {
+  /**
+   * Create the registers helper.
+   *
+   * @param {object} [config] - TEMPLATE_CONFIG; `ENUMS.RISK_PROBABILITY`, `RISK_IMPACT` and `RISK_SCORE` order the heat map.
+   * @param {{ doneStatuses?: string[] }} [options]
+   */
+  constructor(config = {}, options = {}) {
+    const enums = (config && config.ENUMS) || {};
+    this.probabilities = enums.RISK_PROBABILITY || ['Low', 'Medium', 'High'];
+    this.impacts = enums.RISK_IMPACT || ['Low', 'Medium', 'High', 'Critical'];
+    this.scores = enums.RISK_SCORE || ['Low', 'Medium', 'High', 'Critical'];
+    this.doneStatuses = new Set(options.doneStatuses || ['Done', 'Completed']);
+  }
+
+  /**
+   * Copy of a project collection (empty when missing).
+   *
+   * @param {object} project
+   * @param {'milestones'|'risks'|'change_log'} collection
+   * @returns {object[]}
+   */
+  list(project, collection) {
+    return project && Array.isArray(project[collection]) ? project[collection].slice() : [];
+  }
+
+  /**
+   * Add (`index` null) or replace one entry of a project collection.
+   *
+   * @param {object} project
+   * @param {'milestones'|'risks'|'change_log'} collection
+   * @param {number|null} index
+   * @param {object} entry
+   * @returns {object} A changed copy of the project.
+   */
+  upsert(project, collection, index, entry) {
+    const items = this.list(project, collection);
+    if (index === null || index === undefined) items.push(entry);
+    else if (index >= 0 && index < items.length) items[index] = entry;
+    else throw new Error(`No ${collection} entry ${index + 1}`);
+    return { ...project, [collection]: items };
+  }
+
+  /**
+   * Remove one entry of a project collection.
+   *
+   * @param {object} project
+   * @param {'milestones'|'risks'|'change_log'} collection
+   * @param {number} index
+   * @returns {object} A changed copy of the project.
+   */
+  remove(project, collection, index) {
+    const items = this.list(project, collection);
+    if (index < 0 || index >= items.length) throw new Error(`No ${collection} entry ${index + 1}`);
+    items.splice(index, 1);
+    return { ...project, [collection]: items };
+  }
+
+  /**
+   * Tasks that gate a milestone (`linked_task_ids`, then `linked_task_names`).
+   *
+   * @param {object} milestone
+   * @param {object[]} tasks
+   * @returns {object[]}
+   */
+  milestoneTasks(milestone, tasks) {
+    const ids = new Set((Array.isArray(milestone && milestone.linked_task_ids) ? milestone.linked_task_ids : []).map(String));
+    const names = new Set(Array.isArray(milestone && milestone.linked_task_names) ? milestone.linked_task_names : []);
+    return (Array.isArray(tasks) ? tasks : []).filter((task) => task && (ids.has(String(task.task_id)) || names.has(task.task_name)));
+  }
+
+  /**
+   * Progress and derived status of a milestone.
+   *
+   * With linked tasks the status follows them: all done → Achieved, past `due_date` → Missed,
+   * any started → In Progress, else Not Started. Cancelled tasks do not gate. Milestones without
+   * linked tasks, or with `auto_status: false`, keep their own status.
+   *
+   * @param {object} milestone
+   * @param {object[]} tasks
+   * @param {string} [today] - `YYYY-MM-DD`, default today (UTC).
+   * @returns {{ tasks: object[], total: number, done: number, percent: number, status: string, derived: boolean }}
+   */
+  milestoneState(milestone, tasks, today = new Date().toISOString().slice(0, 10)) {
+    const linked = this.milestoneTasks(milestone, tasks);
+    const gating = linked.filter((task) => task.status !== 'Cancelled');
+    const done = gating.filter((task) => this.doneStatuses.has(task.status)).length;
+    const current = (milestone && milestone.status) || MILESTONE_STATUSES.notStarted;
+    const derived = gating.length > 0 && !(milestone && milestone.auto_status === false);
+
+    let status = current;
+    if (derived) {
+      if (done === gating.length) status = MILESTONE_STATUSES.achieved;
+      else if (milestone.due_date && String(milestone.due_date) < today) status = MILESTONE_STATUSES.missed;
+      else if (done > 0 || gating.some((task) => task.status && task.status !== 'Not Started')) status = MILESTONE_STATUSES.inProgress;
+      else status = MILESTONE_STATUSES.notStarted;
+    }
+
+    return {
+      tasks: linked,
+      total: gating.length,
+      done,
+      percent: gating.length > 0 ? Math.round((done / gating.length) * 100) : (current === MILESTONE_STATUSES.achieved ? 100 : 0),
+      status,
+      derived
+    };
+  }
+
+  /**
+   * Apply derived statuses to every milestone.
+   *
+   * @param {object} project
+   * @param {object[]} tasks
+   * @param {string} [today]
+   * @returns {{ project: object, changed: { name: string, before: string, after: string }[] }}
+   */
+  refreshMilestones(project, tasks, today) {
+    const milestones = this.list(project, 'milestones');
+    const changed = [];
+    const next = milestones.map((milestone) => {
+      if (!milestone || typeof milestone !== 'object') return milestone;
+      const state = this.milestoneState(milestone, tasks, today);
+      if (!state.derived || state.status === milestone.status) return milestone;
+      changed.push({ name: milestone.name, before: milestone.status || '', after: state.status });
+      return { ...milestone, status: state.status };
+    });
+    return { project: changed.length > 0 ? { ...project, milestones: next } : project, changed };
+  }
+
+  /**
+   * Risk score from probability × impact: 1-2 Low, 3-4 Medium, 6-8 High, 9-12 Critical on the default 3 × 4 scales.
+   *
+   * @param {string} probability
+   * @param {string} impact
+   * @returns {{ value: number, label: string }|null} Null when either rating is missing or unknown.
+   */
+  riskScore(probability, impact) {
+    const p = this.probabilities.indexOf(probability);
+    const i = this.impacts.indexOf(impact);
+    if (p === -1 || i === -1) return null;
+    const value = (p + 1) * (i + 1);
+    const share = value / (this.probabilities.length * this.impacts.length);
+    const band = this.scores.length === 4
+      ? [1 / 6, 1 / 3, 2 / 3, 1].findIndex((limit) => share <= limit)
+      : Math.max(0, Math.ceil(share * this.scores.length) - 1);
+    return { value, label: this.scores[band] };
+  }
+
+  /**
+   * Probability × impact grid of open risks (rows from highest probability down).
+   *
+   * @param {object[]} risks
+   * @returns {{ probabilities: string[], impacts: string[], rows: { probability: string, cells: { impact: string, score: { value: number, label: string }, risks: { index: number, name: string }[] }[] }[], unrated: { index: number, name: string }[] }}
+   */
+  heatMap(risks) {
+    const open = (Array.isArray(risks) ? risks : [])
+      .map((risk, index) => ({ risk, index }))
+      .filter(({ risk }) => risk && risk.status !== 'Closed');
+    const unrated = open.filter(({ risk }) => !this.riskScore(risk.probability, risk.impact))
+      .map(({ risk, index }) => ({ index, name: risk.name || `Risk ${index + 1}` }));
+
+    return {
+      probabilities: this.probabilities.slice(),
+      impacts: this.impacts.slice(),
+      rows: this.probabilities.slice().reverse().map((probability) => ({
+        probability,
+        cells: this.impacts.map((impact) => ({
+          impact,
+          score: this.riskScore(probability, impact),
+          risks: open.filter(({ risk }) => risk.probability === probability && risk.impact === impact)
+            .map(({ risk, index }) => ({ index, name: risk.name || `Risk ${index + 1}` }))
+        }))
+      })),
+      unrated
+    };
+  }
+
+  /**
+   * Next free change-request id (`CHG-001`, `CHG-002`...).
+   *
+   * @param {object} project
+   * @returns {string}
+   */
+  nextChangeId(project) {
+    const highest = this.list(project, 'change_log').reduce((max, entry) => {
+      const match = String((entry && entry.change_id) || '').match(/(\d+)$/);
+      return match ? Math.max(max, Number(match[1])) : max;
+    }, 0);
+    return `CHG-${String(highest + 1).padStart(3, '0')}`;
+  }
+
+  /**
+   * Record an approval decision on a change request.
+   *
+   * @param {object} project
+   * @param {number} index
+   * @param {'Approved'|'Rejected'|'Pending'} status
+   * @param {{ approver?: string, today?: string }} [options]
+   * @returns {object} A changed copy of the project.
+   */
+  decideChange(project, index, status, options = {}) {
+    const items = this.list(project, 'change_log');
+    const entry = items[index];
+    if (!entry) throw new Error(`No change request ${index + 1}`);
+    const decided = { ...entry, status };
+    if (status === 'Pending') {
+      decided.approved_by = null;
+      delete decided.decision_date;
+    } else {
+      decided.approved_by = options.approver || entry.approved_by || null;
+      decided.decision_date = options.today || new Date().toISOString().slice(0, 10);
+    }
+    return this.upsert(project, 'change_log', index, decided);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskProjectRegisters;
+}
@@ -0,0 +1,360 @@
+/**
+ * Small task query language shared by the list-display search box and
+ * `GET /api/tasks?q=` on the local server.
+ *
+ * Syntax (terms are ANDed, whitespace separated):
+ *   status:"In Progress"        field match; quote values that contain spaces
+ *   status:Blocked,"On Hold"    comma separates alternatives (OR)
+ *   assignee:alice  tag:backend sprint:none
+ *   due<2026-11-01  progress>=50  id!=4    comparisons on dates and numbers
+ *   is:critical  is:overdue  has:dependencies
+ *   -tag:wip                    leading "-" negates a term
+ *   login "exact phrase"        free text over name, description and tags
+ */
+(function attachTaskQuery(globalScope) {
+  const FIELD_ALIASES = Object.freeze({
+    id: 'task_id',
+    name: 'task_name',
+    title: 'task_name',
+    category: 'category_name',
+    sprint: 'sprint_name',
+    tag: 'tags',
+    assignee: 'assigned_workers',
+    assigned: 'assigned_workers',
+    depends: 'dependencies',
+    parent: 'parent_task_id',
+    start: 'start_date',
+    end: 'end_date',
+    created: 'created_date',
+    completed: 'completed_date',
+    progress: 'progress_percentage',
+    estimate: 'estimated_hours',
+    hours: 'estimated_hours',
+    actual: 'actual_hours'
+  });
+
+  const SUBSTRING_FIELDS = new Set(['task_name', 'description', 'text']);
+  const DONE_STATUSES = new Set(['done', 'completed']);
+  const CLOSED_STATUSES = new Set(['done', 'completed', 'cancelled']);
+  const EMPTY_VALUES = new Set(['none', 'null', 'empty']);
+  const RANKS = Object.freeze({
+    priority: { low: 1, medium: 2, high: 3, critical: 4 },
+    complexity: { 'very low': 1, low: 2, medium: 3, high: 4, 'very high': 5 }
+  });
+  const IS_PREDICATES = Object.freeze({
+    critical: (task) => Boolean(task.is_critical_path),
+    done: (task) => DONE_STATUSES.has(lower(task.status)),
+    open: (task) => !CLOSED_STATUSES.has(lower(task.status)),
+    blocked: (task) => lower(task.status) === 'blocked' || Boolean(String(task.blocker_reason || '').trim()),
+    overdue: (task, context) => {
+      const due = dateKey(readField(task, 'due'));
+      return Boolean(due) && due < context.today && !CLOSED_STATUSES.has(lower(task.status));
+    },
+    assigned: (task) => readField(task, 'assigned_workers').length > 0,
+    unassigned: (task) => readField(task, 'assigned_workers').length === 0
+  });
+
+  function lower(value) {
+    return String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  }
+
+  function dateKey(value) {
+    const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2})/);
+    return match ? match[1] : '';
+  }
+
+  function resolveField(name) {
+    const key = String(name || '').trim();
+    return FIELD_ALIASES[key.toLowerCase()] || key;
+  }
+
+  function unquote(value) {
+    const text = String(value || '');
+    return text.length >= 2 && text.startsWith('"') && text.endsWith('"') ? text.slice(1, -1) : text;
+  }
+
+  // Split on a separator (whitespace or comma) while keeping quoted runs intact.
+  function splitOutsideQuotes(input, isSeparator) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+    for (const char of String(input || '')) {
+      if (char === '"') inQuotes = !inQuotes;
+      if (!inQuotes && isSeparator(char)) {
+        if (current) parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    if (current) parts.push(current);
+    return { parts, unterminated: inQuotes };
+  }
+
+  /**
+   * Read a task field as the query sees it; assignees and dependencies flatten to identifier lists.
+   *
+   * @param {object} task
+   * @param {string} field - Canonical field name (see FIELD_ALIASES), or `due`.
+   * @returns {unknown}
+   */
+  function readField(task, field) {
+    if (!task || typeof task !== 'object') return undefined;
+    if (field === 'due') return task.due_date || task.end_date || null;
+    if (field === 'assigned_workers') {
+      const workers = Array.isArray(task.assigned_workers) ? task.assigned_workers : [];
+      return workers.flatMap((worker) => (worker && typeof worker === 'object'
+        ? [worker.worker_id, worker.name, worker.email]
+        : [worker])).filter(Boolean);
+    }
+    if (field === 'dependencies') {
+      const dependencies = Array.isArray(task.dependencies) ? task.dependencies : [];
+      return dependencies.map((dep) => (dep && typeof dep === 'object' ? dep.predecessor_task_id ?? dep.task_id : dep));
+    }
+    if (field === 'text') {
+      return [task.task_name, task.title, task.description, ...(Array.isArray(task.tags) ? task.tags : [])]
+        .filter(Boolean).join('\n');
+    }
+    return task[field];
+  }
+
+  /**
+   * Parse a query string into terms.
+   *
+   * @param {string} query
+   * @returns {{terms: object[], errors: string[]}}
+   */
+  function parse(query) {
+    const errors = [];
+    const terms = [];
+    const { parts, unterminated } = splitOutsideQuotes(query, (char) => /\s/.test(char));
+    if (unterminated) errors.push('Unterminated quote');
+
+    parts.forEach((rawPart) => {
+      let part = rawPart;
+      let negate = false;
+      if (part.length > 1 && part.startsWith('-')) {
+        negate = true;
+        part = part.slice(1);
+      }
+
+      const match = part.match(/^([a-zA-Z_][\w.]*)(<=|>=|!=|:|<|>|=)(.*)$/);
+      if (!match) {
+        terms.push({ field: 'text', op: ':', values: [unquote(part)], negate, raw: rawPart });
+        return;
+      }
+
+      const [, rawField, rawOp, rawValue] = match;
+      const op = rawOp === '=' ? ':' : rawOp;
+      const values = splitOutsideQuotes(rawValue, (char) => char === ',').parts.map(unquote).filter((value) => value !== '');
+      if (values.length === 0) {
+        errors.push(`Missing value in "${rawPart}"`);
+        return;
+      }
+
+      const fieldName = rawField.toLowerCase();
+      if (fieldName === 'is') {
+        const unknown = values.filter((value) => !IS_PREDICATES[value.toLowerCase()]);
+        if (unknown.length) errors.push(`Unknown is: value "${unknown.join(', ')}" (use ${Object.keys(IS_PREDICATES).join(', ')})`);
+        terms.push({ field: 'is', op: ':', values: values.map((value) => value.toLowerCase()), negate, raw: rawPart });
+        return;
+      }
+      if (fieldName === 'has') {
+        terms.push({ field: 'has', op: ':', values: values.map(resolveField), negate, raw: rawPart });
+        return;
+      }
+
+      const field = fieldName === 'due' ? 'due' : resolveField(rawField);
+      if (op === '<' || op === '>' || op === '<=' || op === '>=') {
+        const value = values[0];
+        if (!dateKey(value) && !Number.isFinite(Number(value))) {
+          errors.push(`"${rawPart}" compares against "${value}", which is neither a date (YYYY-MM-DD) nor a number`);
+          return;
+        }
+      }
+      terms.push({ field, op, values, negate, raw: rawPart });
+    });
+
+    return { terms, errors };
+  }
+
+  function valueEquals(actual, expected, field) {
+    const wanted = lower(expected);
+    if (EMPTY_VALUES.has(wanted) && (actual === null || actual === undefined || lower(actual) === '')) return true;
+    if (typeof actual === 'number') return Number(expected) === actual;
+    if (typeof actual === 'boolean') return String(actual) === wanted;
+    const text = lower(actual);
+    if (field === 'status' && DONE_STATUSES.has(wanted)) return DONE_STATUSES.has(text);
+    if (SUBSTRING_FIELDS.has(field)) return text.includes(wanted);
+    return text === wanted;
+  }
+
+  function compareValues(actual, expected) {
+    const expectedDate = dateKey(expected);
+    if (expectedDate) {
+      const actualDate = dateKey(actual);
+      if (!actualDate) return null;
+      return actualDate < expectedDate ? -1 : (actualDate > expectedDate ? 1 : 0);
+    }
+    const actualNumber = Number(actual);
+    if (actual === null || actual === undefined || actual === '' || !Number.isFinite(actualNumber)) return null;
+    return actualNumber - Number(expected);
+  }
+
+  function termMatches(task, term, context) {
+    if (term.field === 'is') return term.values.some((name) => IS_PREDICATES[name] && IS_PREDICATES[name](task, context));
+    if (term.field === 'has') {
+      return term.values.every((field) => {
+        const value = readField(task, field);
+        return Array.isArray(value) ? value.length > 0 : !(value === null || value === undefined || lower(value) === '');
+      });
+    }
+
+    const actual = readField(task, term.field);
+    const expectedValues = term.field === 'assigned_workers'
+      ? term.values.map((value) => (lower(value) === 'me' && context.me ? context.me : value))
+      : term.values;
+
+    if (term.op === ':' || term.op === '!=') {
+      const matches = expectedValues.some((expected) => {
+        if (Array.isArray(actual)) {
+          return EMPTY_VALUES.has(lower(expected)) ? actual.length === 0 : actual.some((item) => valueEquals(item, expected, term.field));
+        }
+        return valueEquals(actual, expected, term.field);
+      });
+      return term.op === ':' ? matches : !matches;
+    }
+
+    const diff = compareValues(actual, expectedValues[0]);
+    if (diff === null) return false;
+    if (term.op === '<') return diff < 0;
+    if (term.op === '<=') return diff <= 0;
+    if (term.op === '>') return diff > 0;
+    return diff >= 0;
+  }
+
+  /**
+   * Build a predicate for a query string.
+   *
+   * @param {string} query
+   * @param {{me?: string, today?: string}} [context={}] - `me` resolves `assignee:me`; `today` (YYYY-MM-DD) drives `is:overdue`.
+   * @returns {{test: (task: object) => boolean, errors: string[]}}
+   */
+  function compile(query, context = {}) {
+    const { terms, errors } = parse(query);
+    const effectiveContext = {
+      me: context.me || '',
+      today: dateKey(context.today) || new Date().toISOString().slice(0, 10)
+    };
+    const test = (task) => terms.every((term) => termMatches(task, term, effectiveContext) !== term.negate);
+    return { test, errors };
+  }
+
+  /**
+   * Filter tasks with a query string. Invalid terms are reported and skipped.
+   *
+   * @param {object[]} tasks
+   * @param {string} query
+   * @param {{me?: string, today?: string}} [context={}]
+   * @returns {object[]}
+   */
+  function filter(tasks, query, context = {}) {
+    const list = Array.isArray(tasks) ? tasks : [];
+    if (!String(query || '').trim()) return [...list];
+    const { test } = compile(query, context);
+    return list.filter((task) => task && typeof task === 'object' && test(task));
+  }
+
+  /**
+   * Sort tasks by a comma-separated key list such as `due,-priority`. Missing values sort last.
+   *
+   * @param {object[]} tasks
+   * @param {string} sortSpec
+   * @returns {object[]}
+   */
+  function sortTasks(tasks, sortSpec) {
+    const keys = String(sortSpec || '').split(',').map((key) => key.trim()).filter(Boolean).map((key) => {
+      const desc = key.startsWith('-');
+      const name = key.replace(/^[-+]/, '');
+      return { field: name.toLowerCase() === 'due' ? 'due' : resolveField(name), desc };
+    });
+    const list = Array.isArray(tasks) ? [...tasks] : [];
+    if (keys.length === 0) return list;
+
+    const sortValue = (task, field) => {
+      const value = readField(task, field);
+      if (RANKS[field]) return RANKS[field][lower(value)] || null;
+      if (Array.isArray(value)) return value.length ? lower(value[0]) : null;
+      if (value === null || value === undefined || value === '') return null;
+      return typeof value === 'number' ? value : lower(value);
+    };
+
+    return list.sort((a, b) => {
+      for (const { field, desc } of keys) {
+        const left = sortValue(a, field);
+        const right = sortValue(b, field);
+        if (left === right) continue;
+        if (left === null) return 1;
+        if (right === null) return -1;
+        const order = left < right ? -1 : 1;
+        return desc ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Keep only the requested fields (aliases allowed) of a task.
+   *
+   * @param {object} task
+   * @param {string|string[]} fields - Comma-separated list or array.
+   * @returns {object}
+   */
+  function projectFields(task, fields) {
+    const names = (Array.isArray(fields) ? fields : String(fields || '').split(','))
+      .map((name) => name.trim()).filter(Boolean).map(resolveField);
+    if (names.length === 0) return task;
+    const projected = {};
+    names.forEach((name) => {
+      if (task && Object.prototype.hasOwnProperty.call(task, name)) projected[name] = task[name];
+    });
+    return projected;
+  }
+
+  /**
+   * Filter, sort, paginate and project in one call (the `GET /api/tasks?q=` contract).
+   *
+   * @param {object[]} tasks
+   * @param {{q?: string, sort?: string, fields?: string|string[], offset?: number, limit?: number|null, context?: object}} [options={}]
+   * @returns {{total: number, offset: number, limit: number|null, items: object[], errors: string[]}}
+   */
+  function run(tasks, { q = '', sort = '', fields = '', offset = 0, limit = null, context = {} } = {}) {
+    const { errors } = parse(q);
+    const matched = sortTasks(filter(tasks, q, context), sort);
+    const start = Math.max(0, Number(offset) || 0);
+    const pageSize = limit === null || limit === undefined || limit === '' ? null : Math.max(0, Number(limit) || 0);
+    const page = pageSize === null ? matched.slice(start) : matched.slice(start, start + pageSize);
+    return {
+      total: matched.length,
+      offset: start,
+      limit: pageSize,
+      items: page.map((task) => projectFields(task, fields)),
+      errors
+    };
+  }
+
+  const TaskQuery = {
+    FIELD_ALIASES,
+    parse,
+    compile,
+    filter,
+    sortTasks,
+    projectFields,
+    run
+  };
+
+  globalScope.TaskQuery = TaskQuery;
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskQuery;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
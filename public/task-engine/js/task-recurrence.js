@@ -0,0 +1,422 @@
+/**
+ * Recurring tasks for TaskDB.
+ *
+ * A task's `recurrence` is one of:
+ * - a preset matching the calendar tooling's RECURRENCE_VALUES (`daily`, `weekly`,
+ *   `monthly`, `yearly`; `none` or empty means no recurrence),
+ * - an RRULE string (`FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6`, optional `RRULE:` prefix),
+ * - an object `{ freq, interval, by_day, by_month_day, count, until }`.
+ *
+ * Only this RRULE subset is supported: FREQ (DAILY/WEEKLY/MONTHLY/YEARLY), INTERVAL,
+ * BYDAY (weekly, plain weekday codes), BYMONTHDAY (monthly, 1..31 or -1 for the last day),
+ * COUNT and UNTIL. The task's `start_date` is the first occurrence and its
+ * `start_date`..`end_date` span is the length of every occurrence.
+ *
+ * Occurrences are either expanded virtually (timeline, calendar) or materialized:
+ * completing a recurring task records the finished occurrence as a child task and
+ * moves the series task on to its next occurrence. Shared by the local server, the
+ * browser `TaskDatabase` and the calendar exports.
+ */
+
+/** Milliseconds in one recurrence day. */
+const RECURRENCE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/** RRULE weekday codes in week order (weeks start on Monday). */
+const RECURRENCE_WEEKDAYS = Object.freeze(['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']);
+
+/**
+ * Parse, expand and materialize task recurrence rules.
+ */
+class TaskRecurrence {
+  /**
+   * Create a recurrence engine.
+   *
+   * @param {{ completedStatuses?: string[], maxOccurrences?: number }} [options]
+   *   `maxOccurrences` caps expansions that have no COUNT, UNTIL or end of window.
+   */
+  constructor(options = {}) {
+    this.completedStatuses = new Set(options.completedStatuses || ['Done', 'Completed']);
+    this.maxOccurrences = Number(options.maxOccurrences) > 0 ? Number(options.maxOccurrences) : 100;
+  }
+
+  /**
+   * Convert a `YYYY-MM-DD` (or `YYYYMMDD`) date into a day number, or `null` when it is not a date.
+   *
+   * @param {unknown} value
+   * @returns {number|null}
+   */
+  parseDay(value) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(value || ''));
+    if (!match) return null;
+    const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isFinite(time) ? Math.round(time / RECURRENCE_DAY_MS) : null;
+  }
+
+  /**
+   * Convert a day number back into `YYYY-MM-DD`.
+   *
+   * @param {number} day
+   * @returns {string}
+   */
+  formatDay(day) {
+    return new Date(day * RECURRENCE_DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Parse a recurrence value and report what is wrong with it.
+   *
+   * @param {unknown} value
+   * @returns {{ rule: { freq: string, interval: number, byDay: string[], byMonthDay: number[], count: number|null, until: string|null }|null, errors: string[] }}
+   *   `rule` is `null` for "no recurrence" and whenever `errors` is not empty.
+   */
+  parse(value) {
+    const errors = [];
+    if (value === undefined || value === null || value === '') return { rule: null, errors };
+
+    let parts;
+    if (typeof value === 'string') {
+      const text = value.trim();
+      const preset = text.toLowerCase();
+      if (preset === 'none' || preset === '') return { rule: null, errors };
+      if (['daily', 'weekly', 'monthly', 'yearly'].includes(preset)) {
+        parts = { FREQ: preset.toUpperCase() };
+      } else {
+        parts = {};
+        text.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((pair) => {
+          const [key, ...rest] = pair.split('=');
+          parts[String(key).trim().toUpperCase()] = rest.join('=').trim();
+        });
+      }
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      parts = {};
+      const keys = { freq: 'FREQ', interval: 'INTERVAL', by_day: 'BYDAY', by_month_day: 'BYMONTHDAY', count: 'COUNT', until: 'UNTIL' };
+      Object.keys(value).forEach((key) => {
+        const mapped = keys[key] || key.toUpperCase();
+        const raw = value[key];
+        if (raw === undefined || raw === null || raw === '') return;
+        parts[mapped] = Array.isArray(raw) ? raw.join(',') : String(raw);
+      });
+    } else {
+      return { rule: null, errors: ['recurrence must be a preset, an RRULE string or a rule object'] };
+    }
+
+    const supported = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'];
+    Object.keys(parts).filter((key) => !supported.includes(key)).forEach((key) => {
+      errors.push(`recurrence ${key} is not supported (use ${supported.join(', ')})`);
+    });
+
+    const freq = String(parts.FREQ || '').toUpperCase();
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) {
+      errors.push(`recurrence FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY${parts.FREQ ? ` (got "${parts.FREQ}")` : ''}`);
+    }
+
+    const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+    if (!Number.isInteger(interval) || interval < 1) errors.push('recurrence INTERVAL must be a positive integer');
+
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',').map((code) => code.trim().toUpperCase()).filter(Boolean) : [];
+    byDay.filter((code) => !RECURRENCE_WEEKDAYS.includes(code)).forEach((code) => {
+      errors.push(`recurrence BYDAY "${code}" is not a weekday code (${RECURRENCE_WEEKDAYS.join(', ')})`);
+    });
+    if (byDay.length > 0 && freq !== 'WEEKLY') errors.push('recurrence BYDAY is only supported with FREQ=WEEKLY');
+
+    const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map((day) => Number(day)) : [];
+    if (byMonthDay.some((day) => !Number.isInteger(day) || day === 0 || day > 31 || day < -1)) {
+      errors.push('recurrence BYMONTHDAY values must be 1..31 or -1');
+    }
+    if (byMonthDay.length > 0 && freq !== 'MONTHLY') errors.push('recurrence BYMONTHDAY is only supported with FREQ=MONTHLY');
+
+    const count = parts.COUNT === undefined ? null : Number(parts.COUNT);
+    if (count !== null && (!Number.isInteger(count) || count < 1)) errors.push('recurrence COUNT must be a positive integer');
+
+    const untilDay = parts.UNTIL === undefined ? null : this.parseDay(parts.UNTIL);
+    if (parts.UNTIL !== undefined && untilDay === null) errors.push('recurrence UNTIL must be a date (YYYY-MM-DD or YYYYMMDD)');
+    if (count !== null && parts.UNTIL !== undefined) errors.push('recurrence cannot have both COUNT and UNTIL');
+
+    if (errors.length > 0) return { rule: null, errors };
+    return {
+      rule: {
+        freq,
+        interval,
+        byDay: RECURRENCE_WEEKDAYS.filter((code) => byDay.includes(code)),
+        byMonthDay: Array.from(new Set(byMonthDay)).sort((a, b) => (a === -1 ? 32 : a) - (b === -1 ? 32 : b)),
+        count,
+        until: untilDay === null ? null : this.formatDay(untilDay)
+      },
+      errors
+    };
+  }
+
+  /**
+   * Normalized rule of a recurrence value, or `null` when it does not recur or is invalid.
+   *
+   * @param {unknown} value
+   * @returns {object|null}
+   */
+  normalizeRule(value) {
+    return this.parse(value).rule;
+  }
+
+  /**
+   * Validation messages for a recurrence value (empty when it is valid or absent).
+   *
+   * @param {unknown} value
+   * @returns {string[]}
+   */
+  validate(value) {
+    return this.parse(value).errors;
+  }
+
+  /**
+   * RFC 5545 RRULE value (without the `RRULE:` prefix), or `''` when the value does not recur.
+   *
+   * @param {unknown} value
+   * @param {number} [completed=0] - Occurrences already materialized, taken off COUNT.
+   * @returns {string}
+   */
+  toRRule(value, completed = 0) {
+    const rule = this.normalizeRule(value);
+    if (!rule) return '';
+    if (rule.count !== null) rule.count -= Number(completed) || 0;
+    if (rule.count !== null && rule.count < 1) return '';
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+    if (rule.until !== null) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+  }
+
+  /**
+   * Calendar appointment form of a rule (a RECURRENCE_VALUES preset plus `recurrenceCount`), or
+   * `null` when the rule does not recur or needs INTERVAL, BYDAY, BYMONTHDAY or UNTIL; callers
+   * expand those into occurrences instead.
+   *
+   * @param {unknown} value
+   * @param {number} [completed=0] - Occurrences already materialized, counted against COUNT.
+   * @returns {{ recurrence: string, recurrenceCount: number|null }|null}
+   */
+  toCalendarPreset(value, completed = 0) {
+    const rule = this.normalizeRule(value);
+    if (!rule || rule.interval > 1 || rule.byDay.length > 0 || rule.byMonthDay.length > 0 || rule.until !== null) return null;
+    return {
+      recurrence: rule.freq.toLowerCase(),
+      recurrenceCount: rule.count === null ? null : Math.max(1, rule.count - (Number(completed) || 0))
+    };
+  }
+
+  /**
+   * Short human label for a recurrence value (`every 2 weeks on MO, WE`), or `''`.
+   *
+   * @param {unknown} value
+   * @returns {string}
+   */
+  describe(value) {
+    const rule = this.normalizeRule(value);
+    if (!rule) return '';
+    const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+    let label = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+    if (rule.byDay.length > 0) label += ` on ${rule.byDay.join(', ')}`;
+    if (rule.byMonthDay.length > 0) label += ` on day ${rule.byMonthDay.map((day) => (day === -1 ? 'last' : day)).join(', ')}`;
+    if (rule.count !== null) label += `, ${rule.count} times`;
+    if (rule.until !== null) label += `, until ${rule.until}`;
+    return label;
+  }
+
+  /**
+   * Start days of a rule from `startDay`, in order.
+   *
+   * @param {object} rule - From `normalizeRule`.
+   * @param {number} startDay - Day number of the first occurrence.
+   * @param {{ toDay?: number|null, limit?: number }} [options]
+   *   Stops after `toDay` (inclusive), after `rule.count` or `rule.until`, or after `limit` days.
+   * @returns {number[]}
+   */
+  occurrenceDays(rule, startDay, options = {}) {
+    const untilDay = rule.until === null ? null : this.parseDay(rule.until);
+    const lastDay = [untilDay, options.toDay].filter((day) => day !== null && day !== undefined)
+      .reduce((min, day) => Math.min(min, day), Infinity);
+    const limit = Math.min(rule.count === null ? Infinity : rule.count, Number(options.limit) > 0 ? Number(options.limit) : this.maxOccurrences);
+    // RFC 5545: DTSTART is always the first occurrence, even when the pattern skips it.
+    const days = startDay <= lastDay && limit > 0 ? [startDay] : [];
+    const start = new Date(startDay * RECURRENCE_DAY_MS);
+
+    // Candidate days of the period `index` periods after the one holding `startDay`.
+    const periodDays = (index) => {
+      if (rule.freq === 'DAILY') return [startDay + index * rule.interval];
+      if (rule.freq === 'WEEKLY') {
+        const monday = startDay - ((start.getUTCDay() + 6) % 7) + index * rule.interval * 7;
+        const codes = rule.byDay.length > 0 ? rule.byDay : [RECURRENCE_WEEKDAYS[(start.getUTCDay() + 6) % 7]];
+        return codes.map((code) => monday + RECURRENCE_WEEKDAYS.indexOf(code));
+      }
+      const monthIndex = start.getUTCMonth() + index * rule.interval * (rule.freq === 'YEARLY' ? 12 : 1);
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = ((monthIndex % 12) + 12) % 12;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getUTCDate()];
+      return monthDays
+        .map((day) => (day === -1 ? daysInMonth : day))
+        .filter((day) => day <= daysInMonth)
+        .map((day) => Math.round(Date.UTC(year, month, day) / RECURRENCE_DAY_MS));
+    };
+
+    for (let index = 0; days.length < limit && index < 10000; index += 1) {
+      const candidates = periodDays(index).filter((day) => day > startDay);
+      if (candidates.some((day) => day > lastDay) && candidates.every((day) => day > lastDay)) break;
+      for (const day of candidates) {
+        if (day > lastDay || days.length >= limit) break;
+        days.push(day);
+      }
+    }
+    return days;
+  }
+
+  /**
+   * Occurrences materialized from a series so far: child tasks with `recurrence_date`.
+   *
+   * @param {object[]} tasks
+   * @param {number} seriesId
+   * @returns {number}
+   */
+  countCompletedOccurrences(tasks, seriesId) {
+    return this.flattenTasks(tasks)
+      .filter((task) => task.parent_task_id === seriesId && task.recurrence_date)
+      .length;
+  }
+
+  /**
+   * Flatten top-level tasks and recursive inline subtasks.
+   *
+   * @param {object[]} tasks
+   * @param {object[]} [collected=[]]
+   * @returns {object[]}
+   */
+  flattenTasks(tasks, collected = []) {
+    if (!Array.isArray(tasks)) return collected;
+    tasks.forEach((task) => {
+      if (!task || typeof task !== 'object') return;
+      collected.push(task);
+      this.flattenTasks(task.subtasks, collected);
+    });
+    return collected;
+  }
+
+  /**
+   * Virtual occurrences of one task, shifted copies of the task with `occurrence_of` and
+   * `occurrence_index`. Non-recurring or undated tasks give an empty list.
+   *
+   * @param {object} task
+   * @param {{ from?: string, to?: string, limit?: number, completed?: number }} [options]
+   *   `from`/`to` keep occurrences that overlap the window; `completed` occurrences already
+   *   materialized count against COUNT.
+   * @returns {object[]}
+   */
+  expandTask(task, options = {}) {
+    const rule = task ? this.normalizeRule(task.recurrence) : null;
+    const startDay = rule ? this.parseDay(task.start_date) : null;
+    if (!rule || startDay === null) return [];
+
+    const endDay = this.parseDay(task.end_date);
+    const span = endDay !== null && endDay >= startDay ? endDay - startDay : 0;
+    const dueDay = this.parseDay(task.due_date);
+    const fromDay = options.from ? this.parseDay(options.from) : null;
+    const toDay = options.to ? this.parseDay(options.to) : null;
+    const remaining = rule.count === null ? null : Math.max(0, rule.count - (Number(options.completed) || 0));
+    if (remaining === 0) return [];
+
+    return this.occurrenceDays({ ...rule, count: remaining }, startDay, { toDay, limit: options.limit })
+      .map((day, index) => ({ day, index }))
+      .filter(({ day }) => fromDay === null || day + span >= fromDay)
+      .map(({ day, index }) => ({
+        ...task,
+        start_date: this.formatDay(day),
+        end_date: this.formatDay(day + span),
+        ...(dueDay !== null ? { due_date: this.formatDay(day + (dueDay - startDay)) } : {}),
+        occurrence_of: task.task_id,
+        occurrence_index: index
+      }));
+  }
+
+  /**
+   * Start date of the occurrence after the task's current one, or `null` when the series ends.
+   *
+   * @param {object} task
+   * @param {number} [completed=0] - Occurrences already materialized, counted against COUNT.
+   * @returns {string|null}
+   */
+  nextOccurrenceDate(task, completed = 0) {
+    const [, next] = this.expandTask(task, { limit: 2, completed });
+    return next ? next.start_date : null;
+  }
+
+  /**
+   * Materialize the current occurrence of a completed recurring task.
+   *
+   * The finished occurrence becomes a child task (`parent_task_id` = series, `recurrence_date` =
+   * its start) and the series task moves to its next occurrence with its status reset. Logged time
+   * (`time_entries`, `actual_hours`) moves to the occurrence; the series' issue tag, `issue_sync`,
+   * `project_item_id` and `links` stay on the series so each issue, board item or pull request still
+   * matches one task. When the series has no next occurrence the task is left as it is and nothing
+   * is created.
+   *
+   * @param {object[]} tasks
+   * @param {number} taskId
+   * @param {{ resetStatus?: string, today?: string }} [options]
+   * @returns {{ tasks: object[], created: object|null, next: { task_id: number, start_date: string, end_date: string }|null }}
+   *   `tasks` is a changed clone when something was created, else the input.
+   */
+  completeOccurrence(tasks, taskId, options = {}) {
+    const series = this.flattenTasks(tasks).find((task) => task.task_id === taskId);
+    if (!series || !this.completedStatuses.has(series.status) || !this.normalizeRule(series.recurrence)) {
+      return { tasks, created: null, next: null };
+    }
+    const completed = this.countCompletedOccurrences(tasks, taskId);
+    const nextStart = this.nextOccurrenceDate(series, completed);
+    if (!nextStart) return { tasks, created: null, next: null };
+
+    const nextTasks = JSON.parse(JSON.stringify(tasks));
+    const target = this.flattenTasks(nextTasks).find((task) => task.task_id === taskId);
+    const maxId = this.flattenTasks(nextTasks).reduce((max, task) => (Number.isInteger(task.task_id) ? Math.max(max, task.task_id) : max), 0);
+    const {
+      recurrence: _recurrence, subtasks: _subtasks, dependencies: _dependencies,
+      links: _links, issue_sync: _issueSync, project_item_id: _projectItemId,
+      ...occurrence
+    } = target;
+    if (Array.isArray(occurrence.tags)) {
+      occurrence.tags = occurrence.tags.filter((tag) => !/^issue-#\d+$/.test(String(tag)));
+    }
+    const created = {
+      ...occurrence,
+      task_id: maxId + 1,
+      task_name: `${target.task_name} (${target.start_date})`,
+      parent_task_id: target.task_id,
+      recurrence_date: target.start_date,
+      progress_percentage: 100,
+      completed_date: target.completed_date || options.today || new Date().toISOString()
+    };
+    nextTasks.push(created);
+
+    const startDay = this.parseDay(target.start_date);
+    const shift = this.parseDay(nextStart) - startDay;
+    ['start_date', 'end_date', 'due_date'].forEach((field) => {
+      const day = this.parseDay(target[field]);
+      if (day !== null) target[field] = this.formatDay(day + shift);
+    });
+    target.status = options.resetStatus || 'Not Started';
+    target.progress_percentage = 0;
+    delete target.completed_date;
+    if (Array.isArray(target.time_entries)) target.time_entries = [];
+    if (target.actual_hours !== undefined) target.actual_hours = 0;
+
+    return {
+      tasks: nextTasks,
+      created,
+      next: { task_id: target.task_id, start_date: target.start_date, end_date: target.end_date }
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskRecurrence;
+}
@@ -0,0 +1,384 @@
+/**
+ * Dependency-aware scheduling for TaskDB tasks.
+ *
+ * Runs the critical path method over each task's `dependencies`
+ * (`{ predecessor_task_id, type, lag_days }` with FS/SS/FF/SF types):
+ * a forward pass for early start/finish, a backward pass for late
+ * start/finish, then total float and the critical path. Shared by the
+ * local server and the browser `TaskDatabase` so automatic rescheduling
+ * of successors gives the same dates on either side.
+ *
+ * Dates are calendar days (`YYYY-MM-DD`, inclusive end dates); there is no
+ * working-day calendar in TaskDB yet.
+ */
+
+/** Milliseconds in one scheduling day. */
+const SCHEDULER_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute schedules, critical paths and successor rescheduling from task dependencies.
+ */
+class TaskScheduler {
+  /**
+   * Create a scheduler.
+   *
+   * @param {{ hoursPerDay?: number, lockedStatuses?: string[] }} [options]
+   *   `hoursPerDay` converts `estimated_hours` into days for tasks without both dates.
+   *   Tasks in `lockedStatuses` have already started, so their dates are kept as-is.
+   */
+  constructor(options = {}) {
+    this.hoursPerDay = Number(options.hoursPerDay) > 0 ? Number(options.hoursPerDay) : 8;
+    this.lockedStatuses = new Set(options.lockedStatuses || ['In Progress', 'In Review', 'Pending Review', 'Completed', 'Done', 'Cancelled']);
+  }
+
+  /**
+   * Flatten top-level tasks and recursive inline subtasks.
+   *
+   * @param {object[]} tasks
+   * @param {object[]} [collected=[]]
+   * @returns {object[]}
+   */
+  flattenTasks(tasks, collected = []) {
+    if (!Array.isArray(tasks)) return collected;
+    tasks.forEach((task) => {
+      if (!task || typeof task !== 'object') return;
+      collected.push(task);
+      this.flattenTasks(task.subtasks, collected);
+    });
+    return collected;
+  }
+
+  /**
+   * Convert a `YYYY-MM-DD` date into a day number, or `null` when it is not a date.
+   *
+   * @param {unknown} value
+   * @returns {number|null}
+   */
+  parseDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+    if (!match) return null;
+    const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isFinite(time) ? Math.round(time / SCHEDULER_DAY_MS) : null;
+  }
+
+  /**
+   * Convert a day number back into `YYYY-MM-DD`.
+   *
+   * @param {number} day
+   * @returns {string}
+   */
+  formatDay(day) {
+    return new Date(day * SCHEDULER_DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Duration in days: the inclusive span between `start_date` and `end_date`, else
+   * `estimated_hours` divided by `hoursPerDay`, else one day.
+   *
+   * @param {object} task
+   * @returns {number}
+   */
+  getDurationDays(task) {
+    const start = this.parseDay(task.start_date);
+    const end = this.parseDay(task.end_date);
+    if (start !== null && end !== null && end >= start) return end - start + 1;
+    const hours = Number(task.estimated_hours);
+    if (Number.isFinite(hours) && hours > 0) return Math.ceil(hours / this.hoursPerDay);
+    return 1;
+  }
+
+  /**
+   * Normalize a task's dependencies to `{ predecessorId, type, lag }`.
+   * Bare numeric ids are treated as FS with no lag; unknown types fall back to FS.
+   *
+   * @param {object} task
+   * @returns {{ predecessorId: number, type: 'FS'|'SS'|'FF'|'SF', lag: number }[]}
+   */
+  getDependencies(task) {
+    if (!Array.isArray(task.dependencies)) return [];
+    return task.dependencies
+      .map((dep) => {
+        if (typeof dep === 'number') return { predecessorId: dep, type: 'FS', lag: 0 };
+        if (!dep || typeof dep !== 'object') return null;
+        const type = String(dep.type || 'FS').toUpperCase();
+        const lag = Number(dep.lag_days);
+        return {
+          predecessorId: Number(dep.predecessor_task_id),
+          type: ['FS', 'SS', 'FF', 'SF'].includes(type) ? type : 'FS',
+          lag: Number.isFinite(lag) ? Math.round(lag) : 0
+        };
+      })
+      .filter((dep) => dep && Number.isFinite(dep.predecessorId) && dep.predecessorId !== task.task_id);
+  }
+
+  /**
+   * Earliest start a dependency allows for its successor.
+   *
+   * @param {{ type: string, lag: number }} dep
+   * @param {{ es: number, ef: number }} predecessor
+   * @param {number} successorDuration
+   * @returns {number}
+   */
+  forwardBound(dep, predecessor, successorDuration) {
+    switch (dep.type) {
+      case 'SS': return predecessor.es + dep.lag;
+      case 'FF': return predecessor.ef + dep.lag - successorDuration;
+      case 'SF': return predecessor.es + dep.lag - successorDuration;
+      default: return predecessor.ef + dep.lag;
+    }
+  }
+
+  /**
+   * Latest finish a dependency allows for its predecessor.
+   *
+   * @param {{ type: string, lag: number }} dep
+   * @param {{ ls: number, lf: number }} successor
+   * @param {number} predecessorDuration
+   * @returns {number}
+   */
+  backwardBound(dep, successor, predecessorDuration) {
+    switch (dep.type) {
+      case 'SS': return successor.ls - dep.lag + predecessorDuration;
+      case 'FF': return successor.lf - dep.lag;
+      case 'SF': return successor.lf - dep.lag + predecessorDuration;
+      default: return successor.ls - dep.lag;
+    }
+  }
+
+  /**
+   * Forward/backward pass over the dependency network.
+   *
+   * Tasks with no predecessors start at `projectStart` (default: the earliest `start_date`).
+   * With `respectDates` (default) a task's own `start_date` also acts as "start no earlier than",
+   * so computed dates never pull work earlier than planned. Locked tasks keep their own dates.
+   * Tasks on a dependency cycle are left out and listed in `cycles`.
+   *
+   * @param {object[]} tasks - Top-level tasks; inline subtasks are included.
+   * @param {{ projectStart?: string, respectDates?: boolean }} [options]
+   * @returns {{
+   *   projectStart: string|null,
+   *   projectFinish: string|null,
+   *   tasks: { task_id: number, duration_days: number, early_start: string, early_finish: string,
+   *     late_start: string, late_finish: string, total_float: number, is_critical: boolean, locked: boolean }[],
+   *   criticalPath: number[],
+   *   cycles: number[]
+   * }}
+   */
+  schedule(tasks, options = {}) {
+    const respectDates = options.respectDates !== false;
+    const nodes = new Map();
+    this.flattenTasks(tasks).forEach((task) => {
+      if (!Number.isFinite(task.task_id) || nodes.has(task.task_id)) return;
+      nodes.set(task.task_id, {
+        task,
+        duration: this.getDurationDays(task),
+        start: this.parseDay(task.start_date),
+        end: this.parseDay(task.end_date),
+        locked: this.lockedStatuses.has(task.status),
+        deps: [],
+        successors: []
+      });
+    });
+    nodes.forEach((node, id) => {
+      node.deps = this.getDependencies(node.task).filter((dep) => nodes.has(dep.predecessorId));
+      node.deps.forEach((dep) => nodes.get(dep.predecessorId).successors.push({ ...dep, successorId: id }));
+    });
+
+    // Kahn's algorithm; whatever never reaches in-degree zero sits on (or behind) a cycle.
+    const inDegree = new Map(Array.from(nodes, ([id, node]) => [id, node.deps.length]));
+    const order = [];
+    const queue = Array.from(nodes.keys()).filter((id) => inDegree.get(id) === 0).sort((a, b) => a - b);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      nodes.get(id).successors.forEach(({ successorId }) => {
+        inDegree.set(successorId, inDegree.get(successorId) - 1);
+        if (inDegree.get(successorId) === 0) queue.push(successorId);
+      });
+    }
+    const scheduled = new Set(order);
+    const cycles = Array.from(nodes.keys()).filter((id) => !scheduled.has(id)).sort((a, b) => a - b);
+
+    const knownStarts = order.map((id) => nodes.get(id).start).filter((day) => day !== null);
+    const projectStart = this.parseDay(options.projectStart) ?? (knownStarts.length > 0 ? Math.min(...knownStarts) : null);
+    if (order.length === 0 || projectStart === null) {
+      return { projectStart: null, projectFinish: null, tasks: [], criticalPath: [], cycles };
+    }
+
+    order.forEach((id) => {
+      const node = nodes.get(id);
+      if (node.locked && node.start !== null) {
+        node.es = node.start;
+      } else {
+        node.es = respectDates && node.start !== null ? Math.max(projectStart, node.start) : projectStart;
+        node.deps.forEach((dep) => {
+          node.es = Math.max(node.es, this.forwardBound(dep, nodes.get(dep.predecessorId), node.duration));
+        });
+      }
+      node.ef = node.es + node.duration;
+    });
+
+    const finish = Math.max(...order.map((id) => nodes.get(id).ef));
+    order.slice().reverse().forEach((id) => {
+      const node = nodes.get(id);
+      node.lf = finish;
+      node.successors.forEach((dep) => {
+        const successor = nodes.get(dep.successorId);
+        if (scheduled.has(dep.successorId)) node.lf = Math.min(node.lf, this.backwardBound(dep, successor, node.duration));
+      });
+      node.ls = node.lf - node.duration;
+    });
+
+    const lastDay = (exclusiveEnd, start) => this.formatDay(Math.max(start, exclusiveEnd - 1));
+    const entries = order.map((id) => {
+      const node = nodes.get(id);
+      const totalFloat = node.ls - node.es;
+      return {
+        task_id: id,
+        duration_days: node.duration,
+        early_start: this.formatDay(node.es),
+        early_finish: lastDay(node.ef, node.es),
+        late_start: this.formatDay(node.ls),
+        late_finish: lastDay(node.lf, node.ls),
+        total_float: totalFloat,
+        is_critical: totalFloat <= 0,
+        locked: node.locked
+      };
+    });
+
+    const criticalPath = entries
+      .filter((entry) => entry.is_critical)
+      .sort((a, b) => nodes.get(a.task_id).es - nodes.get(b.task_id).es || a.task_id - b.task_id)
+      .map((entry) => entry.task_id);
+
+    return {
+      projectStart: this.formatDay(projectStart),
+      projectFinish: this.formatDay(finish - 1),
+      tasks: entries,
+      criticalPath,
+      cycles
+    };
+  }
+
+  /**
+   * Compute the critical path and compare it with the hand-set `is_critical_path` flags.
+   *
+   * Projects where no task has a `start_date` are scheduled from today, so a plan made
+   * only of dependencies and `estimated_hours` still gets a critical path.
+   *
+   * @param {object[]} tasks - Top-level tasks; inline subtasks are included.
+   * @param {{ projectStart?: string, respectDates?: boolean, today?: string }} [options]
+   * @returns {object} The `schedule()` result plus `flagged` (ids with `is_critical_path`),
+   *   `flaggedNotCritical` (flagged but with float) and `criticalNotFlagged` (critical but not flagged).
+   */
+  criticalPathReport(tasks, options = {}) {
+    let result = this.schedule(tasks, options);
+    if (result.projectStart === null && !options.projectStart) {
+      const today = options.today || new Date().toISOString().slice(0, 10);
+      result = this.schedule(tasks, { ...options, projectStart: today });
+    }
+
+    const scheduledIds = new Set(result.tasks.map((entry) => entry.task_id));
+    const critical = new Set(result.criticalPath);
+    const flagged = this.flattenTasks(tasks)
+      .filter((task) => Number.isFinite(task.task_id) && task.is_critical_path === true)
+      .map((task) => task.task_id)
+      .sort((a, b) => a - b);
+
+    return {
+      ...result,
+      flagged,
+      flaggedNotCritical: flagged.filter((id) => scheduledIds.has(id) && !critical.has(id)),
+      criticalNotFlagged: result.criticalPath.filter((id) => !flagged.includes(id)).sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Set every task's `is_critical_path` to the computed result.
+   * Tasks on a dependency cycle are left untouched.
+   *
+   * @param {object[]} tasks - Top-level tasks; not modified.
+   * @param {object} [options] - Passed to `criticalPathReport()`.
+   * @returns {{ tasks: object[], changes: { task_id: number, before: boolean, after: boolean }[], report: object }}
+   */
+  applyCriticalFlags(tasks, options = {}) {
+    const nextTasks = JSON.parse(JSON.stringify(Array.isArray(tasks) ? tasks : []));
+    const report = this.criticalPathReport(nextTasks, options);
+    const scheduledIds = new Set(report.tasks.map((entry) => entry.task_id));
+    const critical = new Set(report.criticalPath);
+    const changes = [];
+    this.flattenTasks(nextTasks).forEach((task) => {
+      if (!scheduledIds.has(task.task_id)) return;
+      const before = task.is_critical_path === true;
+      const after = critical.has(task.task_id);
+      if (before === after) return;
+      task.is_critical_path = after;
+      changes.push({ task_id: task.task_id, before, after });
+    });
+    return { tasks: nextTasks, changes, report };
+  }
+
+  /**
+   * Ids of every task that depends on `taskId`, directly or transitively.
+   *
+   * @param {object[]} tasks
+   * @param {number} taskId
+   * @returns {Set<number>}
+   */
+  getSuccessorIds(tasks, taskId) {
+    const successorsOf = new Map();
+    this.flattenTasks(tasks).forEach((task) => {
+      this.getDependencies(task).forEach((dep) => {
+        if (!successorsOf.has(dep.predecessorId)) successorsOf.set(dep.predecessorId, []);
+        successorsOf.get(dep.predecessorId).push(task.task_id);
+      });
+    });
+
+    const found = new Set();
+    const queue = [taskId];
+    while (queue.length > 0) {
+      (successorsOf.get(queue.shift()) || []).forEach((id) => {
+        if (found.has(id) || id === taskId) return;
+        found.add(id);
+        queue.push(id);
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Push the successors of `taskId` later when its dates no longer leave room for them.
+   * Successors only ever move later, keep their duration and keep `due_date`; locked
+   * (already started) tasks and tasks without a `start_date` never move.
+   *
+   * @param {object[]} tasks - Top-level tasks; not modified.
+   * @param {number} taskId - The task whose dates changed.
+   * @returns {{ tasks: object[], changes: { task_id: number, before: object, after: object }[] }}
+   */
+  rescheduleSuccessors(tasks, taskId) {
+    const nextTasks = JSON.parse(JSON.stringify(Array.isArray(tasks) ? tasks : []));
+    const successorIds = this.getSuccessorIds(nextTasks, taskId);
+    if (successorIds.size === 0) return { tasks: nextTasks, changes: [] };
+
+    const byId = new Map(this.flattenTasks(nextTasks).map((task) => [task.task_id, task]));
+    const changes = [];
+    this.schedule(nextTasks).tasks.forEach((entry) => {
+      const task = byId.get(entry.task_id);
+      if (!successorIds.has(entry.task_id) || entry.locked || !task) return;
+      const currentStart = this.parseDay(task.start_date);
+      if (currentStart === null || this.parseDay(entry.early_start) <= currentStart) return;
+
+      const before = { start_date: task.start_date, end_date: task.end_date };
+      task.start_date = entry.early_start;
+      task.end_date = entry.early_finish;
+      changes.push({ task_id: entry.task_id, before, after: { start_date: task.start_date, end_date: task.end_date } });
+    });
+
+    return { tasks: nextTasks, changes };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskScheduler;
+}
@@ -18,6 +18,19 @@ class TemplateValidator {
     this.config = config;
   }
 
+  /**
+   * Shared recurrence rules: the browser global, or the sibling module under Node.
+   *
+   * @returns {TaskRecurrence|null}
+   */
+  getRecurrenceEngine() {
+    if (typeof TaskRecurrence !== 'undefined') return new TaskRecurrence();
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+      return new (require('./task-recurrence.js'))();
+    }
+    return null;
+  }
+
   // Main validation method
   /**
    * Validate a project, task, or template payload by logical type.
@@ -212,6 +225,13 @@ class TemplateValidator {
           if (!m.name) errors.push(`Project milestone ${i + 1}: missing name`);
           if (m.due_date && !this.isValidDate(m.due_date)) errors.push(`Project milestone ${i + 1}: invalid due_date format`);
           if (m.status && msEnum && !msEnum.includes(m.status)) errors.push(`Project milestone ${i + 1}: invalid status "${m.status}"`);
+          if (m.linked_task_ids !== undefined && (!Array.isArray(m.linked_task_ids) || m.linked_task_ids.some(id => !Number.isInteger(id)))) {
+            errors.push(`Project milestone ${i + 1}: linked_task_ids must be an array of task ids`);
+          }
+          if (m.linked_task_names !== undefined && (!Array.isArray(m.linked_task_names) || m.linked_task_names.some(name => typeof name !== 'string'))) {
+            errors.push(`Project milestone ${i + 1}: linked_task_names must be an array of strings`);
+          }
+          if (m.auto_status !== undefined && typeof m.auto_status !== 'boolean') errors.push(`Project milestone ${i + 1}: auto_status must be a boolean`);
         });
       }
     }
@@ -232,10 +252,84 @@ class TemplateValidator {
           if (sp.end_date && !this.isValidDate(sp.end_date)) errors.push(`Project sprint ${i + 1}: invalid end_date`);
           if (sp.start_date && sp.end_date && sp.start_date > sp.end_date) errors.push(`Project sprint ${i + 1}: start_date after end_date`);
           if (sp.status && spEnum && !spEnum.includes(sp.status)) errors.push(`Project sprint ${i + 1}: invalid status "${sp.status}"`);
+          if (sp.capacity_hours !== undefined && sp.capacity_hours !== null && (typeof sp.capacity_hours !== 'number' || sp.capacity_hours < 0)) {
+            errors.push(`Project sprint ${i + 1}: capacity_hours must be a non-negative number`);
+          }
         });
       }
     }
 
+    // Validate velocity_history (written when a sprint is closed)
+    if (project.velocity_history !== undefined) {
+      if (!Array.isArray(project.velocity_history)) {
+        errors.push('Project velocity_history must be an array');
+      } else {
+        project.velocity_history.forEach((v, i) => {
+          if (!v || typeof v !== 'object') {
+            errors.push(`Project velocity_history ${i + 1}: must be an object`);
+            return;
+          }
+          if (!v.sprint) errors.push(`Project velocity_history ${i + 1}: missing sprint`);
+          if (v.closed_date && !this.isValidDate(v.closed_date)) errors.push(`Project velocity_history ${i + 1}: invalid closed_date`);
+          ['committed_hours', 'completed_hours', 'completed_tasks'].forEach((field) => {
+            if (v[field] !== undefined && (typeof v[field] !== 'number' || v[field] < 0)) {
+              errors.push(`Project velocity_history ${i + 1}: ${field} must be a non-negative number`);
+            }
+          });
+          if (v.rolled_over_task_ids !== undefined && !Array.isArray(v.rolled_over_task_ids)) {
+            errors.push(`Project velocity_history ${i + 1}: rolled_over_task_ids must be an array`);
+          }
+        });
+      }
+    }
+
+    // Validate kanban board settings
+    if (project.kanban !== undefined) {
+      const kanbanFields = ['status', 'priority', 'sprint', 'assignee', 'category'];
+      if (!project.kanban || typeof project.kanban !== 'object' || Array.isArray(project.kanban)) {
+        errors.push('Project kanban must be an object');
+      } else {
+        const { group_by: groupBy, swimlanes, wip_limits: wipLimits } = project.kanban;
+        if (groupBy !== undefined && !kanbanFields.includes(groupBy)) errors.push(`Project kanban group_by must be one of: ${kanbanFields.join(', ')}`);
+        if (swimlanes !== undefined && swimlanes !== null && !kanbanFields.includes(swimlanes)) errors.push(`Project kanban swimlanes must be one of: ${kanbanFields.join(', ')}`);
+        if (wipLimits !== undefined) {
+          if (!wipLimits || typeof wipLimits !== 'object' || Array.isArray(wipLimits)) {
+            errors.push('Project kanban wip_limits must be an object');
+          } else {
+            Object.keys(wipLimits).forEach((field) => {
+              const limits = wipLimits[field];
+              if (!kanbanFields.includes(field)) errors.push(`Project kanban wip_limits: unknown field "${field}"`);
+              else if (!limits || typeof limits !== 'object' || Array.isArray(limits)) errors.push(`Project kanban wip_limits.${field} must be an object`);
+              else {
+                Object.keys(limits).forEach((column) => {
+                  if (!Number.isInteger(limits[column]) || limits[column] < 1) {
+                    errors.push(`Project kanban wip_limits.${field}["${column}"] must be a positive integer`);
+                  }
+                });
+              }
+            });
+          }
+        }
+      }
+    }
+
+    // Validate the GitHub Projects board link (task-engine/js/task-github-projects.js)
+    if (project.github_project !== undefined && project.github_project !== null) {
+      const board = project.github_project;
+      if (typeof board !== 'object' || Array.isArray(board)) {
+        errors.push('Project github_project must be an object');
+      } else {
+        if (!board.owner || typeof board.owner !== 'string') errors.push('Project github_project: missing owner');
+        if (!Number.isInteger(board.number) || board.number < 1) errors.push('Project github_project: number must be a positive integer');
+        if (board.views !== undefined) {
+          if (!Array.isArray(board.views)) errors.push('Project github_project: views must be an array');
+          else board.views.forEach((view, i) => {
+            if (!view || typeof view !== 'object' || !view.name) errors.push(`Project github_project view ${i + 1}: missing name`);
+          });
+        }
+      }
+    }
+
     // Validate risks
     if (project.risks !== undefined) {
       if (!Array.isArray(project.risks)) {
@@ -244,6 +338,7 @@ class TemplateValidator {
         const rpEnum = this.config.ENUMS && this.config.ENUMS.RISK_PROBABILITY;
         const riEnum = this.config.ENUMS && this.config.ENUMS.RISK_IMPACT;
         const rsEnum = this.config.ENUMS && this.config.ENUMS.RISK_STATUS;
+        const rscEnum = this.config.ENUMS && this.config.ENUMS.RISK_SCORE;
         project.risks.forEach((r, i) => {
           if (!r || typeof r !== 'object') {
             errors.push(`Project risk ${i + 1}: must be an object`);
@@ -253,6 +348,7 @@ class TemplateValidator {
           if (r.probability && rpEnum && !rpEnum.includes(r.probability)) errors.push(`Project risk ${i + 1}: invalid probability "${r.probability}"`);
           if (r.impact && riEnum && !riEnum.includes(r.impact)) errors.push(`Project risk ${i + 1}: invalid impact "${r.impact}"`);
           if (r.status && rsEnum && !rsEnum.includes(r.status)) errors.push(`Project risk ${i + 1}: invalid status "${r.status}"`);
+          if (r.score && rscEnum && !rscEnum.includes(r.score)) errors.push(`Project risk ${i + 1}: invalid score "${r.score}"`);
         });
       }
     }
@@ -377,6 +473,10 @@ class TemplateValidator {
           errors.push(`Task assigned_worker ${index + 1}: invalid worker_id format`);
         }
 
+        if (worker.github_login !== undefined && (typeof worker.github_login !== 'string' || !worker.github_login.trim())) {
+          errors.push(`Task assigned_worker ${index + 1}: github_login must be a non-empty string`);
+        }
+
         // Role is strongly recommended for clarity
         if (!worker.role || !String(worker.role).trim()) {
           warnings.push(`Task assigned_worker ${index + 1}: missing role (recommended)`);
@@ -396,9 +496,62 @@ class TemplateValidator {
         if (dep.lag_days !== undefined && typeof dep.lag_days !== 'number') {
           errors.push(`Task dependency ${index + 1}: lag_days must be a number`);
         }
+        if (dep.module_path !== undefined && typeof dep.module_path !== 'string') {
+          errors.push(`Task dependency ${index + 1}: module_path must be a string`);
+        }
       });
     }
 
+    // Validate logged time (task-engine/js/task-time-tracking.js)
+    if (task.time_entries !== undefined) {
+      if (!Array.isArray(task.time_entries)) {
+        errors.push('Task time_entries must be an array');
+      } else {
+        task.time_entries.forEach((entry, index) => {
+          if (!entry || typeof entry !== 'object') {
+            errors.push(`Task time_entry ${index + 1}: must be an object`);
+            return;
+          }
+          const start = Date.parse(entry.start);
+          const end = Date.parse(entry.end);
+          if (entry.start !== undefined && !Number.isFinite(start)) errors.push(`Task time_entry ${index + 1}: invalid start "${entry.start}"`);
+          if (entry.end !== undefined && !Number.isFinite(end)) errors.push(`Task time_entry ${index + 1}: invalid end "${entry.end}"`);
+          if (Number.isFinite(start) && Number.isFinite(end) && end <= start) errors.push(`Task time_entry ${index + 1}: end must be after start`);
+          if (entry.hours !== undefined && (typeof entry.hours !== 'number' || entry.hours < 0)) errors.push(`Task time_entry ${index + 1}: hours must be a non-negative number`);
+          if (entry.start === undefined && entry.hours === undefined) errors.push(`Task time_entry ${index + 1}: needs start/end or hours`);
+          if (entry.worker !== undefined && typeof entry.worker !== 'string') errors.push(`Task time_entry ${index + 1}: worker must be a string`);
+        });
+      }
+    }
+
+    // Validate the GitHub Issues sync snapshot (task-engine/js/task-issue-sync.js)
+    if (task.issue_sync !== undefined && task.issue_sync !== null) {
+      const sync = task.issue_sync;
+      if (typeof sync !== 'object' || Array.isArray(sync)) {
+        errors.push('Task issue_sync must be an object');
+      } else {
+        if (!Number.isInteger(sync.number) || sync.number < 1) errors.push('Task issue_sync: number must be a positive integer');
+        if (sync.synced_at !== undefined && !Number.isFinite(Date.parse(sync.synced_at))) errors.push(`Task issue_sync: invalid synced_at "${sync.synced_at}"`);
+        if (sync.base !== undefined && (!sync.base || typeof sync.base !== 'object' || Array.isArray(sync.base))) errors.push('Task issue_sync: base must be an object');
+      }
+    }
+
+    // Validate the GitHub Projects item id (task-engine/js/task-github-projects.js)
+    if (task.project_item_id !== undefined && task.project_item_id !== null && (typeof task.project_item_id !== 'string' || !task.project_item_id.trim())) {
+      errors.push('Task project_item_id must be a non-empty string');
+    }
+
+    // Validate recurrence rule (task-engine/js/task-recurrence.js)
+    if (task.recurrence !== undefined && task.recurrence !== null && task.recurrence !== '') {
+      const recurrence = this.getRecurrenceEngine();
+      if (recurrence) {
+        recurrence.validate(task.recurrence).forEach(message => errors.push(`Task ${message}`));
+        if (recurrence.normalizeRule(task.recurrence) && !task.start_date) {
+          errors.push('Task recurrence requires a start_date (the first occurrence)');
+        }
+      }
+    }
+
     // Validate due_date (v3)
     if (task.due_date !== undefined && task.due_date !== null) {
       if (!this.isValidDate(task.due_date)) {
@@ -498,6 +651,14 @@ class TemplateValidator {
           if (!link.label) {
             warnings.push(`Task link ${i + 1}: missing label (recommended)`);
           }
+          // Commit and pull request links (task-engine/js/task-code-links.js)
+          if (link.type === 'commit' && !/^[0-9a-f]{7,40}$/i.test(String(link.sha || ''))) {
+            errors.push(`Task link ${i + 1}: invalid sha "${link.sha}"`);
+          }
+          if (link.type === 'pull_request') {
+            if (!Number.isInteger(link.number) || link.number < 1) errors.push(`Task link ${i + 1}: number must be a positive integer`);
+            if (link.state !== undefined && !['draft', 'open', 'closed', 'merged'].includes(link.state)) errors.push(`Task link ${i + 1}: invalid state "${link.state}"`);
+          }
         });
       }
     }
@@ -621,6 +782,14 @@ class TemplateValidator {
       if (worker.hourly_rate !== undefined && (typeof worker.hourly_rate !== 'number' || worker.hourly_rate < 0)) {
         errors.push(`Worker ${index + 1}: hourly_rate must be a non-negative number`);
       }
+
+      if (worker.weekly_capacity_hours !== undefined && (typeof worker.weekly_capacity_hours !== 'number' || worker.weekly_capacity_hours < 0)) {
+        errors.push(`Worker ${index + 1}: weekly_capacity_hours must be a non-negative number`);
+      }
+
+      if (worker.github_login !== undefined && (typeof worker.github_login !== 'string' || !worker.github_login.trim())) {
+        errors.push(`Worker ${index + 1}: github_login must be a non-empty string`);
+      }
     });
 
     return { errors, warnings };
@@ -684,6 +853,82 @@ class TemplateValidator {
   normalizeStatus(status) {
     return this.config.STATUS_NORMALIZATION[status.toLowerCase()] || null;
   }
+
+  /**
+   * Attach a field path to each validation message so API clients can point at the offending input.
+   *
+   * Paths use dots and zero-based brackets, e.g. `tasks[2].assigned_workers[0]` or `body.status`.
+   * Messages that are not tied to one field keep `basePath` as their path.
+   *
+   * @param {string[]} messages - Errors or warnings returned by the validate* methods.
+   * @param {string} [basePath=''] - Path of the validated object within the request.
+   * @returns {{path: string, message: string}[]}
+   */
+  toFieldErrors(messages, basePath = '') {
+    const join = (base, field) => (base ? `${base}.${field}` : field);
+    const collections = {
+      assigned_worker: 'assigned_workers',
+      dependency: 'dependencies',
+      subtask: 'subtasks',
+      link: 'links',
+      stakeholder: 'stakeholders',
+      milestone: 'milestones',
+      sprint: 'sprints',
+      velocity_history: 'velocity_history',
+      risk: 'risks',
+      change_log: 'change_log',
+      time_entry: 'time_entries',
+      Category: 'categories',
+      Worker: 'workers'
+    };
+    const fieldAliases = { category: 'category_name' };
+    const plainFields = new Set(['email', 'name', 'type', 'status', 'url', 'date', 'probability', 'impact', 'start', 'end', 'hours', 'worker', 'sha', 'number', 'state']);
+    const topLevel = {
+      'Missing project object': 'project',
+      'Missing or invalid tasks array': 'tasks',
+      'Categories must be an array': 'categories',
+      'Workers must be an array': 'workers'
+    };
+
+    // Field named at the start of an item message such as "invalid email format" or "lag_days must be a number".
+    const itemField = (rest) => {
+      const match = rest.match(/^(?:invalid|missing|duplicate) (\w+)/i) || rest.match(/^(\w+) (?:must|")/);
+      if (!match) return '';
+      const word = match[1];
+      return word.includes('_') || plainFields.has(word) ? word : '';
+    };
+
+    const locate = (message, base) => {
+      let match = message.match(/^Task (\d+): (.*)$/);
+      if (match) return locate(match[2], join(base, `tasks[${Number(match[1]) - 1}]`));
+
+      match = message.match(/^(?:(?:Task|Project) )?(assigned_worker|dependency|subtask|link|stakeholder|milestone|sprint|velocity_history|risk|change_log|time_entry|Category|Worker) (\d+): (.*)$/);
+      if (match) {
+        const itemPath = join(base, `${collections[match[1]]}[${Number(match[2]) - 1}]`);
+        const field = itemField(match[3]);
+        return field ? join(itemPath, field) : itemPath;
+      }
+
+      if (topLevel[message]) return join(base, topLevel[message]);
+      if (/^Task "[^"]*": dependency/.test(message)) return join(base, 'tasks');
+
+      match = message.match(/^Task acceptance_criteria\[(\d+)\]/);
+      if (match) return join(base, `acceptance_criteria[${match[1]}]`);
+
+      match = message.match(/^Missing required (?:task |project )?field: (\w+)/)
+        || message.match(/^Invalid (?:task |project )?(\w+)/)
+        || message.match(/^Duplicate (\w+)/)
+        || message.match(/^(?:Task|Project) (\w+)/);
+      if (match) return join(base, fieldAliases[match[1]] || match[1]);
+
+      return base;
+    };
+
+    return (Array.isArray(messages) ? messages : []).map((message) => ({
+      path: locate(String(message), basePath),
+      message: String(message)
+    }));
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,308 @@
+/**
+ * Sprint planning over `project.sprints` and `task.sprint_name`.
+ *
+ * Builds the planning board (backlog plus one column per sprint), works out sprint
+ * capacity from the assigned workers' `weekly_capacity_hours`, and starts and closes
+ * sprints. Closing a sprint rolls its unfinished tasks into the next planned sprint
+ * (or back to the backlog) and appends a velocity record to
+ * `project.velocity_history`, so the history travels with the project file.
+ *
+ * Pure functions over plain payloads: callers apply the returned project and
+ * `sprint_name` changes through their usual task update and save paths.
+ */
+
+/** Milliseconds in one planning day. */
+const SPRINT_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Plan sprints, capacity and velocity for a TaskDB project.
+ */
+class TaskSprintPlanner {
+  /**
+   * Create a sprint planner.
+   *
+   * @param {{ doneStatuses?: string[], closedStatuses?: string[], defaultLengthDays?: number, velocityWindow?: number }} [options]
+   *   Tasks in `doneStatuses` count as completed work; tasks in `closedStatuses` are not rolled over.
+   *   `velocityWindow` is how many recent sprints the average velocity uses.
+   */
+  constructor(options = {}) {
+    this.doneStatuses = new Set(options.doneStatuses || ['Done', 'Completed']);
+    this.closedStatuses = new Set(options.closedStatuses || ['Done', 'Completed', 'Cancelled']);
+    this.defaultLengthDays = Number(options.defaultLengthDays) > 0 ? Number(options.defaultLengthDays) : 14;
+    this.velocityWindow = Number(options.velocityWindow) > 0 ? Number(options.velocityWindow) : 3;
+  }
+
+  /**
+   * Sprints of a project that have a name, in file order.
+   *
+   * @param {object} project
+   * @returns {object[]}
+   */
+  getSprints(project) {
+    const sprints = project && Array.isArray(project.sprints) ? project.sprints : [];
+    return sprints.filter((sprint) => sprint && typeof sprint === 'object' && String(sprint.name || '').trim());
+  }
+
+  /**
+   * Planning hours of a task (`estimated_hours`, else 0).
+   *
+   * @param {object} task
+   * @returns {number}
+   */
+  taskHours(task) {
+    const hours = Number(task && task.estimated_hours);
+    return Number.isFinite(hours) && hours > 0 ? hours : 0;
+  }
+
+  /**
+   * Stable lookup key of a worker or assigned_workers entry (worker_id, else email, else name).
+   *
+   * @param {object|string} worker
+   * @returns {string}
+   */
+  workerKey(worker) {
+    if (!worker) return '';
+    if (typeof worker === 'string') return worker.trim().toLowerCase();
+    return String(worker.worker_id || worker.email || worker.name || '').trim().toLowerCase();
+  }
+
+  /**
+   * Sprint length in days (inclusive dates), else the default length.
+   *
+   * @param {object} sprint
+   * @returns {number}
+   */
+  sprintLengthDays(sprint) {
+    const start = Date.parse(`${sprint.start_date}T00:00:00Z`);
+    const end = Date.parse(`${sprint.end_date}T00:00:00Z`);
+    if (Number.isFinite(start) && Number.isFinite(end) && end >= start) return Math.round((end - start) / SPRINT_DAY_MS) + 1;
+    return this.defaultLengthDays;
+  }
+
+  /**
+   * Build the planning board.
+   *
+   * Capacity is `sprint.capacity_hours` when set, else the `weekly_capacity_hours` of every project
+   * worker assigned to a task in the sprint, scaled to the sprint length. Each task's hours are
+   * split evenly across its assigned workers for the per-worker load.
+   *
+   * @param {object} project
+   * @param {object[]} tasks - Top-level tasks; inline subtasks are planned with their parent.
+   * @param {object[]} [workers=[]] - Project workers.
+   * @returns {{
+   *   backlog: object[],
+   *   sprints: { name: string, status: string, start_date: string, end_date: string, goal: string, tasks: object[],
+   *     committedHours: number, completedHours: number, capacityHours: number, overCapacity: boolean,
+   *     workers: { key: string, name: string, assignedHours: number, capacityHours: number }[] }[],
+   *   unknownSprints: string[]
+   * }}
+   */
+  buildBoard(project, tasks, workers = []) {
+    const sprints = this.getSprints(project);
+    const byName = new Map(sprints.map((sprint) => [String(sprint.name).trim(), []]));
+    const backlog = [];
+    const unknownSprints = new Set();
+
+    (Array.isArray(tasks) ? tasks : []).forEach((task) => {
+      if (!task || typeof task !== 'object') return;
+      const sprintName = String(task.sprint_name || '').trim();
+      if (sprintName && byName.has(sprintName)) {
+        byName.get(sprintName).push(task);
+        return;
+      }
+      if (sprintName) unknownSprints.add(sprintName);
+      if (!this.closedStatuses.has(task.status)) backlog.push(task);
+    });
+
+    const projectWorkers = new Map((Array.isArray(workers) ? workers : [])
+      .map((worker) => [this.workerKey(worker), worker])
+      .filter(([key]) => key));
+
+    return {
+      backlog,
+      sprints: sprints.map((sprint) => {
+        const sprintTasks = byName.get(String(sprint.name).trim());
+        const weeks = this.sprintLengthDays(sprint) / 7;
+        const load = new Map();
+        sprintTasks.forEach((task) => {
+          const assigned = (Array.isArray(task.assigned_workers) ? task.assigned_workers : [])
+            .map((worker) => ({ key: this.workerKey(worker), worker }))
+            .filter((entry) => entry.key);
+          assigned.forEach(({ key, worker }) => {
+            const known = projectWorkers.get(key);
+            const entry = load.get(key) || {
+              key,
+              name: String((known && known.name) || (typeof worker === 'string' ? worker : worker.name || worker.email || worker.worker_id) || key),
+              assignedHours: 0,
+              capacityHours: known && Number(known.weekly_capacity_hours) > 0 ? Math.round(Number(known.weekly_capacity_hours) * weeks * 10) / 10 : 0
+            };
+            entry.assignedHours += this.taskHours(task) / assigned.length;
+            load.set(key, entry);
+          });
+        });
+
+        const sprintWorkers = Array.from(load.values()).map((entry) => ({ ...entry, assignedHours: Math.round(entry.assignedHours * 10) / 10 }));
+        const committedHours = sprintTasks.reduce((sum, task) => sum + this.taskHours(task), 0);
+        const completedHours = sprintTasks.filter((task) => this.doneStatuses.has(task.status)).reduce((sum, task) => sum + this.taskHours(task), 0);
+        const capacityHours = Number(sprint.capacity_hours) >= 0 && sprint.capacity_hours !== undefined && sprint.capacity_hours !== null
+          ? Number(sprint.capacity_hours)
+          : sprintWorkers.reduce((sum, entry) => sum + entry.capacityHours, 0);
+
+        return {
+          name: String(sprint.name).trim(),
+          status: sprint.status || 'Not Started',
+          start_date: sprint.start_date || '',
+          end_date: sprint.end_date || '',
+          goal: sprint.goal || '',
+          tasks: sprintTasks,
+          committedHours,
+          completedHours,
+          capacityHours,
+          overCapacity: capacityHours > 0 && committedHours > capacityHours,
+          workers: sprintWorkers
+        };
+      }),
+      unknownSprints: Array.from(unknownSprints)
+    };
+  }
+
+  /**
+   * Append a sprint that starts the day after the last dated sprint and lasts as long.
+   *
+   * @param {object} project
+   * @param {{ name?: string, start_date?: string, end_date?: string, goal?: string, today?: string }} [options]
+   * @returns {{ project: object, sprint: object }} A changed copy of the project.
+   */
+  addSprint(project, options = {}) {
+    const sprints = this.getSprints(project);
+    const last = sprints.slice().reverse().find((sprint) => sprint.end_date);
+    const length = last ? this.sprintLengthDays(last) : this.defaultLengthDays;
+    const startTime = options.start_date
+      ? Date.parse(`${options.start_date}T00:00:00Z`)
+      : (last ? Date.parse(`${last.end_date}T00:00:00Z`) + SPRINT_DAY_MS : Date.parse(`${options.today || new Date().toISOString().slice(0, 10)}T00:00:00Z`));
+    const format = (time) => new Date(time).toISOString().slice(0, 10);
+
+    const existing = new Set(sprints.map((sprint) => String(sprint.name).trim()));
+    let number = sprints.length + 1;
+    while (existing.has(`Sprint ${number}`)) number += 1;
+    const name = String(options.name || `Sprint ${number}`).trim();
+    if (existing.has(name)) throw new Error(`Sprint "${name}" already exists`);
+
+    const sprint = {
+      name,
+      start_date: format(startTime),
+      end_date: options.end_date || format(startTime + (length - 1) * SPRINT_DAY_MS),
+      goal: options.goal || '',
+      status: 'Not Started'
+    };
+    return { project: { ...project, sprints: [...(Array.isArray(project && project.sprints) ? project.sprints : []), sprint] }, sprint };
+  }
+
+  /**
+   * Mark a planned sprint Active. Only one sprint can be active at a time.
+   *
+   * @param {object} project
+   * @param {string} sprintName
+   * @param {{ today?: string }} [options] - `today` fills a missing `start_date`.
+   * @returns {{ project: object, sprint: object }} A changed copy of the project.
+   */
+  startSprint(project, sprintName, options = {}) {
+    const sprints = Array.isArray(project && project.sprints) ? project.sprints : [];
+    const index = sprints.findIndex((sprint) => sprint && String(sprint.name).trim() === String(sprintName).trim());
+    if (index === -1) throw new Error(`Sprint "${sprintName}" not found`);
+    if (sprints[index].status === 'Completed') throw new Error(`Sprint "${sprintName}" is already closed`);
+    const active = sprints.find((sprint, i) => i !== index && sprint && sprint.status === 'Active');
+    if (active) throw new Error(`Close "${active.name}" before starting "${sprintName}"`);
+
+    const sprint = { ...sprints[index], status: 'Active' };
+    if (!sprint.start_date) sprint.start_date = options.today || new Date().toISOString().slice(0, 10);
+    const nextSprints = sprints.slice();
+    nextSprints[index] = sprint;
+    return { project: { ...project, sprints: nextSprints }, sprint };
+  }
+
+  /**
+   * Close a sprint: mark it Completed, roll unfinished tasks forward and record its velocity.
+   *
+   * Unfinished tasks move to `rollTo`, else the first later sprint that is not closed, else the
+   * backlog (`sprint_name: null`).
+   *
+   * @param {object} project
+   * @param {object[]} tasks
+   * @param {string} sprintName
+   * @param {{ rollTo?: string|null, today?: string }} [options]
+   * @returns {{
+   *   project: object,
+   *   changes: { task_id: number, before: { sprint_name: string }, after: { sprint_name: string|null } }[],
+   *   record: { sprint: string, start_date: string, end_date: string, closed_date: string, committed_hours: number,
+   *     completed_hours: number, completed_tasks: number, rolled_over_task_ids: number[], rolled_to: string|null }
+   * }}
+   */
+  closeSprint(project, tasks, sprintName, options = {}) {
+    const sprints = Array.isArray(project && project.sprints) ? project.sprints : [];
+    const name = String(sprintName).trim();
+    const index = sprints.findIndex((sprint) => sprint && String(sprint.name).trim() === name);
+    if (index === -1) throw new Error(`Sprint "${sprintName}" not found`);
+    if (sprints[index].status === 'Completed') throw new Error(`Sprint "${sprintName}" is already closed`);
+
+    let rollTo = options.rollTo === undefined ? undefined : options.rollTo;
+    if (rollTo !== undefined && rollTo !== null) {
+      const target = sprints.find((sprint) => sprint && String(sprint.name).trim() === String(rollTo).trim());
+      if (!target || target.status === 'Completed' || String(target.name).trim() === name) throw new Error(`Cannot roll tasks into "${rollTo}"`);
+      rollTo = String(target.name).trim();
+    }
+    if (rollTo === undefined) {
+      const next = sprints.slice(index + 1).find((sprint) => sprint && sprint.name && sprint.status !== 'Completed');
+      rollTo = next ? String(next.name).trim() : null;
+    }
+
+    const sprintTasks = (Array.isArray(tasks) ? tasks : []).filter((task) => task && String(task.sprint_name || '').trim() === name);
+    const done = sprintTasks.filter((task) => this.doneStatuses.has(task.status));
+    const unfinished = sprintTasks.filter((task) => !this.closedStatuses.has(task.status));
+    const today = options.today || new Date().toISOString().slice(0, 10);
+
+    const record = {
+      sprint: name,
+      start_date: sprints[index].start_date || '',
+      end_date: sprints[index].end_date || '',
+      closed_date: today,
+      committed_hours: sprintTasks.reduce((sum, task) => sum + this.taskHours(task), 0),
+      completed_hours: done.reduce((sum, task) => sum + this.taskHours(task), 0),
+      completed_tasks: done.length,
+      rolled_over_task_ids: unfinished.map((task) => task.task_id),
+      rolled_to: unfinished.length > 0 ? rollTo : null
+    };
+
+    const nextSprints = sprints.slice();
+    nextSprints[index] = { ...sprints[index], status: 'Completed' };
+    const history = Array.isArray(project.velocity_history) ? project.velocity_history : [];
+
+    return {
+      project: { ...project, sprints: nextSprints, velocity_history: [...history, record] },
+      changes: unfinished.map((task) => ({ task_id: task.task_id, before: { sprint_name: name }, after: { sprint_name: rollTo } })),
+      record
+    };
+  }
+
+  /**
+   * Velocity history with the average completed hours over the most recent sprints.
+   *
+   * @param {object} project
+   * @returns {{ history: object[], averageCompletedHours: number|null }}
+   */
+  velocitySummary(project) {
+    const history = Array.isArray(project && project.velocity_history)
+      ? project.velocity_history.filter((record) => record && typeof record === 'object')
+      : [];
+    const recent = history.slice(-this.velocityWindow);
+    const averageCompletedHours = recent.length > 0
+      ? Math.round((recent.reduce((sum, record) => sum + (Number(record.completed_hours) || 0), 0) / recent.length) * 10) / 10
+      : null;
+    return { history, averageCompletedHours };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskSprintPlanner;
+}
@@ -0,0 +1,337 @@
+/**
+ * Pluggable storage backends for TaskDatabase.
+ *
+ * Each adapter reads and/or writes one project's node.tasks.json payload:
+ *
+ *   {
+ *     name: 'webdav',
+ *     label: 'WebDAV server',
+ *     canLoad(ctx) / load(ctx)  → Promise<{ payload, sourceKind?, localSourceMeta?, etag? } | null>
+ *     canSave(ctx) / save(ctx)  → Promise<{ success, source, committed?, error? }>
+ *   }
+ *
+ * `ctx` is built by `TaskDatabase.storageContext()` (database, project id and config, tasks file,
+ * host flags, worker URL, message/options on save). A `load` that returns null passes on to the
+ * next adapter. Projects choose their adapters with `storage` in public/config/projects-config.js;
+ * without it the default orders below reproduce the historical cascade.
+ */
+
+/** Adapters available to every TaskDatabase, by name. */
+const STORAGE_ADAPTER_REGISTRY = new Map();
+
+/** Read order when a project does not configure `storage` (browser cache placement depends on the host). */
+const DEFAULT_STORAGE_LOAD_ORDER = {
+  localhost: ['folder', 'local-server', 'browser-cache', 'same-origin', 'github'],
+  pages: ['folder', 'local-server', 'same-origin', 'browser-cache', 'github'],
+  other: ['folder', 'local-server', 'same-origin', 'github']
+};
+
+/** Write order when a project does not configure `storage`; the first adapter that can save wins. */
+const DEFAULT_STORAGE_SAVE_ORDER = ['worker', 'github', 'local-server', 'browser-cache'];
+
+/**
+ * Registry of storage adapters plus the per-project load/save order.
+ */
+class TaskStorageAdapters {
+  /**
+   * @param {object[]} [adapters] - Adapters for this instance; defaults to every registered adapter.
+   */
+  constructor(adapters = Array.from(STORAGE_ADAPTER_REGISTRY.values())) {
+    this.adapters = new Map();
+    adapters.forEach(adapter => this.register(adapter));
+  }
+
+  /**
+   * Register an adapter for every TaskDatabase created afterwards (e.g. from a gitlab-storage.js script).
+   *
+   * @param {object} adapter
+   * @returns {object} The adapter.
+   */
+  static register(adapter) {
+    TaskStorageAdapters.assertAdapter(adapter);
+    STORAGE_ADAPTER_REGISTRY.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  /** Throw when an object does not implement the adapter interface. */
+  static assertAdapter(adapter) {
+    if (!adapter || typeof adapter.name !== 'string' || !adapter.name.trim()) {
+      throw new Error('Storage adapter needs a name');
+    }
+    if (typeof adapter.load !== 'function' && typeof adapter.save !== 'function') {
+      throw new Error(`Storage adapter "${adapter.name}" must implement load() or save()`);
+    }
+  }
+
+  /**
+   * Register (or replace) an adapter on this instance only.
+   *
+   * @param {object} adapter
+   * @returns {TaskStorageAdapters}
+   */
+  register(adapter) {
+    TaskStorageAdapters.assertAdapter(adapter);
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  /** Adapter by name, or null. */
+  get(name) {
+    return this.adapters.get(String(name || '')) || null;
+  }
+
+  /** Registered adapter names. */
+  names() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Adapter names a project configured in `storage` (a name or a list of names), or null.
+   * Unknown names are dropped with a warning so a typo does not silently lose writes.
+   */
+  configuredNames(project) {
+    const raw = project && project.storage;
+    if (!raw) return null;
+    const list = (Array.isArray(raw) ? raw : [raw]).map(name => String(name || '').trim()).filter(Boolean);
+    const known = list.filter(name => {
+      if (this.adapters.has(name)) return true;
+      console.warn(`[TaskStorageAdapters] Unknown storage adapter "${name}" for project ${project.id || ''}`);
+      return false;
+    });
+    return known.length ? known : null;
+  }
+
+  /**
+   * Adapters to read from, in order: the project's configured adapters, then the default order
+   * (so a project switched to a new backend still finds its repository copy on first load).
+   */
+  loadOrder(ctx) {
+    const hostKey = ctx.isLocalHost ? 'localhost' : (ctx.isGitHubPagesHost ? 'pages' : 'other');
+    const names = [...(this.configuredNames(ctx.project) || []), ...DEFAULT_STORAGE_LOAD_ORDER[hostKey]];
+    return Array.from(new Set(names))
+      .map(name => this.get(name))
+      .filter(adapter => adapter && typeof adapter.load === 'function' && (!adapter.canLoad || adapter.canLoad(ctx)));
+  }
+
+  /** The adapter a save goes to: the first configured (or default) adapter that can save here. */
+  saveAdapter(ctx) {
+    const names = this.configuredNames(ctx.project) || DEFAULT_STORAGE_SAVE_ORDER;
+    const adapter = names
+      .map(name => this.get(name))
+      .find(candidate => candidate && typeof candidate.save === 'function' && (!candidate.canSave || candidate.canSave(ctx)));
+    return adapter || this.get('browser-cache');
+  }
+
+  /**
+   * Read the project from the first adapter that has it.
+   *
+   * @param {object} ctx
+   * @returns {Promise<{adapter: string, payload: object|Array, sourceKind?: string, localSourceMeta?: object, etag?: string}|null>}
+   */
+  async load(ctx) {
+    for (const adapter of this.loadOrder(ctx)) {
+      try {
+        const result = await adapter.load(ctx);
+        if (result && result.payload) return { adapter: adapter.name, ...result };
+      } catch (error) {
+        console.warn(`[TaskStorageAdapters] ${adapter.name} load failed:`, error && error.message ? error.message : error);
+      }
+    }
+    return null;
+  }
+
+  /** A fresh registry holding every registered adapter. */
+  static createDefault() {
+    return new TaskStorageAdapters();
+  }
+}
+
+/** Read a cached `{ json }` record from localStorage for the active project. */
+function readBrowserCache(ctx) {
+  const storage = typeof window !== 'undefined' && window.localStorage;
+  if (!storage) return null;
+  const stored = storage.getItem(ctx.storageKey);
+  if (!stored) return null;
+  const storageData = JSON.parse(stored);
+  if (!storageData || !storageData.json || !storageData.json.tasks) return null;
+  console.log('Loaded', storageData.json.tasks.length, 'tasks from localStorage (project:', ctx.projectId, ', last saved:', storageData.lastSaved, ')');
+  return { payload: storageData.json };
+}
+
+/** Owner/repo/branch for raw and API reads: the injected GitHub client first, then project config. */
+function resolveReadRepo(ctx) {
+  const apiConfig = (ctx.db && ctx.db.githubApi && ctx.db.githubApi.config) || {};
+  const project = ctx.project || {};
+  const gh = ctx.gh || {};
+  return {
+    owner: String(apiConfig.owner || project.owner || gh.OWNER || ''),
+    repo: String(apiConfig.repo || project.repo || gh.REPO || ''),
+    branch: String(apiConfig.branch || project.branch || gh.BRANCH || 'main')
+  };
+}
+
+/** Open (and create on first use) the IndexedDB store that keeps one record per project. */
+function openTaskStorageDb(indexedDB) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('taskManager', 1);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains('projects')) request.result.createObjectStore('projects');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('IndexedDB open failed'));
+  });
+}
+
+/** Run one request against the projects store and resolve with its result. */
+async function runTaskStorageDb(indexedDB, mode, operation) {
+  const db = await openTaskStorageDb(indexedDB);
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(db.transaction('projects', mode).objectStore('projects'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+    });
+  } finally {
+    if (typeof db.close === 'function') db.close();
+  }
+}
+
+[
+  {
+    name: 'folder',
+    label: 'Local folder (File System Access)',
+    canLoad: () => typeof window !== 'undefined' && !!window.FolderProjectService && typeof window.FolderProjectService.getProjectRecord === 'function',
+    async load(ctx) {
+      const record = window.FolderProjectService.getProjectRecord(ctx.projectId);
+      if (!record || !record.payload) return null;
+      console.info('[TaskDatabase] loadTasks:folder-source', { activeProjectId: ctx.projectId, sourceProjectId: record.id });
+      return {
+        payload: record.payload,
+        sourceKind: 'folder',
+        localSourceMeta: {
+          id: record.id,
+          label: record.label,
+          rootModuleRelative: record.rootModuleRelative || 'node.tasks.json',
+          fileCount: record.fileCount || 0
+        }
+      };
+    },
+    canSave: ctx => ctx.db.sourceKind === 'folder',
+    save: ctx => ctx.db.saveTasksToLocalFolder(ctx.message)
+  },
+  {
+    name: 'local-server',
+    label: 'Local server (node server.js)',
+    canLoad: ctx => !!ctx.db.getBridgeIntegration(),
+    async load(ctx) {
+      const bridge = ctx.db.getBridgeIntegration();
+      if (!bridge || typeof bridge.loadFromBridge !== 'function') return null;
+      const result = await bridge.loadFromBridge(ctx.projectId);
+      if (!result || !result.handled || !result.payload) return null;
+      console.info('[TaskDatabase] loadTasks:bridge-source', { activeProjectId: ctx.projectId });
+      return { payload: result.payload, sourceKind: 'local-disk', etag: result.etag || null };
+    },
+    canSave: ctx => ctx.db.sourceKind === 'local-disk' || ctx.hasLocalApiServer,
+    save: ctx => ctx.db.saveTasksLocalDisk(ctx.message, ctx.options)
+  },
+  {
+    name: 'browser-cache',
+    label: 'Browser localStorage',
+    canLoad: () => typeof window !== 'undefined' && !!window.localStorage,
+    load: async ctx => readBrowserCache(ctx),
+    save: async ctx => ctx.db.saveTasksLocal(ctx.message)
+  },
+  {
+    name: 'same-origin',
+    label: 'Static file on this site',
+    canLoad: ctx => ctx.isSameRepoAsHost && typeof fetch === 'function',
+    async load(ctx) {
+      const basePath = (ctx.gh && ctx.gh.BASE_PATH) ? String(ctx.gh.BASE_PATH) : '';
+      const localPath = String(ctx.tasksFile || '').replace(/^public\//i, '');
+      // GitHub Pages often serves the app under '/<repo>/' and Live Server under '/public/';
+      // use the app root of the current page when BASE_PATH is not provided.
+      const currentDir = (typeof window !== 'undefined' && window.location && window.location.pathname)
+        ? window.location.pathname.replace(/\/[^\/]*$/, '/')
+        : '/';
+      const appRoot = currentDir.replace(/\/(?:list-display|graph-display|health)\/?$/, '/');
+      const normalizedBase = basePath ? (basePath.endsWith('/') ? basePath : `${basePath}/`) : appRoot;
+      const fetchUrl = `${normalizedBase}${localPath}`;
+      console.log('Attempting local fetch from URL:', fetchUrl);
+      const response = await fetch(fetchUrl);
+      if (!response || !response.ok) return null;
+      return { payload: await response.json() };
+    }
+  },
+  {
+    name: 'github',
+    label: 'GitHub repository (raw read, contents API write)',
+    async load(ctx) {
+      const { owner, repo, branch } = resolveReadRepo(ctx);
+      if (typeof fetch === 'function' && owner && repo && branch && ctx.tasksFile) {
+        try {
+          const rawUrl = `https://raw.githubusercontent.com/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/${encodeURIComponent(branch)}/${String(ctx.tasksFile)}`;
+          console.log('Attempting raw GitHub fetch:', rawUrl);
+          const res = await fetch(rawUrl, { cache: 'no-store' });
+          if (res && res.ok) return { payload: await res.json() };
+        } catch (rawError) {
+          console.warn('Raw GitHub fetch failed:', rawError && rawError.message ? rawError.message : rawError);
+        }
+      }
+
+      // Last resort: the GitHub API works for public repos without a token but is rate-limited.
+      console.log('Attempting GitHub API read with file path:', ctx.tasksFile);
+      const { content } = await ctx.db.githubApi.getFileContent(ctx.tasksFile);
+      return { payload: JSON.parse(content || '{}') };
+    },
+    canSave: ctx => ctx.hasGitHubToken || !!ctx.db.githubApi,
+    save: ctx => ctx.db.saveTasksDirectGitHub(ctx.message)
+  },
+  {
+    name: 'worker',
+    label: 'Cloudflare worker (token kept server-side)',
+    load: ctx => STORAGE_ADAPTER_REGISTRY.get('github').load(ctx),
+    canSave: ctx => !!ctx.workerUrl,
+    save: ctx => ctx.db.saveTasksViaWorker(ctx.message, ctx.workerUrl)
+  },
+  {
+    name: 'indexeddb',
+    label: 'Browser IndexedDB',
+    canLoad: ctx => !!ctx.indexedDB,
+    async load(ctx) {
+      const record = await runTaskStorageDb(ctx.indexedDB, 'readonly', store => store.get(ctx.projectId));
+      return record && record.json ? { payload: record.json } : null;
+    },
+    canSave: ctx => !!ctx.indexedDB,
+    async save(ctx) {
+      const record = {
+        lastSaved: new Date().toISOString(),
+        message: ctx.message,
+        json: ctx.db.buildFullData(ctx.db.tasks),
+        csv: ctx.db.generatePersistedCSV(ctx.db.tasks)
+      };
+      await runTaskStorageDb(ctx.indexedDB, 'readwrite', store => store.put(record, ctx.projectId));
+      return { success: true, source: 'indexeddb', committed: true };
+    }
+  },
+  {
+    name: 'download',
+    label: 'Download node.tasks.json',
+    canSave: () => typeof document !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function',
+    async save(ctx) {
+      const content = JSON.stringify(ctx.db.buildFullData(ctx.db.tasks), null, 2);
+      const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'node.tasks.json';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      return { success: true, source: 'download', committed: false, note: 'Downloaded node.tasks.json — replace the project file with it to keep the changes' };
+    }
+  }
+].forEach(adapter => TaskStorageAdapters.register(adapter));
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskStorageAdapters;
+}
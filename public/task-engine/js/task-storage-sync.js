@@ -3,7 +3,8 @@
  *
  * This module loads project payloads from local folders, static files,
  * localStorage, GitHub, or the Cloudflare worker, then persists tasks together
- * with derived CSV, state, and history artifacts.
+ * with derived CSV, state, and history artifacts. Which backend is used is decided
+ * by the storage adapters in task-storage-adapters.js.
  */
 
 /** Infer a project id from a configured TaskDB tasks file path. */
@@ -111,6 +112,8 @@ class TaskDatabase {
     this.localSourceMeta = null;
     this.isSaving = false;
     this._bridgeIntegration = null;
+    this.localDiskEtag = null;
+    this.storage = (typeof TaskStorageAdapters !== 'undefined') ? TaskStorageAdapters.createDefault() : null;
   }
 
   /** Reset metadata captured from the last loaded project payload. */
@@ -123,6 +126,7 @@ class TaskDatabase {
     this.summary = null;
     this.sourceKind = 'remote';
     this.localSourceMeta = null;
+    this.localDiskEtag = null;
   }
 
   /** Apply a loaded project payload and extract its task list and metadata. */
@@ -216,7 +220,7 @@ class TaskDatabase {
   }
 
   /** Append history events through the worker when server-side history writes are unavailable. */
-  async appendHistoryNdjsonViaWorkerFallback({ projectId, workerUrl, accessPassword, tasksFile, message, actor, commitSha, beforeTasks, afterTasks }) {
+  async appendHistoryNdjsonViaWorkerFallback({ projectId, workerUrl, accessPassword, userToken, tasksFile, message, actor, commitSha, beforeTasks, afterTasks }) {
     try {
       const templateConfig = resolveTemplateConfig();
       const gh = (templateConfig && templateConfig.GITHUB) ? templateConfig.GITHUB : null;
@@ -281,7 +285,7 @@ class TaskDatabase {
 
       await fetch(`${workerUrl}/api/tasks`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: this.workerHeaders(userToken),
         body: JSON.stringify({
           projectId,
           accessPassword,
@@ -296,9 +300,13 @@ class TaskDatabase {
     }
   }
 
-  /** Resolve the actor name used for saves and task history. */
+  /** Resolve the actor name used for saves and task history (the GitHub login when signed in). */
   resolveActor() {
     try {
+      if (this.getSessionGitHubToken()) {
+        const login = typeof sessionStorage !== 'undefined' ? String(sessionStorage.getItem('githubOAuthUser') || '').trim() : '';
+        if (login) return login;
+      }
       if (this.actor && String(this.actor).trim()) return String(this.actor).trim();
       if (typeof localStorage !== 'undefined') {
         const v = localStorage.getItem('taskManagerUserName');
@@ -310,6 +318,16 @@ class TaskDatabase {
     return '';
   }
 
+  /** Resolve the local server API token (set when the server has accounts enabled). */
+  resolveApiToken() {
+    try {
+      if (typeof localStorage !== 'undefined') return String(localStorage.getItem('taskManagerApiToken') || '').trim();
+    } catch {
+      // ignore
+    }
+    return '';
+  }
+
   /** Detect whether the app is running on a local development host. */
   isLocalDevHost() {
     try {
@@ -343,6 +361,8 @@ class TaskDatabase {
 
   /** Build the full persisted TaskDB payload for the current task collection. */
   buildFullData(tasks = this.tasks) {
+    tasks = this.rollupActualHours(tasks);
+    this.refreshMilestoneStatuses(tasks);
     const templateConfig = resolveTemplateConfig();
     const categoriesFromConfig = templateConfig && Array.isArray(templateConfig.CATEGORIES)
       ? templateConfig.CATEGORIES.map(name => ({ name, parent_category_name: null }))
@@ -515,8 +535,22 @@ class TaskDatabase {
     return { success: true, source: 'localStorage-only', committed: false };
   }
 
+  /** Back up unsaved edits locally and describe a local-disk save rejected by If-Match. */
+  buildLocalDiskConflictResult(conflict, message) {
+    this.saveTasksLocal(message);
+    return {
+      success: false,
+      source: 'local-disk',
+      error: 'Save conflict: the project changed on disk since it was loaded',
+      conflict: {
+        etag: conflict && conflict.etag ? conflict.etag : null,
+        conflicts: conflict && Array.isArray(conflict.conflicts) ? conflict.conflicts : []
+      }
+    };
+  }
+
   /** Persist the current project through the local disk development API. */
-  async saveTasksLocalDisk(message = 'Update tasks') {
+  async saveTasksLocalDisk(message = 'Update tasks', options = {}) {
     this.isSaving = true;
     try {
     // Block saving if duplicates exist
@@ -533,6 +567,14 @@ class TaskDatabase {
       throw new Error(`Validation failed: ${errors.join(', ')}`);
     }
 
+    // Block saving when the task graph has cycles, dangling dependencies or parent loops.
+    // Returned rather than thrown so saveTasks does not fall back to a localStorage save.
+    const integrity = this.checkIntegrity(this.tasks);
+    if (integrity && !integrity.ok) {
+      const details = integrity.errors.map(issue => `${issue.path}: ${issue.message}`).join(', ');
+      return { success: false, error: `Integrity check failed: ${details}`, errors: integrity.errors };
+    }
+
     if (typeof fetch !== 'function') {
       throw new Error('Local disk API not available (fetch missing)');
     }
@@ -544,8 +586,17 @@ class TaskDatabase {
     // Preferred path: use the bridge integration layer (ETag-aware + watchdog-safe).
     const bridge = this.getBridgeIntegration();
     if (bridge && typeof bridge.saveToBridge === 'function') {
-      const bridgeResult = await bridge.saveToBridge(safeProject, fullData);
+      let bridgeResult;
+      try {
+        bridgeResult = await bridge.saveToBridge(safeProject, fullData, { ...options, actor: this.resolveActor() });
+      } catch (bridgeError) {
+        if (bridgeError && bridgeError.code === 'SAVE_CONFLICT') {
+          return this.buildLocalDiskConflictResult(bridgeError.conflict, message);
+        }
+        throw bridgeError;
+      }
       if (bridgeResult && bridgeResult.handled) {
+        if (bridgeResult.etag) this.localDiskEtag = bridgeResult.etag;
         this.saveTasksLocal(message);
         return { success: true, source: 'local-disk' };
       }
@@ -558,13 +609,20 @@ class TaskDatabase {
       apiUrls.push(`http://localhost:3000/api/tasks?project=${encodeURIComponent(safeProject)}`);
     }
 
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.localDiskEtag && !options.force) headers['If-Match'] = this.localDiskEtag;
+    const actor = this.resolveActor();
+    if (actor) headers['X-Actor'] = actor;
+    const apiToken = this.resolveApiToken();
+    if (apiToken) headers['Authorization'] = `Bearer ${apiToken}`;
+
     let res = null;
     let lastError = null;
     for (const apiUrl of apiUrls) {
       try {
         res = await fetch(apiUrl, {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
+          headers,
           body: JSON.stringify(fullData)
         });
         if (res.ok) break;
@@ -577,6 +635,12 @@ class TaskDatabase {
       }
     }
 
+    if (res && res.status === 412) {
+      let conflict = null;
+      try { conflict = await res.json(); } catch { /* ignore */ }
+      return this.buildLocalDiskConflictResult(conflict, message);
+    }
+
     if (!res || !res.ok) {
       let msg = lastError ? lastError.message : (res ? `HTTP ${res.status}` : 'No response');
       try {
@@ -587,10 +651,15 @@ class TaskDatabase {
       } catch { /* ignore */ }
       if (!res || res.status === 404) {
         msg += '. Tip: run "node server.js" (port 3000) to enable local disk saving.';
+      } else if (res.status === 401 || res.status === 403) {
+        msg += '. Sign in with an API token from the Manage Projects panel.';
       }
       throw new Error(`Local disk save failed: ${msg}`);
     }
 
+    const savedEtag = res.headers && typeof res.headers.get === 'function' ? res.headers.get('ETag') : null;
+    if (savedEtag) this.localDiskEtag = savedEtag;
+
     // Also keep localStorage as a backup
     this.saveTasksLocal(message);
     return { success: true, source: 'local-disk' };
@@ -599,6 +668,53 @@ class TaskDatabase {
     }
   }
 
+  /**
+   * Describe the active project and runtime for the storage adapters.
+   *
+   * @param {{ message?: string, options?: object }} [extra] - Save arguments passed through to the adapter.
+   * @returns {object}
+   */
+  storageContext(extra = {}) {
+    const templateConfig = resolveTemplateConfig();
+    const gh = (templateConfig && templateConfig.GITHUB) ? templateConfig.GITHUB : null;
+    const projectId = resolveActiveProjectId();
+    const project = (gh && typeof gh.getProjectConfig === 'function') ? gh.getProjectConfig(projectId) : null;
+    const tasksFile = (gh && typeof gh.getTasksFile === 'function')
+      ? gh.getTasksFile(projectId)
+      : ((gh && gh.TASKS_FILE) ? gh.TASKS_FILE : 'public/tasksDB/external/github-task-manager/node.tasks.json');
+
+    // GitHub Pages should reflect canonical repo state; localStorage only overrides reads on localhost.
+    const isBrowser = (typeof window !== 'undefined');
+    const host = isBrowser && window.location ? String(window.location.hostname || '').toLowerCase() : '';
+    const port = isBrowser && window.location ? String(window.location.port || '') : '';
+    const isLocalHost = host === 'localhost' || host === '127.0.0.1';
+    const hostOwner = gh && gh.OWNER ? String(gh.OWNER) : '';
+    const hostRepo = gh && gh.REPO ? String(gh.REPO) : '';
+    const hostBranch = gh && gh.BRANCH ? String(gh.BRANCH) : 'main';
+
+    return {
+      db: this,
+      gh,
+      projectId,
+      project,
+      tasksFile,
+      storageKey: getProjectScopedStorageKey(),
+      isLocalHost,
+      isGitHubPagesHost: host.endsWith('github.io'),
+      // The dev server persists to disk so clearing the browser cache doesn't lose data.
+      hasLocalApiServer: isLocalHost && (port === '3000' || port === '3100'),
+      isSameRepoAsHost: !!(project && hostOwner && hostRepo &&
+        String(project.owner || '') === hostOwner &&
+        String(project.repo || '') === hostRepo &&
+        String(project.branch || '') === hostBranch),
+      workerUrl: (gh && gh.WORKER_URL) ? String(gh.WORKER_URL).trim() : '',
+      hasGitHubToken: hasValidGitHubToken(),
+      indexedDB: (typeof indexedDB !== 'undefined') ? indexedDB : null,
+      message: extra.message,
+      options: extra.options || {}
+    };
+  }
+
   // Initialize database
   /** Load tasks and templates needed to initialize the active project database. */
   async initialize() {
@@ -612,185 +728,30 @@ class TaskDatabase {
     }
   }
 
-  // Load tasks from localStorage, GitHub, or local file
-  /** Load tasks from the best available source for the active project context. */
+  // Load tasks from the project's storage adapters
+  /** Load tasks from the first storage adapter that has the active project. */
   async loadTasks() {
     try {
-      let loadedTasks = null;
       this.resetLoadedMetadata();
-      const templateConfig = resolveTemplateConfig();
-      const gh = (templateConfig && templateConfig.GITHUB) ? templateConfig.GITHUB : null;
-      const projectId = resolveActiveProjectId();
-      const tasksFile = (gh && typeof gh.getTasksFile === 'function')
-        ? gh.getTasksFile(projectId)
-        : ((gh && gh.TASKS_FILE) ? gh.TASKS_FILE : 'public/tasksDB/external/github-task-manager/node.tasks.json');
-
-      // We want GitHub Pages to reflect canonical repo state.
-      // LocalStorage is useful as a fallback, but should not override remote reads on production.
-      const isBrowser = (typeof window !== 'undefined');
-      const host = isBrowser && window.location ? String(window.location.hostname || '') : '';
-      const isLocalHost = host === 'localhost' || host === '127.0.0.1';
-      const isGitHubPagesHost = host.endsWith('github.io');
-
-      // 0) Check whether the active project was opened from the browser folder picker.
-      if (!loadedTasks && typeof window !== 'undefined' && window.FolderProjectService && typeof window.FolderProjectService.getProjectRecord === 'function') {
-        try {
-          const localFolderProject = window.FolderProjectService.getProjectRecord(projectId);
-          if (localFolderProject && localFolderProject.payload) {
-            loadedTasks = this.applyLoadedPayload(localFolderProject.payload);
-            this.sourceKind = 'folder';
-            this.localSourceMeta = {
-              id: localFolderProject.id,
-              label: localFolderProject.label,
-              rootModuleRelative: normalizeTaskFilePath(localFolderProject.rootModuleRelative || 'node.tasks.json'),
-              fileCount: localFolderProject.fileCount || 0
-            };
-            console.info('[TaskDatabase] loadTasks:folder-source', {
-              activeProjectId: projectId,
-              sourceProjectId: localFolderProject.id,
-              rootModuleRelative: this.localSourceMeta.rootModuleRelative,
-              taskCount: loadedTasks.length
-            });
-          }
-        } catch (localFolderError) {
-          console.warn('Could not load browser-selected local folder project:', localFolderError && localFolderError.message ? localFolderError.message : localFolderError);
-        }
-      }
-
-      // 0.5) Local bridge read (ETag-aware) for localhost workflows.
-      if (!loadedTasks) {
-        const bridge = this.getBridgeIntegration();
-        if (bridge && typeof bridge.loadFromBridge === 'function') {
-          try {
-            const bridgeResult = await bridge.loadFromBridge(projectId);
-            if (bridgeResult && bridgeResult.handled && bridgeResult.payload) {
-              loadedTasks = this.applyLoadedPayload(bridgeResult.payload);
-              this.sourceKind = 'local-disk';
-              console.info('[TaskDatabase] loadTasks:bridge-source', {
-                activeProjectId: projectId,
-                taskCount: loadedTasks.length
-              });
-            }
-          } catch (bridgeError) {
-            console.warn('Bridge load failed, continuing with standard sources:', bridgeError && bridgeError.message ? bridgeError.message : bridgeError);
-          }
-        }
-      }
-
-      const projectCfgForRead = (gh && typeof gh.getProjectConfig === 'function') ? gh.getProjectConfig(projectId) : null;
-      const hostOwner = gh && gh.OWNER ? String(gh.OWNER) : '';
-      const hostRepo = gh && gh.REPO ? String(gh.REPO) : '';
-      const hostBranch = gh && gh.BRANCH ? String(gh.BRANCH) : 'main';
-      const isSameRepoAsHost = !!(projectCfgForRead && hostOwner && hostRepo &&
-        String(projectCfgForRead.owner || '') === hostOwner &&
-        String(projectCfgForRead.repo || '') === hostRepo &&
-        String(projectCfgForRead.branch || '') === hostBranch);
-
-      // 1) Try to load from localStorage first ONLY on localhost.
-      // On GitHub Pages, prefer canonical repo sources and only fall back to localStorage.
-      if (!loadedTasks && isLocalHost && typeof window !== 'undefined' && window.localStorage) {
-        try {
-          const storageKey = getProjectScopedStorageKey();
-          const stored = window.localStorage.getItem(storageKey);
-          if (stored) {
-            const storageData = JSON.parse(stored);
-            if (storageData && storageData.json && storageData.json.tasks) {
-              loadedTasks = this.applyLoadedPayload(storageData.json);
-              console.log('Loaded', loadedTasks.length, 'tasks from localStorage (project:', projectId, ', last saved:', storageData.lastSaved, ')');
-            }
-          }
-        } catch (storageError) {
-          console.warn('Could not load from localStorage:', storageError);
-        }
+      if (!this.storage) {
+        throw new Error('Storage adapters are not available (task-storage-adapters.js not loaded)');
       }
 
-      // 2) Try local static fetch (same origin) when the active project is hosted in THIS repo.
-      if (!loadedTasks && isSameRepoAsHost && typeof fetch === 'function') {
-        try {
-          const basePath = (gh && gh.BASE_PATH) ? String(gh.BASE_PATH) : '';
-          const localPath = String(tasksFile || '').replace(/^public\//i, '');
-          // When running on GitHub Pages the site is often hosted under a subpath (e.g. '/<repo>/').
-          // When running via Live Server, the app may be under '/public/'. Use the current directory
-          // as a safe default when BASE_PATH is not provided.
-          const currentDir = (typeof window !== 'undefined' && window.location && window.location.pathname)
-            ? window.location.pathname.replace(/\/[^\/]*$/, '/')
-            : '/';
-          const appRoot = currentDir.replace(/\/(?:list-display|graph-display|health)\/?$/, '/');
-          const normalizedBase = basePath
-            ? (basePath.endsWith('/') ? basePath : `${basePath}/`)
-            : appRoot;
-          const fetchUrl = `${normalizedBase}${localPath}`;
-          console.log('Attempting local fetch from URL:', fetchUrl);
-
-          const response = await fetch(fetchUrl);
-          if (response && response.ok) {
-            const data = await response.json();
-            loadedTasks = this.applyLoadedPayload(data);
-            console.log('Successfully loaded', loadedTasks.length, 'tasks from local file');
-          }
-        } catch (fetchError) {
-          console.warn('Local fetch failed, will try remote sources:', fetchError && fetchError.message ? fetchError.message : fetchError);
-        }
-      }
-
-      // 2.5) If we are on GitHub Pages and still have no data, fall back to localStorage (best-effort)
-      if (!loadedTasks && isGitHubPagesHost && typeof window !== 'undefined' && window.localStorage) {
-        try {
-          const storageKey = getProjectScopedStorageKey();
-          const stored = window.localStorage.getItem(storageKey);
-          if (stored) {
-            const storageData = JSON.parse(stored);
-            if (storageData && storageData.json && storageData.json.tasks) {
-              loadedTasks = this.applyLoadedPayload(storageData.json);
-              console.log('Loaded', loadedTasks.length, 'tasks from localStorage fallback (project:', projectId, ', last saved:', storageData.lastSaved, ')');
-            }
-          }
-        } catch (storageError) {
-          console.warn('Could not load from localStorage fallback:', storageError);
-        }
-      }
-
-      // 3) If tasks live in another repo (or local file not present), try raw.githubusercontent.com (public read)
-      if (!loadedTasks && typeof fetch === 'function') {
-        try {
-          const projectCfg = (gh && typeof gh.getProjectConfig === 'function') ? gh.getProjectConfig(projectId) : null;
-          const owner = (this.githubApi && this.githubApi.config && this.githubApi.config.owner)
-            ? String(this.githubApi.config.owner)
-            : (projectCfg && projectCfg.owner ? String(projectCfg.owner) : (gh && gh.OWNER ? String(gh.OWNER) : ''));
-          const repo = (this.githubApi && this.githubApi.config && this.githubApi.config.repo)
-            ? String(this.githubApi.config.repo)
-            : (projectCfg && projectCfg.repo ? String(projectCfg.repo) : (gh && gh.REPO ? String(gh.REPO) : ''));
-          const branch = (this.githubApi && this.githubApi.config && this.githubApi.config.branch)
-            ? String(this.githubApi.config.branch)
-            : (projectCfg && projectCfg.branch ? String(projectCfg.branch) : (gh && gh.BRANCH ? String(gh.BRANCH) : 'main'));
-
-          if (owner && repo && branch && tasksFile) {
-            const rawUrl = `https://raw.githubusercontent.com/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/${encodeURIComponent(branch)}/${String(tasksFile)}`;
-            console.log('Attempting raw GitHub fetch:', rawUrl);
-            const res = await fetch(rawUrl, { cache: 'no-store' });
-            if (res && res.ok) {
-              const data = await res.json();
-              loadedTasks = this.applyLoadedPayload(data);
-              console.log('Successfully loaded', loadedTasks.length, 'tasks from raw GitHub');
-            }
-          }
-        } catch (rawError) {
-          console.warn('Raw GitHub fetch failed:', rawError && rawError.message ? rawError.message : rawError);
-        }
-      }
-
-      // 4) Last resort: try GitHub API (works for public repos without a token but is rate-limited)
-      if (!loadedTasks) {
-        try {
-          console.log('Attempting GitHub API read with file path:', tasksFile);
-          const { content } = await this.githubApi.getFileContent(tasksFile);
-          const data = JSON.parse(content || '{}');
-          loadedTasks = this.applyLoadedPayload(data);
-          console.log('Successfully loaded', loadedTasks.length, 'tasks from GitHub API');
-        } catch (apiError) {
-          console.warn('GitHub API failed:', apiError && apiError.message ? apiError.message : apiError);
-          loadedTasks = [];
+      let loadedTasks = null;
+      const ctx = this.storageContext();
+      const loaded = await this.storage.load(ctx);
+      if (loaded) {
+        loadedTasks = this.applyLoadedPayload(loaded.payload);
+        if (loaded.sourceKind) this.sourceKind = loaded.sourceKind;
+        // The first local disk save must carry If-Match for the version that was just read.
+        if (loaded.etag) this.localDiskEtag = loaded.etag;
+        if (loaded.localSourceMeta) {
+          this.localSourceMeta = {
+            ...loaded.localSourceMeta,
+            rootModuleRelative: normalizeTaskFilePath(loaded.localSourceMeta.rootModuleRelative || 'node.tasks.json')
+          };
         }
+        console.log('Loaded', loadedTasks.length, `tasks via ${loaded.adapter} storage (project: ${ctx.projectId})`);
       }
 
       this.tasks = loadedTasks || [];
@@ -935,26 +896,25 @@ class TaskDatabase {
     }
   }
 
-  // Save tasks to GitHub
-  /** Persist the current task set using the best available configured backend. */
-  async saveTasks(message = 'Update tasks') {
-    try {
-      // ── Local-folder write-back ─────────────────────────────────────────
-      // When the active project was loaded from a browser-selected local folder,
-      // write edits back to the original file via FolderProjectService.writeModuleToDisk.
-      if (this.sourceKind === 'folder') {
-        return await this.saveTasksToLocalFolder(message);
-      }
+  // Save tasks through the project's storage adapter
+  /** Persist the current task set using the project's configured (or best available) storage adapter. */
+  async saveTasks(message = 'Update tasks', options = {}) {
+    if (!this.storage) {
+      return { success: false, error: 'Storage adapters are not available (task-storage-adapters.js not loaded)' };
+    }
+    const ctx = this.storageContext({ message, options });
 
-      // Projects loaded through the local bridge must save back to disk first.
-      // They should never fall through to direct GitHub writes just because a
-      // GitHub API helper exists in the app shell.
-      if (this.sourceKind === 'local-disk') {
-        return await this.saveTasksLocalDisk(message);
+    try {
+      // Projects loaded from a browser-selected folder or the local bridge save back where
+      // they came from (never to GitHub just because a GitHub API helper exists in the app
+      // shell). Those adapters run their own duplicate/validation/integrity checks.
+      const pinned = this.sourceKind === 'folder' ? 'folder' : (this.sourceKind === 'local-disk' ? 'local-server' : '');
+      if (pinned) {
+        return await this.storage.get(pinned).save(ctx);
       }
 
       // Block saving if duplicates exist (prevents corrupting tasks.csv and node.tasks.json)
-      // Do this BEFORE choosing GitHub vs local persistence so behavior is consistent.
+      // Do this BEFORE choosing a backend so behavior is consistent.
       const duplicateIds = this.getDuplicateTaskIds(this.tasks);
       if (duplicateIds.length > 0) {
         return { success: false, error: `Duplicate task_id detected: ${duplicateIds.join(', ')}` };
@@ -972,54 +932,15 @@ class TaskDatabase {
         return { success: false, error: `Validation failed: ${errors.join(', ')}` };
       }
 
-      const templateConfig = resolveTemplateConfig();
-      const gh = (templateConfig && templateConfig.GITHUB) ? templateConfig.GITHUB : null;
-
-      // Check if we have a Worker URL configured (secure proxy mode)
-      const workerUrl = (gh && gh.WORKER_URL) ? String(gh.WORKER_URL).trim() : '';
-      if (workerUrl) {
-        return await this.saveTasksViaWorker(message, workerUrl);
-      }
-
-      // Check if we have a valid GitHub token (direct mode - less secure)
-      if (!hasValidGitHubToken()) {
-        // Allow test environments or server-side callers that injected a mock GitHub API
-        // to use direct GitHub mode even when TEMPLATE_CONFIG lacks a token.
-        if (this.githubApi) {
-          return await this.saveTasksDirectGitHub(message);
-        }
-
-        // If running locally with the dev server, persist to disk so clearing cache doesn't lose data.
-        const hasLocalApiServer = (() => {
-          try {
-            if (typeof window === 'undefined' || !window.location) return false;
-            const host = String(window.location.hostname || '').toLowerCase();
-            const port = String(window.location.port || '');
-            const isLocalHost = host === 'localhost' || host === '127.0.0.1';
-            return isLocalHost && (port === '3000' || port === '3100');
-          } catch {
-            return false;
-          }
-        })();
-
-        if (hasLocalApiServer) {
-          try {
-            return await this.saveTasksLocalDisk(message);
-          } catch (diskError) {
-            console.warn('Local disk save not available, falling back to local storage:', diskError.message);
-          }
-        }
-
-        console.warn('No valid GitHub token available, falling back to local storage');
-        return this.saveTasksLocal(message);
+      const adapter = this.storage.saveAdapter(ctx);
+      if (adapter.name === 'browser-cache') {
+        console.warn('No remote storage available, falling back to local storage');
       }
-
-      // Direct GitHub API mode (token in browser - NOT recommended for production)
-      return await this.saveTasksDirectGitHub(message);
+      return await adapter.save(ctx);
 
     } catch (error) {
-      console.error('Error saving tasks to GitHub:', error);
-      // Fallback to local storage on GitHub API failure
+      console.error('Error saving tasks:', error);
+      // Fallback to local storage when the chosen backend fails
       console.log('Attempting to save to local storage as fallback...');
       try {
         return this.saveTasksLocal(message);
@@ -1030,6 +951,68 @@ class TaskDatabase {
     }
   }
 
+  /**
+   * Apply create/update/delete/move operations as one all-or-nothing change and persist it.
+   * Bridge-backed projects send the batch to the local server so it is validated, written and
+   * recorded in history once; every other backend applies it in memory and saves in one write.
+   *
+   * @param {object[]} operations
+   * @param {string} [message='Bulk update']
+   * @param {{ force?: boolean }} [options={}]
+   * @returns {Promise<{success: boolean, source?: string, applied?: number, error?: string, errors?: object[], conflict?: object}>}
+   */
+  async applyBatch(operations, message = 'Bulk update', options = {}) {
+    if (typeof TaskBatchOperations === 'undefined') {
+      return { success: false, error: 'Batch operations are not available (task-batch-operations.js not loaded)' };
+    }
+
+    const planned = new TaskBatchOperations(this.validator, this.automation).apply({ tasks: this.tasks }, operations);
+    if (!planned.ok) {
+      return {
+        success: false,
+        error: `Batch rejected: ${planned.errors.map(entry => entry.error).join('; ')}`,
+        errors: planned.errors
+      };
+    }
+
+    if (this.sourceKind === 'local-disk') {
+      const bridge = this.getBridgeIntegration();
+      if (bridge && typeof bridge.applyBatchToBridge === 'function') {
+        this.isSaving = true;
+        try {
+          const safeProject = String(resolveActiveProjectId() || '').replace(/[^a-zA-Z0-9_-]/g, '') || 'github-task-manager';
+          const bridgeResult = await bridge.applyBatchToBridge(safeProject, operations, {
+            ...options,
+            message,
+            actor: this.resolveActor()
+          });
+          if (bridgeResult && bridgeResult.handled) {
+            this.tasks = Array.isArray(bridgeResult.tasks) ? bridgeResult.tasks : planned.tasks;
+            if (bridgeResult.etag) this.localDiskEtag = bridgeResult.etag;
+            this.saveTasksLocal(message);
+            return { success: true, source: 'local-disk', applied: bridgeResult.results.length };
+          }
+        } catch (bridgeError) {
+          if (bridgeError && bridgeError.code === 'SAVE_CONFLICT') {
+            return this.buildLocalDiskConflictResult(bridgeError.conflict, message);
+          }
+          return { success: false, error: bridgeError.message, errors: bridgeError.errors || [] };
+        } finally {
+          this.isSaving = false;
+        }
+      }
+    }
+
+    const previousTasks = this.tasks;
+    this.tasks = planned.tasks;
+    const result = await this.saveTasks(message, options);
+    if (!result || result.success !== true) {
+      this.tasks = previousTasks;
+      return result || { success: false, error: 'Save failed' };
+    }
+    return { ...result, applied: planned.results.length };
+  }
+
   // Save via Cloudflare Worker (secure - token stays server-side)
   /** Persist tasks through the Cloudflare worker and keep derived files in sync. */
   async saveTasksViaWorker(message, workerUrl) {
@@ -1042,10 +1025,13 @@ class TaskDatabase {
 
     const beforeTasksSnapshot = this.cloneTasksSnapshot(this._lastSyncedTasksSnapshot || []);
 
+    // A GitHub sign-in replaces the password: the worker writes with the user's own token.
+    const userToken = this.getSessionGitHubToken();
+
     // Get access password from session (user already entered it to unlock)
     // On localhost, fallback to configured password for development convenience
-    let accessPassword = this.getSessionAccessPassword();
-    if (!accessPassword && this.isLocalDevHost()) {
+    let accessPassword = userToken ? '' : this.getSessionAccessPassword();
+    if (!userToken && !accessPassword && this.isLocalDevHost()) {
       // On localhost, try to get the password from ACCESS_PASSWORDS config
       if (typeof ACCESS_PASSWORDS !== 'undefined' && ACCESS_PASSWORDS && ACCESS_PASSWORDS[projectId]) {
         accessPassword = ACCESS_PASSWORDS[projectId];
@@ -1053,7 +1039,7 @@ class TaskDatabase {
         accessPassword = ACCESS_PASSWORD;
       }
     }
-    if (!accessPassword) {
+    if (!userToken && !accessPassword) {
       return { success: false, error: 'Access password required. Please unlock first.' };
     }
 
@@ -1065,7 +1051,7 @@ class TaskDatabase {
     // Save node.tasks.json
     const jsonResponse = await fetch(`${workerUrl}/api/tasks`, {
       method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
+      headers: this.workerHeaders(userToken),
       body: JSON.stringify({
         projectId,
         accessPassword,
@@ -1090,7 +1076,7 @@ class TaskDatabase {
     const csvContent = this.generatePersistedCSV(this.tasks);
     await fetch(`${workerUrl}/api/tasks`, {
       method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
+      headers: this.workerHeaders(userToken),
       body: JSON.stringify({
         projectId,
         accessPassword,
@@ -1109,7 +1095,7 @@ class TaskDatabase {
       for (const [filename, stateContent] of Object.entries(stateFiles)) {
         await fetch(`${workerUrl}/api/tasks`, {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
+          headers: this.workerHeaders(userToken),
           body: JSON.stringify({
             projectId,
             accessPassword,
@@ -1129,6 +1115,7 @@ class TaskDatabase {
       projectId,
       workerUrl,
       accessPassword,
+      userToken,
       tasksFile,
       message,
       actor,
@@ -1163,6 +1150,23 @@ class TaskDatabase {
     }
   }
 
+  /** GitHub token from the device-flow sign-in (sessionStorage), if the user signed in. */
+  getSessionGitHubToken() {
+    try {
+      if (typeof sessionStorage === 'undefined') return '';
+      return String(sessionStorage.getItem('githubOAuthToken') || '').trim();
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /** Headers for worker writes; a signed-in user's token is sent as a Bearer credential. */
+  workerHeaders(userToken) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (userToken) headers['Authorization'] = `Bearer ${userToken}`;
+    return headers;
+  }
+
   // Direct GitHub API mode (token in browser - legacy, not recommended)
   /** Persist tasks directly through the GitHub API when browser tokens are enabled. */
   async saveTasksDirectGitHub(message) {
@@ -1541,9 +1545,89 @@ class TaskDatabase {
     }
 
     taskLocation.taskList[taskLocation.taskIndex] = updatedTask;
+    const rescheduled = this.rescheduleAfterSlip(taskLocation.task, updatedTask);
+    const recurrence = this.materializeRecurrence(taskLocation.task, updatedTask);
+    if (rescheduled.length > 0 || recurrence) {
+      return {
+        success: true,
+        task: this.findTaskLocation(updatedTask.task_id).task,
+        ...(rescheduled.length > 0 ? { rescheduled } : {}),
+        ...(recurrence ? { recurrence } : {})
+      };
+    }
     return { success: true, task: updatedTask };
   }
 
+  /**
+   * When AUTOMATION.AUTO_MILESTONE_STATUS is on, derive each milestone's status from the tasks that
+   * gate it (task-engine/js/task-project-registers.js). Returns the status changes made.
+   */
+  refreshMilestoneStatuses(tasks = this.tasks) {
+    const automationConfig = (this.automation && this.automation.config && this.automation.config.AUTOMATION) || {};
+    if (!automationConfig.AUTO_MILESTONE_STATUS || !this.currentProject || typeof TaskProjectRegisters === 'undefined') return [];
+    const result = new TaskProjectRegisters(this.automation.config).refreshMilestones(this.currentProject, tasks);
+    this.currentProject = result.project;
+    return result.changed;
+  }
+
+  /**
+   * When AUTOMATION.AUTO_ROLLUP_ACTUAL_HOURS is on, set `actual_hours` of tasks with logged
+   * `time_entries` to their total (task-engine/js/task-time-tracking.js). Returns the rolled-up
+   * list, which also replaces `this.tasks` when that was the list passed in.
+   */
+  rollupActualHours(tasks = this.tasks) {
+    const automationConfig = (this.automation && this.automation.config && this.automation.config.AUTOMATION) || {};
+    if (!automationConfig.AUTO_ROLLUP_ACTUAL_HOURS || typeof TaskTimeTracking === 'undefined') return tasks;
+    const result = new TaskTimeTracking(this.automation.config).rollupTasks(tasks);
+    if (result.changed.length > 0 && tasks === this.tasks) this.tasks = result.tasks;
+    return result.tasks;
+  }
+
+  /**
+   * Run the shared TaskIntegrityChecker over the root module held in memory. Sub-modules listed
+   * in `navigation.modules` are known but not loaded, so links into them are not checked here;
+   * the local server checks them against the files on disk. Returns null without the checker.
+   */
+  checkIntegrity(tasks = this.tasks) {
+    if (typeof TaskIntegrityChecker === 'undefined') return null;
+    const navigation = this.navigation || {};
+    const otherModules = (Array.isArray(navigation.modules) ? navigation.modules : [])
+      .map(moduleEntry => moduleEntry && moduleEntry.path)
+      .filter(Boolean);
+    return new TaskIntegrityChecker().checkTasks(tasks, { modulePath: navigation.rootModule || 'node.tasks.json', otherModules });
+  }
+
+  /**
+   * When AUTOMATION.AUTO_RESCHEDULE_SUCCESSORS is on and a task's end_date moved later,
+   * push its dependent tasks later with the shared TaskScheduler. Returns the date changes made.
+   */
+  rescheduleAfterSlip(beforeTask, afterTask) {
+    const automationConfig = (this.automation && this.automation.config && this.automation.config.AUTOMATION) || {};
+    if (!automationConfig.AUTO_RESCHEDULE_SUCCESSORS || typeof TaskScheduler === 'undefined') return [];
+    if (!afterTask.end_date || String(afterTask.end_date) <= String(beforeTask.end_date || '')) return [];
+
+    const result = new TaskScheduler().rescheduleSuccessors(this.tasks, afterTask.task_id);
+    if (result.changes.length > 0) this.tasks = result.tasks;
+    return result.changes;
+  }
+
+  /**
+   * When AUTOMATION.AUTO_MATERIALIZE_RECURRENCES is on and an update completed a recurring task,
+   * record the finished occurrence as a child task and move the task to its next occurrence with
+   * the shared TaskRecurrence. Returns `{ created, next }`, or null when nothing was created.
+   */
+  materializeRecurrence(beforeTask, afterTask) {
+    const automationConfig = (this.automation && this.automation.config && this.automation.config.AUTOMATION) || {};
+    if (!automationConfig.AUTO_MATERIALIZE_RECURRENCES || typeof TaskRecurrence === 'undefined') return null;
+    const recurrence = new TaskRecurrence();
+    if (recurrence.completedStatuses.has(beforeTask.status)) return null;
+
+    const result = recurrence.completeOccurrence(this.tasks, afterTask.task_id);
+    if (!result.created) return null;
+    this.tasks = result.tasks;
+    return { created: result.created, next: result.next };
+  }
+
   /** Delete a task from the active task list by id. */
   deleteTask(taskId) {
     const taskLocation = this.findTaskLocation(taskId);
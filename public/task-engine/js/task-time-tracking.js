@@ -0,0 +1,312 @@
+/**
+ * Time tracking: start/stop timers, logged time entries and weekly timesheets.
+ *
+ * A stopped timer becomes an entry `{ worker, start, end, hours, note }` in the task's
+ * `time_entries`, and `actual_hours` is the sum of those entries
+ * (AUTOMATION.AUTO_ROLLUP_ACTUAL_HOURS). Running timers are a plain map keyed
+ * `<projectId>:<taskId>` that callers keep outside the project file (list-display and the graph
+ * display share it through localStorage). Timestamps keep the local UTC offset so an entry
+ * stays on the calendar day it was logged on.
+ */
+
+/** Milliseconds in one timesheet day. */
+const TIMESHEET_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Timers, time entries, `actual_hours` roll-up and timesheets.
+ */
+class TaskTimeTracking {
+  /**
+   * Create the time tracker.
+   *
+   * @param {object} [config] - TEMPLATE_CONFIG; reads `AUTOMATION.AUTO_ROLLUP_ACTUAL_HOURS`.
+   * @param {{ now?: () => Date }} [options]
+   */
+  constructor(config = {}, options = {}) {
+    const automation = (config && config.AUTOMATION) || {};
+    this.rollupEnabled = automation.AUTO_ROLLUP_ACTUAL_HOURS !== false;
+    this.now = typeof options.now === 'function' ? options.now : () => new Date();
+  }
+
+  /**
+   * Timer key of a task.
+   *
+   * @param {string} projectId
+   * @param {number|string} taskId
+   * @returns {string}
+   */
+  timerKey(projectId, taskId) {
+    return `${projectId || ''}:${taskId}`;
+  }
+
+  /**
+   * Timestamp with the local UTC offset (`2026-05-04T09:30:00+02:00`).
+   *
+   * @param {Date} [date]
+   * @returns {string}
+   */
+  timestamp(date = this.now()) {
+    const pad = (value) => String(Math.abs(Math.trunc(value))).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+      + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+      + `${offset >= 0 ? '+' : '-'}${pad(offset / 60)}:${pad(offset % 60)}`;
+  }
+
+  /**
+   * Start a timer; only one timer per task can run.
+   *
+   * @param {Object<string, { start: string, worker: string }>} timers
+   * @param {string} key
+   * @param {{ worker?: string, now?: Date }} [options]
+   * @returns {Object<string, { start: string, worker: string }>} A changed copy of the timers.
+   */
+  startTimer(timers, key, options = {}) {
+    const current = timers || {};
+    if (current[key]) throw new Error(`A timer is already running since ${current[key].start}`);
+    return { ...current, [key]: { start: this.timestamp(options.now || this.now()), worker: String(options.worker || '').trim() } };
+  }
+
+  /**
+   * Stop a running timer and turn it into a time entry.
+   *
+   * @param {Object<string, { start: string, worker: string }>} timers
+   * @param {string} key
+   * @param {{ now?: Date, note?: string }} [options]
+   * @returns {{ timers: Object<string, { start: string, worker: string }>, entry: { worker: string, start: string, end: string, hours: number, note: string } }}
+   */
+  stopTimer(timers, key, options = {}) {
+    const current = timers || {};
+    const timer = current[key];
+    if (!timer) throw new Error('No timer is running for this task');
+    const rest = { ...current };
+    delete rest[key];
+    const end = this.timestamp(options.now || this.now());
+    return {
+      timers: rest,
+      entry: { worker: timer.worker || '', start: timer.start, end, hours: this.entryHours({ start: timer.start, end }), note: String(options.note || '').trim() }
+    };
+  }
+
+  /**
+   * Hours a running timer has counted so far.
+   *
+   * @param {{ start: string }} timer
+   * @param {Date} [now]
+   * @returns {number}
+   */
+  elapsedHours(timer, now = this.now()) {
+    const start = Date.parse(timer && timer.start);
+    return Number.isFinite(start) ? Math.max(0, (now.getTime() - start) / 3600000) : 0;
+  }
+
+  /**
+   * Hours of one entry: from `start`/`end` when both parse, else its `hours`.
+   *
+   * @param {{ start?: string, end?: string, hours?: number }} entry
+   * @returns {number} Rounded to two decimals.
+   */
+  entryHours(entry) {
+    const start = Date.parse(entry && entry.start);
+    const end = Date.parse(entry && entry.end);
+    const hours = Number.isFinite(start) && Number.isFinite(end)
+      ? (end - start) / 3600000
+      : Number(entry && entry.hours);
+    return Number.isFinite(hours) && hours > 0 ? Math.round(hours * 100) / 100 : 0;
+  }
+
+  /**
+   * Total hours of a task's time entries.
+   *
+   * @param {object} task
+   * @returns {number}
+   */
+  totalHours(task) {
+    const entries = task && Array.isArray(task.time_entries) ? task.time_entries : [];
+    return Math.round(entries.reduce((sum, entry) => sum + this.entryHours(entry), 0) * 100) / 100;
+  }
+
+  /**
+   * Copy of a task with `actual_hours` set from its time entries. Tasks without entries keep a
+   * hand-typed `actual_hours`.
+   *
+   * @param {object} task
+   * @returns {object}
+   */
+  rollupTask(task) {
+    if (!task || typeof task !== 'object') return task;
+    let next = task;
+    if (Array.isArray(task.subtasks) && task.subtasks.some((subtask) => subtask && typeof subtask === 'object')) {
+      const subtasks = task.subtasks.map((subtask) => this.rollupTask(subtask));
+      if (subtasks.some((subtask, index) => subtask !== task.subtasks[index])) next = { ...next, subtasks };
+    }
+    if (Array.isArray(task.time_entries) && task.time_entries.length > 0) {
+      const hours = this.totalHours(task);
+      if (task.actual_hours !== hours) next = { ...next, actual_hours: hours };
+    }
+    return next;
+  }
+
+  /**
+   * Roll time entries into `actual_hours` for every task (and inline subtask).
+   *
+   * @param {object[]} tasks
+   * @returns {{ tasks: object[], changed: number[] }} `changed` lists task ids whose hours moved.
+   */
+  rollupTasks(tasks) {
+    const list = Array.isArray(tasks) ? tasks : [];
+    if (!this.rollupEnabled) return { tasks: list, changed: [] };
+    const changed = [];
+    const next = list.map((task) => {
+      const rolled = this.rollupTask(task);
+      if (rolled !== task) changed.push(task.task_id);
+      return rolled;
+    });
+    return { tasks: changed.length > 0 ? next : list, changed };
+  }
+
+  /**
+   * Copy of a task with one more time entry.
+   *
+   * @param {object} task
+   * @param {{ worker?: string, start: string, end: string, note?: string }} entry
+   * @returns {object}
+   */
+  addEntry(task, entry) {
+    const hours = this.entryHours(entry);
+    if (!(hours > 0)) throw new Error('A time entry needs an end after its start');
+    const logged = { worker: String(entry.worker || '').trim(), start: entry.start, end: entry.end, hours, note: String(entry.note || '').trim() };
+    const next = { ...task, time_entries: [...(Array.isArray(task.time_entries) ? task.time_entries : []), logged] };
+    return this.rollupEnabled ? { ...next, actual_hours: this.totalHours(next) } : next;
+  }
+
+  /**
+   * Copy of a task without the time entry at `index`.
+   *
+   * @param {object} task
+   * @param {number} index
+   * @returns {object}
+   */
+  removeEntry(task, index) {
+    const entries = Array.isArray(task.time_entries) ? task.time_entries.slice() : [];
+    if (index < 0 || index >= entries.length) throw new Error(`No time entry ${index + 1}`);
+    entries.splice(index, 1);
+    const next = { ...task, time_entries: entries };
+    return this.rollupEnabled ? { ...next, actual_hours: this.totalHours(next) } : next;
+  }
+
+  /**
+   * Estimate-vs-actual of a task.
+   *
+   * @param {object} task
+   * @returns {{ estimated: number, actual: number, variance: number, percent: number|null }}
+   */
+  variance(task) {
+    const estimated = Number(task && task.estimated_hours) || 0;
+    const actual = Number(task && task.actual_hours) || 0;
+    const variance = Math.round((actual - estimated) * 100) / 100;
+    return { estimated, actual, variance, percent: estimated > 0 ? Math.round((variance / estimated) * 100) : null };
+  }
+
+  /**
+   * Calendar day (`YYYY-MM-DD`) an entry was logged on, read from its own timestamp.
+   *
+   * @param {{ start?: string }} entry
+   * @returns {string|null}
+   */
+  entryDay(entry) {
+    const match = /^(\d{4}-\d{2}-\d{2})/.exec(String((entry && entry.start) || ''));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Monday of the week that contains `day`.
+   *
+   * @param {string} day - `YYYY-MM-DD`.
+   * @returns {string}
+   */
+  weekStart(day) {
+    const time = Date.parse(`${String(day).slice(0, 10)}T00:00:00Z`);
+    if (!Number.isFinite(time)) throw new Error(`Not a date: ${day}`);
+    const weekday = new Date(time).getUTCDay();
+    return new Date(time - ((weekday + 6) % 7) * TIMESHEET_DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Timesheet of one week: hours per worker, task and day. Entries count on the day they started.
+   *
+   * @param {object[]} tasks
+   * @param {{ weekStart?: string, worker?: string }} [options] - Week (any day in it, default this week) and an optional worker filter.
+   * @returns {{
+   *   weekStart: string,
+   *   days: string[],
+   *   workers: { worker: string, total: number, dayTotals: number[], rows: { task_id: number, task_name: string, hours: number[], total: number, entries: object[] }[] }[],
+   *   total: number
+   * }}
+   */
+  timesheet(tasks, options = {}) {
+    const monday = this.weekStart(options.weekStart || this.timestamp().slice(0, 10));
+    const mondayTime = Date.parse(`${monday}T00:00:00Z`);
+    const days = Array.from({ length: 7 }, (_, index) => new Date(mondayTime + index * TIMESHEET_DAY_MS).toISOString().slice(0, 10));
+    const filter = String(options.worker || '').trim().toLowerCase();
+    const byWorker = new Map();
+
+    const visit = (task, label) => {
+      if (!task || typeof task !== 'object') return;
+      const name = label || task.task_name || task.name || `Task ${task.task_id}`;
+      (Array.isArray(task.time_entries) ? task.time_entries : []).forEach((entry) => {
+        const dayIndex = days.indexOf(this.entryDay(entry));
+        const worker = String((entry && entry.worker) || '').trim() || 'Unassigned';
+        if (dayIndex === -1 || (filter && worker.toLowerCase() !== filter)) return;
+        if (!byWorker.has(worker)) byWorker.set(worker, new Map());
+        const rows = byWorker.get(worker);
+        const rowKey = `${task.task_id}:${name}`;
+        if (!rows.has(rowKey)) rows.set(rowKey, { task_id: task.task_id, task_name: name, hours: days.map(() => 0), total: 0, entries: [] });
+        const row = rows.get(rowKey);
+        const hours = this.entryHours(entry);
+        row.hours[dayIndex] = Math.round((row.hours[dayIndex] + hours) * 100) / 100;
+        row.total = Math.round((row.total + hours) * 100) / 100;
+        row.entries.push(entry);
+      });
+      (Array.isArray(task.subtasks) ? task.subtasks : []).forEach((subtask) => {
+        if (subtask && typeof subtask === 'object') visit({ task_id: task.task_id, ...subtask }, `${name} › ${subtask.name || subtask.task_name || 'Subtask'}`);
+      });
+    };
+    (Array.isArray(tasks) ? tasks : []).forEach((task) => visit(task));
+
+    const workers = Array.from(byWorker.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([worker, rows]) => {
+        const list = Array.from(rows.values()).sort((a, b) => b.total - a.total || a.task_name.localeCompare(b.task_name));
+        const dayTotals = days.map((_, index) => Math.round(list.reduce((sum, row) => sum + row.hours[index], 0) * 100) / 100);
+        return { worker, total: Math.round(list.reduce((sum, row) => sum + row.total, 0) * 100) / 100, dayTotals, rows: list };
+      });
+
+    return { weekStart: monday, days, workers, total: Math.round(workers.reduce((sum, row) => sum + row.total, 0) * 100) / 100 };
+  }
+
+  /**
+   * Timesheet as CSV: one row per worker and task with a column per day.
+   *
+   * @param {ReturnType<TaskTimeTracking['timesheet']>} sheet
+   * @returns {string}
+   */
+  timesheetCsv(sheet) {
+    const cell = (value) => {
+      const text = String(value === null || value === undefined ? '' : value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [['worker', 'task_id', 'task_name', ...sheet.days, 'total'].map(cell).join(',')];
+    sheet.workers.forEach((worker) => {
+      worker.rows.forEach((row) => {
+        lines.push([worker.worker, row.task_id, row.task_name, ...row.hours, row.total].map(cell).join(','));
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskTimeTracking;
+}
@@ -0,0 +1,444 @@
+/**
+ * Workload and capacity planning per worker.
+ *
+ * Spreads each open task's `estimated_hours` evenly over the working days between its
+ * `start_date` and `end_date`, split between its assigned workers, and compares the load with
+ * each worker's `weekly_capacity_hours` (default `WORKLOAD.DEFAULT_WEEKLY_CAPACITY_HOURS`) by day
+ * or by week. Leveling suggestions move non-critical tasks later within their float
+ * (task-scheduler.js); a move is only suggested when it keeps the project finish date and does
+ * not push any other task past its planned start.
+ */
+
+/** Milliseconds in one workload day. */
+const WORKLOAD_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Per-worker load, over-allocation and leveling suggestions.
+ */
+class TaskWorkloadPlanner {
+  /**
+   * Create a planner.
+   *
+   * @param {object} [config] - TEMPLATE_CONFIG; reads `WORKLOAD.DEFAULT_WEEKLY_CAPACITY_HOURS` and `WORKLOAD.WORKING_DAYS` (0 = Sunday).
+   * @param {{ scheduler?: TaskScheduler, closedStatuses?: string[] }} [options]
+   */
+  constructor(config = {}, options = {}) {
+    const workload = (config && config.WORKLOAD) || {};
+    const capacity = Number(workload.DEFAULT_WEEKLY_CAPACITY_HOURS);
+    this.defaultWeeklyCapacity = Number.isFinite(capacity) && capacity >= 0 ? capacity : 40;
+    const workingDays = Array.isArray(workload.WORKING_DAYS) ? workload.WORKING_DAYS.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6) : [];
+    this.workingDays = new Set(workingDays.length > 0 ? workingDays : [1, 2, 3, 4, 5]);
+    this.closedStatuses = new Set(options.closedStatuses || ['Done', 'Completed', 'Cancelled']);
+    this.scheduler = options.scheduler || null;
+  }
+
+  /**
+   * Shared dependency scheduler: the injected one, the browser global, or the sibling module under Node.
+   *
+   * @returns {TaskScheduler|null}
+   */
+  getScheduler() {
+    if (this.scheduler) return this.scheduler;
+    if (typeof TaskScheduler !== 'undefined') this.scheduler = new TaskScheduler();
+    else if (typeof module !== 'undefined' && module.exports && typeof require === 'function') this.scheduler = new (require('./task-scheduler.js'))();
+    return this.scheduler;
+  }
+
+  /**
+   * Convert a `YYYY-MM-DD` date into a day number, or `null` when it is not a date.
+   *
+   * @param {unknown} value
+   * @returns {number|null}
+   */
+  parseDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+    if (!match) return null;
+    const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isFinite(time) ? Math.round(time / WORKLOAD_DAY_MS) : null;
+  }
+
+  /**
+   * Convert a day number back into `YYYY-MM-DD`.
+   *
+   * @param {number} day
+   * @returns {string}
+   */
+  formatDay(day) {
+    return new Date(day * WORKLOAD_DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Day of the week of a day number (0 = Sunday).
+   *
+   * @param {number} day
+   * @returns {number}
+   */
+  weekday(day) {
+    return ((day % 7) + 11) % 7;
+  }
+
+  /**
+   * Monday of the week containing a day number.
+   *
+   * @param {number} day
+   * @returns {number}
+   */
+  weekStart(day) {
+    return day - ((this.weekday(day) + 6) % 7);
+  }
+
+  /**
+   * Identifiers a worker can be matched by (worker_id, email, name; lower case).
+   *
+   * @param {object|string} worker
+   * @returns {string[]}
+   */
+  workerIds(worker) {
+    if (!worker) return [];
+    if (typeof worker === 'string') return [worker.trim().toLowerCase()].filter(Boolean);
+    return [worker.worker_id, worker.email, worker.name]
+      .map((value) => String(value || '').trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Weekly capacity of a project worker (`weekly_capacity_hours`, else the configured default).
+   *
+   * @param {object} [worker]
+   * @returns {number}
+   */
+  weeklyCapacity(worker) {
+    const hours = worker && worker.weekly_capacity_hours;
+    return typeof hours === 'number' && hours >= 0 ? hours : this.defaultWeeklyCapacity;
+  }
+
+  /**
+   * Capacity of one day: the weekly capacity spread over the working days, 0 on other days.
+   *
+   * @param {number} weekly
+   * @param {number} day
+   * @returns {number}
+   */
+  dailyCapacity(weekly, day) {
+    return this.workingDays.has(this.weekday(day)) ? weekly / this.workingDays.size : 0;
+  }
+
+  /**
+   * Days a task occupies and the hours booked on each. The span runs from `start_date` to
+   * `end_date` (or the scheduler duration); hours go to its working days, or to every day when
+   * the span has none.
+   *
+   * @param {object} task
+   * @returns {{ days: number[], hoursPerDay: number }|null} Null when the task has no start date or no hours.
+   */
+  taskDays(task) {
+    const start = this.parseDay(task && task.start_date);
+    const hours = Number(task && task.estimated_hours);
+    if (start === null || !Number.isFinite(hours) || hours <= 0) return null;
+    let end = this.parseDay(task.end_date);
+    if (end === null || end < start) {
+      const scheduler = this.getScheduler();
+      end = start + (scheduler ? scheduler.getDurationDays({ estimated_hours: hours }) : 1) - 1;
+    }
+    const span = [];
+    for (let day = start; day <= end; day += 1) span.push(day);
+    const working = span.filter((day) => this.workingDays.has(this.weekday(day)));
+    const days = working.length > 0 ? working : span;
+    return { days, hoursPerDay: hours / days.length };
+  }
+
+  /**
+   * Worker rows (project workers first, then anyone assigned who is not on the project) and the
+   * daily bookings of every open top-level task.
+   *
+   * @param {object[]} tasks
+   * @param {object[]} [workers=[]]
+   * @returns {{
+   *   workers: { key: string, name: string, weeklyCapacity: number }[],
+   *   bookings: { task: object, workerKeys: string[], days: number[], hoursPerDay: number }[],
+   *   unscheduled: number[],
+   *   unassigned: number[]
+   * }}
+   */
+  collect(tasks, workers = []) {
+    const rows = [];
+    const byId = new Map();
+    const addRow = (worker, known) => {
+      const ids = this.workerIds(worker);
+      const existing = ids.map((id) => byId.get(id)).find(Boolean);
+      if (existing) return existing;
+      if (ids.length === 0) return null;
+      const row = {
+        key: ids[0],
+        name: String((typeof worker === 'string' ? worker : (worker.name || worker.email || worker.worker_id)) || ids[0]),
+        weeklyCapacity: this.weeklyCapacity(known ? worker : null)
+      };
+      ids.forEach((id) => byId.set(id, row));
+      rows.push(row);
+      return row;
+    };
+    (Array.isArray(workers) ? workers : []).forEach((worker) => addRow(worker, true));
+
+    const bookings = [];
+    const unscheduled = [];
+    const unassigned = [];
+    (Array.isArray(tasks) ? tasks : []).forEach((task) => {
+      if (!task || typeof task !== 'object' || this.closedStatuses.has(task.status)) return;
+      const assigned = (Array.isArray(task.assigned_workers) ? task.assigned_workers : [])
+        .map((worker) => addRow(worker, false))
+        .filter(Boolean);
+      const allocation = this.taskDays(task);
+      if (!allocation) {
+        if (Number(task.estimated_hours) > 0) unscheduled.push(task.task_id);
+        return;
+      }
+      if (assigned.length === 0) {
+        unassigned.push(task.task_id);
+        return;
+      }
+      const workerKeys = Array.from(new Set(assigned.map((row) => row.key)));
+      bookings.push({ task, workerKeys, days: allocation.days, hoursPerDay: allocation.hoursPerDay / workerKeys.length });
+    });
+
+    return { workers: rows, bookings, unscheduled, unassigned };
+  }
+
+  /**
+   * Hours booked per worker and day.
+   *
+   * @param {{ workerKeys: string[], days: number[], hoursPerDay: number }[]} bookings
+   * @returns {Map<string, Map<number, number>>}
+   */
+  dailyLoad(bookings) {
+    const load = new Map();
+    bookings.forEach((booking) => {
+      booking.workerKeys.forEach((key) => {
+        const days = load.get(key) || new Map();
+        booking.days.forEach((day) => days.set(day, (days.get(day) || 0) + booking.hoursPerDay));
+        load.set(key, days);
+      });
+    });
+    return load;
+  }
+
+  /**
+   * Build the capacity grid.
+   *
+   * @param {object[]} tasks - Top-level tasks; inline subtasks are booked with their parent.
+   * @param {object[]} [workers=[]] - Project workers.
+   * @param {{ unit?: 'day'|'week', from?: string, to?: string, today?: string }} [options]
+   *   Default range: four weeks by day, or twelve weeks by week, from the Monday of `today`.
+   * @returns {{
+   *   unit: 'day'|'week', from: string, to: string,
+   *   buckets: { start: string, end: string, label: string, working: boolean }[],
+   *   workers: { key: string, name: string, weeklyCapacity: number, totalHours: number, overCount: number,
+   *     cells: { hours: number, capacity: number, over: boolean, tasks: { task_id: number, task_name: string, hours: number }[] }[] }[],
+   *   unscheduled: number[],
+   *   unassigned: number[]
+   * }}
+   */
+  buildLoad(tasks, workers = [], options = {}) {
+    const unit = options.unit === 'week' ? 'week' : 'day';
+    const today = this.parseDay(options.today) ?? this.parseDay(new Date().toISOString());
+    const from = this.parseDay(options.from) ?? this.weekStart(today);
+    const to = Math.max(from, this.parseDay(options.to) ?? (from + (unit === 'week' ? 12 * 7 : 4 * 7) - 1));
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const buckets = [];
+    for (let start = unit === 'week' ? this.weekStart(from) : from; start <= to; start += unit === 'week' ? 7 : 1) {
+      const end = unit === 'week' ? start + 6 : start;
+      buckets.push({
+        startDay: start,
+        endDay: end,
+        start: this.formatDay(start),
+        end: this.formatDay(end),
+        label: unit === 'week' ? `Wk ${this.formatDay(start).slice(5)}` : this.formatDay(start).slice(5),
+        working: unit === 'week' || this.workingDays.has(this.weekday(start))
+      });
+    }
+
+    const collected = this.collect(tasks, workers);
+    const rows = collected.workers.map((row) => {
+      const cells = buckets.map((bucket) => {
+        const entries = [];
+        let hours = 0;
+        collected.bookings.forEach((booking) => {
+          if (!booking.workerKeys.includes(row.key)) return;
+          const booked = booking.days.filter((day) => day >= bucket.startDay && day <= bucket.endDay).length * booking.hoursPerDay;
+          if (booked <= 0) return;
+          hours += booked;
+          entries.push({ task_id: booking.task.task_id, task_name: booking.task.task_name || '', hours: round(booked) });
+        });
+        let capacity = 0;
+        for (let day = bucket.startDay; day <= bucket.endDay; day += 1) capacity += this.dailyCapacity(row.weeklyCapacity, day);
+        return { hours: round(hours), capacity: round(capacity), over: hours > capacity + 0.05, tasks: entries };
+      });
+      return {
+        ...row,
+        totalHours: round(cells.reduce((sum, cell) => sum + cell.hours, 0)),
+        overCount: cells.filter((cell) => cell.over).length,
+        cells
+      };
+    });
+
+    return {
+      unit,
+      from: this.formatDay(from),
+      to: this.formatDay(to),
+      buckets: buckets.map(({ startDay, endDay, ...bucket }) => bucket),
+      workers: rows,
+      unscheduled: collected.unscheduled,
+      unassigned: collected.unassigned
+    };
+  }
+
+  /**
+   * Over-allocated worker days, earliest first.
+   *
+   * @param {Map<string, Map<number, number>>} load
+   * @param {Map<string, number>} capacities - Weekly capacity per worker key.
+   * @returns {{ key: string, day: number, hours: number, capacity: number, excess: number }[]}
+   */
+  overloads(load, capacities) {
+    const list = [];
+    load.forEach((days, key) => {
+      days.forEach((hours, day) => {
+        const capacity = this.dailyCapacity(capacities.get(key), day);
+        if (hours > capacity + 0.05) list.push({ key, day, hours, capacity, excess: hours - capacity });
+      });
+    });
+    return list.sort((a, b) => a.day - b.day || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Suggest moving non-critical tasks later, within their total float, to clear over-allocated days.
+   *
+   * Only tasks that have not started (not in the scheduler's locked statuses) and have both dates
+   * are moved. Each move must lower the assigned workers' total overload, keep the project finish
+   * date and leave every other task able to start on its planned `start_date`.
+   *
+   * @param {object[]} tasks - Top-level tasks; not modified.
+   * @param {object[]} [workers=[]]
+   * @param {{ maxShiftDays?: number, maxMoves?: number }} [options]
+   * @returns {{
+   *   suggestions: { task_id: number, task_name: string, workers: string[], start_date: string, end_date: string,
+   *     new_start_date: string, new_end_date: string, shift_days: number, total_float: number }[],
+   *   remaining: { worker: string, date: string, hours: number, capacity: number }[]
+   * }}
+   */
+  suggestLeveling(tasks, workers = [], options = {}) {
+    const scheduler = this.getScheduler();
+    const maxShiftDays = Number(options.maxShiftDays) > 0 ? Number(options.maxShiftDays) : 30;
+    const maxMoves = Number(options.maxMoves) > 0 ? Number(options.maxMoves) : 50;
+    let working = (Array.isArray(tasks) ? tasks : []).filter((task) => task && typeof task === 'object').map((task) => ({ ...task }));
+    const original = new Map(working.map((task) => [task.task_id, task]));
+    const round = (value) => Math.round(value * 10) / 10;
+
+    const pushedIds = (result) => new Set(result.tasks
+      .filter((entry) => {
+        const task = working.find((candidate) => candidate.task_id === entry.task_id);
+        const planned = task && this.parseDay(task.start_date);
+        return planned !== null && this.parseDay(entry.early_start) > planned;
+      })
+      .map((entry) => entry.task_id));
+    const baseline = scheduler ? scheduler.schedule(working) : null;
+    const baselineFinish = baseline ? this.parseDay(baseline.projectFinish) : null;
+    const baselinePushed = baseline ? pushedIds(baseline) : new Set();
+
+    const state = () => {
+      const collected = this.collect(working, workers);
+      const capacities = new Map(collected.workers.map((row) => [row.key, row.weeklyCapacity]));
+      const load = this.dailyLoad(collected.bookings);
+      return { collected, capacities, load, overloads: this.overloads(load, capacities) };
+    };
+    const excessFor = (load, capacities, keys) => keys.reduce((sum, key) => {
+      let total = 0;
+      (load.get(key) || new Map()).forEach((hours, day) => { total += Math.max(0, hours - this.dailyCapacity(capacities.get(key), day)); });
+      return sum + total;
+    }, 0);
+
+    let current = state();
+    let moves = 0;
+    while (scheduler && current.overloads.length > 0 && moves < maxMoves) {
+      const schedule = scheduler.schedule(working);
+      const floats = new Map(schedule.tasks.map((entry) => [entry.task_id, entry]));
+      let moved = null;
+
+      for (const overload of current.overloads) {
+        const candidates = current.collected.bookings
+          .filter((booking) => booking.workerKeys.includes(overload.key) && booking.days.includes(overload.day))
+          .map((booking) => ({ booking, entry: floats.get(booking.task.task_id) }))
+          .filter(({ booking, entry }) => entry && !entry.locked && entry.total_float > 0
+            && !scheduler.lockedStatuses.has(booking.task.status)
+            && this.parseDay(booking.task.start_date) !== null && this.parseDay(booking.task.end_date) !== null)
+          .sort((a, b) => b.entry.total_float - a.entry.total_float || a.booking.task.task_id - b.booking.task.task_id);
+
+        for (const { booking, entry } of candidates) {
+          const before = excessFor(current.load, current.capacities, booking.workerKeys);
+          const limit = Math.min(entry.total_float, maxShiftDays);
+          for (let shift = 1; shift <= limit && !moved; shift += 1) {
+            const task = booking.task;
+            const shifted = {
+              ...task,
+              start_date: this.formatDay(this.parseDay(task.start_date) + shift),
+              end_date: this.formatDay(this.parseDay(task.end_date) + shift)
+            };
+            const trial = working.map((candidate) => (candidate === task ? shifted : candidate));
+            const collected = this.collect(trial, workers);
+            const load = this.dailyLoad(collected.bookings);
+            if (excessFor(load, current.capacities, booking.workerKeys) >= before - 0.05) continue;
+
+            const previous = working;
+            working = trial;
+            const result = scheduler.schedule(working);
+            const keepsFinish = baselineFinish === null || this.parseDay(result.projectFinish) <= baselineFinish;
+            const pushesNothing = Array.from(pushedIds(result)).every((id) => baselinePushed.has(id));
+            if (keepsFinish && pushesNothing) moved = shifted;
+            else working = previous;
+          }
+          if (moved) break;
+        }
+        if (moved) break;
+      }
+
+      if (!moved) break;
+      moves += 1;
+      current = state();
+    }
+
+    const names = new Map(current.collected.workers.map((row) => [row.key, row.name]));
+    const finalFloats = scheduler ? new Map(scheduler.schedule(Array.from(original.values())).tasks.map((entry) => [entry.task_id, entry.total_float])) : new Map();
+    const suggestions = working
+      .filter((task) => original.has(task.task_id) && original.get(task.task_id).start_date !== task.start_date)
+      .map((task) => {
+        const before = original.get(task.task_id);
+        const booking = current.collected.bookings.find((candidate) => candidate.task.task_id === task.task_id);
+        return {
+          task_id: task.task_id,
+          task_name: task.task_name || '',
+          workers: booking ? booking.workerKeys.map((key) => names.get(key) || key) : [],
+          start_date: before.start_date,
+          end_date: before.end_date,
+          new_start_date: task.start_date,
+          new_end_date: task.end_date,
+          shift_days: this.parseDay(task.start_date) - this.parseDay(before.start_date),
+          total_float: finalFloats.get(task.task_id) || 0
+        };
+      });
+
+    return {
+      suggestions,
+      remaining: current.overloads.map((overload) => ({
+        worker: names.get(overload.key) || overload.key,
+        date: this.formatDay(overload.day),
+        hours: round(overload.hours),
+        capacity: round(overload.capacity)
+      }))
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskWorkloadPlanner;
+}
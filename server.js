@@ -6,9 +6,38 @@
  * derived CSV, and state files when the app runs outside GitHub Pages.
  */
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
+const TEMPLATE_CONFIG = require('./public/config/tasks-template-config.js');
+const TemplateValidator = require('./public/task-engine/js/task-schema-validator.js');
+const TemplateAutomation = require('./public/task-engine/js/task-field-automation.js');
+const TaskBatchOperations = require('./public/task-engine/js/task-batch-operations.js');
+const TaskQuery = require('./public/task-engine/js/task-query.js');
+const TaskScheduler = require('./public/task-engine/js/task-scheduler.js');
+const TaskIntegrityChecker = require('./public/task-engine/js/task-integrity-checker.js');
+const TaskRecurrence = require('./public/task-engine/js/task-recurrence.js');
+const TaskProjectRegisters = require('./public/task-engine/js/task-project-registers.js');
+const TaskTimeTracking = require('./public/task-engine/js/task-time-tracking.js');
+const OPENAPI_DOCUMENT = require('./public/api/openapi.json');
+const LocalUsers = require('./tools/scripts/manage-local-users.js');
+
+// Shared with the browser task engine so server-side task writes follow the same rules.
+const taskValidator = new TemplateValidator(TEMPLATE_CONFIG);
+const taskAutomation = new TemplateAutomation(TEMPLATE_CONFIG, taskValidator);
+const taskBatch = new TaskBatchOperations(taskValidator, taskAutomation);
+const taskScheduler = new TaskScheduler();
+const taskIntegrity = new TaskIntegrityChecker();
+const taskRecurrence = new TaskRecurrence();
+const projectRegisters = new TaskProjectRegisters(TEMPLATE_CONFIG);
+const timeTracking = new TaskTimeTracking(TEMPLATE_CONFIG);
+
+/** Upper bound on operations accepted by one POST /api/tasks/batch request. */
+const MAX_BATCH_OPERATIONS = 500;
+
+/** Query-string parameters that switch GET /api/tasks from the full payload to a filtered page. */
+const TASK_QUERY_PARAMS = ['q', 'sort', 'fields', 'limit', 'offset', 'flatten'];
 
 /**
  * Escape a scalar value for inclusion in the persisted CSV export.
@@ -266,23 +295,353 @@ function contentTypeFor(filePath) {
   return 'application/octet-stream';
 }
 
+/** Default machine-readable `code` for API error responses by HTTP status. */
+const ERROR_CODES = Object.freeze({
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  428: 'precondition_required',
+  500: 'internal_error'
+});
+
+/**
+ * Bring an error payload into the shared `{ ok: false, error, code, errors: [{ path, message }] }` shape.
+ * Extra fields (such as `etag` or `conflicts`) are kept.
+ *
+ * @param {number} status
+ * @param {object} payload
+ * @returns {object}
+ */
+function normalizeErrorPayload(status, payload) {
+  const { ok: _ok, error, code, errors, ...extra } = payload || {};
+  const message = String(error || http.STATUS_CODES[status] || 'Request failed');
+  const details = (Array.isArray(errors) ? errors : []).map((entry) => (entry && typeof entry === 'object'
+    ? { path: String(entry.path || ''), message: String(entry.message || entry.error || ''), ...entry }
+    : { path: '', message: String(entry) }));
+  return { ok: false, error: message, code: code || ERROR_CODES[status] || 'error', errors: details, ...extra };
+}
+
 /**
  * Send a JSON response with no-store caching for API endpoints.
+ * Error statuses (4xx/5xx) are normalized with normalizeErrorPayload.
  *
  * @param {import('http').ServerResponse} res
  * @param {number} status
  * @param {unknown} payload
+ * @param {Record<string, string>} [headers={}]
  * @returns {void}
  */
-function sendJson(res, status, payload) {
-  const body = JSON.stringify(payload, null, 2);
+function sendJson(res, status, payload, headers = {}) {
+  const body = JSON.stringify(status >= 400 ? normalizeErrorPayload(status, payload) : payload, null, 2);
   res.writeHead(status, {
     'Content-Type': 'application/json; charset=utf-8',
-    'Cache-Control': 'no-store'
+    'Cache-Control': 'no-store',
+    ...headers
   });
   res.end(body);
 }
 
+/**
+ * Resolve a local `#/components/...` reference in the OpenAPI document.
+ *
+ * @param {string} ref
+ * @returns {object|null}
+ */
+function resolveSchemaRef(ref) {
+  if (!String(ref).startsWith('#/')) return null;
+  return String(ref).slice(2).split('/').reduce((node, key) => (node && typeof node === 'object' ? node[key] : null), OPENAPI_DOCUMENT);
+}
+
+/**
+ * Check a value against the schema subset used in public/api/openapi.json: `$ref`, `allOf`, `anyOf`,
+ * `type`, `nullable`, `enum`, `required`, `properties`, `items` and the min/max/pattern bounds.
+ *
+ * @param {unknown} value
+ * @param {object} schema
+ * @param {string} [fieldPath='body']
+ * @returns {{path: string, message: string}[]}
+ */
+function validateJsonSchema(value, schema, fieldPath = 'body') {
+  if (!schema || typeof schema !== 'object') return [];
+  if (schema.$ref) return validateJsonSchema(value, resolveSchemaRef(schema.$ref), fieldPath);
+
+  const errors = [];
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((part) => errors.push(...validateJsonSchema(value, part, fieldPath)));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((part) => validateJsonSchema(value, part, fieldPath).length === 0)) {
+    const types = schema.anyOf.map((part) => part.type || 'value').join(' or ');
+    errors.push({ path: fieldPath, message: `must be ${types}${schema.anyOf.some((part) => part.pattern) ? ' in the documented format' : ''}` });
+  }
+  if (value === null || value === undefined) {
+    if (value === null && schema.type && !schema.nullable) errors.push({ path: fieldPath, message: `must be ${schema.type}, not null` });
+    return errors;
+  }
+
+  if (schema.type) {
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    const typeMatches = schema.type === 'integer'
+      ? Number.isInteger(value)
+      : schema.type === actualType && !(schema.type === 'number' && !Number.isFinite(value));
+    if (!typeMatches) return [...errors, { path: fieldPath, message: `must be ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}` }];
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push({ path: fieldPath, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path: fieldPath, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path: fieldPath, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path: fieldPath, message: `must match ${schema.pattern}` });
+  } else if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: fieldPath, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: fieldPath, message: `must be <= ${schema.maximum}` });
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: fieldPath, message: `must contain at least ${schema.minItems} item(s)` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: fieldPath, message: `must contain at most ${schema.maxItems} item(s)` });
+    if (schema.items) value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${fieldPath}[${index}]`)));
+  } else if (typeof value === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: `${fieldPath}.${key}`, message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validateJsonSchema(value[key], propertySchema, `${fieldPath}.${key}`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Read and parse a JSON request body, then check it against the route's OpenAPI request schema.
+ * Replies 400 (`invalid_json` or `invalid_request`) and resolves `undefined` when the body is unusable.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} routePath - Path template as written in openapi.json, e.g. `/api/tasks/{taskId}`.
+ * @returns {Promise<unknown>}
+ */
+async function readJsonRequest(req, res, routePath) {
+  const raw = await readBody(req);
+  let value;
+  try {
+    value = JSON.parse(raw || '{}');
+  } catch (err) {
+    sendJson(res, 400, { ok: false, error: 'Invalid JSON body', code: 'invalid_json', errors: [{ path: 'body', message: err.message }] });
+    return undefined;
+  }
+
+  const operation = (OPENAPI_DOCUMENT.paths[routePath] || {})[String(req.method || '').toLowerCase()];
+  const content = operation && operation.requestBody && operation.requestBody.content;
+  const schema = content && content['application/json'] && content['application/json'].schema;
+  const errors = validateJsonSchema(value, schema);
+  if (errors.length > 0) {
+    sendJson(res, 400, { ok: false, error: 'Request body does not match the API schema', code: 'invalid_request', errors });
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Find the OpenAPI path template that matches a request path.
+ *
+ * @param {string} pathname
+ * @returns {string|null}
+ */
+function matchOpenApiPath(pathname) {
+  if (OPENAPI_DOCUMENT.paths[pathname]) return pathname;
+  return Object.keys(OPENAPI_DOCUMENT.paths).find((template) => {
+    const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+');
+    return new RegExp(`^${pattern}$`).test(pathname);
+  }) || null;
+}
+
+/**
+ * Convert failed batch operations into error details with field paths.
+ *
+ * @param {object[]} batchErrors - `errors` from TaskBatchOperations#apply.
+ * @param {object[]} operations
+ * @returns {object[]}
+ */
+function toBatchFieldErrors(batchErrors, operations) {
+  return (batchErrors || []).flatMap((entry) => {
+    const operationPath = entry.index >= 0 ? `body.operations[${entry.index}]` : 'body.operations';
+    if (!Array.isArray(entry.errors) || entry.errors.length === 0) {
+      return [{ path: operationPath, message: entry.error, index: entry.index, op: entry.op, ...(entry.taskId !== undefined ? { taskId: entry.taskId } : {}), error: entry.error }];
+    }
+    const operation = (operations || [])[entry.index] || {};
+    const taskPath = `${operationPath}.${operation.op === 'create' ? 'task' : 'changes'}`;
+    return taskValidator.toFieldErrors(entry.errors, taskPath).map((detail) => ({
+      ...detail,
+      index: entry.index,
+      op: entry.op,
+      ...(entry.taskId !== undefined ? { taskId: entry.taskId } : {}),
+      error: entry.error
+    }));
+  });
+}
+
+/**
+ * Push dependent tasks later after a single-task write moved `end_date` later.
+ * `?reschedule=1|0` wins; otherwise AUTOMATION.AUTO_RESCHEDULE_SUCCESSORS decides.
+ * Replaces `projectData.tasks` when anything moved and returns the date changes.
+ *
+ * @param {URL} url
+ * @param {{ tasks: object[] }} projectData
+ * @param {object} beforeTask
+ * @param {object} afterTask
+ * @returns {{ task_id: number, before: object, after: object }[]}
+ */
+function rescheduleAfterSlip(url, projectData, beforeTask, afterTask) {
+  const param = url.searchParams.get('reschedule');
+  const enabled = param === null
+    ? Boolean(TEMPLATE_CONFIG.AUTOMATION.AUTO_RESCHEDULE_SUCCESSORS)
+    : ['1', 'true'].includes(param.toLowerCase());
+  if (!enabled || !afterTask.end_date || String(afterTask.end_date) <= String(beforeTask.end_date || '')) return [];
+
+  const result = taskScheduler.rescheduleSuccessors(projectData.tasks, afterTask.task_id);
+  if (result.changes.length > 0) projectData.tasks = result.tasks;
+  return result.changes;
+}
+
+/**
+ * When a single-task write completes a recurring task, record the finished occurrence as a
+ * child task and move the task to its next occurrence (AUTOMATION.AUTO_MATERIALIZE_RECURRENCES).
+ * Replaces `projectData.tasks` when an occurrence was created.
+ *
+ * @param {{ tasks: object[] }} projectData
+ * @param {object} beforeTask
+ * @param {object} afterTask
+ * @returns {{ created: object, next: object }|null}
+ */
+function materializeRecurrence(projectData, beforeTask, afterTask) {
+  if (!TEMPLATE_CONFIG.AUTOMATION.AUTO_MATERIALIZE_RECURRENCES) return null;
+  if (taskRecurrence.completedStatuses.has(beforeTask.status)) return null;
+  const result = taskRecurrence.completeOccurrence(projectData.tasks, afterTask.task_id);
+  if (!result.created) return null;
+  projectData.tasks = result.tasks;
+  return { created: result.created, next: result.next };
+}
+
+/**
+ * Derive milestone statuses from the tasks that gate them before a write is persisted
+ * (AUTOMATION.AUTO_MILESTONE_STATUS). Replaces `projectData.project` when a status changed.
+ *
+ * @param {{ project?: object, tasks: object[] }} projectData
+ * @returns {{ name: string, before: string, after: string }[]}
+ */
+function refreshMilestoneStatuses(projectData) {
+  if (!TEMPLATE_CONFIG.AUTOMATION.AUTO_MILESTONE_STATUS || !projectData.project) return [];
+  const result = projectRegisters.refreshMilestones(projectData.project, projectData.tasks);
+  if (result.changed.length > 0) projectData.project = result.project;
+  return result.changed;
+}
+
+/**
+ * Roll logged time entries into `actual_hours` before a write is persisted
+ * (AUTOMATION.AUTO_ROLLUP_ACTUAL_HOURS). Replaces `projectData.tasks` when an hour total moved.
+ *
+ * @param {{ tasks: object[] }} projectData
+ * @returns {number[]} Ids of the tasks whose `actual_hours` changed.
+ */
+function rollupActualHours(projectData) {
+  const result = timeTracking.rollupTasks(projectData.tasks);
+  if (result.changed.length > 0) projectData.tasks = result.tasks;
+  return result.changed;
+}
+
+/**
+ * Task lists of every module in a project for the integrity checker: the root module first,
+ * then each sub-module file found by collectProjectModules.
+ *
+ * @param {string} projectDir
+ * @returns {{ path: string, tasks: object[] }[]} Empty when the project has no tasks file.
+ */
+function readProjectModules(projectDir) {
+  const synchronized = buildProjectPayload(projectDir);
+  if (!synchronized) return [];
+  const rootTasks = Array.isArray(synchronized.payload.tasks) ? synchronized.payload.tasks : [];
+  return [
+    { path: synchronized.rootModuleRelative || 'node.tasks.json', tasks: rootTasks },
+    ...synchronized.modules.map((moduleEntry) => {
+      const modulePath = safeJoin(projectDir, moduleEntry.path);
+      const data = modulePath ? readJsonFile(modulePath) : null;
+      return { path: moduleEntry.path, tasks: data && Array.isArray(data.tasks) ? data.tasks : [] };
+    })
+  ];
+}
+
+/**
+ * Integrity problems a write would introduce: dependency cycles, dangling dependencies,
+ * dependencies into missing modules and `parent_task_id` loops. The project's sub-module
+ * files are read from disk, so cross-module links are checked too. Problems that were
+ * already there before the write are not counted, so old data never blocks unrelated edits.
+ *
+ * @param {string} projectDir
+ * @param {object[]} beforeTasks - Root module tasks on disk.
+ * @param {object[]} nextTasks - Root module tasks after the write.
+ * @returns {{ errors: object[], cycles: object[] }}
+ */
+function findIntroducedIntegrityErrors(projectDir, beforeTasks, nextTasks) {
+  const [root, ...subModules] = readProjectModules(projectDir);
+  const rootPath = root ? root.path : 'node.tasks.json';
+  const before = taskIntegrity.checkProject([{ path: rootPath, tasks: beforeTasks }, ...subModules]);
+  const after = taskIntegrity.checkProject([{ path: rootPath, tasks: nextTasks }, ...subModules]);
+  const errors = taskIntegrity.newErrors(before, after);
+  const cyclePaths = new Set(errors.filter((issue) => issue.cycle).map((issue) => issue.cycle.join(' → ')));
+  return { errors, cycles: after.cycles.filter((cycle) => cyclePaths.has(cycle.path)) };
+}
+
+/**
+ * Reply 400 `integrity_failed` and return true when a write would break the project's task graph.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {string} projectDir
+ * @param {object[]} beforeTasks
+ * @param {object[]} nextTasks
+ * @returns {boolean}
+ */
+function rejectIntegrityErrors(res, projectDir, beforeTasks, nextTasks) {
+  const { errors, cycles } = findIntroducedIntegrityErrors(projectDir, beforeTasks, nextTasks);
+  if (errors.length === 0) return false;
+  sendJson(res, 400, { ok: false, error: 'Integrity check failed', code: 'integrity_failed', errors, cycles });
+  return true;
+}
+
+/**
+ * Actor recorded for a request: the signed-in user when accounts are enabled, else the free-text `X-Actor` header.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+function resolveRequestActor(req) {
+  if (req.authUser) return String(req.authUser.username);
+  return String(req.headers['x-actor'] || '').trim().slice(0, 200);
+}
+
+/**
+ * Format one Server-Sent Events frame.
+ *
+ * @param {string} event
+ * @param {unknown} data
+ * @param {string} [id='']
+ * @returns {string}
+ */
+function formatSseMessage(event, data, id = '') {
+  const lines = [];
+  if (id) lines.push(`id: ${id}`);
+  lines.push(`event: ${event}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+/** Interval between SSE keep-alive comments so idle proxies do not drop the stream. */
+const SSE_HEARTBEAT_MS = 25000;
+
 const ALLOWED_API_ORIGINS = new Set([
   'http://localhost:3000',
   'http://127.0.0.1:3000',
@@ -308,7 +667,7 @@ function applyApiCors(req, res) {
 
   res.setHeader('Access-Control-Allow-Origin', origin);
   res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, PATCH, DELETE, HEAD, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-None-Match');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-None-Match, If-Match, X-Actor');
   res.setHeader('Access-Control-Expose-Headers', 'ETag');
   res.setHeader('Vary', 'Origin');
   return true;
@@ -316,6 +675,7 @@ function applyApiCors(req, res) {
 
 /**
  * Return ETag for a project's canonical node.tasks.json file.
+ * Content-hashed so two writes within the same mtime tick still get distinct tags.
  *
  * @param {string} projectDir
  * @returns {string}
@@ -323,13 +683,29 @@ function applyApiCors(req, res) {
 function getProjectETag(projectDir) {
   try {
     const targetFile = path.join(projectDir, 'node.tasks.json');
-    const stats = fs.statSync(targetFile);
-    return `"${Math.floor(stats.mtimeMs)}"`;
+    const digest = crypto.createHash('sha1').update(fs.readFileSync(targetFile)).digest('hex');
+    return `"${digest}"`;
   } catch {
     return '"0"';
   }
 }
 
+/**
+ * Check an If-Match header value against the current project ETag.
+ *
+ * @param {string} headerValue
+ * @param {string} currentEtag
+ * @returns {boolean}
+ */
+function ifMatchSatisfied(headerValue, currentEtag) {
+  const candidates = String(headerValue || '')
+    .split(',')
+    .map(value => value.trim().replace(/^W\//, ''))
+    .filter(Boolean);
+  if (candidates.includes('*')) return currentEtag !== '"0"';
+  return candidates.includes(currentEtag);
+}
+
 /**
  * Read the full request body into memory with a conservative size guard.
  *
@@ -791,6 +1167,294 @@ function getTaskPredecessorKeys(task) {
   return predecessors.filter(Boolean);
 }
 
+/**
+ * Locate a task by numeric id across top-level tasks and inline subtasks.
+ *
+ * @param {object[]} tasks
+ * @param {number} taskId
+ * @returns {{task: object, taskIndex: number, taskList: object[]}|null}
+ */
+function findTaskLocation(tasks, taskId) {
+  if (!Array.isArray(tasks)) return null;
+
+  for (let index = 0; index < tasks.length; index += 1) {
+    const task = tasks[index];
+    if (!task || typeof task !== 'object') continue;
+    if (task.task_id === taskId) return { task, taskIndex: index, taskList: tasks };
+
+    const nestedMatch = findTaskLocation(task.subtasks, taskId);
+    if (nestedMatch) return nestedMatch;
+  }
+
+  return null;
+}
+
+/**
+ * Flatten top-level tasks and inline subtasks depth-first.
+ *
+ * @param {object[]} tasks
+ * @returns {object[]}
+ */
+function flattenTaskTree(tasks) {
+  if (!Array.isArray(tasks)) return [];
+  return tasks.flatMap((task) => (task && typeof task === 'object' ? [task, ...flattenTaskTree(task.subtasks)] : []));
+}
+
+/**
+ * Resolve the id-based key used when diffing task lists.
+ *
+ * @param {object} task
+ * @returns {string}
+ */
+function getTaskIdKey(task) {
+  if (!task || typeof task !== 'object') return '';
+  const id = (task.task_id ?? task.id ?? task.taskId ?? '').toString();
+  return id ? id : '';
+}
+
+/**
+ * Summarize changed fields for compact task diff entries.
+ *
+ * @param {Array<{field: string}>|null} changes
+ * @returns {string}
+ */
+function summarizeTaskChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) return 'No field changes';
+  const fields = changes.map(c => c.field).filter(Boolean);
+  return fields.slice(0, 6).join(', ') + (fields.length > 6 ? ` (+${fields.length - 6} more)` : '');
+}
+
+/**
+ * Diff two task arrays into create, update, and delete entries.
+ * Mirrors `diffTasks` in the Cloudflare worker so local and remote history agree.
+ *
+ * @param {object[]} oldTasks
+ * @param {object[]} newTasks
+ * @returns {Array<{action: string, taskId: string, before: object|null, after: object|null, changes: object[]|null}>}
+ */
+function diffTaskLists(oldTasks, newTasks) {
+  const oldMap = new Map();
+  const newMap = new Map();
+
+  (Array.isArray(oldTasks) ? oldTasks : []).forEach(t => {
+    const k = getTaskIdKey(t);
+    if (k) oldMap.set(k, t);
+  });
+
+  (Array.isArray(newTasks) ? newTasks : []).forEach(t => {
+    const k = getTaskIdKey(t);
+    if (k) newMap.set(k, t);
+  });
+
+  const events = [];
+
+  for (const [taskId, afterTask] of newMap.entries()) {
+    const beforeTask = oldMap.get(taskId);
+    if (!beforeTask) {
+      events.push({ action: 'create', taskId, before: null, after: afterTask, changes: null });
+      continue;
+    }
+
+    const allKeys = new Set([...Object.keys(beforeTask || {}), ...Object.keys(afterTask || {})]);
+    const changes = [];
+    for (const key of allKeys) {
+      const beforeVal = beforeTask[key];
+      const afterVal = afterTask[key];
+      if (JSON.stringify(beforeVal) !== JSON.stringify(afterVal)) {
+        changes.push({ field: key, before: beforeVal, after: afterVal });
+      }
+    }
+    if (changes.length > 0) {
+      events.push({ action: 'update', taskId, before: beforeTask, after: afterTask, changes });
+    }
+  }
+
+  for (const [taskId, beforeTask] of oldMap.entries()) {
+    if (!newMap.has(taskId)) {
+      events.push({ action: 'delete', taskId, before: beforeTask, after: null, changes: null });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Shape raw task diff entries into the worker's history event format.
+ *
+ * @param {object[]} diffEntries
+ * @param {{ projectId: string, actor?: string, origin?: string, file: string, message: string }} context
+ * @returns {object[]}
+ */
+function buildHistoryEvents(diffEntries, { projectId, actor = '', origin = '', file, message }) {
+  const now = new Date().toISOString();
+  return (diffEntries || []).map(ev => {
+    const taskName = (ev.after && (ev.after.task_name || ev.after.title)) || (ev.before && (ev.before.task_name || ev.before.title)) || '';
+    return {
+      ts: now,
+      projectId,
+      actor,
+      origin,
+      file,
+      commitSha: '',
+      message,
+      action: ev.action,
+      taskId: ev.taskId,
+      taskName,
+      changeSummary: ev.action === 'update' ? summarizeTaskChanges(ev.changes) : ev.action,
+      changes: ev.changes,
+      before: ev.before,
+      after: ev.after
+    };
+  });
+}
+
+/**
+ * Append history events to a project's history/changes.ndjson, keeping the last 2000 lines.
+ *
+ * @param {string} projectDir
+ * @param {object[]} events
+ * @returns {void}
+ */
+function appendHistoryEvents(projectDir, events) {
+  if (!Array.isArray(events) || events.length === 0) return;
+  const historyPath = path.join(projectDir, 'history', 'changes.ndjson');
+  ensureDir(path.dirname(historyPath));
+
+  const existingContent = fs.existsSync(historyPath) ? fs.readFileSync(historyPath, 'utf8') : '';
+  let nextContent = existingContent + events.map(e => JSON.stringify(e)).join('\n') + '\n';
+
+  const lines = nextContent.split(/\r?\n/).filter(Boolean);
+  if (lines.length > 2000) {
+    nextContent = lines.slice(lines.length - 2000).join('\n') + '\n';
+  }
+  fs.writeFileSync(historyPath, nextContent, 'utf8');
+}
+
+/**
+ * Read recent history events for a project, newest first.
+ *
+ * @param {string} projectDir
+ * @param {{ taskId?: string, limit?: number }} [filters={}]
+ * @returns {object[]}
+ */
+function readHistoryEvents(projectDir, { taskId = '', limit = 200 } = {}) {
+  const events = readAllHistoryEvents(projectDir);
+  const items = [];
+  for (let i = events.length - 1; i >= 0; i--) {
+    const evt = events[i];
+    if (taskId && String(evt.taskId) !== String(taskId)) continue;
+    items.push(evt);
+    if (items.length >= limit) break;
+  }
+  return items;
+}
+
+/**
+ * Read every parseable history event for a project in file (oldest-first) order.
+ *
+ * @param {string} projectDir
+ * @returns {object[]}
+ */
+function readAllHistoryEvents(projectDir) {
+  const historyPath = path.join(projectDir, 'history', 'changes.ndjson');
+  if (!fs.existsSync(historyPath)) return [];
+
+  const events = [];
+  for (const line of fs.readFileSync(historyPath, 'utf8').split(/\r?\n/)) {
+    if (!line) continue;
+    try {
+      const evt = JSON.parse(line);
+      if (evt) events.push(evt);
+    } catch {
+      // ignore bad lines
+    }
+  }
+  return events;
+}
+
+/**
+ * Undo a single history event against a task list, returning a new list.
+ * Events that no longer apply (task already gone or already present) leave the list unchanged.
+ *
+ * @param {object[]} tasks
+ * @param {object} evt
+ * @returns {{tasks: object[], applied: boolean}}
+ */
+function applyInverseHistoryEvent(tasks, evt) {
+  const taskId = String(evt && evt.taskId);
+  const index = tasks.findIndex(task => getTaskIdKey(task) === taskId);
+
+  if (evt.action === 'create') {
+    if (index === -1) return { tasks, applied: false };
+    return { tasks: tasks.filter((_, i) => i !== index), applied: true };
+  }
+
+  if (evt.action === 'delete') {
+    if (index !== -1 || !evt.before) return { tasks, applied: false };
+    return { tasks: [...tasks, JSON.parse(JSON.stringify(evt.before))], applied: true };
+  }
+
+  if (index === -1 || !Array.isArray(evt.changes)) return { tasks, applied: false };
+  const restored = { ...tasks[index] };
+  for (const change of evt.changes) {
+    if (!change || !change.field) continue;
+    // JSON drops undefined, so a missing `before` means the field did not exist yet.
+    if (Object.prototype.hasOwnProperty.call(change, 'before')) restored[change.field] = JSON.parse(JSON.stringify(change.before));
+    else delete restored[change.field];
+  }
+  return { tasks: tasks.map((task, i) => (i === index ? restored : task)), applied: true };
+}
+
+/**
+ * Rebuild the task list as it was right after a chosen history event by undoing newer events.
+ * Mirrors `planRollback` in the Cloudflare worker; tests/fixtures/task-history/rollback.json checks both.
+ *
+ * @param {object[]} currentTasks
+ * @param {object[]} events - History events in file (oldest-first) order.
+ * @param {{ ts: string, taskId: string|number, action?: string }} target
+ * @returns {{tasks: object[], undone: object[], skipped: object[]}|null} Null when the target event is not in history.
+ */
+function planHistoryRollback(currentTasks, events, target) {
+  const matches = (evt) => evt
+    && String(evt.ts) === String(target.ts)
+    && String(evt.taskId) === String(target.taskId)
+    && (!target.action || evt.action === target.action);
+
+  let targetIndex = -1;
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (matches(events[i])) { targetIndex = i; break; }
+  }
+  if (targetIndex === -1) return null;
+
+  let tasks = Array.isArray(currentTasks) ? currentTasks.slice() : [];
+  const undone = [];
+  const skipped = [];
+  for (let i = events.length - 1; i > targetIndex; i--) {
+    const result = applyInverseHistoryEvent(tasks, events[i]);
+    tasks = result.tasks;
+    (result.applied ? undone : skipped).push(events[i]);
+  }
+  return { tasks, undone, skipped };
+}
+
+/**
+ * Describe per task how a requested task list differs from the current one.
+ * Used for 412 conflict reports and rollback previews.
+ *
+ * @param {object[]} currentTasks
+ * @param {object[]} requestedTasks
+ * @returns {Array<{action: string, taskId: string, taskName: string, changeSummary: string, changes: object[]|null}>}
+ */
+function summarizeTaskDiff(currentTasks, requestedTasks) {
+  return diffTaskLists(currentTasks, requestedTasks).map(entry => ({
+    action: entry.action,
+    taskId: entry.taskId,
+    taskName: String((entry.after && entry.after.task_name) || (entry.before && entry.before.task_name) || ''),
+    changeSummary: entry.action === 'update' ? summarizeTaskChanges(entry.changes) : entry.action,
+    changes: entry.changes
+  }));
+}
+
 /**
  * Compute start/end tasks for a task list based on dependency relationships.
  *
@@ -1230,16 +1894,300 @@ function writeStateFiles(tasksDbDir, fullData) {
   makeStatusFile('Completed', 'tasks-completed.json');
 }
 
+/**
+ * Persist a full project payload with its CSV companion and state files.
+ *
+ * @param {string} projectDir
+ * @param {object} fullData
+ * @returns {string} The project ETag after the write.
+ */
+function persistProjectData(projectDir, fullData) {
+  ensureDir(projectDir);
+  writeProjectPayload(projectDir, fullData);
+  fs.writeFileSync(path.join(projectDir, 'tasks.csv'), generatePersistedCSV(fullData.tasks), 'utf8');
+  writeStateFiles(projectDir, fullData);
+  return getProjectETag(projectDir);
+}
+
+/** Folder under the TaskDB root that holds archived local projects. */
+const ARCHIVE_SCOPE = '_archive';
+
+/**
+ * Derive a folder-safe project id from a display name.
+ *
+ * @param {string} value
+ * @returns {string|null}
+ */
+function toProjectId(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-|-$/g, '') || null;
+}
+
+/**
+ * Build the payload for a brand-new project. Uses `_templates/starter_project_template.json`
+ * from the first TaskDB root that has it, otherwise a one-task starter.
+ *
+ * @param {string} name
+ * @param {string[]} [templateRoots=[]]
+ * @returns {object}
+ */
+function buildStarterProjectPayload(name, templateRoots = []) {
+  const today = new Date().toISOString().slice(0, 10);
+  for (const root of templateRoots) {
+    const template = readJsonFile(path.join(root, '_templates', 'starter_project_template.json'));
+    if (template && Array.isArray(template.tasks)) {
+      return { ...template, project: { ...(template.project || {}), name, start_date: today } };
+    }
+  }
+  return {
+    project: { name, description: '', start_date: today, status: 'Not Started' },
+    categories: [{ name: 'General', parent_category_name: null }],
+    workers: [],
+    tasks: [
+      { task_id: 1, task_name: 'Project Setup', description: 'Initial project setup', priority: 'High', status: 'Not Started', estimated_hours: 4, dependencies: [], subtasks: [] }
+    ]
+  };
+}
+
+/**
+ * Read registry.json from a TaskDB root; a missing or malformed file reads as empty.
+ *
+ * @param {string} tasksDbDir
+ * @returns {object[]}
+ */
+function readProjectRegistry(tasksDbDir) {
+  const entries = readJsonFile(path.join(tasksDbDir, 'registry.json'));
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Registry `path` for a project folder, e.g. `/tasksDB/local/demo/node.tasks.json`.
+ *
+ * @param {string} relativeDir - Project folder relative to the TaskDB root.
+ * @returns {string}
+ */
+function getRegistryTasksPath(relativeDir) {
+  return `/tasksDB/${relativeDir.split(path.sep).join('/')}/node.tasks.json`;
+}
+
+/**
+ * Create, update or remove the registry.json entry for a project folder.
+ * Keys set to `undefined` in `patch` are dropped from the stored entry.
+ *
+ * @param {string} tasksDbDir
+ * @param {string} relativeDir - Current project folder relative to the TaskDB root.
+ * @param {object|null} patch - Fields to merge, or `null` to remove the entry.
+ * @returns {void}
+ */
+function updateProjectRegistry(tasksDbDir, relativeDir, patch) {
+  const entries = readProjectRegistry(tasksDbDir);
+  const registryPath = getRegistryTasksPath(relativeDir);
+  const index = entries.findIndex((entry) => entry && entry.path === registryPath);
+
+  if (patch === null) {
+    if (index === -1) return;
+    entries.splice(index, 1);
+  } else if (index === -1) {
+    entries.push({ type: 'task-management', path: registryPath, ...patch });
+  } else {
+    entries[index] = { ...entries[index], ...patch };
+  }
+  fs.writeFileSync(path.join(tasksDbDir, 'registry.json'), JSON.stringify(entries, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Point every recorded history event at a project's new id and file after it moved.
+ *
+ * @param {string} projectDir
+ * @param {string} projectId
+ * @param {string} file - node.tasks.json path relative to the TaskDB root.
+ * @returns {void}
+ */
+function rewriteHistoryProject(projectDir, projectId, file) {
+  const events = readAllHistoryEvents(projectDir);
+  if (events.length === 0) return;
+  const historyPath = path.join(projectDir, 'history', 'changes.ndjson');
+  fs.writeFileSync(historyPath, events.map((evt) => JSON.stringify({ ...evt, projectId, file })).join('\n') + '\n', 'utf8');
+}
+
 /**
  * Create the local HTTP server used by development, tests, and file-backed saves.
  *
- * @param {{ publicDir: string, tasksDbDir: string, graphDir: string, repoRoot?: string }} options
+ * Accounts and roles are enabled only when `usersFile` points at an existing user store
+ * (see tools/scripts/manage-local-users.js); otherwise every caller may read and write.
+ *
+ * @param {{ publicDir: string, tasksDbDir: string, graphDir: string, repoRoot?: string, requireIfMatch?: boolean, usersFile?: string }} options
  * @returns {import('http').Server}
  */
-function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
+function createServer({ publicDir, tasksDbDir, graphDir, repoRoot, requireIfMatch = false, usersFile = '' }) {
   const fallbackTasksDbDir = path.join(publicDir, 'tasksDB');
   maybeBootstrapTasksDb(tasksDbDir, fallbackTasksDbDir);
 
+  // Live change feeds keyed by project directory: open SSE responses plus an fs.watch for external edits.
+  const projectFeeds = new Map();
+
+  function readProjectTasks(projectDir) {
+    const synchronized = buildProjectPayload(projectDir);
+    const payload = synchronized && synchronized.payload;
+    return payload && Array.isArray(payload.tasks) ? payload.tasks : [];
+  }
+
+  // Push task-level changes to every subscriber of a feed and remember the state they now reflect.
+  function publishProjectChanges(feed, tasks, etag, { source, actor = '' }) {
+    const changes = summarizeTaskDiff(feed.tasks, tasks);
+    feed.tasks = tasks;
+    feed.etag = etag;
+    if (changes.length === 0) return;
+
+    const frame = formatSseMessage('tasks-changed', { projectId: feed.projectId, etag, source, actor, changes }, etag);
+    for (const client of feed.clients) client.write(frame);
+  }
+
+  // Edits made outside the API (editor, git checkout, agents) surface as content changes of node.tasks.json.
+  function checkExternalProjectEdit(feed) {
+    const etag = getProjectETag(feed.projectDir);
+    if (etag === feed.etag) return;
+    publishProjectChanges(feed, readProjectTasks(feed.projectDir), etag, { source: 'external' });
+  }
+
+  function openProjectFeed(projectId, projectDir) {
+    const existing = projectFeeds.get(projectDir);
+    if (existing) return existing;
+
+    const feed = {
+      projectId,
+      projectDir,
+      clients: new Set(),
+      tasks: readProjectTasks(projectDir),
+      etag: getProjectETag(projectDir),
+      watcher: null,
+      debounceTimer: null,
+      heartbeat: setInterval(() => {
+        for (const client of feed.clients) client.write(': ping\n\n');
+      }, SSE_HEARTBEAT_MS)
+    };
+    feed.heartbeat.unref();
+
+    try {
+      feed.watcher = fs.watch(projectDir, (eventType, fileName) => {
+        if (fileName && fileName !== 'node.tasks.json') return;
+        clearTimeout(feed.debounceTimer);
+        feed.debounceTimer = setTimeout(() => {
+          try {
+            checkExternalProjectEdit(feed);
+          } catch {
+            // A half-written file is picked up by the next change notification.
+          }
+        }, 100);
+      });
+      feed.watcher.on('error', () => {});
+    } catch {
+      // Without fs.watch the feed still carries changes made through the API.
+    }
+
+    projectFeeds.set(projectDir, feed);
+    return feed;
+  }
+
+  function closeProjectFeed(feed) {
+    clearInterval(feed.heartbeat);
+    clearTimeout(feed.debounceTimer);
+    if (feed.watcher) feed.watcher.close();
+    for (const client of feed.clients) client.end();
+    feed.clients.clear();
+    projectFeeds.delete(feed.projectDir);
+  }
+
+  // Persist a mutation, record its per-task diff in history/changes.ndjson and notify live subscribers.
+  function commitProjectWrite(req, projectId, projectDir, beforeTasks, fullData, message) {
+    rollupActualHours(fullData);
+    refreshMilestoneStatuses(fullData);
+    const nextEtag = persistProjectData(projectDir, fullData);
+    const actor = resolveRequestActor(req);
+    const file = path.relative(tasksDbDir, path.join(projectDir, 'node.tasks.json')).split(path.sep).join('/');
+    const events = buildHistoryEvents(diffTaskLists(beforeTasks, fullData.tasks), {
+      projectId: projectId || '',
+      actor,
+      origin: String(req.headers.origin || ''),
+      file,
+      message
+    });
+    try {
+      appendHistoryEvents(projectDir, events);
+    } catch {
+      // History is best-effort; the task write itself already succeeded.
+    }
+
+    const feed = projectFeeds.get(projectDir);
+    if (feed) publishProjectChanges(feed, readProjectTasks(projectDir), nextEtag, { source: 'api', actor });
+    return nextEtag;
+  }
+
+  // The user store is re-read when the file changes, so CLI edits apply without a restart.
+  let userStoreCache = { mtimeMs: -1, store: null };
+  function loadUserStore() {
+    if (!usersFile) return null;
+    let stat;
+    try {
+      stat = fs.statSync(usersFile);
+    } catch {
+      return null;
+    }
+    if (stat.mtimeMs !== userStoreCache.mtimeMs) {
+      userStoreCache = { mtimeMs: stat.mtimeMs, store: LocalUsers.readUserStore(usersFile) };
+    }
+    return userStoreCache.store;
+  }
+
+  // Resolve the Authorization header to `req.authUser`; reply 401 and return true when the credentials are wrong.
+  function rejectInvalidCredentials(req, res) {
+    req.authUser = null;
+    const store = loadUserStore();
+    if (!store || !req.headers.authorization) return false;
+    const auth = LocalUsers.authenticate(store, req.headers.authorization);
+    if (!auth) {
+      sendJson(res, 401, { ok: false, error: 'Invalid credentials' }, { 'WWW-Authenticate': 'Bearer realm="taskdb"' });
+      return true;
+    }
+    req.authUser = auth.user;
+    return false;
+  }
+
+  // Reply 401 (no credentials) or 403 and return true when the caller lacks `role` on the project.
+  function rejectUnauthorized(req, res, projectId, role) {
+    const store = loadUserStore();
+    if (!store) return false;
+    const scope = projectId || '*';
+    const granted = req.authUser ? LocalUsers.roleFor(req.authUser, scope) : store.anonymousRole;
+    if (LocalUsers.ROLE_LEVELS[granted] >= LocalUsers.ROLE_LEVELS[role]) return false;
+
+    if (!req.authUser) {
+      sendJson(res, 401, { ok: false, error: `Sign in required (${role} role)`, role }, { 'WWW-Authenticate': 'Bearer realm="taskdb"' });
+    } else {
+      sendJson(res, 403, { ok: false, error: `${req.authUser.username} is ${granted} on "${scope}"; ${role} required`, role });
+    }
+    return true;
+  }
+
+  // Reply 412 (or 428 when If-Match is mandatory) and return true when a write must not proceed.
+  function rejectStaleWrite(req, res, projectDir, currentTasks, requestedTasks) {
+    const etag = getProjectETag(projectDir);
+    const ifMatch = req.headers['if-match'];
+    if (!ifMatch) {
+      if (!requireIfMatch) return false;
+      sendJson(res, 428, { ok: false, error: 'If-Match header is required for writes', etag }, { 'ETag': etag });
+      return true;
+    }
+    if (ifMatchSatisfied(ifMatch, etag)) return false;
+
+    sendJson(res, 412, {
+      ok: false,
+      error: 'Project was modified since it was loaded',
+      etag,
+      conflicts: summarizeTaskDiff(currentTasks, requestedTasks)
+    }, { 'ETag': etag });
+    return true;
+  }
+
   // Auto-discover a project directory under external/ or local/ scopes.
   function resolveProjectRelativeDir(baseDir, projectId) {
     if (!projectId) return '';
@@ -1280,6 +2228,66 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
     return path.join(tasksDbDir, projectId);
   }
 
+  // Locate a project folder for lifecycle routes: writable local/external/_archive first, then bundled data.
+  function locateManagedProject(projectId) {
+    if (!projectId) return null;
+    for (const scope of ['local', 'external', ARCHIVE_SCOPE]) {
+      const relativeDir = path.join(scope, projectId);
+      const projectDir = path.join(tasksDbDir, relativeDir);
+      if (fs.existsSync(projectDir)) return { scope, relativeDir, projectDir, archived: scope === ARCHIVE_SCOPE };
+    }
+    for (const scope of ['local', 'external']) {
+      const relativeDir = path.join(scope, projectId);
+      if (fs.existsSync(path.join(fallbackTasksDbDir, relativeDir))) {
+        return { scope, relativeDir, projectDir: ensureRelativeProjectDir(relativeDir), archived: false };
+      }
+    }
+    return null;
+  }
+
+  function projectIdTaken(projectId) {
+    return [tasksDbDir, fallbackTasksDbDir].some((baseDir) => ['local', 'external', ARCHIVE_SCOPE]
+      .some((scope) => fs.existsSync(path.join(baseDir, scope, projectId))));
+  }
+
+  // Reply and return true when a project folder must not be moved or removed from here.
+  function rejectProtectedProject(res, location, verb) {
+    if (location.scope === 'external') {
+      sendJson(res, 403, { ok: false, error: `External projects are published through projects-config.js and cannot be ${verb} here` });
+      return true;
+    }
+    const bundled = path.resolve(fallbackTasksDbDir) !== path.resolve(tasksDbDir)
+      && fs.existsSync(path.join(fallbackTasksDbDir, location.relativeDir));
+    if (bundled) {
+      sendJson(res, 409, { ok: false, error: `Project is bundled with the app under public/tasksDB and cannot be ${verb} here` });
+      return true;
+    }
+    return false;
+  }
+
+  // Move a project folder, keeping its live feed, history references and registry entry in step.
+  function moveManagedProject(location, nextScope, nextId, registryPatch = {}) {
+    const feed = projectFeeds.get(location.projectDir);
+    if (feed) closeProjectFeed(feed);
+
+    const relativeDir = path.join(nextScope, nextId);
+    const projectDir = path.join(tasksDbDir, relativeDir);
+    ensureDir(path.dirname(projectDir));
+    fs.renameSync(location.projectDir, projectDir);
+
+    const file = path.relative(tasksDbDir, path.join(projectDir, 'node.tasks.json')).split(path.sep).join('/');
+    rewriteHistoryProject(projectDir, nextId, file);
+    const payload = readJsonFile(path.join(projectDir, 'node.tasks.json'));
+    const name = payload && payload.project && payload.project.name;
+    updateProjectRegistry(tasksDbDir, location.relativeDir, {
+      id: `${nextId}-tasks`,
+      ...(name ? { name } : {}),
+      path: getRegistryTasksPath(relativeDir),
+      ...registryPatch
+    });
+    return { scope: nextScope, relativeDir, projectDir, archived: nextScope === ARCHIVE_SCOPE };
+  }
+
   // graph-display is published alongside index.html under /public.
   const effectiveGraphDir = graphDir || path.join(publicDir, 'graph-display');
   const effectiveRepoRoot = repoRoot ? path.resolve(repoRoot) : path.resolve(publicDir, '..');
@@ -1326,18 +2334,48 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
           res.writeHead(204, { 'Access-Control-Max-Age': '86400' });
           return res.end();
         }
+
+        // With a user store, wrong credentials are rejected outright and reads need the viewer role.
+        if (rejectInvalidCredentials(req, res)) return;
+        const isPublicApiRoute = pathname === '/api/health' || pathname === '/api/openapi.json' || pathname === '/api/session';
+        if ((req.method === 'GET' || req.method === 'HEAD') && !isPublicApiRoute
+          && rejectUnauthorized(req, res, sanitizeProjectId(url.searchParams.get('project')), 'viewer')) return;
       }
 
       if (pathname === '/api/health') {
         return sendJson(res, 200, { ok: true });
       }
 
+      // GET /api/session — who the request is authenticated as, and whether accounts are enabled
+      if (pathname === '/api/session' && req.method === 'GET') {
+        const store = loadUserStore();
+        const projectId = sanitizeProjectId(url.searchParams.get('project'));
+        if (!store) return sendJson(res, 200, { ok: true, authEnabled: false, user: null, role: 'maintainer' });
+        return sendJson(res, 200, {
+          ok: true,
+          authEnabled: true,
+          user: req.authUser ? req.authUser.username : null,
+          role: req.authUser ? LocalUsers.roleFor(req.authUser, projectId || '*') : store.anonymousRole
+        });
+      }
+
+      // GET /api/openapi.json — machine-readable description of every /api route (also used to validate bodies)
+      if (pathname === '/api/openapi.json' && req.method === 'GET') {
+        return sendJson(res, 200, OPENAPI_DOCUMENT);
+      }
+
       // GET /api/projects — list discovered projects by scanning external/ and local/ dirs
+      // (?archived=1 also lists _archive/ projects, flagged with archived: true)
       if (pathname === '/api/projects' && req.method === 'GET') {
         const result = [];
         const seen = new Set();
+        const includeArchived = ['1', 'true'].includes(String(url.searchParams.get('archived') || '').toLowerCase());
+        const registryNames = new Map(readProjectRegistry(tasksDbDir)
+          .filter((entry) => entry && entry.path && entry.name)
+          .map((entry) => [entry.path, entry.name]));
         for (const baseDir of [tasksDbDir, fallbackTasksDbDir]) {
-          for (const scope of ['external', 'local']) {
+          const scopes = includeArchived && baseDir === tasksDbDir ? ['external', 'local', ARCHIVE_SCOPE] : ['external', 'local'];
+          for (const scope of scopes) {
             const scopeDir = path.join(baseDir, scope);
             if (!fs.existsSync(scopeDir)) continue;
             let entries;
@@ -1347,13 +2385,130 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
               const key = `${scope}:${entry.name}`;
               if (seen.has(key)) continue;
               seen.add(key);
-              result.push({ id: entry.name, scope });
+              const name = registryNames.get(getRegistryTasksPath(path.join(scope, entry.name)));
+              if (scope === ARCHIVE_SCOPE) {
+                result.push({ id: entry.name, scope: 'local', archived: true, ...(name ? { name } : {}) });
+              } else {
+                result.push({ id: entry.name, scope, ...(name ? { name } : {}) });
+              }
             }
           }
         }
         return sendJson(res, 200, { projects: result });
       }
 
+      // POST /api/projects/<id>/rename|clone|archive|restore and DELETE /api/projects/<id>?confirm=<id>
+      const projectRouteMatch = pathname.match(/^\/api\/projects\/([^/]+)(?:\/(rename|clone|archive|restore))?$/);
+      if (projectRouteMatch) {
+        const action = projectRouteMatch[2] || 'delete';
+        const expectedMethod = action === 'delete' ? 'DELETE' : 'POST';
+        if (req.method !== expectedMethod) {
+          return sendJson(res, 405, { ok: false, error: `Use ${expectedMethod} for this route` }, { 'Allow': expectedMethod });
+        }
+
+        const projectId = sanitizeProjectId(decodeURIComponent(projectRouteMatch[1]));
+        if (rejectUnauthorized(req, res, projectId, 'maintainer')) return;
+        const location = locateManagedProject(projectId);
+        if (!location) return sendJson(res, 404, { ok: false, error: `Project "${projectId}" not found` });
+
+        let requestBody = {};
+        if (expectedMethod === 'POST') {
+          requestBody = await readJsonRequest(req, res, `/api/projects/{projectId}/${action}`);
+          if (requestBody === undefined) return;
+          if (!requestBody || typeof requestBody !== 'object' || Array.isArray(requestBody)) requestBody = {};
+        }
+        const tasksFilePath = path.join(location.projectDir, 'node.tasks.json');
+        const describe = (target, id) => ({
+          ok: true,
+          projectId: id,
+          templateId: `${id}-tasks`,
+          scope: target.archived ? 'local' : target.scope,
+          archived: target.archived,
+          path: target.relativeDir.split(path.sep).join('/')
+        });
+
+        if (action === 'rename') {
+          const name = String(requestBody.name || '').trim();
+          const nextId = requestBody.newId !== undefined ? toProjectId(requestBody.newId) : projectId;
+          if (!nextId) return sendJson(res, 400, { ok: false, error: 'Invalid newId' });
+          if (!name && nextId === projectId) return sendJson(res, 400, { ok: false, error: 'name or newId is required' });
+
+          // Check If-Match before moving anything so a stale rename leaves the project where it was.
+          const current = readJsonFile(tasksFilePath);
+          const currentTasks = current && Array.isArray(current.tasks) ? current.tasks : [];
+          if (rejectStaleWrite(req, res, location.projectDir, currentTasks, currentTasks)) return;
+          const renamesPayload = !!(name && current && Array.isArray(current.tasks));
+
+          let target = location;
+          if (nextId !== projectId) {
+            if (rejectProtectedProject(res, location, 'renamed')) return;
+            if (projectIdTaken(nextId)) return sendJson(res, 409, { ok: false, error: `Project "${nextId}" already exists` });
+            target = moveManagedProject(location, location.scope, nextId);
+          }
+          let nextEtag = '';
+          if (name) {
+            if (renamesPayload) {
+              const beforeTasks = JSON.parse(JSON.stringify(current.tasks));
+              const renamed = { ...current, project: { ...(current.project || {}), name } };
+              nextEtag = commitProjectWrite(req, nextId, target.projectDir, beforeTasks, renamed, `Rename project to ${name}`);
+            }
+            updateProjectRegistry(tasksDbDir, target.relativeDir, { id: `${nextId}-tasks`, name });
+          }
+          return sendJson(res, 200, { ...describe(target, nextId), previousId: projectId, name: name || undefined }, nextEtag ? { 'ETag': nextEtag } : {});
+        }
+
+        if (action === 'clone') {
+          const source = readJsonFile(tasksFilePath);
+          if (!source || !Array.isArray(source.tasks)) return sendJson(res, 404, { ok: false, error: 'node.tasks.json not found' });
+          const sourceName = (source.project && source.project.name) || projectId;
+          const name = String(requestBody.name || '').trim() || `${sourceName} (copy)`;
+          const nextId = toProjectId(requestBody.newId || name);
+          if (!nextId) return sendJson(res, 400, { ok: false, error: 'Invalid project name' });
+          if (projectIdTaken(nextId)) return sendJson(res, 409, { ok: false, error: `Project "${nextId}" already exists` });
+
+          // Module files come along; history starts over with one create event per cloned task.
+          const target = { scope: 'local', relativeDir: path.join('local', nextId), archived: false };
+          target.projectDir = path.join(tasksDbDir, target.relativeDir);
+          copyDirRecursive(location.projectDir, target.projectDir);
+          fs.rmSync(path.join(target.projectDir, 'history'), { recursive: true, force: true });
+          const cloned = { ...source, project: { ...(source.project || {}), name } };
+          commitProjectWrite(req, nextId, target.projectDir, [], cloned, `Cloned from ${projectId}`);
+          updateProjectRegistry(tasksDbDir, target.relativeDir, { id: `${nextId}-tasks`, name });
+          return sendJson(res, 201, { ...describe(target, nextId), sourceId: projectId, name });
+        }
+
+        if (action === 'archive') {
+          if (location.archived) return sendJson(res, 409, { ok: false, error: `Project "${projectId}" is already archived` });
+          if (rejectProtectedProject(res, location, 'archived')) return;
+          if (fs.existsSync(path.join(tasksDbDir, ARCHIVE_SCOPE, projectId))) {
+            return sendJson(res, 409, { ok: false, error: `An archived project "${projectId}" already exists` });
+          }
+          const target = moveManagedProject(location, ARCHIVE_SCOPE, projectId, { archived: true, archivedAt: new Date().toISOString() });
+          return sendJson(res, 200, describe(target, projectId));
+        }
+
+        if (action === 'restore') {
+          if (!location.archived) return sendJson(res, 409, { ok: false, error: `Project "${projectId}" is not archived` });
+          if ([tasksDbDir, fallbackTasksDbDir].some((baseDir) => fs.existsSync(path.join(baseDir, 'local', projectId)))) {
+            return sendJson(res, 409, { ok: false, error: `Project "${projectId}" already exists` });
+          }
+          const target = moveManagedProject(location, 'local', projectId, { archived: undefined, archivedAt: undefined });
+          return sendJson(res, 200, describe(target, projectId));
+        }
+
+        if (url.searchParams.get('confirm') !== projectId) {
+          return sendJson(res, 400, { ok: false, error: `Pass ?confirm=${projectId} to delete this project` });
+        }
+        if (rejectProtectedProject(res, location, 'deleted')) return;
+        const current = readJsonFile(tasksFilePath);
+        if (rejectStaleWrite(req, res, location.projectDir, current && Array.isArray(current.tasks) ? current.tasks : [], [])) return;
+        const feed = projectFeeds.get(location.projectDir);
+        if (feed) closeProjectFeed(feed);
+        fs.rmSync(location.projectDir, { recursive: true, force: true });
+        updateProjectRegistry(tasksDbDir, location.relativeDir, null);
+        return sendJson(res, 200, { ok: true, projectId, deleted: true });
+      }
+
       // GET /api/module?project=P&path=relative/path — safely serve a module task file
       if (pathname === '/api/module' && req.method === 'GET') {
         const projectId = sanitizeProjectId(url.searchParams.get('project'));
@@ -1491,40 +2646,32 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
 
       // POST /api/create-project — create a new local project with a starter node.tasks.json
       if (pathname === '/api/create-project' && req.method === 'POST') {
-        const body = await readBody(req);
-        let requestBody;
-        try { requestBody = JSON.parse(body || '{}'); } catch { return sendJson(res, 400, { ok: false, error: 'Invalid JSON body' }); }
+        const requestBody = await readJsonRequest(req, res, '/api/create-project');
+        if (requestBody === undefined) return;
         const rawName = String(requestBody.projectName || '').trim();
         if (!rawName) return sendJson(res, 400, { ok: false, error: 'projectName is required' });
-        const projectId = rawName.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-|-$/g, '') || null;
+        const projectId = toProjectId(rawName);
         if (!projectId) return sendJson(res, 400, { ok: false, error: 'Invalid project name' });
+        if (rejectUnauthorized(req, res, projectId, 'maintainer')) return;
         // Always create under local/
         const projectRelDir = path.join('local', projectId);
         const projectDir = path.join(tasksDbDir, projectRelDir);
-        if (fs.existsSync(projectDir)) {
+        if (fs.existsSync(projectDir) || projectIdTaken(projectId)) {
           return sendJson(res, 409, { ok: false, error: `Project "${projectId}" already exists` });
         }
-        const starterPayload = {
-          project: { name: rawName, description: '', start_date: new Date().toISOString().slice(0, 10), status: 'Not Started' },
-          categories: [{ name: 'General', parent_category_name: null }],
-          workers: [],
-          tasks: [
-            { task_id: 1, task_name: 'Project Setup', description: 'Initial project setup', priority: 'High', status: 'Not Started', estimated_hours: 4, dependencies: [], subtasks: [] }
-          ]
-        };
-        ensureDir(projectDir);
-        writeProjectPayload(projectDir, starterPayload);
-        fs.writeFileSync(path.join(projectDir, 'tasks.csv'), generatePersistedCSV(starterPayload.tasks), 'utf8');
-        writeStateFiles(projectDir, starterPayload);
+        // { fromTemplate: true } starts from _templates/starter_project_template.json when it exists.
+        const starterPayload = buildStarterProjectPayload(rawName, requestBody.fromTemplate ? [tasksDbDir, fallbackTasksDbDir] : []);
+        persistProjectData(projectDir, starterPayload);
+        updateProjectRegistry(tasksDbDir, projectRelDir, { id: `${projectId}-tasks`, name: rawName });
         return sendJson(res, 201, { ok: true, projectId, templateId: `${projectId}-tasks`, scope: 'local', path: `local/${projectId}` });
       }
 
       // POST /api/scanner/scan — scan a folder structure and extract relations to build code.graph.json
       if (pathname === '/api/scanner/scan' && req.method === 'POST') {
-        const body = await readBody(req);
-        let requestBody;
-        try { requestBody = JSON.parse(body || '{}'); } catch { return sendJson(res, 400, { ok: false, error: 'Invalid JSON body' }); }
-        
+        if (rejectUnauthorized(req, res, '', 'viewer')) return;
+        const requestBody = await readJsonRequest(req, res, '/api/scanner/scan');
+        if (requestBody === undefined) return;
+
         const rawFolderPath = String(requestBody.folderPath || './').trim();
         const maxDepth = Math.min(parseInt(requestBody.maxDepth || 5), 10);
         
@@ -1559,10 +2706,10 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
         if (!projectId || !Number.isFinite(taskIdParam)) {
           return sendJson(res, 400, { ok: false, error: 'Missing project or task_id query param' });
         }
+        if (rejectUnauthorized(req, res, projectId, 'contributor')) return;
         const effectiveDir = resolveProjectDir(projectId);
-        const body = await readBody(req);
-        let updates;
-        try { updates = JSON.parse(body || '{}'); } catch { return sendJson(res, 400, { ok: false, error: 'Invalid JSON body' }); }
+        const updates = await readJsonRequest(req, res, '/api/task');
+        if (updates === undefined) return;
         const tasksFilePath = path.join(effectiveDir, 'node.tasks.json');
         const current = readJsonFile(tasksFilePath);
         if (!current || !Array.isArray(current.tasks)) {
@@ -1572,47 +2719,79 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
         if (idx === -1) return sendJson(res, 404, { ok: false, error: `Task ${taskIdParam} not found` });
         // Prevent overwriting the task_id itself
         const { task_id: _ignored, ...safeUpdates } = updates;
+        const beforeTasks = current.tasks.slice();
         current.tasks[idx] = { ...current.tasks[idx], ...safeUpdates };
-        ensureDir(effectiveDir);
-        writeProjectPayload(effectiveDir, current);
-        const tasksCsvPath = path.join(effectiveDir, 'tasks.csv');
-        fs.writeFileSync(tasksCsvPath, generatePersistedCSV(current.tasks), 'utf8');
-        writeStateFiles(effectiveDir, current);
-        return sendJson(res, 200, { ok: true, task: current.tasks[idx] });
+        const rescheduled = rescheduleAfterSlip(url, current, beforeTasks[idx], current.tasks[idx]);
+        const recurrence = materializeRecurrence(current, beforeTasks[idx], current.tasks[idx]);
+        if (rejectIntegrityErrors(res, effectiveDir, beforeTasks, current.tasks)) return;
+        if (rejectStaleWrite(req, res, effectiveDir, beforeTasks, current.tasks)) return;
+        const nextEtag = commitProjectWrite(req, projectId, effectiveDir, beforeTasks, current, `Update task #${taskIdParam}`);
+        return sendJson(res, 200, {
+          ok: true,
+          task: current.tasks[idx],
+          ...(rescheduled.length > 0 ? { rescheduled } : {}),
+          ...(recurrence ? { recurrence } : {})
+        }, { 'ETag': nextEtag });
       }
 
-      // POST /api/create-mcp — mark a list of task IDs as critical path
+      // POST /api/create-mcp — mark a list of task IDs as critical path, or sync every flag to the computed path
       if (pathname === '/api/create-mcp' && req.method === 'POST') {
         applyApiCors(req, res);
-        const body = await readBody(req);
-        let payload;
-        try { payload = JSON.parse(body || '{}'); } catch { return sendJson(res, 400, { ok: false, error: 'Invalid JSON body' }); }
+        const payload = await readJsonRequest(req, res, '/api/create-mcp');
+        if (payload === undefined) return;
         const projectId = sanitizeProjectId(payload.project || url.searchParams.get('project') || '');
         const rawIds = Array.isArray(payload.taskIds) ? payload.taskIds : [];
         const numericIds = rawIds.map(Number).filter(Number.isFinite);
         if (!projectId) return sendJson(res, 400, { ok: false, error: 'Missing project' });
-        if (numericIds.length === 0) return sendJson(res, 400, { ok: false, error: 'taskIds must be a non-empty array of numbers' });
+        if (rejectUnauthorized(req, res, projectId, 'contributor')) return;
+        if (payload.computed !== true && numericIds.length === 0) {
+          return sendJson(res, 400, { ok: false, error: 'taskIds must be a non-empty array of numbers' });
+        }
         const effectiveDir = resolveProjectDir(projectId);
         const tasksFilePath = path.join(effectiveDir, 'node.tasks.json');
         const current = readJsonFile(tasksFilePath);
         if (!current || !Array.isArray(current.tasks)) {
           return sendJson(res, 404, { ok: false, error: 'Project not found' });
         }
+        if (payload.computed === true) {
+          const beforeTasks = current.tasks;
+          const synced = taskScheduler.applyCriticalFlags(current.tasks);
+          current.tasks = synced.tasks;
+          if (rejectStaleWrite(req, res, effectiveDir, beforeTasks, current.tasks)) return;
+          const nextEtag = commitProjectWrite(req, projectId, effectiveDir, beforeTasks, current, 'Sync critical path flags to computed path');
+          return sendJson(res, 200, {
+            ok: true,
+            updated: synced.changes.length,
+            taskIds: synced.report.criticalPath,
+            changes: synced.changes
+          }, { 'ETag': nextEtag });
+        }
         const idSet = new Set(numericIds);
         const notFound = [...idSet].filter(id => !current.tasks.some(t => t && t.task_id === id));
         if (notFound.length > 0) return sendJson(res, 400, { ok: false, error: `Task IDs not found: ${notFound.join(', ')}` });
         let changed = 0;
+        const beforeTasks = current.tasks;
         current.tasks = current.tasks.map(task => {
           if (!task || !idSet.has(task.task_id)) return task;
           if (!task.is_critical_path) { changed++; return { ...task, is_critical_path: true }; }
           return task;
         });
-        ensureDir(effectiveDir);
-        writeProjectPayload(effectiveDir, current);
-        const tasksCsvPath = path.join(effectiveDir, 'tasks.csv');
-        fs.writeFileSync(tasksCsvPath, generatePersistedCSV(current.tasks), 'utf8');
-        writeStateFiles(effectiveDir, current);
-        return sendJson(res, 200, { ok: true, updated: changed, taskIds: numericIds });
+        if (rejectStaleWrite(req, res, effectiveDir, beforeTasks, current.tasks)) return;
+        const nextEtag = commitProjectWrite(req, projectId, effectiveDir, beforeTasks, current, 'Mark tasks as critical path');
+        return sendJson(res, 200, { ok: true, updated: changed, taskIds: numericIds }, { 'ETag': nextEtag });
+      }
+
+      // GET /api/tasks/critical-path?project=P — computed schedule and where `is_critical_path` disagrees with it
+      if (pathname === '/api/tasks/critical-path' && req.method === 'GET') {
+        const projectId = sanitizeProjectId(url.searchParams.get('project'));
+        if (!projectId) return sendJson(res, 400, { ok: false, error: 'Missing project parameter' });
+        const synchronized = buildProjectPayload(resolveProjectDir(projectId));
+        if (!synchronized || !synchronized.payload || !Array.isArray(synchronized.payload.tasks)) {
+          return sendJson(res, 404, { ok: false, error: 'node.tasks.json not found' });
+        }
+        const projectStart = url.searchParams.get('start') || undefined;
+        const report = taskScheduler.criticalPathReport(synchronized.payload.tasks, { projectStart });
+        return sendJson(res, 200, { ok: true, project: projectId, ...report });
       }
 
       // OPTIONS preflight for task mutation endpoints
@@ -1623,10 +2802,195 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
         return;
       }
 
+      // GET|POST|PUT|DELETE /api/tasks/:taskId?project=P — read, create, replace or delete one task
+      const taskRouteMatch = pathname.match(/^\/api\/tasks\/(\d+)$/);
+      if (taskRouteMatch) {
+        const projectId = sanitizeProjectId(url.searchParams.get('project'));
+        const taskId = parseInt(taskRouteMatch[1], 10);
+        if (req.method !== 'GET' && rejectUnauthorized(req, res, projectId, 'contributor')) return;
+        // Read the body before the project so the write applies to the tasks as they are on disk now.
+        let taskData = null;
+        if (req.method === 'POST' || req.method === 'PUT') {
+          taskData = await readJsonRequest(req, res, '/api/tasks/{taskId}');
+          if (taskData === undefined) return;
+        }
+        const effectiveDir = resolveProjectDir(projectId);
+        const synchronized = buildProjectPayload(effectiveDir);
+        const current = synchronized && synchronized.payload;
+        if (!current || !Array.isArray(current.tasks)) {
+          return sendJson(res, 404, { ok: false, error: 'Project not found' });
+        }
+        const location = findTaskLocation(current.tasks, taskId);
+
+        if (req.method === 'GET') {
+          if (!location) return sendJson(res, 404, { ok: false, error: `Task ${taskId} not found` });
+          return sendJson(res, 200, { ok: true, task: location.task }, { 'ETag': getProjectETag(effectiveDir) });
+        }
+
+        if (req.method === 'POST' || req.method === 'PUT') {
+          if (req.method === 'POST' && location) {
+            return sendJson(res, 409, { ok: false, error: `Task ${taskId} already exists` });
+          }
+          if (req.method === 'PUT' && !location) {
+            return sendJson(res, 404, { ok: false, error: `Task ${taskId} not found` });
+          }
+          if (!taskData || typeof taskData !== 'object' || Array.isArray(taskData)) {
+            return sendJson(res, 400, { ok: false, error: 'Expected a task object' });
+          }
+
+          // The path id always wins so a body can never move a task to another id.
+          const task = req.method === 'POST'
+            ? taskAutomation.autoPopulateTask({ ...taskData, task_id: taskId }, current)
+            : { ...taskData, task_id: taskId };
+          const validation = taskValidator.validateTask(task);
+          if (!validation.isValid) {
+            return sendJson(res, 400, { ok: false, error: 'Task validation failed', code: 'validation_failed', errors: taskValidator.toFieldErrors(validation.errors, 'body') });
+          }
+
+          const beforeTasks = JSON.parse(JSON.stringify(current.tasks));
+          if (location) location.taskList[location.taskIndex] = task;
+          else current.tasks.push(task);
+          const rescheduled = location ? rescheduleAfterSlip(url, current, location.task, task) : [];
+          const recurrence = location ? materializeRecurrence(current, location.task, task) : null;
+          if (rejectIntegrityErrors(res, effectiveDir, beforeTasks, current.tasks)) return;
+          if (rejectStaleWrite(req, res, effectiveDir, beforeTasks, current.tasks)) return;
+          const message = `${location ? 'Replace' : 'Create'} task #${taskId}`;
+          const nextEtag = commitProjectWrite(req, projectId, effectiveDir, beforeTasks, current, message);
+          return sendJson(res, location ? 200 : 201, {
+            ok: true,
+            task: recurrence ? findTaskLocation(current.tasks, taskId).task : task,
+            ...(rescheduled.length > 0 ? { rescheduled } : {}),
+            ...(recurrence ? { recurrence } : {})
+          }, { 'ETag': nextEtag });
+        }
+
+        if (req.method === 'DELETE') {
+          if (!location) return sendJson(res, 404, { ok: false, error: `Task ${taskId} not found` });
+          const beforeTasks = JSON.parse(JSON.stringify(current.tasks));
+          const [deletedTask] = location.taskList.splice(location.taskIndex, 1);
+          if (rejectIntegrityErrors(res, effectiveDir, beforeTasks, current.tasks)) return;
+          if (rejectStaleWrite(req, res, effectiveDir, beforeTasks, current.tasks)) return;
+          const nextEtag = commitProjectWrite(req, projectId, effectiveDir, beforeTasks, current, `Delete task #${taskId}`);
+          return sendJson(res, 200, { ok: true, task: deletedTask }, { 'ETag': nextEtag });
+        }
+
+        return sendJson(res, 405, { ok: false, error: `Method ${req.method} not allowed` }, { 'Allow': 'GET, POST, PUT, DELETE' });
+      }
+
+      // POST /api/tasks/batch?project=P — validate and apply create/update/delete/move operations all-or-nothing
+      if (pathname === '/api/tasks/batch') {
+        if (req.method !== 'POST') {
+          return sendJson(res, 405, { ok: false, error: `Method ${req.method} not allowed` }, { 'Allow': 'POST' });
+        }
+        const request = await readJsonRequest(req, res, '/api/tasks/batch');
+        if (request === undefined) return;
+        const projectId = sanitizeProjectId(request.project || url.searchParams.get('project'));
+        if (!projectId) return sendJson(res, 400, { ok: false, error: 'Missing project parameter' });
+        if (rejectUnauthorized(req, res, projectId, 'contributor')) return;
+        const operations = request.operations;
+        if (Array.isArray(operations) && operations.length > MAX_BATCH_OPERATIONS) {
+          return sendJson(res, 413, { ok: false, error: `A batch may contain at most ${MAX_BATCH_OPERATIONS} operations` });
+        }
+
+        const effectiveDir = resolveProjectDir(projectId);
+        const synchronized = buildProjectPayload(effectiveDir);
+        const current = synchronized && synchronized.payload;
+        if (!current || !Array.isArray(current.tasks)) {
+          return sendJson(res, 404, { ok: false, error: 'Project not found' });
+        }
+
+        const batch = taskBatch.apply(current, operations);
+        if (!batch.ok) {
+          return sendJson(res, 400, { ok: false, error: 'Batch validation failed', code: 'validation_failed', errors: toBatchFieldErrors(batch.errors, operations) });
+        }
+
+        if (rejectIntegrityErrors(res, effectiveDir, current.tasks, batch.tasks)) return;
+        if (rejectStaleWrite(req, res, effectiveDir, current.tasks, batch.tasks)) return;
+        const beforeTasks = current.tasks;
+        current.tasks = batch.tasks;
+        const message = String(request.message || '').trim().slice(0, 200) || `Batch update (${operations.length} operations)`;
+        const nextEtag = commitProjectWrite(req, projectId, effectiveDir, beforeTasks, current, message);
+        return sendJson(res, 200, { ok: true, applied: batch.results.length, results: batch.results, tasks: batch.tasks }, { 'ETag': nextEtag });
+      }
+
+      // GET /api/tasks/events?project=P — Server-Sent Events stream of task-level changes for one project
+      if (pathname === '/api/tasks/events' && req.method === 'GET') {
+        const projectId = sanitizeProjectId(url.searchParams.get('project'));
+        if (!projectId) return sendJson(res, 400, { ok: false, error: 'Missing project parameter' });
+
+        const feed = openProjectFeed(projectId, resolveProjectDir(projectId));
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream; charset=utf-8',
+          'Cache-Control': 'no-store',
+          'Connection': 'keep-alive'
+        });
+        res.write('retry: 3000\n\n');
+        res.write(formatSseMessage('ready', { projectId, etag: feed.etag }, feed.etag));
+        feed.clients.add(res);
+
+        req.on('close', () => {
+          feed.clients.delete(res);
+          if (feed.clients.size === 0) closeProjectFeed(feed);
+        });
+        return;
+      }
+
+      // GET /api/task-history?project=P&taskId=T&limit=N — newest-first events from history/changes.ndjson
+      if (pathname === '/api/task-history' && req.method === 'GET') {
+        const projectId = sanitizeProjectId(url.searchParams.get('project'));
+        if (!projectId) return sendJson(res, 400, { ok: false, error: 'Missing project parameter' });
+        const taskId = (url.searchParams.get('taskId') || '').trim();
+        const limit = Math.max(1, Math.min(2000, Number(url.searchParams.get('limit') || '200') || 200));
+        const items = readHistoryEvents(resolveProjectDir(projectId), { taskId, limit });
+        return sendJson(res, 200, { items });
+      }
+
+      // POST /api/task-history/rollback?project=P — preview (dryRun) or restore the project to just after one history event
+      if (pathname === '/api/task-history/rollback' && req.method === 'POST') {
+        const request = await readJsonRequest(req, res, '/api/task-history/rollback');
+        if (request === undefined) return;
+        const projectId = sanitizeProjectId(request.project || url.searchParams.get('project'));
+        if (!projectId) return sendJson(res, 400, { ok: false, error: 'Missing project parameter' });
+        if (!request.ts || request.taskId === undefined || request.taskId === null || request.taskId === '') {
+          return sendJson(res, 400, { ok: false, error: 'ts and taskId of the target history event are required' });
+        }
+        // Previews are reads; committing a rollback rewrites many tasks at once.
+        if (rejectUnauthorized(req, res, projectId, request.dryRun === false ? 'maintainer' : 'viewer')) return;
+
+        const effectiveDir = resolveProjectDir(projectId);
+        const synchronized = buildProjectPayload(effectiveDir);
+        const current = synchronized && synchronized.payload;
+        if (!current || !Array.isArray(current.tasks)) {
+          return sendJson(res, 404, { ok: false, error: 'Project not found' });
+        }
+
+        const plan = planHistoryRollback(current.tasks, readAllHistoryEvents(effectiveDir), request);
+        if (!plan) return sendJson(res, 404, { ok: false, error: 'History event not found' });
+
+        const dryRun = request.dryRun !== false;
+        const result = {
+          ok: true,
+          dryRun,
+          undone: plan.undone.length,
+          skipped: plan.skipped.length,
+          changes: summarizeTaskDiff(current.tasks, plan.tasks),
+          tasks: plan.tasks
+        };
+        if (dryRun) return sendJson(res, 200, result, { 'ETag': getProjectETag(effectiveDir) });
+
+        if (rejectIntegrityErrors(res, effectiveDir, current.tasks, plan.tasks)) return;
+        if (rejectStaleWrite(req, res, effectiveDir, current.tasks, plan.tasks)) return;
+        const beforeTasks = current.tasks;
+        current.tasks = plan.tasks;
+        const message = `Rollback to ${request.ts} (#${request.taskId})`;
+        const nextEtag = commitProjectWrite(req, projectId, effectiveDir, beforeTasks, current, message);
+        return sendJson(res, 200, result, { 'ETag': nextEtag });
+      }
+
       if (pathname === '/api/tasks') {
         const projectId = sanitizeProjectId(url.searchParams.get('project'));
+        if ((req.method === 'PUT' || req.method === 'POST') && rejectUnauthorized(req, res, projectId, 'contributor')) return;
         const effectiveTasksDbDir = resolveProjectDir(projectId);
-        const tasksCsvPath = path.join(effectiveTasksDbDir, 'tasks.csv');
         const etag = getProjectETag(effectiveTasksDbDir);
 
         if (req.method === 'HEAD') {
@@ -1653,6 +3017,48 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
           if (!synchronized || !synchronized.payload) {
             return sendJson(res, 404, { ok: false, error: 'node.tasks.json not found' });
           }
+
+          // GET /api/tasks?project=P&q=...&sort=...&fields=...&limit=...&offset=... — filtered page for scripts
+          if (TASK_QUERY_PARAMS.some((name) => url.searchParams.has(name))) {
+            const limitParam = url.searchParams.get('limit');
+            const offsetParam = url.searchParams.get('offset');
+            const limit = limitParam === null || limitParam === '' ? null : Number(limitParam);
+            const offset = offsetParam === null || offsetParam === '' ? 0 : Number(offsetParam);
+            if ((limit !== null && (!Number.isInteger(limit) || limit < 0)) || !Number.isInteger(offset) || offset < 0) {
+              return sendJson(res, 400, { ok: false, error: 'limit and offset must be non-negative integers' });
+            }
+
+            const query = url.searchParams.get('q') || '';
+            const parsed = TaskQuery.parse(query);
+            if (parsed.errors.length > 0) {
+              return sendJson(res, 400, {
+                ok: false,
+                error: 'Invalid query',
+                code: 'invalid_query',
+                errors: parsed.errors.map((message) => ({ path: 'query.q', message }))
+              });
+            }
+
+            const tasks = Array.isArray(synchronized.payload.tasks) ? synchronized.payload.tasks : [];
+            const flatten = ['1', 'true'].includes(String(url.searchParams.get('flatten') || '').toLowerCase());
+            const result = TaskQuery.run(flatten ? flattenTaskTree(tasks) : tasks, {
+              q: query,
+              sort: url.searchParams.get('sort') || '',
+              fields: url.searchParams.get('fields') || '',
+              offset,
+              limit,
+              context: { me: resolveRequestActor(req) }
+            });
+            return sendJson(res, 200, {
+              ok: true,
+              query,
+              total: result.total,
+              offset: result.offset,
+              limit: result.limit,
+              tasks: result.items
+            }, { 'ETag': etag, 'Cache-Control': 'no-cache' });
+          }
+
           res.writeHead(200, {
             'Content-Type': 'application/json; charset=utf-8',
             'Cache-Control': 'no-cache',
@@ -1663,8 +3069,8 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
         }
 
         if (req.method === 'PUT') {
-          const body = await readBody(req);
-          const fullData = JSON.parse(body || '{}');
+          const fullData = await readJsonRequest(req, res, '/api/tasks');
+          if (fullData === undefined) return;
 
           if (!fullData || !Array.isArray(fullData.tasks)) {
             return sendJson(res, 400, { ok: false, error: 'Expected payload with { tasks: [...] }' });
@@ -1675,12 +3081,12 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
             return sendJson(res, 400, { ok: false, error: `Duplicate task_id detected: ${dupes.join(', ')}` });
           }
 
-          ensureDir(effectiveTasksDbDir);
-          writeProjectPayload(effectiveTasksDbDir, fullData);
-          fs.writeFileSync(tasksCsvPath, generatePersistedCSV(fullData.tasks), 'utf8');
-          writeStateFiles(effectiveTasksDbDir, fullData);
+          const existing = buildProjectPayload(effectiveTasksDbDir);
+          const existingTasks = existing && existing.payload && Array.isArray(existing.payload.tasks) ? existing.payload.tasks : [];
+          if (rejectIntegrityErrors(res, effectiveTasksDbDir, existingTasks, fullData.tasks)) return;
+          if (rejectStaleWrite(req, res, effectiveTasksDbDir, existingTasks, fullData.tasks)) return;
 
-          const nextEtag = getProjectETag(effectiveTasksDbDir);
+          const nextEtag = commitProjectWrite(req, projectId, effectiveTasksDbDir, existingTasks, fullData, 'Update tasks');
           res.writeHead(200, {
             'Content-Type': 'application/json; charset=utf-8',
             'Cache-Control': 'no-store',
@@ -1690,9 +3096,50 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
           return;
         }
 
-        res.writeHead(405, { 'Allow': 'HEAD, GET, PUT' });
-        res.end();
-        return;
+        // POST /api/tasks?project=P — create a task with the next free task_id
+        if (req.method === 'POST') {
+          const taskData = await readJsonRequest(req, res, '/api/tasks');
+          if (taskData === undefined) return;
+          const synchronized = buildProjectPayload(effectiveTasksDbDir);
+          const current = synchronized && synchronized.payload;
+          if (!current || !Array.isArray(current.tasks)) {
+            return sendJson(res, 404, { ok: false, error: 'Project not found' });
+          }
+          if (!taskData || typeof taskData !== 'object' || Array.isArray(taskData)) {
+            return sendJson(res, 400, { ok: false, error: 'Expected a task object' });
+          }
+
+          const { task_id: _ignored, ...fields } = taskData;
+          const task = taskAutomation.autoPopulateTask(
+            { ...fields, task_id: taskAutomation.generateTaskId(current.tasks) },
+            current
+          );
+          const validation = taskValidator.validateTask(task);
+          if (!validation.isValid) {
+            return sendJson(res, 400, { ok: false, error: 'Task validation failed', code: 'validation_failed', errors: taskValidator.toFieldErrors(validation.errors, 'body') });
+          }
+
+          if (rejectIntegrityErrors(res, effectiveTasksDbDir, current.tasks, [...current.tasks, task])) return;
+          if (rejectStaleWrite(req, res, effectiveTasksDbDir, current.tasks, [...current.tasks, task])) return;
+          const beforeTasks = current.tasks.slice();
+          current.tasks.push(task);
+          const nextEtag = commitProjectWrite(req, projectId, effectiveTasksDbDir, beforeTasks, current, `Create task #${task.task_id}`);
+          return sendJson(res, 201, { ok: true, task }, { 'ETag': nextEtag });
+        }
+
+        return sendJson(res, 405, { ok: false, error: `Method ${req.method} not allowed` }, { 'Allow': 'HEAD, GET, PUT, POST' });
+      }
+
+      // Anything else under /api/ is either a documented path hit with the wrong method or unknown.
+      if (pathname.startsWith('/api/')) {
+        const documentedPath = matchOpenApiPath(pathname);
+        if (documentedPath) {
+          const allowed = Object.keys(OPENAPI_DOCUMENT.paths[documentedPath])
+            .filter((key) => key !== 'parameters')
+            .map((method) => method.toUpperCase());
+          return sendJson(res, 405, { ok: false, error: `Method ${req.method} not allowed` }, { 'Allow': allowed.join(', ') });
+        }
+        return sendJson(res, 404, { ok: false, error: `Unknown API route ${pathname}` });
       }
 
       // Static serving (special-case tasksDB to come from tasksDbDir)
@@ -1715,10 +3162,12 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
         if (!effectivePath) effectivePath = '/';
 
         const segments = effectivePath.replace(/^\/+/, '').split('/').filter(Boolean);
+        const scoped = segments[0] === 'external' || segments[0] === 'local';
+        // Project files need the same viewer role as /api/tasks; files at the tasksDB root need it on every project.
+        const dataProjectId = segments.length > (scoped ? 2 : 1) ? sanitizeProjectId(segments[scoped ? 1 : 0]) : null;
+        if (rejectInvalidCredentials(req, res) || rejectUnauthorized(req, res, dataProjectId, 'viewer')) return;
         if (segments.length > 0) {
-          const relativeProjectDir = (segments[0] === 'external' || segments[0] === 'local')
-            ? segments.slice(0, 2).join('/')
-            : segments[0];
+          const relativeProjectDir = scoped ? segments.slice(0, 2).join('/') : segments[0];
           if (relativeProjectDir) ensureRelativeProjectDir(relativeProjectDir);
         }
 
@@ -1778,11 +3227,19 @@ function createServer({ publicDir, tasksDbDir, graphDir, repoRoot }) {
       });
       fs.createReadStream(resolvedFilePath).pipe(res);
     } catch (err) {
+      const message = String(err && err.message ? err.message : err);
+      if (req.url && req.url.startsWith('/api/') && !res.headersSent) {
+        return sendJson(res, 500, { ok: false, error: message });
+      }
       res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
-      res.end(String(err && err.message ? err.message : err));
+      res.end(message);
     }
   });
 
+  server.on('close', () => {
+    for (const feed of Array.from(projectFeeds.values())) closeProjectFeed(feed);
+  });
+
   return server;
 }
 
@@ -1803,11 +3260,14 @@ if (require.main === module) {
   }
 
   const port = Number(process.env.PORT || 3000);
-  const server = createServer({ publicDir, tasksDbDir, graphDir });
+  const requireIfMatch = process.env.REQUIRE_IF_MATCH === '1';
+  const usersFile = path.resolve(process.env.AUTH_USERS_FILE || LocalUsers.DEFAULT_USERS_FILE);
+  const server = createServer({ publicDir, tasksDbDir, graphDir, requireIfMatch, usersFile });
   server.listen(port, () => {
     console.log(`Local server running at http://localhost:${port}`);
     console.log(`Tasks DB dir: ${tasksDbDir}`);
+    if (fs.existsSync(usersFile)) console.log(`Accounts enabled: ${usersFile}`);
   });
 }
 
-module.exports = { createServer };
+module.exports = { createServer, readProjectModules };
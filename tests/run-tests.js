@@ -145,8 +145,24 @@ async function main() {
     'task-schema-validator.test.js',
     'task-field-automation.test.js',
     'task-storage-sync.test.js',
+    'task-storage-adapters.test.js',
     'server-api.test.js',
     'task-schema-clipboard.test.js',
+    'cloudflare-worker-history.test.js',
+    'task-query.test.js',
+    'task-scheduler.test.js',
+    'task-integrity-checker.test.js',
+    'task-recurrence.test.js',
+    'task-sprint-planner.test.js',
+    'task-kanban-board.test.js',
+    'task-history-reports.test.js',
+    'task-project-registers.test.js',
+    'task-workload-planner.test.js',
+    'task-time-tracking.test.js',
+    'task-issue-sync.test.js',
+    'task-code-links.test.js',
+    'task-github-projects.test.js',
+    'cloudflare-worker-oauth.test.js',
     'tasks-json-format.test.js',
     'inference-engines.test.js',
     'inference-request-schema.test.js'
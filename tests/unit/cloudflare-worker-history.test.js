@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const WORKER = pathToFileURL(path.join(__dirname, '../../tools/cloudflare-worker/worker.js')).href;
+const FIXTURE = path.join(__dirname, '../fixtures/task-history/rollback.json');
+const ORIGIN = 'https://nlarchive.github.io';
+const ENV = { GITHUB_TOKEN: 'project-token', ACCESS_PASSWORD_MASTER: 'master-pass' };
+const CONTENTS = 'https://api.github.com/repos/nlarchive/github-task-manager/contents/public/tasksDB/external/github-task-manager/';
+
+/**
+ * Serve a project's files through a fake GitHub contents API, recording every write.
+ * @param {Record<string, string>} files - File text keyed by path under the project folder.
+ * @param {(writes: Array<{file: string, content: string}>) => Promise<void>} run - Test body.
+ */
+async function withRepoFiles(files, run) {
+  const writes = [];
+  const original = global.fetch;
+  global.fetch = async (url, init = {}) => {
+    const file = String(url).slice(CONTENTS.length).split('?')[0];
+    if (!String(url).startsWith(CONTENTS) || !(file in files)) {
+      return new Response(JSON.stringify({ message: 'Not Found' }), { status: 404 });
+    }
+    if (init.method === 'PUT') {
+      const content = Buffer.from(JSON.parse(init.body).content, 'base64').toString('utf8');
+      writes.push({ file, content });
+      files[file] = content;
+      return new Response(JSON.stringify({ content: { sha: `${file}-sha` }, commit: { sha: 'commit-sha' } }));
+    }
+    return new Response(JSON.stringify({ content: Buffer.from(files[file]).toString('base64'), sha: `${file}-sha` }));
+  };
+  try {
+    await run(writes);
+  } finally {
+    global.fetch = original;
+  }
+}
+
+/** Post a rollback request to the worker from the Pages origin. */
+async function rollback(body) {
+  const worker = (await import(WORKER)).default;
+  const request = new Request('https://worker.example.dev/api/task-history/rollback', {
+    method: 'POST',
+    headers: { Origin: ORIGIN, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const response = await worker.fetch(request, ENV, {});
+  return { status: response.status, data: await response.json() };
+}
+
+describe('Cloudflare worker history rollback', () => {
+  it('rolls back the shared history fixture the same way the local server does', async () => {
+    const fixture = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+    const files = {
+      'node.tasks.json': JSON.stringify({ project: fixture.project, tasks: fixture.tasks }, null, 2),
+      'history/changes.ndjson': fixture.history.map(evt => JSON.stringify(evt)).join('\n') + '\n'
+    };
+
+    await withRepoFiles(files, async (writes) => {
+      const preview = await rollback({ projectId: 'github-task-manager', ...fixture.target });
+      expect(preview.status).toBe(200);
+      expect(preview.data.undone).toBe(fixture.expected.undone);
+      expect(preview.data.skipped).toBe(fixture.expected.skipped);
+      expect(preview.data.changes.map(entry => `${entry.action}:${entry.taskId}`).sort()).toEqual(fixture.expected.changes);
+      expect(writes).toHaveLength(0);
+
+      const committed = await rollback({ projectId: 'github-task-manager', ...fixture.target, dryRun: false, accessPassword: 'master-pass' });
+      expect(committed.status).toBe(200);
+      expect(committed.data.commit).toBe('commit-sha');
+      expect(JSON.parse(writes[0].content).tasks).toEqual(fixture.expected.tasks);
+      expect(writes[1].file).toBe('history/changes.ndjson');
+
+      const unknown = await rollback({ projectId: 'github-task-manager', ts: '1999-01-01T00:00:00.000Z', taskId: '1' });
+      expect(unknown.status).toBe(404);
+    });
+  });
+});
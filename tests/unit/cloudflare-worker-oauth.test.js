@@ -0,0 +1,110 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const WORKER = pathToFileURL(path.join(__dirname, '../../tools/cloudflare-worker/worker.js')).href;
+const ORIGIN = 'https://nlarchive.github.io';
+const ENV = {
+  GITHUB_OAUTH_CLIENT_ID: 'Iv1.client',
+  GITHUB_TOKEN: 'project-token',
+  ACCESS_PASSWORD_MASTER: 'master-pass'
+};
+
+/** Replace global fetch with canned GitHub replies, recording each call. */
+async function withGitHub(routes, run) {
+  const calls = [];
+  const original = global.fetch;
+  global.fetch = async (url, init = {}) => {
+    const method = init.method || 'GET';
+    calls.push({ url: String(url), method, headers: init.headers || {}, body: init.body });
+    const route = routes.find(r => String(url).startsWith(r.url) && (r.method || 'GET') === method);
+    if (!route) return new Response(JSON.stringify({ message: 'Not Found' }), { status: 404 });
+    return new Response(JSON.stringify(route.json), { status: route.status || 200 });
+  };
+  try {
+    return await run(calls);
+  } finally {
+    global.fetch = original;
+  }
+}
+
+/** Call the worker with a JSON body from the Pages origin. */
+async function callWorker(pathname, { method = 'POST', body, headers = {} } = {}) {
+  const worker = (await import(WORKER)).default;
+  const request = new Request(`https://worker.example.dev${pathname}`, {
+    method,
+    headers: { Origin: ORIGIN, 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const response = await worker.fetch(request, ENV, {});
+  return { status: response.status, data: await response.json() };
+}
+
+const TASKS_PUT = {
+  projectId: 'github-task-manager',
+  filePath: 'public/tasksDB/external/github-task-manager/tasks.csv',
+  content: 'task_id,task_name\n1,Demo\n',
+  message: 'Update tasks',
+  actor: 'Typed Name'
+};
+
+describe('Cloudflare worker GitHub sign-in', () => {
+  it('proxies the device code request with the configured client id and allowed scopes', async () => {
+    await withGitHub([
+      { url: 'https://github.com/login/device/code', method: 'POST', json: { device_code: 'dc-1', user_code: 'ABCD-1234', verification_uri: 'https://github.com/login/device', expires_in: 900, interval: 5 } }
+    ], async (calls) => {
+      const { status, data } = await callWorker('/login/device/code', { body: { scope: 'public_repo admin:org' } });
+      expect(status).toBe(200);
+      expect(data.user_code).toBe('ABCD-1234');
+      expect(calls[0].headers.Accept).toBe('application/json');
+      expect(calls[0].body).toBe('client_id=Iv1.client&scope=public_repo');
+    });
+  });
+
+  it('exchanges a device code for a token and relays pending states unchanged', async () => {
+    await withGitHub([
+      { url: 'https://github.com/login/oauth/access_token', method: 'POST', json: { error: 'authorization_pending' } }
+    ], async (calls) => {
+      const { status, data } = await callWorker('/login/oauth/access_token', { body: { device_code: 'dc-1' } });
+      expect(status).toBe(200);
+      expect(data).toEqual({ error: 'authorization_pending' });
+      expect(calls[0].body).toBe('client_id=Iv1.client&device_code=dc-1&grant_type=urn%3Aietf%3Aparams%3Aoauth%3Agrant-type%3Adevice_code');
+    });
+
+    const missing = await callWorker('/login/oauth/access_token', { body: {} });
+    expect(missing.status).toBe(400);
+  });
+
+  it('writes with the user token and records the GitHub login as actor', async () => {
+    await withGitHub([
+      { url: 'https://api.github.com/user', json: { login: 'octocat' } },
+      { url: 'https://api.github.com/repos/', method: 'PUT', json: { content: { sha: 'file-sha' }, commit: { sha: 'commit-sha' } } }
+    ], async (calls) => {
+      const { status, data } = await callWorker('/api/tasks', { method: 'PUT', body: TASKS_PUT, headers: { Authorization: 'Bearer user-token' } });
+      expect(status).toBe(200);
+      expect(data).toEqual({ success: true, sha: 'file-sha', commit: 'commit-sha' });
+      const put = calls.find(call => call.method === 'PUT');
+      expect(put.headers.Authorization).toBe('token user-token');
+    });
+  });
+
+  it('rejects a revoked user token and still requires the password without one', async () => {
+    await withGitHub([
+      { url: 'https://api.github.com/user', status: 401, json: { message: 'Bad credentials' } }
+    ], async (calls) => {
+      const revoked = await callWorker('/api/tasks', { method: 'PUT', body: TASKS_PUT, headers: { Authorization: 'Bearer old-token' } });
+      expect(revoked.status).toBe(401);
+      expect(calls.some(call => call.method === 'PUT')).toBeFalsy();
+
+      const anonymous = await callWorker('/api/tasks', { method: 'PUT', body: TASKS_PUT });
+      expect(anonymous).toEqual({ status: 401, data: { error: 'Invalid access password' } });
+    });
+
+    await withGitHub([
+      { url: 'https://api.github.com/repos/', method: 'PUT', json: { content: { sha: 'file-sha' }, commit: { sha: 'commit-sha' } } }
+    ], async (calls) => {
+      const { status } = await callWorker('/api/tasks', { method: 'PUT', body: { ...TASKS_PUT, accessPassword: 'master-pass' } });
+      expect(status).toBe(200);
+      expect(calls.find(call => call.method === 'PUT').headers.Authorization).toBe('token project-token');
+    });
+  });
+});
@@ -232,4 +232,27 @@ describe('Calendar Parser', () => {
     expect(appointment.contact).toContain('ops@example.com');
     expect(appointment.allDay).toBe(false);
   });
-});
\ No newline at end of file
+
+  it('maps task recurrence rules to presets and expands the rest into occurrence appointments', () => {
+    const state = buildCalendarState({
+      project: { name: 'Ops', timezone: 'UTC' },
+      tasks: [
+        { task_id: 1, task_name: 'Weekly report', status: 'Not Started', start_date: '2026-05-04', end_date: '2026-05-04', recurrence: 'FREQ=WEEKLY;COUNT=4' },
+        { task_id: 2, task_name: 'Weekly report (2026-04-27)', status: 'Done', start_date: '2026-04-27', end_date: '2026-04-27', parent_task_id: 1, recurrence_date: '2026-04-27' },
+        { task_id: 3, task_name: 'Payroll', status: 'Not Started', start_date: '2026-05-15', end_date: '2026-05-15', recurrence: { freq: 'monthly', by_month_day: [15, -1], until: '2026-06-20' } }
+      ]
+    }, {
+      projectId: 'ops',
+      taskScope: 'pending'
+    });
+
+    const report = state.appointments.find((appointment) => appointment.id === 'ops:1');
+    expect(report.recurrence).toBe('weekly');
+    expect(report.recurrenceCount).toBe(3);
+    expect(state.appointments.filter((appointment) => appointment.title === 'Payroll').map((appointment) => appointment.id)).toEqual([
+      'ops:3@2026-05-15',
+      'ops:3@2026-05-31',
+      'ops:3@2026-06-15'
+    ]);
+  });
+});
@@ -279,6 +279,65 @@ describe('Graph Data Module', () => {
     expect(endJoined).toContain('Total done hours:</strong> 12h');
   });
 
+  it('shows estimate-vs-actual variance of tasks with logged hours on the project nodes', () => {
+    const mod = loadGraphDataModule();
+
+    const tpl = mod.buildProjectTaskTemplatePublic(
+      { id: 'variance-project', name: 'Variance Project', path: '/tasksDB/external/variance-project/node.tasks.json' },
+      {
+        project: { name: 'Variance Project', status: 'In Progress' },
+        tasks: [
+          {
+            task_name: 'Ship backend',
+            estimated_hours: 8,
+            actual_hours: 10.5,
+            status: 'Done',
+            subtasks: [{ name: 'Release checklist', estimated_hours: 2, actual_hours: 1, status: 'Done' }]
+          },
+          { task_name: 'Frontend polish', estimated_hours: 8, status: 'Not Started' }
+        ]
+      }
+    );
+
+    const expected = 'Actual vs estimate:</strong> 11.5h logged vs 10h estimated on 2 tracked tasks, +1.5h (+15%)';
+    expect(tpl.details['project-start'].items.join(' ')).toContain(expected);
+    expect(tpl.details['project-end'].items.join(' ')).toContain(expected);
+
+    const untracked = mod.buildProjectTaskTemplatePublic(
+      { id: 'untracked-project', name: 'Untracked', path: '/tasksDB/external/untracked/node.tasks.json' },
+      { project: { name: 'Untracked' }, tasks: [{ task_name: 'Plan', estimated_hours: 3, status: 'Not Started' }] }
+    );
+    expect(untracked.details['project-start'].items.join(' ')).not.toContain('Actual vs estimate');
+  });
+
+  it('rings the computed critical path and reports where is_critical_path disagrees', () => {
+    global.TaskScheduler = require(path.join(__dirname, '../../public/task-engine/js/task-scheduler.js'));
+    try {
+      const mod = loadGraphDataModule();
+      const tpl = mod.buildProjectTaskTemplatePublic(
+        { id: 'critical-project', name: 'Critical Project', path: '/tasksDB/external/critical-project/node.tasks.json' },
+        {
+          project: { name: 'Critical Project' },
+          tasks: [
+            { task_name: 'Build', status: 'Not Started', priority: 'High', estimated_hours: 24 },
+            { task_name: 'Docs', status: 'Not Started', priority: 'Low', estimated_hours: 4, is_critical_path: true },
+            { task_name: 'Ship', status: 'Not Started', priority: 'High', estimated_hours: 8, dependencies: [{ predecessor_task_name: 'Build', type: 'FS' }, { predecessor_task_name: 'Docs', type: 'FS' }] }
+          ]
+        }
+      );
+
+      const critical = tpl.nodes.filter((node) => node.isCriticalPath).map((node) => node.id);
+      const startJoined = tpl.details['project-start'].items.join(' ');
+
+      expect(critical).toEqual(['task-1', 'task-3']);
+      expect(startJoined).toContain('Critical path (computed):</strong> Build → Ship');
+      expect(startJoined).toContain('Flagged critical but has float:</strong> Docs');
+      expect(tpl.details['task-2'].items.join(' ')).toContain('float 2d — manual flag says critical');
+    } finally {
+      delete global.TaskScheduler;
+    }
+  });
+
   it('builds a clean graph payload that preserves TaskDB schema metadata', () => {
     const mod = loadGraphDataModule();
 
@@ -477,6 +536,33 @@ describe('Graph Data Module', () => {
     expect(joined).toContain('popup-dropdown');
   });
 
+  it('lists commit and pull request links with the pull request state', () => {
+    const mod = loadGraphDataModule();
+
+    const tpl = mod.buildProjectTaskTemplatePublic(
+      { id: 'code-links', name: 'Code Links', path: '/tasksDB/external/code-links/node.tasks.json' },
+      {
+        project: { name: 'Code Links' },
+        tasks: [
+          {
+            task_id: 1,
+            task_name: 'Login bug',
+            status: 'In Review',
+            links: [
+              { type: 'commit', sha: 'a1b2c3d4e5f6', url: 'https://github.com/o/r/commit/a1b2c3d4e5f6', label: 'a1b2c3d Trim emails' },
+              { type: 'pull_request', number: 4, state: 'open', url: 'https://github.com/o/r/pull/4', label: 'PR #4: Trim emails' }
+            ]
+          }
+        ]
+      }
+    );
+
+    const joined = tpl.details['task-1'].items.join(' ');
+    expect(joined).toContain('Links');
+    expect(joined).toContain('a1b2c3d Trim emails</a></li>');
+    expect(joined).toContain('PR #4: Trim emails</a> · open');
+  });
+
   it('inherits parent context for inline subtasks so popup details stay informative', () => {
     const mod = loadGraphDataModule();
 
@@ -44,6 +44,58 @@ function httpRequest({ port, method, path: reqPath, body, headers = {} }) {
   });
 }
 
+/**
+ * Open a Server-Sent Events stream and expose a helper that resolves with the next frame of a given event type.
+ * @param {{ port: number, path: string }} options - Stream location.
+ * @returns {Promise<{ status: number, next: (event: string, timeoutMs?: number) => Promise<Object>, close: () => void }>} Stream handle.
+ */
+function openEventStream({ port, path: reqPath }) {
+  return new Promise((resolve, reject) => {
+    const frames = [];
+    const waiters = [];
+    let buffer = '';
+
+    const flush = () => {
+      for (let i = 0; i < waiters.length; i += 1) {
+        const index = frames.findIndex((frame) => frame.event === waiters[i].event);
+        if (index === -1) continue;
+        const [frame] = frames.splice(index, 1);
+        clearTimeout(waiters[i].timer);
+        waiters.splice(i, 1)[0].resolve(frame.data);
+        i -= 1;
+      }
+    };
+
+    const req = http.get({ hostname: '127.0.0.1', port, path: reqPath }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const eventLine = block.split('\n').find((line) => line.startsWith('event: '));
+          const dataLine = block.split('\n').find((line) => line.startsWith('data: '));
+          if (eventLine && dataLine) frames.push({ event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) });
+          boundary = buffer.indexOf('\n\n');
+        }
+        flush();
+      });
+
+      resolve({
+        status: res.statusCode,
+        next: (event, timeoutMs = 3000) => new Promise((resolveFrame, rejectFrame) => {
+          const timer = setTimeout(() => rejectFrame(new Error(`Timed out waiting for ${event} event`)), timeoutMs);
+          waiters.push({ event, resolve: resolveFrame, timer });
+          flush();
+        }),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
 /** Validate the /api/tasks REST endpoints for task persistence and derived state file generation. */
 describe('Server API - /api/tasks', () => {
   it('should bootstrap the default external project into an empty writable tasks DB', () => {
@@ -389,6 +441,1225 @@ describe('Server API - /api/tasks', () => {
     }
   });
 
+  it('should create, read, replace and delete individual tasks through /api/tasks/:id', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-task-crud');
+    const projectDir = path.join(tasksDbDir, 'local', 'crud-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'CRUD Project', start_date: '2026-01-01', end_date: '2026-12-31', status: 'In Progress' },
+      categories: [{ name: 'General', parent_category_name: null }],
+      workers: [],
+      tasks: [
+        { task_id: 1, task_name: 'First', description: 'First', start_date: '2026-01-02', end_date: '2026-01-03', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'General' },
+        { task_id: 3, task_name: 'Third', description: 'Third', start_date: '2026-01-04', end_date: '2026-01-05', priority: 'Low', status: 'Not Started', estimated_hours: 2, category_name: 'General' }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const headers = { 'Content-Type': 'application/json' };
+
+    try {
+      const createRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/tasks?project=crud-project',
+        body: JSON.stringify({ task_id: 99, task_name: 'Second', description: 'Fills the gap', start_date: '2026-01-06', end_date: '2026-01-07', estimated_hours: 3 }),
+        headers
+      });
+      expect(createRes.status).toBe(201);
+      const created = JSON.parse(createRes.body).task;
+      expect(created.task_id).toBe(2);
+      expect(created.status).toBe('Not Started');
+
+      const getRes = await httpRequest({ port, method: 'GET', path: '/api/tasks/2?project=crud-project' });
+      expect(getRes.status).toBe(200);
+      expect(JSON.parse(getRes.body).task.task_name).toBe('Second');
+
+      const invalidRes = await httpRequest({
+        port,
+        method: 'PUT',
+        path: '/api/tasks/2?project=crud-project',
+        body: JSON.stringify({ ...created, status: 'Sideways' }),
+        headers
+      });
+      expect(invalidRes.status).toBe(400);
+      const invalid = JSON.parse(invalidRes.body);
+      expect(invalid.code).toBe('validation_failed');
+      expect(invalid.errors).toEqual([{ path: 'body.status', message: 'Invalid task status: Sideways' }]);
+
+      const replaceRes = await httpRequest({
+        port,
+        method: 'PUT',
+        path: '/api/tasks/2?project=crud-project',
+        body: JSON.stringify({ ...created, task_id: 7, status: 'In Progress' }),
+        headers
+      });
+      expect(replaceRes.status).toBe(200);
+      expect(JSON.parse(replaceRes.body).task.task_id).toBe(2);
+
+      const duplicateRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/tasks/3?project=crud-project',
+        body: JSON.stringify({ task_name: 'Again', description: 'Again', estimated_hours: 1 }),
+        headers
+      });
+      expect(duplicateRes.status).toBe(409);
+
+      const deleteRes = await httpRequest({ port, method: 'DELETE', path: '/api/tasks/1?project=crud-project' });
+      expect(deleteRes.status).toBe(200);
+      expect(JSON.parse(deleteRes.body).task.task_name).toBe('First');
+
+      const missingRes = await httpRequest({ port, method: 'GET', path: '/api/tasks/1?project=crud-project' });
+      expect(missingRes.status).toBe(404);
+
+      const persisted = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8'));
+      expect(persisted.tasks.map((task) => task.task_id)).toEqual([3, 2]);
+      expect(persisted.tasks[1].status).toBe('In Progress');
+      expect(fs.readFileSync(path.join(projectDir, 'tasks.csv'), 'utf8')).toContain('Second');
+      const summary = JSON.parse(fs.readFileSync(path.join(projectDir, 'state', 'tasks-by-status.json'), 'utf8'));
+      expect(summary.counts_by_status['In Progress']).toBe(1);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should not drop a write that lands while another request body is still arriving', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-slow-body');
+    const projectDir = path.join(tasksDbDir, 'local', 'slow-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Slow Project', start_date: '2026-01-01', end_date: '2026-12-31', status: 'In Progress' },
+      categories: [{ name: 'General', parent_category_name: null }],
+      workers: [],
+      tasks: [
+        { task_id: 1, task_name: 'First', description: 'First', start_date: '2026-01-02', end_date: '2026-01-03', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'General' }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const headers = { 'Content-Type': 'application/json' };
+
+    try {
+      for (const slowPath of ['/api/tasks?project=slow-project', '/api/tasks/10?project=slow-project']) {
+        const slowBody = JSON.stringify({ task_name: `Slow ${slowPath}`, description: 'Slow', start_date: '2026-01-04', end_date: '2026-01-05', estimated_hours: 1 });
+        const slowRes = new Promise((resolve, reject) => {
+          const req = http.request({ hostname: '127.0.0.1', port, method: 'POST', path: slowPath, headers: { ...headers, 'Content-Length': Buffer.byteLength(slowBody) } }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => (data += chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: data }));
+          });
+          req.on('error', reject);
+          req.write(slowBody.slice(0, 10));
+          setTimeout(async () => {
+            const fastRes = await httpRequest({
+              port,
+              method: 'POST',
+              path: '/api/tasks?project=slow-project',
+              body: JSON.stringify({ task_name: `Fast ${slowPath}`, description: 'Fast', start_date: '2026-01-04', end_date: '2026-01-05', estimated_hours: 1 }),
+              headers
+            });
+            expect(fastRes.status).toBe(201);
+            req.end(slowBody.slice(10));
+          }, 50);
+        });
+        expect((await slowRes).status).toBe(201);
+      }
+
+      const persisted = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8'));
+      expect(persisted.tasks.map((task) => task.task_name).sort()).toEqual([
+        'Fast /api/tasks/10?project=slow-project',
+        'Fast /api/tasks?project=slow-project',
+        'First',
+        'Slow /api/tasks/10?project=slow-project',
+        'Slow /api/tasks?project=slow-project'
+      ]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should reject stale writes with 412 and a per-task diff when If-Match does not match', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-if-match');
+    const projectDir = path.join(tasksDbDir, 'local', 'if-match-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'If-Match Project' },
+      tasks: [
+        { task_id: 1, task_name: 'Shared', description: 'Shared', start_date: '2026-01-02', end_date: '2026-01-03', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'General' }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+
+    try {
+      const headRes = await new Promise((resolve, reject) => {
+        const req = http.request({ hostname: '127.0.0.1', port, method: 'HEAD', path: '/api/tasks?project=if-match-project' }, resolve);
+        req.on('error', reject);
+        req.end();
+      });
+      const loadedEtag = headRes.headers.etag;
+      expect(loadedEtag).toBeTruthy();
+
+      const firstTab = await httpRequest({
+        port,
+        method: 'PATCH',
+        path: '/api/task?project=if-match-project&task_id=1',
+        body: JSON.stringify({ status: 'In Progress' }),
+        headers: { 'Content-Type': 'application/json', 'If-Match': loadedEtag }
+      });
+      expect(firstTab.status).toBe(200);
+
+      const secondTab = await httpRequest({
+        port,
+        method: 'PUT',
+        path: '/api/tasks?project=if-match-project',
+        body: JSON.stringify({
+          project: { name: 'If-Match Project' },
+          tasks: [{ task_id: 1, task_name: 'Shared', description: 'Shared', start_date: '2026-01-02', end_date: '2026-01-03', priority: 'High', status: 'Not Started', estimated_hours: 1, category_name: 'General' }]
+        }),
+        headers: { 'Content-Type': 'application/json', 'If-Match': loadedEtag }
+      });
+      expect(secondTab.status).toBe(412);
+      const conflict = JSON.parse(secondTab.body);
+      expect(conflict.etag).not.toBe(loadedEtag);
+      expect(conflict.conflicts).toHaveLength(1);
+      expect(conflict.conflicts[0].taskId).toBe('1');
+      expect(conflict.conflicts[0].changeSummary).toBe('priority, status');
+
+      const staleMcp = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/create-mcp',
+        body: JSON.stringify({ project: 'if-match-project', taskIds: [1] }),
+        headers: { 'Content-Type': 'application/json', 'If-Match': loadedEtag }
+      });
+      expect(staleMcp.status).toBe(412);
+
+      const persisted = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8'));
+      expect(persisted.tasks[0].status).toBe('In Progress');
+      expect(persisted.tasks[0].priority).toBe('Medium');
+      expect(persisted.tasks[0].is_critical_path).toBeFalsy();
+
+      const retried = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/create-mcp',
+        body: JSON.stringify({ project: 'if-match-project', taskIds: [1] }),
+        headers: { 'Content-Type': 'application/json', 'If-Match': conflict.etag }
+      });
+      expect(retried.status).toBe(200);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should require If-Match on writes when the server is configured to', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-require-if-match');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(tasksDbDir, { recursive: true });
+
+    const server = createServer({ publicDir, tasksDbDir, requireIfMatch: true });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+
+    try {
+      const body = JSON.stringify({ project: { name: 'Strict' }, tasks: [] });
+      const missing = await httpRequest({ port, method: 'PUT', path: '/api/tasks?project=strict', body, headers: { 'Content-Type': 'application/json' } });
+      expect(missing.status).toBe(428);
+
+      const created = await httpRequest({ port, method: 'PUT', path: '/api/tasks?project=strict', body, headers: { 'Content-Type': 'application/json', 'If-Match': JSON.parse(missing.body).etag } });
+      expect(created.status).toBe(200);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should record local writes in history/changes.ndjson and serve them from /api/task-history', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-history');
+    const projectDir = path.join(tasksDbDir, 'local', 'history-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    const baseTask = { description: 'Tracked', start_date: '2026-01-02', end_date: '2026-01-03', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'General' };
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'History Project' },
+      tasks: [{ task_id: 1, task_name: 'Tracked', ...baseTask }]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const headers = { 'Content-Type': 'application/json', 'X-Actor': 'alice' };
+
+    try {
+      const putRes = await httpRequest({
+        port,
+        method: 'PUT',
+        path: '/api/tasks?project=history-project',
+        body: JSON.stringify({
+          project: { name: 'History Project' },
+          tasks: [
+            { task_id: 1, task_name: 'Tracked', ...baseTask },
+            { task_id: 2, task_name: 'Added', ...baseTask }
+          ]
+        }),
+        headers
+      });
+      expect(putRes.status).toBe(200);
+
+      const patchRes = await httpRequest({
+        port,
+        method: 'PATCH',
+        path: '/api/task?project=history-project&task_id=1',
+        body: JSON.stringify({ status: 'In Progress', progress_percentage: 40 }),
+        headers
+      });
+      expect(patchRes.status).toBe(200);
+
+      const deleteRes = await httpRequest({ port, method: 'DELETE', path: '/api/tasks/2?project=history-project', headers });
+      expect(deleteRes.status).toBe(200);
+
+      const lines = fs.readFileSync(path.join(projectDir, 'history', 'changes.ndjson'), 'utf8').split('\n').filter(Boolean);
+      expect(lines).toHaveLength(3);
+
+      const historyRes = await httpRequest({ port, method: 'GET', path: '/api/task-history?project=history-project' });
+      expect(historyRes.status).toBe(200);
+      const items = JSON.parse(historyRes.body).items;
+      expect(items.map((item) => item.action)).toEqual(['delete', 'update', 'create']);
+      expect(items[1].taskId).toBe('1');
+      expect(items[1].actor).toBe('alice');
+      expect(items[1].changeSummary).toBe('status, progress_percentage');
+      expect(items[1].file).toBe('local/history-project/node.tasks.json');
+      expect(items[0].before.task_name).toBe('Added');
+
+      const filteredRes = await httpRequest({ port, method: 'GET', path: '/api/task-history?project=history-project&taskId=2&limit=1' });
+      const filtered = JSON.parse(filteredRes.body).items;
+      expect(filtered).toHaveLength(1);
+      expect(filtered[0].action).toBe('delete');
+
+      // Reports replay the whole retained file, so limits above 500 must not be clamped away.
+      const extra = Array.from({ length: 600 }, (_, i) => JSON.stringify({ ts: `2026-02-01T00:00:${String(i % 60).padStart(2, '0')}Z`, taskId: '1', action: 'update', changeSummary: 'status' }));
+      fs.appendFileSync(path.join(projectDir, 'history', 'changes.ndjson'), extra.join('\n') + '\n', 'utf8');
+      const fullRes = await httpRequest({ port, method: 'GET', path: '/api/task-history?project=history-project&limit=2000' });
+      expect(JSON.parse(fullRes.body).items).toHaveLength(603);
+
+      const missingProject = await httpRequest({ port, method: 'GET', path: '/api/task-history' });
+      expect(missingProject.status).toBe(400);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should preview and commit a rollback to a point in task history', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-rollback');
+    const projectDir = path.join(tasksDbDir, 'local', 'rollback-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    const baseTask = { description: 'Tracked', start_date: '2026-01-02', end_date: '2026-01-03', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'General' };
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Rollback Project' },
+      tasks: [
+        { task_id: 1, task_name: 'Keep', ...baseTask },
+        { task_id: 2, task_name: 'Removed later', ...baseTask }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const headers = { 'Content-Type': 'application/json' };
+
+    try {
+      await httpRequest({ port, method: 'PATCH', path: '/api/task?project=rollback-project&task_id=1', body: JSON.stringify({ status: 'In Progress' }), headers });
+      const historyRes = await httpRequest({ port, method: 'GET', path: '/api/task-history?project=rollback-project' });
+      const target = JSON.parse(historyRes.body).items[0];
+
+      // A bad bulk edit after the target event: another field change, a deletion and a new task.
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await httpRequest({
+        port,
+        method: 'PUT',
+        path: '/api/tasks?project=rollback-project',
+        body: JSON.stringify({
+          project: { name: 'Rollback Project' },
+          tasks: [
+            { task_id: 1, task_name: 'Keep', ...baseTask, status: 'Blocked', blocker_reason: 'oops' },
+            { task_id: 3, task_name: 'Accidental', ...baseTask }
+          ]
+        }),
+        headers
+      });
+
+      const previewRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/task-history/rollback',
+        body: JSON.stringify({ project: 'rollback-project', ts: target.ts, taskId: target.taskId, action: target.action }),
+        headers
+      });
+      expect(previewRes.status).toBe(200);
+      const preview = JSON.parse(previewRes.body);
+      expect(preview.dryRun).toBe(true);
+      expect(preview.undone).toBe(3);
+      expect(preview.changes.map((entry) => `${entry.action}:${entry.taskId}`).sort()).toEqual(['create:2', 'delete:3', 'update:1']);
+      const stillCurrent = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8'));
+      expect(stillCurrent.tasks.map((task) => task.task_id)).toEqual([1, 3]);
+
+      const commitRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/task-history/rollback',
+        body: JSON.stringify({ project: 'rollback-project', ts: target.ts, taskId: target.taskId, dryRun: false }),
+        headers
+      });
+      expect(commitRes.status).toBe(200);
+
+      const restored = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8'));
+      const restoredById = Object.fromEntries(restored.tasks.map((task) => [task.task_id, task]));
+      expect(Object.keys(restoredById).sort()).toEqual(['1', '2']);
+      expect(restoredById[1].status).toBe('In Progress');
+      expect(restoredById[1].blocker_reason).toBeUndefined();
+      expect(restoredById[2].task_name).toBe('Removed later');
+
+      const afterRes = await httpRequest({ port, method: 'GET', path: '/api/task-history?project=rollback-project&limit=1' });
+      expect(JSON.parse(afterRes.body).items[0].message).toContain('Rollback to');
+
+      const unknownRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/task-history/rollback',
+        body: JSON.stringify({ project: 'rollback-project', ts: '1999-01-01T00:00:00.000Z', taskId: '1' }),
+        headers
+      });
+      expect(unknownRes.status).toBe(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should roll back the shared history fixture the same way the Cloudflare worker does', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-rollback-fixture');
+    const projectDir = path.join(tasksDbDir, 'local', 'rollback-fixture');
+    const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/task-history/rollback.json'), 'utf8'));
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(projectDir, 'history'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({ project: fixture.project, tasks: fixture.tasks }, null, 2), 'utf8');
+    fs.writeFileSync(path.join(projectDir, 'history', 'changes.ndjson'), fixture.history.map((evt) => JSON.stringify(evt)).join('\n') + '\n', 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const headers = { 'Content-Type': 'application/json' };
+
+    try {
+      const previewRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/task-history/rollback',
+        body: JSON.stringify({ project: 'rollback-fixture', ...fixture.target }),
+        headers
+      });
+      expect(previewRes.status).toBe(200);
+      const preview = JSON.parse(previewRes.body);
+      expect(preview.undone).toBe(fixture.expected.undone);
+      expect(preview.skipped).toBe(fixture.expected.skipped);
+      expect(preview.changes.map((entry) => `${entry.action}:${entry.taskId}`).sort()).toEqual(fixture.expected.changes);
+
+      const commitRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/task-history/rollback',
+        body: JSON.stringify({ project: 'rollback-fixture', ...fixture.target, dryRun: false }),
+        headers
+      });
+      expect(commitRes.status).toBe(200);
+      const restored = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8'));
+      expect(restored.tasks).toEqual(fixture.expected.tasks);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should apply /api/tasks/batch operations atomically with one history write', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-batch');
+    const projectDir = path.join(tasksDbDir, 'local', 'batch-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    const baseTask = { description: 'Batch', start_date: '2026-01-02', end_date: '2026-01-03', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'General' };
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Batch Project' },
+      tasks: [
+        { task_id: 1, task_name: 'One', ...baseTask },
+        { task_id: 2, task_name: 'Two', ...baseTask },
+        { task_id: 3, task_name: 'Three', ...baseTask }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const headers = { 'Content-Type': 'application/json', 'X-Actor': 'carol' };
+    const readTasks = () => JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8')).tasks;
+
+    try {
+      const invalidRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/tasks/batch?project=batch-project',
+        body: JSON.stringify({
+          operations: [
+            { op: 'update', taskId: 1, changes: { status: 'Done' } },
+            { op: 'delete', taskId: 99 }
+          ]
+        }),
+        headers
+      });
+      expect(invalidRes.status).toBe(400);
+      const invalid = JSON.parse(invalidRes.body);
+      expect(invalid.errors).toHaveLength(1);
+      expect(invalid.errors[0].index).toBe(1);
+      expect(readTasks()[0].status).toBe('Not Started');
+      expect(fs.existsSync(path.join(projectDir, 'history', 'changes.ndjson'))).toBeFalsy();
+
+      const batchRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/tasks/batch?project=batch-project',
+        body: JSON.stringify({
+          message: 'Sprint planning',
+          operations: [
+            { op: 'update', taskId: 1, changes: { status: 'In Progress', sprint_name: 'Sprint 1' } },
+            { op: 'update', taskId: 2, changes: { tags: ['bulk'] } },
+            { op: 'create', task: { task_name: 'Four', ...baseTask } },
+            { op: 'delete', taskId: 3 },
+            { op: 'move', taskId: 2, parentTaskId: 1, index: 0 }
+          ]
+        }),
+        headers
+      });
+      expect(batchRes.status).toBe(200);
+      const batch = JSON.parse(batchRes.body);
+      expect(batch.applied).toBe(5);
+      expect(batch.results[2].taskId).toBe(4);
+
+      const tasks = readTasks();
+      expect(tasks.map((task) => task.task_id)).toEqual([2, 1, 4]);
+      expect(tasks[0].parent_task_id).toBe(1);
+      expect(tasks[1].sprint_name).toBe('Sprint 1');
+      expect(fs.readFileSync(path.join(projectDir, 'tasks.csv'), 'utf8')).toContain('Four');
+
+      const events = fs.readFileSync(path.join(projectDir, 'history', 'changes.ndjson'), 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+      expect(events.map((evt) => `${evt.action}:${evt.taskId}`).sort()).toEqual(['create:4', 'delete:3', 'update:1', 'update:2']);
+      expect(new Set(events.map((evt) => evt.ts)).size).toBe(1);
+      expect(events[0].message).toBe('Sprint planning');
+      expect(events[0].actor).toBe('carol');
+
+      const staleRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/tasks/batch?project=batch-project',
+        body: JSON.stringify({ operations: [{ op: 'delete', taskId: 4 }] }),
+        headers: { ...headers, 'If-Match': '"stale"' }
+      });
+      expect(staleRes.status).toBe(412);
+
+      const wrongMethod = await httpRequest({ port, method: 'GET', path: '/api/tasks/batch?project=batch-project' });
+      expect(wrongMethod.status).toBe(405);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should rename, clone, archive, restore and delete local projects consistently', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-lifecycle');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(tasksDbDir, { recursive: true });
+    fs.writeFileSync(path.join(tasksDbDir, 'registry.json'), '[]\n', 'utf8');
+    fs.mkdirSync(path.join(tasksDbDir, '_templates'), { recursive: true });
+    fs.writeFileSync(path.join(tasksDbDir, '_templates', 'starter_project_template.json'), JSON.stringify({
+      project: { name: 'Template' },
+      tasks: [{ task_id: 1, task_name: 'Kickoff', status: 'Not Started' }, { task_id: 2, task_name: 'Plan', status: 'Not Started' }]
+    }), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const headers = { 'Content-Type': 'application/json', 'X-Actor': 'dana' };
+    const post = (reqPath, body = {}) => httpRequest({ port, method: 'POST', path: reqPath, body: JSON.stringify(body), headers });
+    const registry = () => JSON.parse(fs.readFileSync(path.join(tasksDbDir, 'registry.json'), 'utf8'));
+
+    try {
+      const createRes = await post('/api/create-project', { projectName: 'Alpha', fromTemplate: true });
+      expect(createRes.status).toBe(201);
+      const alphaTasks = JSON.parse(fs.readFileSync(path.join(tasksDbDir, 'local', 'alpha', 'node.tasks.json'), 'utf8'));
+      expect(alphaTasks.tasks).toHaveLength(2);
+      expect(alphaTasks.project.name).toBe('Alpha');
+      expect(registry()).toEqual([{ type: 'task-management', path: '/tasksDB/local/alpha/node.tasks.json', id: 'alpha-tasks', name: 'Alpha' }]);
+
+      await httpRequest({ port, method: 'PATCH', path: '/api/task?project=alpha&task_id=1', body: JSON.stringify({ status: 'In Progress' }), headers });
+
+      const renameRes = await post('/api/projects/alpha/rename', { name: 'Alpha Prime', newId: 'alpha-prime' });
+      expect(renameRes.status).toBe(200);
+      expect(JSON.parse(renameRes.body).projectId).toBe('alpha-prime');
+      expect(fs.existsSync(path.join(tasksDbDir, 'local', 'alpha'))).toBe(false);
+      const renamedDir = path.join(tasksDbDir, 'local', 'alpha-prime');
+      expect(JSON.parse(fs.readFileSync(path.join(renamedDir, 'node.tasks.json'), 'utf8')).project.name).toBe('Alpha Prime');
+      const history = fs.readFileSync(path.join(renamedDir, 'history', 'changes.ndjson'), 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+      expect(history[0].projectId).toBe('alpha-prime');
+      expect(history[0].file).toBe('local/alpha-prime/node.tasks.json');
+      expect(registry()[0].id).toBe('alpha-prime-tasks');
+      expect(registry()[0].name).toBe('Alpha Prime');
+
+      const staleRename = await httpRequest({ port, method: 'POST', path: '/api/projects/alpha-prime/rename', body: JSON.stringify({ name: 'Alpha Stale' }), headers: { ...headers, 'If-Match': '"stale"' } });
+      expect(staleRename.status).toBe(412);
+      expect(JSON.parse(fs.readFileSync(path.join(renamedDir, 'node.tasks.json'), 'utf8')).project.name).toBe('Alpha Prime');
+      const nameOnlyRes = await httpRequest({ port, method: 'POST', path: '/api/projects/alpha-prime/rename', body: JSON.stringify({ name: 'Alpha Two' }), headers: { ...headers, 'If-Match': JSON.parse(staleRename.body).etag } });
+      expect(nameOnlyRes.status).toBe(200);
+      expect(JSON.parse(fs.readFileSync(path.join(renamedDir, 'node.tasks.json'), 'utf8')).project.name).toBe('Alpha Two');
+      expect(registry()[0].name).toBe('Alpha Two');
+      const staleMove = await httpRequest({ port, method: 'POST', path: '/api/projects/alpha-prime/rename', body: JSON.stringify({ newId: 'alpha-moved' }), headers: { ...headers, 'If-Match': '"stale"' } });
+      expect(staleMove.status).toBe(412);
+      expect(fs.existsSync(renamedDir)).toBe(true);
+
+      const cloneRes = await post('/api/projects/alpha-prime/clone', { name: 'Beta' });
+      expect(cloneRes.status).toBe(201);
+      const betaHistory = fs.readFileSync(path.join(tasksDbDir, 'local', 'beta', 'history', 'changes.ndjson'), 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+      expect(betaHistory.map((evt) => evt.action)).toEqual(['create', 'create']);
+      expect(betaHistory[0].message).toBe('Cloned from alpha-prime');
+      expect((await post('/api/projects/alpha-prime/clone', { name: 'Beta' })).status).toBe(409);
+
+      const archiveRes = await post('/api/projects/beta/archive');
+      expect(archiveRes.status).toBe(200);
+      expect(fs.existsSync(path.join(tasksDbDir, '_archive', 'beta', 'node.tasks.json'))).toBe(true);
+      expect(registry().find((entry) => entry.id === 'beta-tasks').archived).toBe(true);
+      const listed = JSON.parse((await httpRequest({ port, method: 'GET', path: '/api/projects?archived=1' })).body).projects;
+      expect(listed.find((project) => project.id === 'beta')).toEqual({ id: 'beta', scope: 'local', archived: true, name: 'Beta' });
+      const defaultList = JSON.parse((await httpRequest({ port, method: 'GET', path: '/api/projects' })).body).projects;
+      expect(defaultList.some((project) => project.id === 'beta')).toBe(false);
+
+      expect((await post('/api/projects/beta/restore')).status).toBe(200);
+      expect(registry().find((entry) => entry.id === 'beta-tasks').archived).toBe(undefined);
+      expect(fs.existsSync(path.join(tasksDbDir, 'local', 'beta'))).toBe(true);
+
+      expect((await httpRequest({ port, method: 'DELETE', path: '/api/projects/beta' })).status).toBe(400);
+      const staleDelete = await httpRequest({ port, method: 'DELETE', path: '/api/projects/beta?confirm=beta', headers: { 'If-Match': '"stale"' } });
+      expect(staleDelete.status).toBe(412);
+      expect(JSON.parse(staleDelete.body).conflicts.map((entry) => entry.action)).toEqual(['delete', 'delete']);
+      expect(fs.existsSync(path.join(tasksDbDir, 'local', 'beta'))).toBe(true);
+      expect((await httpRequest({ port, method: 'DELETE', path: '/api/projects/beta?confirm=beta' })).status).toBe(200);
+      expect(fs.existsSync(path.join(tasksDbDir, 'local', 'beta'))).toBe(false);
+      expect(registry().map((entry) => entry.id)).toEqual(['alpha-prime-tasks']);
+
+      expect((await post('/api/projects/github-task-manager/archive')).status).toBe(403);
+      expect((await post('/api/projects/missing/archive')).status).toBe(404);
+      expect((await httpRequest({ port, method: 'GET', path: '/api/projects/alpha-prime/archive' })).status).toBe(405);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should filter, sort, project and paginate GET /api/tasks with a query', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-query');
+    const projectDir = path.join(tasksDbDir, 'local', 'query-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Query Project' },
+      tasks: [
+        { task_id: 1, task_name: 'One', status: 'In Progress', priority: 'Low', end_date: '2026-10-30', tags: ['backend'], assigned_workers: [{ name: 'alice' }] },
+        { task_id: 2, task_name: 'Two', status: 'In Progress', priority: 'High', end_date: '2026-10-10', tags: ['backend'], assigned_workers: [{ name: 'alice' }] },
+        {
+          task_id: 3, task_name: 'Three', status: 'Not Started', priority: 'Critical', end_date: '2026-12-01', tags: ['backend'],
+          subtasks: [{ task_id: 4, task_name: 'Four', status: 'In Progress', priority: 'Medium', end_date: '2026-10-05', tags: ['backend'], assigned_workers: [{ name: 'alice' }] }]
+        }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+
+    try {
+      const q = encodeURIComponent('status:"In Progress" assignee:alice due<2026-11-01 tag:backend');
+      const pageRes = await httpRequest({ port, method: 'GET', path: `/api/tasks?project=query-project&q=${q}&sort=-priority&fields=id,name&limit=1&offset=1` });
+      expect(pageRes.status).toBe(200);
+      const page = JSON.parse(pageRes.body);
+      expect(page.total).toBe(2);
+      expect(page.offset).toBe(1);
+      expect(page.limit).toBe(1);
+      expect(page.tasks).toEqual([{ task_id: 1, task_name: 'One' }]);
+
+      const flatRes = await httpRequest({ port, method: 'GET', path: `/api/tasks?project=query-project&q=${q}&sort=due&fields=task_id&flatten=1` });
+      expect(JSON.parse(flatRes.body).tasks).toEqual([{ task_id: 4 }, { task_id: 2 }, { task_id: 1 }]);
+
+      const invalidRes = await httpRequest({ port, method: 'GET', path: '/api/tasks?project=query-project&q=is:someday' });
+      expect(invalidRes.status).toBe(400);
+      expect(JSON.parse(invalidRes.body).errors).toHaveLength(1);
+
+      const badLimit = await httpRequest({ port, method: 'GET', path: '/api/tasks?project=query-project&limit=-1' });
+      expect(badLimit.status).toBe(400);
+
+      const fullRes = await httpRequest({ port, method: 'GET', path: '/api/tasks?project=query-project' });
+      expect(JSON.parse(fullRes.body).project.name).toBe('Query Project');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should serve the OpenAPI document and reject bodies that do not match it with field paths', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-openapi');
+    const projectDir = path.join(tasksDbDir, 'local', 'spec-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Spec Project' },
+      tasks: [{ task_id: 1, task_name: 'One', status: 'Not Started', priority: 'Low' }]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const headers = { 'Content-Type': 'application/json' };
+
+    try {
+      const specRes = await httpRequest({ port, method: 'GET', path: '/api/openapi.json' });
+      expect(specRes.status).toBe(200);
+      const spec = JSON.parse(specRes.body);
+      expect(spec.openapi).toMatch(/^3\./);
+      expect(Object.keys(spec.paths)).toContain('/api/tasks/batch');
+
+      const badBatch = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/tasks/batch?project=spec-project',
+        body: JSON.stringify({ operations: [{ op: 'rename', taskId: 1 }] }),
+        headers
+      });
+      expect(badBatch.status).toBe(400);
+      const batchError = JSON.parse(badBatch.body);
+      expect(batchError.ok).toBe(false);
+      expect(batchError.code).toBe('invalid_request');
+      expect(batchError.errors[0].path).toBe('body.operations[0].op');
+
+      const badTask = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/tasks?project=spec-project',
+        body: JSON.stringify({ task_name: 'Two', estimated_hours: 'lots' }),
+        headers
+      });
+      expect(badTask.status).toBe(400);
+      expect(JSON.parse(badTask.body).errors).toEqual([{ path: 'body.estimated_hours', message: 'must be a number' }]);
+
+      const badJson = await httpRequest({ port, method: 'PUT', path: '/api/tasks?project=spec-project', body: '{"tasks": [', headers });
+      expect(badJson.status).toBe(400);
+      expect(JSON.parse(badJson.body).code).toBe('invalid_json');
+
+      const wrongMethod = await httpRequest({ port, method: 'DELETE', path: '/api/task-history' });
+      expect(wrongMethod.status).toBe(405);
+      expect(JSON.parse(wrongMethod.body).code).toBe('method_not_allowed');
+
+      const unknown = await httpRequest({ port, method: 'GET', path: '/api/nope' });
+      expect(unknown.status).toBe(404);
+      expect(JSON.parse(unknown.body).code).toBe('not_found');
+
+      const stillOne = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8')).tasks;
+      expect(stillOne).toHaveLength(1);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should push dependent tasks later on ?reschedule=1 when a task end_date slips', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-reschedule');
+    const projectDir = path.join(tasksDbDir, 'local', 'schedule-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Schedule Project' },
+      tasks: [
+        { task_id: 1, task_name: 'Build', status: 'Not Started', priority: 'Low', start_date: '2026-05-01', end_date: '2026-05-04' },
+        { task_id: 2, task_name: 'Test', status: 'Not Started', priority: 'Low', start_date: '2026-05-05', end_date: '2026-05-06', dependencies: [{ predecessor_task_id: 1, type: 'FS', lag_days: 0 }] }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+
+    try {
+      const res = await httpRequest({
+        port,
+        method: 'PATCH',
+        path: '/api/task?project=schedule-project&task_id=1&reschedule=1',
+        body: JSON.stringify({ end_date: '2026-05-07' }),
+        headers: { 'Content-Type': 'application/json' }
+      });
+      expect(res.status).toBe(200);
+      expect(JSON.parse(res.body).rescheduled).toEqual([
+        { task_id: 2, before: { start_date: '2026-05-05', end_date: '2026-05-06' }, after: { start_date: '2026-05-08', end_date: '2026-05-09' } }
+      ]);
+      const saved = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8')).tasks;
+      expect(saved[1].start_date).toBe('2026-05-08');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should report the computed critical path and sync is_critical_path to it', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-critical-path');
+    const projectDir = path.join(tasksDbDir, 'local', 'critical-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Critical Project' },
+      tasks: [
+        { task_id: 1, task_name: 'Build', status: 'Not Started', priority: 'Low', start_date: '2026-05-01', end_date: '2026-05-04' },
+        { task_id: 2, task_name: 'Docs', status: 'Not Started', priority: 'Low', start_date: '2026-05-01', end_date: '2026-05-01', is_critical_path: true },
+        { task_id: 3, task_name: 'Ship', status: 'Not Started', priority: 'Low', start_date: '2026-05-05', end_date: '2026-05-05', dependencies: [{ predecessor_task_id: 1, type: 'FS', lag_days: 0 }, { predecessor_task_id: 2, type: 'FS', lag_days: 0 }] }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+
+    try {
+      const reportRes = await httpRequest({ port, method: 'GET', path: '/api/tasks/critical-path?project=critical-project' });
+      expect(reportRes.status).toBe(200);
+      const report = JSON.parse(reportRes.body);
+      expect(report.criticalPath).toEqual([1, 3]);
+      expect(report.flaggedNotCritical).toEqual([2]);
+      expect(report.criticalNotFlagged).toEqual([1, 3]);
+
+      const syncRes = await httpRequest({
+        port,
+        method: 'POST',
+        path: '/api/create-mcp',
+        body: JSON.stringify({ project: 'critical-project', computed: true }),
+        headers: { 'Content-Type': 'application/json' }
+      });
+      expect(syncRes.status).toBe(200);
+      expect(JSON.parse(syncRes.body).updated).toBe(3);
+      const saved = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8')).tasks;
+      expect(saved.map((task) => task.is_critical_path)).toEqual([true, false, true]);
+
+      const afterRes = await httpRequest({ port, method: 'GET', path: '/api/tasks/critical-path?project=critical-project' });
+      expect(JSON.parse(afterRes.body).flaggedNotCritical).toEqual([]);
+      expect(JSON.parse(afterRes.body).criticalNotFlagged).toEqual([]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should reject writes that add a dependency cycle or point into a missing module', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-integrity');
+    const projectDir = path.join(tasksDbDir, 'local', 'integrity-project');
+    const moduleDir = path.join(projectDir, 'src', 'crm');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(moduleDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Integrity Project' },
+      tasks: [
+        { task_id: 1, task_name: 'Design', status: 'Not Started', priority: 'Low' },
+        { task_id: 2, task_name: 'Build', status: 'Not Started', priority: 'Low', dependencies: [{ predecessor_task_id: 1, type: 'FS', lag_days: 0 }] }
+      ]
+    }, null, 2), 'utf8');
+    fs.writeFileSync(path.join(moduleDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'CRM' },
+      tasks: [{ task_id: 1, task_name: 'CRM import', status: 'Not Started', priority: 'Low' }]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const patchDependencies = (taskId, dependencies) => httpRequest({
+      port,
+      method: 'PATCH',
+      path: `/api/task?project=integrity-project&task_id=${taskId}`,
+      body: JSON.stringify({ dependencies }),
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    try {
+      const cycleRes = await patchDependencies(1, [{ predecessor_task_id: 2, type: 'FS', lag_days: 0 }]);
+      expect(cycleRes.status).toBe(400);
+      const cycleBody = JSON.parse(cycleRes.body);
+      expect(cycleBody.code).toBe('integrity_failed');
+      expect(cycleBody.cycles[0].path).toBe('#1 → #2 → #1');
+      expect(cycleBody.errors[0].path).toBe('tasks[0].dependencies[0]');
+
+      const missingRes = await patchDependencies(1, [{ predecessor_task_id: 1, module_path: 'src/billing', type: 'FS', lag_days: 0 }]);
+      expect(missingRes.status).toBe(400);
+      expect(JSON.parse(missingRes.body).errors[0].message).toContain('src/billing');
+
+      const crossModuleRes = await patchDependencies(1, [{ predecessor_task_id: 1, module_path: 'src/crm', type: 'FS', lag_days: 0 }]);
+      expect(crossModuleRes.status).toBe(200);
+      const saved = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8')).tasks;
+      expect(saved[0].dependencies[0].module_path).toBe('src/crm');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should record a completed occurrence of a recurring task and move it to the next one', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-recurrence');
+    const projectDir = path.join(tasksDbDir, 'local', 'recurring-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Recurring Project' },
+      tasks: [
+        { task_id: 1, task_name: 'Standup notes', status: 'In Progress', priority: 'Low', start_date: '2026-05-04', end_date: '2026-05-04', recurrence: 'FREQ=WEEKLY;BYDAY=MO,TH' }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+
+    try {
+      const invalidRes = await httpRequest({
+        port,
+        method: 'PUT',
+        path: '/api/tasks/1?project=recurring-project',
+        body: JSON.stringify({ task_name: 'Standup notes', status: 'In Progress', priority: 'Low', estimated_hours: 1, category_name: 'General', start_date: '2026-05-04', end_date: '2026-05-04', recurrence: 'FREQ=HOURLY' }),
+        headers: { 'Content-Type': 'application/json' }
+      });
+      expect(invalidRes.status).toBe(400);
+      expect(JSON.parse(invalidRes.body).errors.map((entry) => entry.path)).toContain('body.recurrence');
+
+      const doneRes = await httpRequest({
+        port,
+        method: 'PATCH',
+        path: '/api/task?project=recurring-project&task_id=1',
+        body: JSON.stringify({ status: 'Done' }),
+        headers: { 'Content-Type': 'application/json' }
+      });
+      expect(doneRes.status).toBe(200);
+      const body = JSON.parse(doneRes.body);
+      expect(body.task.status).toBe('Not Started');
+      expect(body.recurrence.created.task_id).toBe(2);
+      expect(body.recurrence.next.start_date).toBe('2026-05-07');
+
+      const saved = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8')).tasks;
+      expect(saved.map((task) => [task.task_id, task.status, task.start_date, task.parent_task_id])).toEqual([
+        [1, 'Not Started', '2026-05-07', undefined],
+        [2, 'Done', '2026-05-04', 1]
+      ]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should derive milestone status from gating tasks when a write is saved', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-milestones');
+    const projectDir = path.join(tasksDbDir, 'local', 'milestone-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: {
+        name: 'Milestone Project',
+        milestones: [
+          { name: 'Beta', due_date: '2999-01-01', status: 'Not Started', linked_task_ids: [1, 2] },
+          { name: 'Late', due_date: '2000-01-01', status: 'Not Started', linked_task_names: ['Docs'] }
+        ]
+      },
+      tasks: [
+        { task_id: 1, task_name: 'API', status: 'Done', priority: 'Low' },
+        { task_id: 2, task_name: 'UI', status: 'In Progress', priority: 'Low' },
+        { task_id: 3, task_name: 'Docs', status: 'Not Started', priority: 'Low' }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+
+    try {
+      const res = await httpRequest({
+        port,
+        method: 'PATCH',
+        path: '/api/task?project=milestone-project&task_id=2',
+        body: JSON.stringify({ status: 'Done' }),
+        headers: { 'Content-Type': 'application/json' }
+      });
+      expect(res.status).toBe(200);
+
+      const saved = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8')).project;
+      expect(saved.milestones.map((milestone) => milestone.status)).toEqual(['Achieved', 'Missed']);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should roll logged time entries into actual_hours when a write is saved', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-time-entries');
+    const projectDir = path.join(tasksDbDir, 'local', 'time-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Time Project' },
+      tasks: [
+        { task_id: 1, task_name: 'API', status: 'In Progress', priority: 'Low', estimated_hours: 4, actual_hours: 1 },
+        { task_id: 2, task_name: 'UI', status: 'In Progress', priority: 'Low', actual_hours: 3 }
+      ]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+
+    try {
+      const res = await httpRequest({
+        port,
+        method: 'PATCH',
+        path: '/api/task?project=time-project&task_id=1',
+        body: JSON.stringify({
+          time_entries: [
+            { worker: 'Ada', start: '2026-05-04T09:00:00+02:00', end: '2026-05-04T11:30:00+02:00', hours: 2.5, note: '' },
+            { worker: 'Bo', start: '2026-05-05T14:00:00+02:00', end: '2026-05-05T15:00:00+02:00', hours: 1, note: 'Review' }
+          ]
+        }),
+        headers: { 'Content-Type': 'application/json' }
+      });
+      expect(res.status).toBe(200);
+
+      const saved = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8')).tasks;
+      expect(saved[0].actual_hours).toBe(3.5);
+      expect(saved[1].actual_hours).toBe(3);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should enforce per-project roles and record the signed-in user when a user store exists', async () => {
+    const LocalUsers = require('../../tools/scripts/manage-local-users.js');
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-auth');
+    const projectDir = path.join(tasksDbDir, 'local', 'auth-project');
+    const usersFile = path.join(tasksDbDir, 'users.test.json');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Auth Project' },
+      tasks: [{ task_id: 1, task_name: 'One', status: 'Not Started', priority: 'Low' }]
+    }, null, 2), 'utf8');
+    LocalUsers.writeUserStore(usersFile, {
+      anonymousRole: 'viewer',
+      users: [
+        { username: 'vera', password: LocalUsers.hashPassword('view-only'), roles: { '*': 'viewer' }, tokens: [] },
+        { username: 'cora', roles: { '*': 'viewer', 'auth-project': 'contributor' }, tokens: [{ label: 'test', hash: LocalUsers.hashToken('cora-token') }] }
+      ]
+    });
+
+    const server = createServer({ publicDir, tasksDbDir, usersFile });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const patch = (headers) => httpRequest({
+      port,
+      method: 'PATCH',
+      path: '/api/task?project=auth-project&task_id=1',
+      body: JSON.stringify({ status: 'In Progress' }),
+      headers: { 'Content-Type': 'application/json', 'X-Actor': 'someone-else', ...headers }
+    });
+
+    try {
+      const anonymousRead = await httpRequest({ port, method: 'GET', path: '/api/tasks?project=auth-project' });
+      expect(anonymousRead.status).toBe(200);
+
+      const anonymousWrite = await patch({});
+      expect(anonymousWrite.status).toBe(401);
+      expect(JSON.parse(anonymousWrite.body).code).toBe('unauthorized');
+
+      const badToken = await patch({ Authorization: 'Bearer nope' });
+      expect(badToken.status).toBe(401);
+
+      const viewerWrite = await patch({ Authorization: `Basic ${Buffer.from('vera:view-only').toString('base64')}` });
+      expect(viewerWrite.status).toBe(403);
+
+      const session = await httpRequest({ port, method: 'GET', path: '/api/session?project=auth-project', headers: { Authorization: 'Bearer cora-token' } });
+      expect(JSON.parse(session.body)).toEqual({ ok: true, authEnabled: true, user: 'cora', role: 'contributor' });
+
+      const contributorWrite = await patch({ Authorization: 'Bearer cora-token' });
+      expect(contributorWrite.status).toBe(200);
+
+      const archive = await httpRequest({ port, method: 'POST', path: '/api/projects/auth-project/archive', body: '{}', headers: { 'Content-Type': 'application/json', Authorization: 'Bearer cora-token' } });
+      expect(archive.status).toBe(403);
+      expect(fs.existsSync(projectDir)).toBeTruthy();
+
+      const history = fs.readFileSync(path.join(projectDir, 'history', 'changes.ndjson'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+      expect(history).toHaveLength(1);
+      expect(history[0].actor).toBe('cora');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should require the viewer role for project files served under /tasksDB/', async () => {
+    const LocalUsers = require('../../tools/scripts/manage-local-users.js');
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-static-auth');
+    const projectDir = path.join(tasksDbDir, 'local', 'private-project');
+    const usersFile = path.join(tasksDbDir, 'users.test.json');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(projectDir, 'history'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Private Project' },
+      tasks: [{ task_id: 1, task_name: 'Secret', status: 'Not Started', priority: 'Low' }]
+    }, null, 2), 'utf8');
+    fs.writeFileSync(path.join(projectDir, 'history', 'changes.ndjson'), '{"action":"create","taskId":"1"}\n', 'utf8');
+    LocalUsers.writeUserStore(usersFile, {
+      anonymousRole: 'none',
+      users: [
+        { username: 'vera', roles: { 'private-project': 'viewer' }, tokens: [{ label: 'test', hash: LocalUsers.hashToken('vera-token') }] }
+      ]
+    });
+
+    const server = createServer({ publicDir, tasksDbDir, usersFile });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const get = (reqPath, headers = {}) => httpRequest({ port, method: 'GET', path: reqPath, headers });
+
+    try {
+      expect((await get('/tasksDB/local/private-project/node.tasks.json')).status).toBe(401);
+      expect((await get('/tasksDB/local/private-project/history/changes.ndjson')).status).toBe(401);
+      expect((await get('/tasksDB/local/private-project/tasks.csv')).status).toBe(401);
+      expect((await get('/tasksDB/registry.json')).status).toBe(401);
+      expect((await get('/tasksDB/local/private-project/node.tasks.json', { Authorization: 'Bearer wrong' })).status).toBe(401);
+
+      const viewer = { Authorization: 'Bearer vera-token' };
+      const payload = await get('/tasksDB/local/private-project/node.tasks.json', viewer);
+      expect(payload.status).toBe(200);
+      expect(JSON.parse(payload.body).tasks[0].task_name).toBe('Secret');
+      expect((await get('/tasksDB/local/private-project/history/changes.ndjson', viewer)).status).toBe(200);
+      expect((await get('/tasksDB/local/other-project/node.tasks.json', viewer)).status).toBe(403);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('should stream task-level changes from API writes and external edits over /api/tasks/events', async () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    const publicDir = path.join(repoRoot, 'public');
+    const tasksDbDir = path.join(repoRoot, 'test-results', 'unit', 'tasksDB-server-api-events');
+    const projectDir = path.join(tasksDbDir, 'local', 'events-project');
+
+    fs.rmSync(tasksDbDir, { recursive: true, force: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+    const baseTask = { description: 'Live', start_date: '2026-01-02', end_date: '2026-01-03', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'General' };
+    fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify({
+      project: { name: 'Events Project' },
+      tasks: [{ task_id: 1, task_name: 'Live', ...baseTask }]
+    }, null, 2), 'utf8');
+
+    const server = createServer({ publicDir, tasksDbDir });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const port = server.address().port;
+    const stream = await openEventStream({ port, path: '/api/tasks/events?project=events-project' });
+
+    try {
+      expect(stream.status).toBe(200);
+      const ready = await stream.next('ready');
+      expect(ready.projectId).toBe('events-project');
+
+      const patchRes = await httpRequest({
+        port,
+        method: 'PATCH',
+        path: '/api/task?project=events-project&task_id=1',
+        body: JSON.stringify({ status: 'In Progress' }),
+        headers: { 'Content-Type': 'application/json', 'X-Actor': 'bob' }
+      });
+      expect(patchRes.status).toBe(200);
+
+      const apiEvent = await stream.next('tasks-changed');
+      expect(apiEvent.source).toBe('api');
+      expect(apiEvent.actor).toBe('bob');
+      expect(apiEvent.etag).not.toBe(ready.etag);
+      expect(apiEvent.changes).toHaveLength(1);
+      expect(apiEvent.changes[0].taskId).toBe('1');
+      expect(apiEvent.changes[0].changeSummary).toBe('status');
+
+      const onDisk = JSON.parse(fs.readFileSync(path.join(projectDir, 'node.tasks.json'), 'utf8'));
+      onDisk.tasks.push({ task_id: 2, task_name: 'Edited outside', ...baseTask });
+      fs.writeFileSync(path.join(projectDir, 'node.tasks.json'), JSON.stringify(onDisk, null, 2), 'utf8');
+
+      const externalEvent = await stream.next('tasks-changed');
+      expect(externalEvent.source).toBe('external');
+      expect(externalEvent.changes.map((entry) => `${entry.action}:${entry.taskId}`)).toEqual(['create:2']);
+
+      const missingProject = await httpRequest({ port, method: 'GET', path: '/api/tasks/events' });
+      expect(missingProject.status).toBe(400);
+    } finally {
+      stream.close();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
   it('should expose repo project tree snapshots and safe file previews', async () => {
     const fixtureRoot = path.join(__dirname, '..', '..', 'test-results', 'unit', 'project-tree-server');
     const publicDir = path.join(fixtureRoot, 'public');
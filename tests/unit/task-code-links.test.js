@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TaskCodeLinks = require(path.join(__dirname, '../../public/task-engine/js/task-code-links.js'));
+const { readGitLog, main } = require(path.join(__dirname, '../../tools/scripts/link-task-commits.js'));
+
+const FIXTURE = path.join(__dirname, '../fixtures/github-issues/sample-repo.json');
+
+/** Tasks referenced by the pull requests and commits of the recorded fixture. */
+function sampleTasks() {
+  return [
+    { task_id: 1, task_name: 'Login bug', status: 'In Progress', links: [{ url: 'https://example.com/spec', label: 'Spec' }] },
+    { task_id: 2, task_name: 'Export docs', status: 'Not Started' },
+    { task_id: 5, task_name: 'Dark mode', status: 'Not Started' },
+    { task_id: 6, task_name: 'Unreferenced', status: 'Not Started' }
+  ];
+}
+
+describe('TaskCodeLinks', () => {
+  it('finds task references in commit messages, pull request titles and branch names', () => {
+    const linker = new TaskCodeLinks({});
+    expect(linker.findReferences('Fix login (task #12)\n\nAlso task-3 and Task#4')).toEqual([12, 3, 4]);
+    expect(linker.findReferences('task-2-export-docs')).toEqual([2]);
+    expect(linker.findReferences('task #demo/7, task #other/8', 'demo')).toEqual([7]);
+    expect(linker.findReferences('Fixes #12; multitask 5; task 6')).toEqual([]);
+    expect(linker.findReferences('TaskDB|update|9|Login|status')).toEqual([]);
+    expect(new TaskCodeLinks({ CODE_LINKS: { INCLUDE_TASKDB_COMMITS: true } }).findReferences('TaskDB|update|9|Login|status')).toEqual([9]);
+  });
+
+  it('records links once and moves tasks when their pull request opens or merges', () => {
+    const linker = new TaskCodeLinks({});
+    const commit = { sha: 'a1b2c3d4e5f6', message: 'Trim emails\n\ntask #1', date: '2026-05-05T14:30:00Z', author: 'Ann' };
+    const pull = { number: 4, title: 'Trim emails (task #1)', state: 'open', draft: true, html_url: 'https://github.com/o/r/pull/4' };
+
+    const tasks = sampleTasks();
+    let result = linker.link(tasks, { commits: [commit, commit], pullRequests: [pull], repo: 'o/r' });
+    let task = result.tasks[0];
+    expect(task.links).toHaveLength(3);
+    expect(task.links[1]).toEqual({ type: 'commit', sha: 'a1b2c3d4e5f6', url: 'https://github.com/o/r/commit/a1b2c3d4e5f6', label: 'a1b2c3d Trim emails', date: '2026-05-05T14:30:00Z', author: 'Ann' });
+    expect(task.links[2].state).toBe('draft');
+    expect(task.status).toBe('In Progress');
+    expect(result.tasks[1]).toBe(tasks[1]);
+    expect(result.added).toHaveLength(2);
+
+    result = linker.link(result.tasks, { pullRequests: [{ ...pull, draft: false }] });
+    task = result.tasks[0];
+    expect(task.status).toBe('In Review');
+    expect(result.statusChanges).toEqual([{ task_id: 1, from: 'In Progress', to: 'In Review', number: 4 }]);
+
+    // A status set by hand sticks until the pull request changes state again.
+    const again = linker.link([{ ...task, status: 'In Progress' }], { pullRequests: [{ ...pull, draft: false }] });
+    expect(again.statusChanges).toHaveLength(0);
+    expect(again.added).toHaveLength(0);
+
+    result = linker.link(result.tasks, { pullRequests: [{ ...pull, draft: false, state: 'closed', merged_at: '2026-05-06T10:00:00Z' }] });
+    expect(result.tasks[0].status).toBe('Completed');
+    expect(result.tasks[0].links[2].state).toBe('merged');
+    expect(result.updated).toEqual([{ task_id: 1, number: 4, state: 'merged' }]);
+
+    const manual = new TaskCodeLinks({ AUTOMATION: { AUTO_STATUS_FROM_PULL_REQUESTS: false } }).link(sampleTasks(), { pullRequests: [{ ...pull, draft: false }] });
+    expect(manual.tasks[0].status).toBe('In Progress');
+    expect(manual.tasks[0].links).toHaveLength(2);
+  });
+
+  it('reads commits from the local git log', () => {
+    const commits = readGitLog({ max: 2, cwd: path.join(__dirname, '..', '..') });
+    expect(commits).toHaveLength(2);
+    expect(commits[0].sha).toMatch(/^[0-9a-f]{40}$/);
+    expect(commits[0].message.length).toBeGreaterThan(0);
+  });
+
+  it('links a project from the CLI against the recorded GitHub fixture', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-links-'));
+    const file = path.join(dir, 'node.tasks.json');
+    fs.writeFileSync(file, JSON.stringify({ project: { name: 'Demo' }, tasks: sampleTasks() }, null, 2));
+    const lines = [];
+    try {
+      const result = await main(['node', 'link-task-commits.js', 'demo', '--fixture', FIXTURE, '--file', file], { log: line => lines.push(line) });
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8')).tasks;
+      expect(saved[0].status).toBe('Completed');
+      expect(saved[0].links.map(link => link.type)).toEqual([undefined, 'commit', 'pull_request']);
+      expect(saved[0].links[1].url).toBe('https://github.com/octo-org/sample-repo/commit/3f1c2a9b7d4e5f60718293a4b5c6d7e8f9012345');
+      expect(saved[1].status).toBe('In Review');
+      expect(saved[2].status).toBe('Not Started');
+      expect(saved[2].links[0].state).toBe('draft');
+      expect(saved[3].links).toBe(undefined);
+      expect(result.statusChanges).toHaveLength(2);
+      expect(lines[0]).toBe('Scanned 2 commit(s) and 4 pull request(s)');
+      expect(lines.some(line => line === 'Task 1: In Progress → Completed (PR #18)')).toBeTruthy();
+
+      const rerun = await main(['node', 'link-task-commits.js', 'demo', '--fixture', FIXTURE, '--file', file], { log: () => {} });
+      expect(rerun.added).toHaveLength(0);
+      expect(rerun.statusChanges).toHaveLength(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
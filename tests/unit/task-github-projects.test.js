@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TaskGitHubProjects = require(path.join(__dirname, '../../public/task-engine/js/task-github-projects.js'));
+const TEMPLATE_CONFIG = require(path.join(__dirname, '../../public/config/tasks-template-config.js'));
+const { FixtureGitHubClient } = require(path.join(__dirname, '../../tools/scripts/sync-github-issues.js'));
+const { main } = require(path.join(__dirname, '../../tools/scripts/github-project-board.js'));
+
+const FIXTURE = path.join(__dirname, '../fixtures/github-projects/team-board.json');
+const now = () => new Date('2026-05-20T09:00:00Z');
+
+/** Project file with one task linked to issue #12 and one task that is not on the board. */
+function sampleProject() {
+  return {
+    project: { name: 'Demo', start_date: '2026-05-01', end_date: '2026-07-01', status: 'In Progress', sprints: [{ name: 'Iteration 3', start_date: '2026-05-18', end_date: '2026-05-31', status: 'Active' }] },
+    tasks: [
+      { task_id: 1, task_name: 'Login bug', description: 'Safari login', start_date: '2026-05-18', end_date: '2026-05-22', priority: 'High', status: 'Not Started', estimated_hours: 4, category_name: 'Frontend', tags: ['github', 'issues', 'issue-#12'] },
+      { task_id: 2, task_name: 'Sprint planning', description: 'Plan it', start_date: '2026-05-18', end_date: '2026-05-19', priority: 'Medium', status: 'In Progress', estimated_hours: 1, category_name: 'Process', sprint_name: 'Iteration 4' }
+    ]
+  };
+}
+
+describe('TaskGitHubProjects', () => {
+  it('reads every page of a board with its fields, views and items', async () => {
+    const client = FixtureGitHubClient.fromFile(FIXTURE);
+    const board = await new TaskGitHubProjects(TEMPLATE_CONFIG).fetchBoard(client, 'octo-org', 3);
+    expect(client.requests.map(request => request.variables.after)).toEqual([null, 'Y3Vyc29yOjM=']);
+    expect(board.items).toHaveLength(5);
+    expect(board.fields.status.options.map(option => option.name)).toEqual(['Todo', 'In Progress', 'In Review', 'Done']);
+    expect(board.fields.iteration.iterations.map(iteration => `${iteration.title}:${iteration.completed}`)).toEqual(['Iteration 2:true', 'Iteration 3:false', 'Iteration 4:false']);
+    expect(board.views[0]).toEqual({ name: 'Team board', layout: 'board', filter: 'is:open', group_by: 'Iteration', vertical_group_by: 'Status' });
+    expect(board.items[0]).toEqual({
+      id: 'PVTI_lADOBr8x3M4AhQ2czgF1', type: 'ISSUE', archived: false, draftIssueId: null, number: 12,
+      title: 'Login button unresponsive on Safari', body: 'Clicking Login does nothing on Safari 17.', url: 'https://github.com/octo-org/sample-repo/issues/12',
+      state: 'OPEN', draft: false, merged: false, status: 'In Progress', iteration: 'Iteration 3', estimate: 3
+    });
+  });
+
+  it('imports items, custom fields, iterations and the board view into a project', async () => {
+    const engine = new TaskGitHubProjects({ ...TEMPLATE_CONFIG, GITHUB_PROJECTS: { ...TEMPLATE_CONFIG.GITHUB_PROJECTS, HOURS_PER_ESTIMATE: 2 } }, { now });
+    const board = await engine.fetchBoard(FixtureGitHubClient.fromFile(FIXTURE), 'octo-org', 3);
+    const data = sampleProject();
+    const result = engine.importBoard(data, board, { owner: 'octo-org' });
+
+    expect(result.changes).toEqual([
+      { task_id: 1, field: 'status', from: 'Not Started', to: 'In Progress' },
+      { task_id: 1, field: 'sprint_name', from: null, to: 'Iteration 3' },
+      { task_id: 1, field: 'estimated_hours', from: 4, to: 6 },
+      { task_id: 1, field: 'project_item_id', from: null, to: 'PVTI_lADOBr8x3M4AhQ2czgF1' }
+    ]);
+    expect(result.tasks[0].task_name).toBe('Login bug');
+    expect(result.tasks[1]).toBe(data.tasks[1]);
+
+    expect(result.created.map(task => task.task_name)).toEqual(['Write release notes', 'Export format docs', 'Dark mode toggle']);
+    const [draft, pull, closed] = result.created;
+    expect(draft.start_date).toBe('2026-05-20');
+    expect(draft.end_date).toBe('2026-05-27');
+    expect(draft.estimated_hours).toBe(4);
+    expect(pull.links[0]).toEqual({ type: 'pull_request', number: 19, state: 'open', url: 'https://github.com/octo-org/sample-repo/pull/19', label: 'PR #19: Export format docs' });
+    expect(pull.start_date).toBe('2026-05-18');
+    expect(closed.status).toBe('Completed');
+    expect(closed.tags).toEqual(['github', 'issues', 'issue-#14']);
+
+    expect(result.sprints).toEqual(['Iteration 2', 'Iteration 4']);
+    expect(result.project.sprints.map(sprint => `${sprint.name}:${sprint.status}`)).toEqual(['Iteration 2:Completed', 'Iteration 3:Active', 'Iteration 4:Not Started']);
+    expect(result.project.kanban).toEqual({ group_by: 'status', swimlanes: 'sprint' });
+    expect(result.project.github_project.owner).toBe('octo-org');
+    expect(result.project.github_project.views.map(view => view.layout)).toEqual(['board', 'table', 'roadmap']);
+
+    const lines = engine.formatImport(result);
+    expect(lines[0]).toBe('+ Task "Write release notes" (Not Started)');
+    expect(lines).toContain('~ Task 1 sprint_name: — → Iteration 3');
+    expect(lines[lines.length - 1]).toBe('3 task(s) to add, 4 field change(s), 2 sprint(s) to add');
+  });
+
+  it('plans and sends an export of the tasks to the board', async () => {
+    const client = FixtureGitHubClient.fromFile(FIXTURE);
+    const engine = new TaskGitHubProjects(TEMPLATE_CONFIG, { now });
+    const board = await engine.fetchBoard(client, 'octo-org', 3);
+    const tasks = [
+      { task_id: 1, task_name: 'Login bug', status: 'Completed', estimated_hours: 3, sprint_name: null, project_item_id: 'PVTI_lADOBr8x3M4AhQ2czgF1' },
+      { task_id: 2, task_name: 'Write the release notes', status: 'Not Started', estimated_hours: 2, project_item_id: 'PVTI_lADOBr8x3M4AhQ2czgF2' },
+      { task_id: 3, task_name: 'Sprint planning', description: 'Plan it', status: 'On Hold', estimated_hours: 1, sprint_name: 'Iteration 9' },
+      { task_id: 4, task_name: 'Gone', status: 'Not Started', estimated_hours: 1, project_item_id: 'PVTI_deleted' },
+      { task_id: 5, task_name: 'Issue task', status: 'Not Started', estimated_hours: 1, tags: ['issue-#40'] }
+    ];
+    const plan = engine.planExport(tasks, board);
+
+    expect(engine.formatExport(plan)).toEqual([
+      '~ Task 1 Status: In Progress → Done',
+      '~ Task 1 Iteration: Iteration 3 → —',
+      '~ Task 2 title: Write release notes → Write the release notes',
+      '+ Draft item "Sprint planning" (task 3)',
+      '  Estimate: 1',
+      '! Task 3: no "Status" option for status "On Hold"',
+      '! Task 3: no iteration "Iteration 9" on the board',
+      '! Task 4: item PVTI_deleted is no longer on the board',
+      '! Task 5: issue #40 is not on the board; add it on GitHub to export its fields',
+      '1 item(s) to add, 3 field change(s), 4 warning(s)'
+    ]);
+
+    client.requests = [];
+    const applied = await engine.applyExport(client, board, plan);
+    expect(applied).toEqual({ added: [{ task_id: 3, item_id: 'PVTI_lADOBr8x3M4AhQ2czgF9' }], applied: 5 });
+    expect(client.requests.map(request => request.operation)).toEqual(['UpdateItemField', 'ClearItemField', 'UpdateDraftIssue', 'AddDraftItem', 'UpdateItemField']);
+    expect(client.requests[0].variables).toEqual({ projectId: 'PVT_kwDOBr8x3M4AhQ2c', itemId: 'PVTI_lADOBr8x3M4AhQ2czgF1', fieldId: 'PVTSSF_status', value: { singleSelectOptionId: '98236657' } });
+    expect(client.requests[4].variables.itemId).toBe('PVTI_lADOBr8x3M4AhQ2czgF9');
+  });
+
+  it('imports and exports a project file from the CLI against the recorded board', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-board-'));
+    const file = path.join(dir, 'node.tasks.json');
+    fs.writeFileSync(file, JSON.stringify(sampleProject(), null, 2));
+    const lines = [];
+    const log = line => lines.push(line);
+    try {
+      const preview = await main(['node', 'github-project-board.js', 'demo', 'import', '--owner', 'octo-org', '--number', '3', '--fixture', FIXTURE, '--file', file, '--dry-run'], { log, now });
+      expect(preview.created).toHaveLength(3);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).tasks).toHaveLength(2);
+      expect(lines[0]).toBe('Board "Team board" (octo-org #3): 5 item(s)');
+
+      await main(['node', 'github-project-board.js', 'demo', 'import', '--owner', 'octo-org', '--number', '3', '--fixture', FIXTURE, '--file', file], { log: () => {}, now });
+      const imported = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(imported.tasks.map(task => task.task_id)).toEqual([1, 2, 3, 4, 5]);
+      expect(imported.project.github_project.number).toBe(3);
+
+      // The board recorded by the import is used when --owner/--number are left out.
+      const exported = await main(['node', 'github-project-board.js', 'demo', 'export', '--fixture', FIXTURE, '--file', file], { log: () => {}, now });
+      expect(exported.added).toEqual([{ task_id: 2, item_id: 'PVTI_lADOBr8x3M4AhQ2czgF9' }]);
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8')).tasks;
+      expect(saved[1].project_item_id).toBe('PVTI_lADOBr8x3M4AhQ2czgF9');
+
+      let error = null;
+      await main(['node', 'github-project-board.js', 'demo', 'sideways', '--file', file], { log: () => {} }).catch(e => { error = e; });
+      expect(error.message).toMatch(/^Usage: github-project-board\.js/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
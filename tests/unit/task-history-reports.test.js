@@ -0,0 +1,71 @@
+const path = require('path');
+
+const TaskHistoryReports = require(path.join(__dirname, '../../public/task-engine/js/task-history-reports.js'));
+
+const snapshot = (id, status, extra = {}) => ({ task_id: id, task_name: `Task ${id}`, status, estimated_hours: 4, sprint_name: 'Sprint 1', ...extra });
+const update = (ts, id, before, after) => ({ ts, taskId: String(id), action: 'update', before, after, changes: [] });
+
+// Newest first, as the history API returns them.
+const events = [
+  update('2026-05-06T15:00:00Z', 2, snapshot(2, 'In Progress'), snapshot(2, 'Done')),
+  { ts: '2026-05-05T09:00:00Z', taskId: '3', action: 'create', after: snapshot(3, 'Not Started', { estimated_hours: 2 }) },
+  update('2026-05-04T10:00:00Z', 1, snapshot(1, 'In Progress'), snapshot(1, 'Done')),
+  update('2026-05-02T12:00:00Z', 2, snapshot(2, 'Not Started'), snapshot(2, 'In Progress')),
+  update('2026-05-02T08:00:00Z', 1, snapshot(1, 'Not Started'), snapshot(1, 'In Progress'))
+];
+
+const tasks = [
+  snapshot(1, 'Done', { created_date: '2026-04-30T08:00:00Z' }),
+  snapshot(2, 'Done'),
+  snapshot(3, 'Not Started', { estimated_hours: 2 }),
+  snapshot(4, 'Not Started', { sprint_name: 'Sprint 2' })
+];
+
+describe('TaskHistoryReports', () => {
+  it('replays history into daily task states and cumulative flow', () => {
+    const reports = new TaskHistoryReports();
+    const flow = reports.cumulativeFlow(events, tasks, { from: '2026-05-01', to: '2026-05-06' });
+
+    expect(flow.days).toHaveLength(6);
+    expect(flow.statuses).toEqual(['Not Started', 'In Progress', 'Done']);
+    expect(flow.series['Not Started']).toEqual([3, 1, 1, 1, 2, 2]);
+    expect(flow.series['In Progress']).toEqual([0, 2, 2, 1, 1, 0]);
+    expect(flow.series.Done).toEqual([0, 0, 0, 1, 1, 2]);
+  });
+
+  it('builds sprint burndown and burnup with scope changes and an ideal line', () => {
+    const reports = new TaskHistoryReports();
+    const burn = reports.burn(events, tasks, { scope: { type: 'sprint', name: 'Sprint 1' }, from: '2026-05-03', to: '2026-05-08', today: '2026-05-06' });
+
+    expect(burn.scope).toEqual([8, 8, 10, 10, null, null]);
+    expect(burn.completed).toEqual([0, 4, 4, 8, null, null]);
+    expect(burn.remaining).toEqual([8, 4, 6, 2, null, null]);
+    expect(burn.ideal).toEqual([8, 6.4, 4.8, 3.2, 1.6, 0]);
+    expect(reports.burn(events, tasks, { scope: { type: 'sprint', name: 'Sprint 1' }, from: '2026-05-06', to: '2026-05-06', unit: 'tasks' }).remaining).toEqual([1]);
+
+    const milestone = { type: 'milestone', milestone: { name: 'M1', linked_task_names: ['Task 1'], linked_task_ids: [4] } };
+    expect(reports.burn(events, tasks, { scope: milestone, from: '2026-05-06', to: '2026-05-06' }).scope).toEqual([8]);
+  });
+
+  it('measures cycle and lead time of finished tasks and exports CSV and SVG', () => {
+    const reports = new TaskHistoryReports();
+    const rows = reports.flowTimes(events, tasks);
+
+    expect(rows.map((row) => [row.task_id, row.cycle_days, row.lead_days])).toEqual([['1', 2.1, 4.1], ['2', 4.1, null]]);
+    expect(reports.distribution([0.5, 2.1, 4.1, 30]).counts).toEqual([1, 0, 1, 1, 0, 0, 1]);
+    expect(reports.distribution([1, 3, 5]).median).toBe(3);
+    expect(reports.toCsv(['a', 'b'], [['x,y', null], ['say "hi"', 2]])).toBe('a,b\n"x,y",\n"say ""hi""",2\n');
+
+    const report = reports.buildReport('burndown', events, tasks, {
+      project: { start_date: '2026-05-01', sprints: [{ name: 'Sprint 1', start_date: '2026-05-03', end_date: '2026-05-08' }] },
+      scopeKey: 'sprint:Sprint 1',
+      today: '2026-05-06'
+    });
+    expect(report.title).toBe('Burndown — Sprint: Sprint 1');
+    expect(report.svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(report.svg).toContain('stroke-dasharray');
+    expect(report.csv.split('\n')[1]).toBe('2026-05-03,8,0,8,8');
+    expect(report.summary).toBe('2 hours remaining of 10');
+    expect(reports.buildReport('cycle', events, tasks).summary).toBe('2 finished tasks • average 3.1d • median 3.1d');
+  });
+});
@@ -0,0 +1,74 @@
+const path = require('path');
+
+const TaskIntegrityChecker = require(path.join(__dirname, '../../public/task-engine/js/task-integrity-checker.js'));
+
+const codes = (result) => result.errors.map((issue) => issue.code);
+
+describe('TaskIntegrityChecker', () => {
+  it('reports dependency cycles with the path around the loop', () => {
+    const result = new TaskIntegrityChecker().checkTasks([
+      { task_id: 1, dependencies: [{ predecessor_task_id: 3, type: 'FS' }] },
+      { task_id: 2, dependencies: [1] },
+      { task_id: 3, dependencies: [{ predecessor_task_id: 2, type: 'SS' }] },
+      { task_id: 4, dependencies: [{ predecessor_task_id: 4 }] }
+    ]);
+
+    expect(result.ok).toBe(false);
+    expect(codes(result)).toEqual(['self_dependency', 'dependency_cycle']);
+    expect(result.cycles).toHaveLength(1);
+    expect(result.cycles[0].path).toBe('#1 → #2 → #3 → #1');
+    expect(result.errors[1].path).toBe('tasks[0].dependencies[0]');
+  });
+
+  it('reports dangling ids, missing modules and cycles that cross modules', () => {
+    const result = new TaskIntegrityChecker().checkProject([
+      {
+        path: 'node.tasks.json',
+        tasks: [
+          { task_id: 1, dependencies: [{ predecessor_task_id: 9 }] },
+          { task_id: 2, dependencies: [{ predecessor_task_id: 1, module_path: 'src/billing' }] },
+          { task_id: 3, dependencies: [{ predecessor_task_id: 1, module_path: 'src/crm' }] }
+        ]
+      },
+      { path: 'src/crm/node.tasks.json', tasks: [{ task_id: 1, dependencies: [{ predecessor_task_id: 3, module_path: 'node.tasks.json' }] }] }
+    ]);
+
+    expect(codes(result)).toEqual(['dangling_dependency', 'missing_module', 'dependency_cycle']);
+    expect(result.errors[1].message).toBe('depends on task 1 in module "src/billing", which does not exist');
+    expect(result.cycles[0].path).toBe('#3 → src/crm/node.tasks.json#1 → #3');
+  });
+
+  it('reports missing parents and parent_task_id loops, including in inline subtasks', () => {
+    const result = new TaskIntegrityChecker().checkTasks([
+      { task_id: 1, parent_task_id: 2 },
+      { task_id: 2, parent_task_id: 1 },
+      { task_id: 3, subtasks: [{ task_id: 4, parent_task_id: 40 }] }
+    ]);
+
+    expect(codes(result)).toEqual(['parent_cycle', 'dangling_parent']);
+    expect(result.cycles[0].path).toBe('#1 → #2 → #1');
+    expect(result.errors[1].path).toBe('tasks[2].subtasks[0].parent_task_id');
+  });
+
+  it('only downgrades unresolved links to warnings while other modules are not loaded', () => {
+    const checker = new TaskIntegrityChecker();
+    const tasks = [{ task_id: 1, dependencies: [{ predecessor_task_id: 7 }, { predecessor_task_id: 2, module_path: 'src/crm' }] }];
+
+    const partial = checker.checkTasks(tasks, { otherModules: ['src/crm/node.tasks.json'] });
+    expect(partial.ok).toBe(true);
+    expect(partial.warnings.map((issue) => issue.code)).toEqual(['unresolved_dependency']);
+
+    expect(codes(checker.checkTasks(tasks))).toEqual(['dangling_dependency', 'missing_module']);
+  });
+
+  it('lists only the errors a change introduces, even when task indexes shift', () => {
+    const checker = new TaskIntegrityChecker();
+    const before = checker.checkTasks([{ task_id: 1, dependencies: [{ predecessor_task_id: 9 }] }]);
+    const after = checker.checkTasks([
+      { task_id: 2, parent_task_id: 2 },
+      { task_id: 1, dependencies: [{ predecessor_task_id: 9 }] }
+    ]);
+
+    expect(checker.newErrors(before, after).map((issue) => issue.code)).toEqual(['parent_cycle']);
+  });
+});
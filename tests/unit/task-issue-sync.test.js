@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TaskIssueSync = require(path.join(__dirname, '../../public/task-engine/js/task-issue-sync.js'));
+const { FixtureGitHubClient, main } = require(path.join(__dirname, '../../tools/scripts/sync-github-issues.js'));
+
+const FIXTURE = path.join(__dirname, '../fixtures/github-issues/sample-repo.json');
+const CONFIG = { ENUMS: { TASK_PRIORITY: ['Low', 'Medium', 'High', 'Critical'] } };
+const WORKERS = [{ name: 'Ann', email: 'ann@example.com', role: 'Developer', github_login: 'ann-dev' }];
+
+/** Tasks linked to the issues of the recorded fixture. */
+function sampleTasks() {
+  return [
+    { task_id: 1, task_name: 'Login bug', status: 'In Progress', priority: 'High', category_name: 'Frontend', tags: ['github', 'issues', 'issue-#12', 'bug'], assigned_workers: [{ name: 'Ann', email: 'ann@example.com' }], comments: [] },
+    { task_id: 2, task_name: 'Export docs', status: 'Not Started', priority: 'Medium', category_name: 'Docs', tags: ['issue-#14', 'docs'], assigned_workers: [], comments: [{ author: 'Bob', timestamp: '2026-05-01T09:00:00Z', text: 'Local note' }] },
+    { task_id: 3, task_name: 'IE11', status: 'Not Started', priority: 'Medium', category_name: 'Frontend', tags: ['issue-#15'] },
+    { task_id: 4, task_name: 'Gone', status: 'Not Started', priority: 'Low', category_name: 'Frontend', tags: ['issue-#99'] },
+    { task_id: 5, task_name: 'Not linked', status: 'Not Started', priority: 'Low', category_name: 'Frontend', tags: ['misc'] }
+  ];
+}
+
+describe('TaskIssueSync', () => {
+  it('maps labels, state, assignees and milestones between tasks and issues', () => {
+    const sync = new TaskIssueSync(CONFIG);
+    const issue = { number: 3, state: 'closed', state_reason: 'not_planned', labels: [{ name: 'bug' }, { name: 'Priority: critical' }, { name: 'priority: someday' }, { name: 'category: API' }], assignees: [{ login: 'ann-dev' }], milestone: { title: 'Sprint 1' } };
+    expect(sync.issueView(issue)).toEqual({ state: 'not_planned', priority: 'Critical', category: 'API', milestone: 'Sprint 1', tags: ['bug', 'priority: someday'], assignees: ['ann-dev'] });
+
+    const task = { status: 'Done', priority: 'Low', category_name: 'UI', sprint_name: 'Sprint 2', tags: ['github', 'issues', 'issue-#3', 'ux'], assigned_workers: [{ name: 'Ann' }, { name: 'Zed' }] };
+    expect(sync.issueNumber(task)).toBe(3);
+    expect(sync.taskView(task, WORKERS)).toEqual({ state: 'completed', priority: 'Low', category: 'UI', milestone: 'Sprint 2', tags: ['ux'], assignees: ['ann-dev'] });
+    expect(sync.labelsFor(sync.taskView(task, WORKERS))).toEqual(['category: UI', 'priority: Low', 'ux']);
+  });
+
+  it('merges against the last synced snapshot and reports fields changed on both sides', () => {
+    const sync = new TaskIssueSync(CONFIG, { now: () => new Date('2026-05-06T12:00:00Z') });
+    const base = { state: 'open', priority: 'High', category: 'Frontend', milestone: null, tags: ['bug', 'ui'], assignees: ['ann-dev'] };
+    const task = { task_id: 1, status: 'Completed', priority: 'Low', category_name: 'Frontend', sprint_name: null, tags: ['issue-#12', 'bug', 'ui', 'a11y'], assigned_workers: [{ name: 'Ann', github_login: 'ann-dev' }], issue_sync: { number: 12, synced_at: '2026-05-01T00:00:00Z', base } };
+    const issue = { number: 12, state: 'open', labels: [{ name: 'bug' }, { name: 'priority: Critical' }, { name: 'category: Frontend' }], assignees: [{ login: 'ann-dev' }, { login: 'cy' }], milestone: { title: 'Sprint 3' } };
+
+    const plan = sync.reconcile(task, issue, [], WORKERS);
+    expect(plan.conflicts).toHaveLength(1);
+    expect(plan.conflicts[0].field).toBe('priority');
+    expect(plan.conflicts[0].resolution).toBe(null);
+    expect(plan.task.priority).toBe('Low');
+    expect(plan.task.tags).toEqual(['issue-#12', 'bug', 'a11y']);
+    expect(plan.task.sprint_name).toBe('Sprint 3');
+    expect(plan.task.assigned_workers[1]).toEqual({ name: 'cy', github_login: 'cy' });
+    expect(plan.issuePatch.state).toBe('closed');
+    expect(plan.issuePatch.state_reason).toBe('completed');
+    expect(plan.issuePatch.labels).toEqual(['a11y', 'bug', 'category: Frontend', 'priority: Critical']);
+    expect(plan.task.issue_sync.base.priority).toBe('High');
+
+    const preferred = new TaskIssueSync(CONFIG, { prefer: 'github' }).reconcile(task, issue, [], WORKERS);
+    expect(preferred.task.priority).toBe('Critical');
+    expect(preferred.task.issue_sync.base.priority).toBe('Critical');
+
+    // Removing the priority label puts it back, since a task always has a priority.
+    const settled = { ...task, status: 'In Progress', priority: 'High', sprint_name: 'Sprint 3', tags: ['issue-#12', 'bug'], issue_sync: { number: 12, base: { ...base, milestone: 'Sprint 3', tags: ['bug'] } } };
+    const unlabelled = sync.reconcile(settled, { ...issue, labels: [{ name: 'bug' }, { name: 'category: Frontend' }], assignees: [{ login: 'ann-dev' }] }, [], WORKERS);
+    expect(unlabelled.task.priority).toBe('High');
+    expect(unlabelled.issuePatch).toEqual({ labels: ['bug', 'category: Frontend', 'priority: High'] });
+
+    const unchanged = sync.reconcile(settled, { ...issue, labels: [{ name: 'bug' }, { name: 'priority: High' }, { name: 'category: Frontend' }], assignees: [{ login: 'ann-dev' }] }, [], WORKERS);
+    expect(unchanged.task).toBe(settled);
+    expect(unchanged.issuePatch).toBe(null);
+  });
+
+  it('syncs a project against the recorded GitHub fixture, both ways', async () => {
+    let now = new Date('2026-05-06T12:00:00Z');
+    const sync = new TaskIssueSync(CONFIG, { now: () => now });
+    const client = FixtureGitHubClient.fromFile(FIXTURE);
+
+    const dryRun = await sync.sync(sampleTasks(), client, { workers: WORKERS, dryRun: true });
+    expect(dryRun.taskChanges.length).toBeGreaterThan(0);
+    expect(client.requests.filter(r => r.method !== 'GET')).toHaveLength(0);
+    expect(dryRun.tasks[0].status).toBe('In Progress');
+
+    const first = await sync.sync(sampleTasks(), client, { workers: WORKERS });
+    const [login, docs, ie11, gone, unlinked] = first.tasks;
+    expect(login.status).toBe('Completed');
+    expect(login.sprint_name).toBe('Sprint 3');
+    expect(login.comments[0].github_comment_id).toBe(5001);
+    expect(docs.comments).toHaveLength(3);
+    expect(docs.assigned_workers[0].github_login).toBe('ann-dev');
+    expect(docs.assigned_workers[0].email).toBe('ann@example.com');
+    expect(ie11.status).toBe('Cancelled');
+    expect(gone.issue_sync).toBe(undefined);
+    expect(unlinked.issue_sync).toBe(undefined);
+    expect(first.conflicts.map(c => `${c.number}:${c.field}`)).toEqual(['14:priority']);
+    expect(first.missing).toEqual([{ task_id: 4, number: 99 }]);
+    expect(first.unlinked).toEqual([16]);
+    expect(first.pushedComments).toBe(0);
+    expect(client.findIssue(14).labels.map(l => l.name)).toContain('docs');
+
+    // Changes made on both sides after the first sync travel across on the second.
+    now = new Date('2026-05-08T12:00:00Z');
+    const tasks = first.tasks.map(task => ({ ...task }));
+    tasks[0].status = 'In Progress';
+    tasks[1].tags = [...tasks[1].tags, 'urgent'];
+    tasks[1].comments = [...tasks[1].comments, { author: 'Bob', timestamp: '2026-05-07T10:00:00Z', text: 'CSV columns added' }];
+    client.findIssue(15).labels = [{ name: 'priority: Medium' }, { name: 'wontfix' }];
+
+    const second = await new TaskIssueSync(CONFIG, { now: () => now, prefer: 'tasks' }).sync(tasks, client, { workers: WORKERS });
+    expect(client.findIssue(12).state).toBe('open');
+    expect(client.findIssue(14).labels.map(l => l.name)).toEqual(['category: Docs', 'docs', 'priority: Medium', 'urgent']);
+    expect(second.tasks[2].tags).toEqual(['issue-#15', 'wontfix']);
+    expect(second.pushedComments).toBe(1);
+    expect(second.tasks[1].comments[3].github_comment_id).toBeTruthy();
+    expect(client.comments[14][2].body).toContain('CSV columns added');
+    expect(second.conflicts.every(c => c.resolution === 'tasks')).toBeTruthy();
+
+    const third = await sync.sync(second.tasks, client, { workers: WORKERS });
+    expect(third.taskChanges).toHaveLength(0);
+    expect(third.issueChanges).toHaveLength(0);
+    expect(third.pulledComments).toBe(0);
+    expect(third.tasks[1]).toBe(second.tasks[1]);
+  });
+
+  it('runs from the CLI against a fixture and writes node.tasks.json', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-sync-'));
+    const file = path.join(dir, 'node.tasks.json');
+    fs.writeFileSync(file, JSON.stringify({ project: { name: 'Demo' }, workers: WORKERS, tasks: sampleTasks() }, null, 2));
+    const lines = [];
+    try {
+      const report = await main(['node', 'sync-github-issues.js', 'demo', '--fixture', FIXTURE, '--file', file, '--prefer', 'github'], { log: line => lines.push(line) });
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(saved.tasks[1].priority).toBe('Low');
+      expect(saved.tasks[0].issue_sync.number).toBe(12);
+      expect(report.conflicts).toHaveLength(1);
+      expect(lines.some(line => line.startsWith('Conflict on #14 (task 2) priority'))).toBeTruthy();
+      expect(lines.some(line => line.includes('write request(s) recorded, none sent'))).toBeTruthy();
+
+      let error = null;
+      await main(['node', 'sync-github-issues.js', 'demo', '--file', file, '--prefer', 'both'], { log: () => {} }).catch(e => { error = e; });
+      expect(error.message).toContain('Unknown --prefer');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,68 @@
+const path = require('path');
+
+const TaskKanbanBoard = require(path.join(__dirname, '../../public/task-engine/js/task-kanban-board.js'));
+
+const config = {
+  ENUMS: {
+    TASK_STATUS: ['Not Started', 'In Progress', 'In Review', 'Completed', 'Done'],
+    TASK_PRIORITY: ['Low', 'Medium', 'High']
+  }
+};
+
+const tasks = () => [
+  { task_id: 1, status: 'Not Started', priority: 'High', category_name: 'Backend', assigned_workers: [{ name: 'Alice', email: 'alice@example.com' }] },
+  { task_id: 2, status: 'In Progress', priority: 'Low', category_name: 'Backend', sprint_name: 'Sprint 1' },
+  { task_id: 3, status: 'In Progress', priority: 'High', category_name: 'Frontend', assigned_workers: [{ name: 'Bob' }, { name: 'Alice' }] },
+  { task_id: 4, status: 'Completed', priority: 'Medium', category_name: 'Frontend' }
+];
+
+const ids = (list) => list.map((task) => task.task_id);
+
+describe('TaskKanbanBoard', () => {
+  it('groups tasks into status columns with WIP limits from the project file', () => {
+    const kanban = new TaskKanbanBoard(config);
+    const project = { kanban: { group_by: 'status', wip_limits: { status: { 'In Progress': 1, 'In Review': 2 } } } };
+    const settings = kanban.getSettings(project);
+    const board = kanban.buildBoard(tasks(), settings);
+
+    expect(board.columns.map((column) => column.value)).toEqual(['Not Started', 'In Progress', 'In Review', 'Done']);
+    expect(ids(board.lanes[0].cells.Done)).toEqual([4]);
+    const inProgress = board.columns[1];
+    expect(inProgress.count).toBe(2);
+    expect(inProgress.wipLimit).toBe(1);
+    expect(inProgress.overLimit).toBe(true);
+    expect(board.columns[2].atLimit).toBe(false);
+  });
+
+  it('groups by any field and splits swimlanes by category', () => {
+    const kanban = new TaskKanbanBoard(config);
+
+    const byAssignee = kanban.buildBoard(tasks(), { groupBy: 'assignee', workers: [{ name: 'Alice' }, { name: 'Carol' }] });
+    expect(byAssignee.columns.map((column) => column.label)).toEqual(['Alice', 'Carol', 'Bob', 'Unassigned']);
+    expect(ids(byAssignee.lanes[0].cells[''])).toEqual([2, 4]);
+
+    const lanes = kanban.buildBoard(tasks(), { groupBy: 'priority', swimlanes: 'category_name' });
+    expect(lanes.swimlanes).toBe('category');
+    expect(lanes.lanes.map((lane) => lane.label)).toEqual(['Backend', 'Frontend']);
+    expect(ids(lanes.lanes[1].cells.High)).toEqual([3]);
+    expect(ids(lanes.lanes[0].cells.High)).toEqual([1]);
+  });
+
+  it('turns a card move into task changes and edits WIP limits', () => {
+    const kanban = new TaskKanbanBoard(config);
+    const [first, second, third] = tasks();
+
+    expect(kanban.moveChanges(first, 'status', 'In Review')).toEqual({ status: 'In Review' });
+    expect(kanban.moveChanges(first, 'status', 'Not Started')).toBe(null);
+    expect(() => kanban.moveChanges(first, 'priority', '')).toThrow();
+    expect(kanban.moveChanges(second, 'sprint', '')).toEqual({ sprint_name: null });
+    expect(kanban.moveChanges(third, 'assignee', 'Alice', { workers: [{ name: 'Alice', email: 'alice@example.com' }] }))
+      .toEqual({ assigned_workers: [{ name: 'Alice', email: 'alice@example.com' }] });
+    expect(kanban.moveChanges(first, 'status', 'Done', { swimlanes: 'category', lane: 'Frontend' }))
+      .toEqual({ status: 'Done', category_name: 'Frontend' });
+
+    const limited = kanban.setWipLimit({ name: 'P' }, 'status', 'In Progress', 3);
+    expect(limited.kanban).toEqual({ wip_limits: { status: { 'In Progress': 3 } } });
+    expect(kanban.setWipLimit(limited, 'status', 'In Progress', 0).kanban).toEqual({ wip_limits: {} });
+  });
+});
@@ -0,0 +1,78 @@
+const path = require('path');
+
+const TaskProjectRegisters = require(path.join(__dirname, '../../public/task-engine/js/task-project-registers.js'));
+
+const config = {
+  ENUMS: {
+    RISK_PROBABILITY: ['Low', 'Medium', 'High'],
+    RISK_IMPACT: ['Low', 'Medium', 'High', 'Critical'],
+    RISK_SCORE: ['Low', 'Medium', 'High', 'Critical']
+  }
+};
+
+const tasks = () => [
+  { task_id: 1, task_name: 'API', status: 'Done' },
+  { task_id: 2, task_name: 'UI', status: 'In Progress' },
+  { task_id: 3, task_name: 'Docs', status: 'Not Started' },
+  { task_id: 4, task_name: 'Legacy', status: 'Cancelled' }
+];
+
+describe('TaskProjectRegisters', () => {
+  it('derives milestone status from the tasks that gate it', () => {
+    const registers = new TaskProjectRegisters(config);
+    const today = '2026-05-10';
+
+    const beta = { name: 'Beta', due_date: '2026-06-01', status: 'Not Started', linked_task_ids: [1, 2] };
+    const state = registers.milestoneState(beta, tasks(), today);
+    expect(state.status).toBe('In Progress');
+    expect(state.percent).toBe(50);
+
+    expect(registers.milestoneState({ ...beta, due_date: '2026-05-01' }, tasks(), today).status).toBe('Missed');
+    expect(registers.milestoneState({ name: 'Done', linked_task_names: ['API', 'Legacy'] }, tasks(), today).status).toBe('Achieved');
+    expect(registers.milestoneState({ name: 'Later', linked_task_ids: [3] }, tasks(), today).status).toBe('Not Started');
+    expect(registers.milestoneState({ name: 'Manual', status: 'Achieved', linked_task_ids: [3], auto_status: false }, tasks(), today).status).toBe('Achieved');
+    expect(registers.milestoneState({ name: 'Unlinked', status: 'In Progress' }, tasks(), today).derived).toBeFalsy();
+
+    const project = { name: 'P', milestones: [beta, { name: 'Unlinked', status: 'Achieved' }] };
+    const refreshed = registers.refreshMilestones(project, tasks(), today);
+    expect(refreshed.changed).toEqual([{ name: 'Beta', before: 'Not Started', after: 'In Progress' }]);
+    expect(refreshed.project.milestones[1].status).toBe('Achieved');
+    expect(project.milestones[0].status).toBe('Not Started');
+  });
+
+  it('scores risks and places open ones on the probability x impact heat map', () => {
+    const registers = new TaskProjectRegisters(config);
+    expect(registers.riskScore('Low', 'Low')).toEqual({ value: 1, label: 'Low' });
+    expect(registers.riskScore('Low', 'High').label).toBe('Medium');
+    expect(registers.riskScore('Medium', 'High').label).toBe('High');
+    expect(registers.riskScore('High', 'Critical')).toEqual({ value: 12, label: 'Critical' });
+    expect(registers.riskScore('Unknown', 'High')).toBe(null);
+
+    const map = registers.heatMap([
+      { name: 'Vendor delay', probability: 'High', impact: 'Critical', status: 'Open' },
+      { name: 'Old', probability: 'High', impact: 'Critical', status: 'Closed' },
+      { name: 'Unrated', status: 'Open' }
+    ]);
+    expect(map.rows.map(row => row.probability)).toEqual(['High', 'Medium', 'Low']);
+    expect(map.rows[0].cells[3].risks).toEqual([{ index: 0, name: 'Vendor delay' }]);
+    expect(map.unrated).toEqual([{ index: 2, name: 'Unrated' }]);
+  });
+
+  it('edits registers and records change-request decisions on copies of the project', () => {
+    const registers = new TaskProjectRegisters(config);
+    let project = { name: 'P', change_log: [{ change_id: 'CHG-002', description: 'Scope', status: 'Pending' }] };
+    expect(registers.nextChangeId(project)).toBe('CHG-003');
+
+    project = registers.upsert(project, 'change_log', null, { change_id: registers.nextChangeId(project), description: 'Budget', status: 'Pending' });
+    const approved = registers.decideChange(project, 1, 'Approved', { approver: 'Ann', today: '2026-05-10' });
+    expect(approved.change_log[1]).toEqual({ change_id: 'CHG-003', description: 'Budget', status: 'Approved', approved_by: 'Ann', decision_date: '2026-05-10' });
+    expect(project.change_log[1].status).toBe('Pending');
+
+    const reopened = registers.decideChange(approved, 1, 'Pending');
+    expect(reopened.change_log[1].approved_by).toBe(null);
+    expect(reopened.change_log[1].decision_date).toBe(undefined);
+
+    expect(registers.remove(approved, 'change_log', 0).change_log.map(entry => entry.change_id)).toEqual(['CHG-003']);
+    expect(() => registers.remove(approved, 'risks', 0)).toThrow();
+  });
+});
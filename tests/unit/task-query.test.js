@@ -0,0 +1,60 @@
+const path = require('path');
+
+const TaskQuery = require(path.join(__dirname, '../../public/task-engine/js/task-query.js'));
+
+const tasks = [
+  {
+    task_id: 1, task_name: 'Design login', status: 'In Progress', priority: 'High', end_date: '2026-10-20',
+    tags: ['backend', 'auth'], assigned_workers: [{ name: 'Alice', email: 'alice@example.com' }], is_critical_path: true, progress_percentage: 40
+  },
+  {
+    task_id: 2, task_name: 'Write docs', status: 'Done', priority: 'Low', end_date: '2026-12-01',
+    tags: ['docs'], assigned_workers: [], progress_percentage: 100, sprint_name: 'Sprint 3'
+  },
+  {
+    task_id: 3, task_name: 'Ship release', status: 'Blocked', priority: 'Critical', end_date: '2026-11-15',
+    tags: ['backend'], assigned_workers: [{ name: 'Bob' }], dependencies: [{ predecessor_task_id: 1, type: 'FS' }], progress_percentage: 0
+  }
+];
+
+const ids = (list) => list.map((task) => task.task_id);
+
+describe('TaskQuery', () => {
+  it('parses quoted values, comparisons, negation and free text', () => {
+    const { terms, errors } = TaskQuery.parse('status:"In Progress" due<2026-11-01 -tag:wip login');
+    expect(errors).toHaveLength(0);
+    expect(terms).toHaveLength(4);
+    expect(terms[0]).toEqual({ field: 'status', op: ':', values: ['In Progress'], negate: false, raw: 'status:"In Progress"' });
+    expect(terms[1].field).toBe('due');
+    expect(terms[1].op).toBe('<');
+    expect(terms[2].negate).toBe(true);
+    expect(terms[2].field).toBe('tags');
+    expect(terms[3].field).toBe('text');
+  });
+
+  it('reports unknown is: values, unterminated quotes and bad comparison values', () => {
+    expect(TaskQuery.parse('is:someday').errors).toHaveLength(1);
+    expect(TaskQuery.parse('status:"In Progress').errors).toHaveLength(1);
+    expect(TaskQuery.parse('due<soon').errors).toHaveLength(1);
+  });
+
+  it('filters by fields, assignees, tags, dates and is: predicates', () => {
+    expect(ids(TaskQuery.filter(tasks, 'status:"In Progress" assignee:alice due<2026-11-01 tag:backend is:critical'))).toEqual([1]);
+    expect(ids(TaskQuery.filter(tasks, 'tag:backend -status:blocked'))).toEqual([1]);
+    expect(ids(TaskQuery.filter(tasks, 'status:completed'))).toEqual([2]);
+    expect(ids(TaskQuery.filter(tasks, 'priority:critical,high'))).toEqual([1, 3]);
+    expect(ids(TaskQuery.filter(tasks, 'progress>=40 is:open'))).toEqual([1]);
+    expect(ids(TaskQuery.filter(tasks, 'is:unassigned sprint:"sprint 3"'))).toEqual([2]);
+    expect(ids(TaskQuery.filter(tasks, 'has:dependencies depends:1'))).toEqual([3]);
+    expect(ids(TaskQuery.filter(tasks, 'is:overdue', { today: '2026-11-20' }))).toEqual([1, 3]);
+    expect(ids(TaskQuery.filter(tasks, 'assignee:me', { me: 'Bob' }))).toEqual([3]);
+    expect(ids(TaskQuery.filter(tasks, 'docs'))).toEqual([2]);
+  });
+
+  it('sorts, projects and paginates through run()', () => {
+    const result = TaskQuery.run(tasks, { q: 'tag:backend,docs', sort: '-priority,due', fields: 'id,name,priority', offset: 1, limit: 1 });
+    expect(result.total).toBe(3);
+    expect(result.items).toEqual([{ task_id: 1, task_name: 'Design login', priority: 'High' }]);
+    expect(ids(TaskQuery.sortTasks(tasks, 'sprint'))).toEqual([2, 1, 3]);
+  });
+});
@@ -0,0 +1,99 @@
+const path = require('path');
+
+const TaskRecurrence = require(path.join(__dirname, '../../public/task-engine/js/task-recurrence.js'));
+const TaskTimeTracking = require(path.join(__dirname, '../../public/task-engine/js/task-time-tracking.js'));
+const calendarExport = require(path.join(__dirname, '../../public/calendar/js/task-ics-export.js'));
+
+const startDates = (occurrences) => occurrences.map((occurrence) => occurrence.start_date);
+
+describe('TaskRecurrence', () => {
+  it('accepts presets, RRULE strings and rule objects, and explains unsupported parts', () => {
+    const recurrence = new TaskRecurrence();
+
+    expect(recurrence.toRRule('weekly')).toBe('FREQ=WEEKLY');
+    expect(recurrence.toRRule('RRULE:FREQ=WEEKLY;BYDAY=WE,MO;INTERVAL=2;COUNT=6')).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=6');
+    expect(recurrence.toRRule({ freq: 'monthly', by_month_day: [-1], until: '2026-12-31' })).toBe('FREQ=MONTHLY;BYMONTHDAY=-1;UNTIL=20261231');
+    expect(recurrence.normalizeRule('none')).toBe(null);
+    expect(recurrence.validate('FREQ=HOURLY;BYSETPOS=1')).toHaveLength(2);
+    expect(recurrence.validate({ freq: 'daily', by_day: ['MO'], count: 2, until: '2026-01-01' })).toEqual([
+      'recurrence BYDAY is only supported with FREQ=WEEKLY',
+      'recurrence cannot have both COUNT and UNTIL'
+    ]);
+  });
+
+  it('expands virtual occurrences that keep each occurrence as long as the task', () => {
+    const recurrence = new TaskRecurrence();
+    const task = { task_id: 7, start_date: '2026-05-04', end_date: '2026-05-05', recurrence: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5' };
+
+    const occurrences = recurrence.expandTask(task);
+    expect(startDates(occurrences)).toEqual(['2026-05-04', '2026-05-06', '2026-05-18', '2026-05-20', '2026-06-01']);
+    expect(occurrences[2].end_date).toBe('2026-05-19');
+    expect(occurrences[2].occurrence_of).toBe(7);
+
+    expect(startDates(recurrence.expandTask({ ...task, recurrence: 'monthly', start_date: '2026-01-31', end_date: '2026-01-31' }, { to: '2026-06-30' })))
+      .toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+    expect(startDates(recurrence.expandTask(task, { from: '2026-05-19', completed: 1 }))).toEqual(['2026-05-18', '2026-05-20']);
+  });
+
+  it('records a completed occurrence as a child task and moves the task to its next occurrence', () => {
+    const recurrence = new TaskRecurrence();
+    const tasks = [{ task_id: 3, task_name: 'Backup', status: 'Done', start_date: '2026-05-04', end_date: '2026-05-04', due_date: '2026-05-05', recurrence: 'FREQ=DAILY;INTERVAL=3;COUNT=2' }];
+
+    const first = recurrence.completeOccurrence(tasks, 3, { today: '2026-05-04' });
+    expect(first.created.task_id).toBe(4);
+    expect(first.created.parent_task_id).toBe(3);
+    expect(first.created.recurrence_date).toBe('2026-05-04');
+    expect(first.created.recurrence).toBe(undefined);
+    expect(first.tasks[0].status).toBe('Not Started');
+    expect([first.tasks[0].start_date, first.tasks[0].due_date]).toEqual(['2026-05-07', '2026-05-08']);
+    expect(tasks[0].start_date).toBe('2026-05-04');
+
+    // COUNT=2 counts the recorded occurrence, so completing the second one ends the series.
+    const finished = first.tasks.map((task) => (task.task_id === 3 ? { ...task, status: 'Done' } : task));
+    expect(recurrence.completeOccurrence(finished, 3).created).toBe(null);
+  });
+
+  it('moves logged time to the recorded occurrence and keeps GitHub links on the series', () => {
+    const recurrence = new TaskRecurrence();
+    const tasks = [{
+      task_id: 3, task_name: 'Backup', status: 'Done', start_date: '2026-05-04', end_date: '2026-05-04', recurrence: 'weekly',
+      actual_hours: 1, time_entries: [{ worker: 'Ada', start: '2026-05-04T09:00:00Z', end: '2026-05-04T10:00:00Z', hours: 1 }],
+      tags: ['ops', 'issue-#12'], issue_sync: { number: 12 }, project_item_id: 'PVTI_1', links: [{ type: 'pull_request', number: 4 }]
+    }];
+
+    const { tasks: next, created } = recurrence.completeOccurrence(tasks, 3, { today: '2026-05-04' });
+    const series = next[0];
+    expect([created.actual_hours, created.time_entries.length]).toEqual([1, 1]);
+    expect([series.actual_hours, series.time_entries]).toEqual([0, []]);
+    expect(new TaskTimeTracking({}).timesheet(next, { weekStart: '2026-05-04' }).total).toBe(1);
+
+    expect(created.tags).toEqual(['ops']);
+    expect([created.links, created.issue_sync, created.project_item_id]).toEqual([undefined, undefined, undefined]);
+    expect(series.tags).toEqual(['ops', 'issue-#12']);
+    expect(series.links).toHaveLength(1);
+  });
+
+  it('exports recurring tasks as one VEVENT with an RRULE', () => {
+    const ics = calendarExport.generateICS([
+      { task_id: 1, task_name: 'Standup', status: 'Not Started', start_date: '2026-05-11', end_date: '2026-05-11', recurrence: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4' },
+      { task_id: 2, task_name: 'Standup (2026-05-04)', status: 'Done', start_date: '2026-05-04', end_date: '2026-05-04', parent_task_id: 1, recurrence_date: '2026-05-04' }
+    ], { projectName: 'Team' });
+
+    expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3');
+    expect(ics.split('RRULE:')).toHaveLength(2);
+  });
+
+  it('maps simple rules to calendar presets and expands the rest into occurrences', () => {
+    const state = calendarExport.generateCalendarState([
+      { task_id: 1, task_name: 'Report', start_date: '2026-05-01', end_date: '2026-05-01', recurrence: { freq: 'monthly', count: 3 } },
+      { task_id: 2, task_name: 'Sync', start_date: '2026-05-04', end_date: '2026-05-04', recurrence: 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=3' }
+    ]);
+
+    expect(state.appointments.map((appointment) => [appointment.id, appointment.recurrence, appointment.recurrenceCount])).toEqual([
+      ['1', 'monthly', 3],
+      ['2@2026-05-04', 'none', null],
+      ['2@2026-05-07', 'none', null],
+      ['2@2026-05-11', 'none', null]
+    ]);
+  });
+});
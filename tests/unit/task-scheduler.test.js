@@ -0,0 +1,107 @@
+const path = require('path');
+
+const TaskScheduler = require(path.join(__dirname, '../../public/task-engine/js/task-scheduler.js'));
+
+const dep = (predecessor_task_id, type = 'FS', lag_days = 0) => ({ predecessor_task_id, type, lag_days });
+
+const buildTasks = () => [
+  { task_id: 1, task_name: 'Design', status: 'Not Started', start_date: '2026-01-01', end_date: '2026-01-05' },
+  { task_id: 2, task_name: 'Build', status: 'Not Started', start_date: '2026-01-06', end_date: '2026-01-07', dependencies: [dep(1)] },
+  {
+    task_id: 3, task_name: 'Docs', status: 'Not Started', start_date: '2026-01-02', end_date: '2026-01-03', dependencies: [dep(1, 'SS', 1)],
+    subtasks: [{ task_id: 5, task_name: 'Review docs', status: 'Not Started', estimated_hours: 12, dependencies: [dep(3, 'FF', 2)] }]
+  },
+  { task_id: 4, task_name: 'Release', status: 'Not Started', start_date: '2026-01-08', end_date: '2026-01-08', dependencies: [dep(2), dep(3, 'FF', 2)] }
+];
+
+const byId = (result) => new Map(result.tasks.map((entry) => [entry.task_id, entry]));
+
+describe('TaskScheduler', () => {
+  it('computes early and late dates, float and the critical path for FS/SS/FF links', () => {
+    const result = new TaskScheduler().schedule(buildTasks());
+    const entries = byId(result);
+
+    expect(result.projectStart).toBe('2026-01-01');
+    expect(result.projectFinish).toBe('2026-01-08');
+    expect(result.criticalPath).toEqual([1, 2, 4]);
+    expect(entries.get(3).early_start).toBe('2026-01-02');
+    expect(entries.get(3).late_finish).toBe('2026-01-06');
+    expect(entries.get(3).total_float).toBe(3);
+    expect(entries.get(5).duration_days).toBe(2);
+    expect(entries.get(5).early_finish).toBe('2026-01-05');
+  });
+
+  it('honours SF links and negative lag', () => {
+    const result = new TaskScheduler().schedule([
+      { task_id: 1, start_date: '2026-03-10', end_date: '2026-03-12' },
+      { task_id: 2, start_date: '2026-03-01', end_date: '2026-03-02', dependencies: [dep(1, 'SF', 0)] },
+      { task_id: 3, start_date: '2026-03-01', end_date: '2026-03-01', dependencies: [dep(1, 'FS', -1)] }
+    ]);
+    const entries = byId(result);
+
+    expect(entries.get(2).early_finish).toBe('2026-03-09');
+    expect(entries.get(3).early_start).toBe('2026-03-12');
+  });
+
+  it('reports dependency cycles instead of scheduling them', () => {
+    const result = new TaskScheduler().schedule([
+      { task_id: 1, start_date: '2026-01-01', end_date: '2026-01-01' },
+      { task_id: 2, start_date: '2026-01-01', end_date: '2026-01-01', dependencies: [dep(3)] },
+      { task_id: 3, start_date: '2026-01-01', end_date: '2026-01-01', dependencies: [dep(2)] }
+    ]);
+
+    expect(result.cycles).toEqual([2, 3]);
+    expect(result.tasks.map((entry) => entry.task_id)).toEqual([1]);
+  });
+
+  it('pushes only the successors of a slipped task later and keeps started tasks in place', () => {
+    const tasks = buildTasks();
+    tasks[0].end_date = '2026-01-09';
+    tasks[2].status = 'In Progress';
+
+    const { tasks: nextTasks, changes } = new TaskScheduler().rescheduleSuccessors(tasks, 1);
+
+    expect(changes.map((change) => change.task_id)).toEqual([2, 4]);
+    expect(changes[0]).toEqual({
+      task_id: 2,
+      before: { start_date: '2026-01-06', end_date: '2026-01-07' },
+      after: { start_date: '2026-01-10', end_date: '2026-01-11' }
+    });
+    expect(nextTasks[3].start_date).toBe('2026-01-12');
+    expect(nextTasks[2].start_date).toBe('2026-01-02');
+    expect(tasks[1].start_date).toBe('2026-01-06');
+  });
+
+  it('reports where the manual is_critical_path flag disagrees with the computed path', () => {
+    const tasks = buildTasks();
+    tasks[0].is_critical_path = true;
+    tasks[2].is_critical_path = true;
+
+    const report = new TaskScheduler().criticalPathReport(tasks);
+
+    expect(report.criticalPath).toEqual([1, 2, 4]);
+    expect(report.flagged).toEqual([1, 3]);
+    expect(report.flaggedNotCritical).toEqual([3]);
+    expect(report.criticalNotFlagged).toEqual([2, 4]);
+  });
+
+  it('derives the path from estimated_hours alone and syncs the flags to it', () => {
+    const tasks = [
+      { task_id: 1, estimated_hours: 16 },
+      { task_id: 2, estimated_hours: 4, is_critical_path: true, dependencies: [dep(1)] },
+      { task_id: 3, estimated_hours: 40, dependencies: [dep(1)] }
+    ];
+
+    const { tasks: nextTasks, changes, report } = new TaskScheduler().applyCriticalFlags(tasks, { today: '2026-05-04' });
+
+    expect(report.projectStart).toBe('2026-05-04');
+    expect(report.criticalPath).toEqual([1, 3]);
+    expect(changes).toEqual([
+      { task_id: 1, before: false, after: true },
+      { task_id: 2, before: true, after: false },
+      { task_id: 3, before: false, after: true }
+    ]);
+    expect(nextTasks[1].is_critical_path).toBe(false);
+    expect(tasks[1].is_critical_path).toBe(true);
+  });
+});
@@ -245,6 +245,27 @@ describe('Project Validation', () => {
     expect(result.errors.some(e => e.includes('milestone') && e.includes('status'))).toBeTruthy();
   });
 
+  it('should validate milestone task links, auto_status and risk scores', () => {
+    const project = {
+      name: 'Test Project',
+      start_date: '2026-04-01',
+      end_date: '2026-04-30',
+      status: 'Not Started',
+      milestones: [{ name: 'Beta', linked_task_ids: [1, 2], linked_task_names: ['API'], auto_status: true }],
+      risks: [{ name: 'Vendor delay', probability: 'High', impact: 'Medium', score: 'High', status: 'Open' }]
+    };
+    expect(validator.validateProject(project).errors).toEqual([]);
+
+    project.milestones = [{ name: 'Beta', linked_task_ids: ['x'], linked_task_names: 'API', auto_status: 'yes' }];
+    project.risks = [{ name: 'Vendor delay', score: 'Huge' }];
+    expect(validator.validateProject(project).errors).toEqual([
+      'Project milestone 1: linked_task_ids must be an array of task ids',
+      'Project milestone 1: linked_task_names must be an array of strings',
+      'Project milestone 1: auto_status must be a boolean',
+      'Project risk 1: invalid score "Huge"'
+    ]);
+  });
+
   it('should validate sprints array', () => {
     const project = {
       name: 'Test Project',
@@ -257,6 +278,69 @@ describe('Project Validation', () => {
     expect(result.errors.filter(e => e.includes('sprint')).length).toBe(0);
   });
 
+  it('should validate sprint capacity_hours and velocity_history', () => {
+    const project = {
+      name: 'Test Project',
+      start_date: '2026-04-01',
+      end_date: '2026-04-30',
+      status: 'Not Started',
+      sprints: [{ name: 'Sprint 1', status: 'Completed', capacity_hours: -5 }],
+      velocity_history: [
+        { sprint: 'Sprint 1', closed_date: '2026-04-14', committed_hours: 40, completed_hours: 32, completed_tasks: 4, rolled_over_task_ids: [7] },
+        { closed_date: '14/04/2026', completed_hours: '32' }
+      ]
+    };
+    const result = validator.validateProject(project);
+    expect(result.errors).toEqual([
+      'Project sprint 1: capacity_hours must be a non-negative number',
+      'Project velocity_history 2: missing sprint',
+      'Project velocity_history 2: invalid closed_date',
+      'Project velocity_history 2: completed_hours must be a non-negative number'
+    ]);
+    expect(validator.toFieldErrors(result.errors, 'body.project').map(e => e.path)).toEqual([
+      'body.project.sprints[0].capacity_hours',
+      'body.project.velocity_history[1]',
+      'body.project.velocity_history[1].closed_date',
+      'body.project.velocity_history[1].completed_hours'
+    ]);
+  });
+
+  it('should validate kanban group_by, swimlanes and wip_limits', () => {
+    const project = {
+      name: 'Test Project',
+      start_date: '2026-04-01',
+      end_date: '2026-04-30',
+      status: 'Not Started',
+      kanban: { group_by: 'status', swimlanes: 'category', wip_limits: { status: { 'In Progress': 3 } } }
+    };
+    expect(validator.validateProject(project).errors).toEqual([]);
+
+    project.kanban = { group_by: 'owner', wip_limits: { status: { 'In Progress': 0 }, tags: {} } };
+    expect(validator.validateProject(project).errors).toEqual([
+      'Project kanban group_by must be one of: status, priority, sprint, assignee, category',
+      'Project kanban wip_limits.status["In Progress"] must be a positive integer',
+      'Project kanban wip_limits: unknown field "tags"'
+    ]);
+  });
+
+  it('should validate the GitHub Projects board link', () => {
+    const project = {
+      name: 'Test Project',
+      start_date: '2026-04-01',
+      end_date: '2026-04-30',
+      status: 'Not Started',
+      github_project: { owner: 'octo-org', number: 3, title: 'Team board', views: [{ name: 'Backlog', layout: 'table' }] }
+    };
+    expect(validator.validateProject(project).errors).toEqual([]);
+
+    project.github_project = { owner: '', number: '3', views: [{ layout: 'board' }] };
+    expect(validator.validateProject(project).errors).toEqual([
+      'Project github_project: missing owner',
+      'Project github_project: number must be a positive integer',
+      'Project github_project view 1: missing name'
+    ]);
+  });
+
   it('should validate risks array', () => {
     const project = {
       name: 'Test Project',
@@ -408,4 +492,53 @@ describe('v3 Task Field Validation', () => {
     const result = validator.validateTask(task);
     expect(result.errors.some(e => e.includes('blocker_reason'))).toBeTruthy();
   });
+
+  it('should validate logged time entries', () => {
+    const valid = validator.validateTask({ ...baseTask, time_entries: [{ worker: 'Ann', start: '2026-05-04T09:00:00+02:00', end: '2026-05-04T10:30:00+02:00', hours: 1.5, note: '' }, { hours: 2 }] });
+    expect(valid.errors.filter(e => e.includes('time_entr')).length).toBe(0);
+
+    const result = validator.validateTask({ ...baseTask, time_entries: [{ start: '2026-05-04T10:00:00Z', end: '2026-05-04T09:00:00Z' }, { start: 'soon', worker: 3 }, {}] });
+    expect(result.errors).toContain('Task time_entry 1: end must be after start');
+    expect(result.errors).toContain('Task time_entry 2: invalid start "soon"');
+    expect(result.errors).toContain('Task time_entry 2: worker must be a string');
+    expect(result.errors).toContain('Task time_entry 3: needs start/end or hours');
+    expect(validator.toFieldErrors(result.errors, 'body').some(d => d.path === 'body.time_entries[0].end')).toBeTruthy();
+    expect(validator.validateTask({ ...baseTask, time_entries: 'none' }).errors).toContain('Task time_entries must be an array');
+  });
+
+  it('should validate commit and pull request links', () => {
+    const valid = validator.validateTask({ ...baseTask, links: [{ type: 'commit', sha: 'a1b2c3d', url: 'https://github.com/o/r/commit/a1b2c3d', label: 'a1b2c3d Fix' }, { type: 'pull_request', number: 4, state: 'merged', url: 'https://github.com/o/r/pull/4', label: 'PR #4' }] });
+    expect(valid.errors.filter(e => e.includes('link')).length).toBe(0);
+
+    const result = validator.validateTask({ ...baseTask, links: [{ type: 'commit', sha: 'main', url: 'x', label: 'x' }, { type: 'pull_request', number: '4', state: 'shipped', url: 'x', label: 'x' }] });
+    expect(result.errors).toContain('Task link 1: invalid sha "main"');
+    expect(result.errors).toContain('Task link 2: number must be a positive integer');
+    expect(result.errors).toContain('Task link 2: invalid state "shipped"');
+    expect(validator.toFieldErrors(result.errors, 'body').some(d => d.path === 'body.links[1].state')).toBeTruthy();
+  });
+
+  it('should validate the GitHub Issues sync snapshot and github logins', () => {
+    const valid = validator.validateTask({ ...baseTask, assigned_workers: [{ name: 'Ann', github_login: 'ann' }], issue_sync: { number: 12, synced_at: '2026-05-04T09:00:00.000Z', base: { state: 'open' } } });
+    expect(valid.errors.filter(e => e.includes('issue_sync') || e.includes('github_login')).length).toBe(0);
+
+    const result = validator.validateTask({ ...baseTask, assigned_workers: [{ name: 'Ann', github_login: '' }], issue_sync: { number: 0, synced_at: 'later', base: [] } });
+    expect(result.errors).toContain('Task assigned_worker 1: github_login must be a non-empty string');
+    expect(result.errors).toContain('Task issue_sync: number must be a positive integer');
+    expect(result.errors).toContain('Task issue_sync: invalid synced_at "later"');
+    expect(result.errors).toContain('Task issue_sync: base must be an object');
+    expect(validator.toFieldErrors(result.errors, 'body').some(d => d.path === 'body.assigned_workers[0].github_login')).toBeTruthy();
+  });
+
+  it('should validate the GitHub Projects item id', () => {
+    expect(validator.validateTask({ ...baseTask, project_item_id: 'PVTI_lADOBr8x3M4AhQ2czgF1' }).errors.filter(e => e.includes('project_item_id')).length).toBe(0);
+    expect(validator.validateTask({ ...baseTask, project_item_id: '' }).errors).toContain('Task project_item_id must be a non-empty string');
+  });
+
+  it('should map validation messages to field paths', () => {
+    const task = { ...baseTask, status: 'Sideways', assigned_workers: [{ name: 'Ann', email: 'ann@example.com' }, { name: 'Bob', email: 'nope' }] };
+    const result = validator.validateTask(task);
+    const details = validator.toFieldErrors(result.errors, 'body');
+    expect(details.some(d => d.path === 'body.status' && d.message.includes('Sideways'))).toBeTruthy();
+    expect(details.some(d => d.path === 'body.assigned_workers[1].email')).toBeTruthy();
+  });
 });
@@ -0,0 +1,88 @@
+const path = require('path');
+
+const TaskSprintPlanner = require(path.join(__dirname, '../../public/task-engine/js/task-sprint-planner.js'));
+
+const project = () => ({
+  name: 'Demo',
+  sprints: [
+    { name: 'Sprint 1', start_date: '2026-05-04', end_date: '2026-05-17', status: 'Active' },
+    { name: 'Sprint 2', start_date: '2026-05-18', end_date: '2026-05-31', status: 'Not Started' }
+  ]
+});
+
+const workers = [
+  { name: 'Alice', email: 'alice@example.com', weekly_capacity_hours: 30 },
+  { name: 'Bob', email: 'bob@example.com', weekly_capacity_hours: 20 }
+];
+
+const tasks = () => [
+  { task_id: 1, status: 'Done', estimated_hours: 10, sprint_name: 'Sprint 1', assigned_workers: [{ name: 'Alice', email: 'alice@example.com' }] },
+  { task_id: 2, status: 'In Progress', estimated_hours: 30, sprint_name: 'Sprint 1', assigned_workers: [{ name: 'Alice', email: 'alice@example.com' }, { name: 'Bob', email: 'bob@example.com' }] },
+  { task_id: 3, status: 'Cancelled', estimated_hours: 5, sprint_name: 'Sprint 1' },
+  { task_id: 4, status: 'Not Started', estimated_hours: 8 },
+  { task_id: 5, status: 'Not Started', estimated_hours: 4, sprint_name: 'Old sprint' },
+  { task_id: 6, status: 'Done', estimated_hours: 2 }
+];
+
+describe('TaskSprintPlanner', () => {
+  it('splits tasks into backlog and sprint columns with capacity from assigned workers', () => {
+    const board = new TaskSprintPlanner().buildBoard(project(), tasks(), workers);
+
+    expect(board.backlog.map((task) => task.task_id)).toEqual([4, 5]);
+    expect(board.unknownSprints).toEqual(['Old sprint']);
+    const [first, second] = board.sprints;
+    expect(first.tasks.map((task) => task.task_id)).toEqual([1, 2, 3]);
+    expect(first.committedHours).toBe(45);
+    expect(first.completedHours).toBe(10);
+    expect(first.capacityHours).toBe(100);
+    expect(first.overCapacity).toBe(false);
+    expect(first.workers).toEqual([
+      { key: 'alice@example.com', name: 'Alice', assignedHours: 25, capacityHours: 60 },
+      { key: 'bob@example.com', name: 'Bob', assignedHours: 15, capacityHours: 40 }
+    ]);
+    expect(second.capacityHours).toBe(0);
+
+    const fixed = { ...project(), sprints: [{ ...project().sprints[0], capacity_hours: 40 }] };
+    expect(new TaskSprintPlanner().buildBoard(fixed, tasks(), workers).sprints[0].overCapacity).toBe(true);
+  });
+
+  it('adds sprints after the last one and allows a single active sprint', () => {
+    const planner = new TaskSprintPlanner();
+    const { project: withThird, sprint } = planner.addSprint(project());
+
+    expect(sprint).toEqual({ name: 'Sprint 3', start_date: '2026-06-01', end_date: '2026-06-14', goal: '', status: 'Not Started' });
+    expect(withThird.sprints).toHaveLength(3);
+    expect(() => planner.addSprint(project(), { name: 'Sprint 2' })).toThrow();
+    expect(() => planner.startSprint(project(), 'Sprint 2')).toThrow();
+
+    const started = planner.startSprint({ sprints: [{ name: 'Next', status: 'Not Started' }] }, 'Next', { today: '2026-06-01' });
+    expect(started.sprint).toEqual({ name: 'Next', status: 'Active', start_date: '2026-06-01' });
+  });
+
+  it('closes a sprint, rolls unfinished tasks forward and records its velocity', () => {
+    const planner = new TaskSprintPlanner();
+    const closed = planner.closeSprint(project(), tasks(), 'Sprint 1', { today: '2026-05-17' });
+
+    expect(closed.project.sprints[0].status).toBe('Completed');
+    expect(closed.changes).toEqual([{ task_id: 2, before: { sprint_name: 'Sprint 1' }, after: { sprint_name: 'Sprint 2' } }]);
+    expect(closed.project.velocity_history).toEqual([{
+      sprint: 'Sprint 1',
+      start_date: '2026-05-04',
+      end_date: '2026-05-17',
+      closed_date: '2026-05-17',
+      committed_hours: 45,
+      completed_hours: 10,
+      completed_tasks: 1,
+      rolled_over_task_ids: [2],
+      rolled_to: 'Sprint 2'
+    }]);
+    expect(() => planner.closeSprint(closed.project, tasks(), 'Sprint 1')).toThrow();
+
+    const toBacklog = planner.closeSprint(project(), tasks(), 'Sprint 1', { rollTo: null, today: '2026-05-17' });
+    expect(toBacklog.changes[0].after.sprint_name).toBe(null);
+
+    const summary = planner.velocitySummary({ velocity_history: [{ completed_hours: 10 }, { completed_hours: 20 }, { completed_hours: 30 }, { completed_hours: 40 }] });
+    expect(summary.averageCompletedHours).toBe(30);
+    expect(planner.velocitySummary({}).averageCompletedHours).toBe(null);
+  });
+});
@@ -0,0 +1,172 @@
+const path = require('path');
+
+const TaskStorageAdapters = require(path.join(__dirname, '../../public/task-engine/js/task-storage-adapters.js'));
+
+/** Minimal storage context; adapters only read the fields they need. */
+function context(overrides = {}) {
+  return {
+    db: { sourceKind: 'remote', githubApi: null, getBridgeIntegration: () => null },
+    projectId: 'demo',
+    project: { id: 'demo', owner: 'octo-org', repo: 'tasks', branch: 'main', storage: null },
+    tasksFile: 'public/tasksDB/external/demo/node.tasks.json',
+    storageKey: 'taskManagerData:demo',
+    isLocalHost: false,
+    isGitHubPagesHost: false,
+    hasLocalApiServer: false,
+    isSameRepoAsHost: false,
+    workerUrl: '',
+    hasGitHubToken: false,
+    indexedDB: null,
+    options: {},
+    ...overrides
+  };
+}
+
+/** In-memory IndexedDB with just the open/get/put surface the adapter uses. */
+function fakeIndexedDB() {
+  const stores = {};
+  const later = (request, fn) => {
+    setTimeout(() => {
+      try {
+        request.result = fn();
+        if (request.onsuccess) request.onsuccess();
+      } catch (error) {
+        request.error = error;
+        if (request.onerror) request.onerror();
+      }
+    }, 0);
+    return request;
+  };
+  const db = {
+    objectStoreNames: { contains: name => name in stores },
+    createObjectStore: name => (stores[name] = new Map()),
+    transaction: name => ({
+      objectStore: () => ({
+        get: key => later({}, () => stores[name].get(key)),
+        put: (value, key) => later({}, () => stores[name].set(key, value) && key)
+      })
+    }),
+    close() {}
+  };
+  return {
+    stores,
+    open() {
+      const request = { result: db };
+      setTimeout(() => {
+        if (!('projects' in stores) && request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      }, 0);
+      return request;
+    }
+  };
+}
+
+describe('TaskStorageAdapters', () => {
+  it('keeps the historical read and write cascade when a project configures no storage', () => {
+    const storage = TaskStorageAdapters.createDefault();
+    const names = ctx => storage.loadOrder(ctx).map(adapter => adapter.name);
+    expect(names(context({ isGitHubPagesHost: true, isSameRepoAsHost: true }))).toEqual(['same-origin', 'github']);
+    expect(names(context({ isLocalHost: true }))).toEqual(['github']);
+
+    expect(storage.saveAdapter(context()).name).toBe('browser-cache');
+    expect(storage.saveAdapter(context({ hasLocalApiServer: true })).name).toBe('local-server');
+    expect(storage.saveAdapter(context({ hasLocalApiServer: true, hasGitHubToken: true })).name).toBe('github');
+    expect(storage.saveAdapter(context({ hasGitHubToken: true, workerUrl: 'https://w.dev' })).name).toBe('worker');
+  });
+
+  it('uses the adapters a project configures and ignores unknown names', () => {
+    const storage = TaskStorageAdapters.createDefault();
+    const ctx = context({ workerUrl: 'https://w.dev', indexedDB: fakeIndexedDB(), project: { id: 'demo', storage: ['gitlab', 'indexeddb', 'worker'] } });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      expect(storage.saveAdapter(ctx).name).toBe('indexeddb');
+      expect(storage.loadOrder(ctx).map(adapter => adapter.name)).toEqual(['indexeddb', 'worker', 'github']);
+      expect(storage.saveAdapter({ ...ctx, indexedDB: null }).name).toBe('worker');
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('registers new backends and rejects objects that are not adapters', async () => {
+    const storage = TaskStorageAdapters.createDefault();
+    const written = [];
+    storage.register({
+      name: 'webdav',
+      load: async ctx => ({ payload: { tasks: [{ task_id: 1, task_name: `from ${ctx.projectId}` }] } }),
+      save: async ctx => {
+        written.push(ctx.message);
+        return { success: true, source: 'webdav' };
+      }
+    });
+    const ctx = context({ message: 'Save', project: { id: 'demo', storage: 'webdav' } });
+    const loaded = await storage.load(ctx);
+    expect(loaded.adapter).toBe('webdav');
+    expect(loaded.payload.tasks[0].task_name).toBe('from demo');
+    expect(await storage.saveAdapter(ctx).save(ctx)).toEqual({ success: true, source: 'webdav' });
+    expect(written).toEqual(['Save']);
+    expect(TaskStorageAdapters.createDefault().get('webdav')).toBe(null);
+
+    expect(() => storage.register({ name: 'empty' })).toThrow('must implement load() or save()');
+    expect(() => TaskStorageAdapters.register({ load() {} })).toThrow('needs a name');
+  });
+
+  it('passes over adapters that fail or have nothing and reads the next one', async () => {
+    const storage = new TaskStorageAdapters([
+      { name: 'broken', load: async () => { throw new Error('offline'); } },
+      { name: 'empty', load: async () => null },
+      { name: 'github', load: async () => ({ payload: { tasks: [] } }) }
+    ]);
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+      const loaded = await storage.load(context({ project: { id: 'demo', storage: ['broken', 'empty'] } }));
+      expect(loaded.adapter).toBe('github');
+      expect(warnings[0]).toContain('broken load failed: offline');
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('keeps projects in IndexedDB between sessions', async () => {
+    const indexedDB = fakeIndexedDB();
+    const adapter = TaskStorageAdapters.createDefault().get('indexeddb');
+    const db = {
+      tasks: [{ task_id: 4, task_name: 'Offline task' }],
+      buildFullData: tasks => ({ project: { name: 'Demo' }, tasks }),
+      generatePersistedCSV: () => 'task_id,task_name\n4,Offline task\n'
+    };
+    const ctx = context({ db, indexedDB, message: 'Offline save' });
+
+    expect(await adapter.load(ctx)).toBe(null);
+    expect(await adapter.save(ctx)).toEqual({ success: true, source: 'indexeddb', committed: true });
+    const loaded = await adapter.load(ctx);
+    expect(loaded.payload.tasks[0].task_name).toBe('Offline task');
+    expect(indexedDB.stores.projects.get('demo').message).toBe('Offline save');
+  });
+
+  it('reads the same-origin copy relative to the app root', async () => {
+    const previousWindow = globalThis.window;
+    const previousFetch = globalThis.fetch;
+    const urls = [];
+    globalThis.window = { location: { pathname: '/github-task-manager/list-display/index.html' } };
+    globalThis.fetch = async url => {
+      urls.push(url);
+      return { ok: true, json: async () => ({ tasks: [{ task_id: 1 }] }) };
+    };
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const adapter = TaskStorageAdapters.createDefault().get('same-origin');
+      const loaded = await adapter.load(context({ isSameRepoAsHost: true }));
+      expect(urls).toEqual(['/github-task-manager/tasksDB/external/demo/node.tasks.json']);
+      expect(loaded.payload.tasks).toHaveLength(1);
+    } finally {
+      console.log = log;
+      globalThis.fetch = previousFetch;
+      if (typeof previousWindow === 'undefined') delete globalThis.window;
+      else globalThis.window = previousWindow;
+    }
+  });
+});
@@ -28,10 +28,44 @@ const getAutomation = new Function('TEMPLATE_CONFIG', 'TemplateValidator', autom
 /** TemplateAutomation class evaluated from the browser module in a Node test harness. */
 const TemplateAutomation = getAutomation(TEMPLATE_CONFIG, TemplateValidator);
 
+// Load batch operations
+const batchContent = fs.readFileSync(path.join(__dirname, '../../public/task-engine/js/task-batch-operations.js'), 'utf8');
+const getBatch = new Function(batchContent + '\nreturn TaskBatchOperations;');
+/** TaskBatchOperations class evaluated from the browser module in a Node test harness. */
+const TaskBatchOperations = getBatch();
+
+// Load scheduler
+const schedulerContent = fs.readFileSync(path.join(__dirname, '../../public/task-engine/js/task-scheduler.js'), 'utf8');
+const getScheduler = new Function(schedulerContent + '\nreturn TaskScheduler;');
+/** TaskScheduler class evaluated from the browser module in a Node test harness. */
+const TaskScheduler = getScheduler();
+
+// Load integrity checker
+const integrityContent = fs.readFileSync(path.join(__dirname, '../../public/task-engine/js/task-integrity-checker.js'), 'utf8');
+const getIntegrityChecker = new Function(integrityContent + '\nreturn TaskIntegrityChecker;');
+/** TaskIntegrityChecker class evaluated from the browser module in a Node test harness. */
+const TaskIntegrityChecker = getIntegrityChecker();
+
+// Load project registers
+const registersContent = fs.readFileSync(path.join(__dirname, '../../public/task-engine/js/task-project-registers.js'), 'utf8');
+const getProjectRegisters = new Function(registersContent + '\nreturn TaskProjectRegisters;');
+/** TaskProjectRegisters class evaluated from the browser module in a Node test harness. */
+const TaskProjectRegisters = getProjectRegisters();
+
+// Load time tracking
+const timeTrackingContent = fs.readFileSync(path.join(__dirname, '../../public/task-engine/js/task-time-tracking.js'), 'utf8');
+const getTimeTracking = new Function(timeTrackingContent + '\nreturn TaskTimeTracking;');
+/** TaskTimeTracking class evaluated from the browser module in a Node test harness. */
+const TaskTimeTracking = getTimeTracking();
+
+// Load storage adapters
+/** TaskStorageAdapters registry with the built-in backends. */
+const TaskStorageAdapters = require(path.join(__dirname, '../../public/task-engine/js/task-storage-adapters.js'));
+
 // Load database
 const databaseContent = fs.readFileSync(path.join(__dirname, '../../public/task-engine/js/task-storage-sync.js'), 'utf8');
-const getDatabase = new Function('TemplateValidator', 'TemplateAutomation', 'console', databaseContent + '\nreturn { TaskDatabase, resolveActiveProjectId };');
-const { TaskDatabase, resolveActiveProjectId } = getDatabase(TemplateValidator, TemplateAutomation, console);
+const getDatabase = new Function('TemplateValidator', 'TemplateAutomation', 'TaskBatchOperations', 'TaskScheduler', 'TaskIntegrityChecker', 'TaskProjectRegisters', 'TaskTimeTracking', 'TaskStorageAdapters', 'console', databaseContent + '\nreturn { TaskDatabase, resolveActiveProjectId };');
+const { TaskDatabase, resolveActiveProjectId } = getDatabase(TemplateValidator, TemplateAutomation, TaskBatchOperations, TaskScheduler, TaskIntegrityChecker, TaskProjectRegisters, TaskTimeTracking, TaskStorageAdapters, console);
 
 // Mock GitHub API
 /** In-memory stub that replaces the real GitHub API client for isolated task storage tests. */
@@ -393,6 +427,30 @@ describe('Task CRUD Operations', () => {
     expect(result.task.task_name).toBe('Updated Name');
   });
 
+  it('should push dependent tasks later when an end_date slips and auto-rescheduling is on', () => {
+    const mockApi = new MockGitHubAPI();
+    const db = new TaskDatabase(mockApi);
+    const base = { description: 'Scheduled', priority: 'Medium', status: 'Not Started', estimated_hours: 8, category_name: 'Testing' };
+    db.createTask({ ...base, task_name: 'First', start_date: '2025-12-01', end_date: '2025-12-03' });
+    db.createTask({
+      ...base, task_name: 'Second', start_date: '2025-12-04', end_date: '2025-12-05',
+      dependencies: [{ predecessor_task_id: 1, type: 'FS', lag_days: 1 }]
+    });
+
+    const unchanged = db.updateTask(1, { end_date: '2025-12-04' });
+    expect(unchanged.rescheduled).toBe(undefined);
+    expect(db.getTask(2).start_date).toBe('2025-12-04');
+
+    db.automation.config = { ...db.automation.config, AUTOMATION: { ...db.automation.config.AUTOMATION, AUTO_RESCHEDULE_SUCCESSORS: true } };
+    const result = db.updateTask(1, { end_date: '2025-12-06' });
+
+    expect(result.success).toBeTruthy();
+    expect(result.task.end_date).toBe('2025-12-06');
+    expect(result.rescheduled).toHaveLength(1);
+    expect(db.getTask(2).start_date).toBe('2025-12-08');
+    expect(db.getTask(2).end_date).toBe('2025-12-09');
+  });
+
   it('should delete task by ID', () => {
     const mockApi = new MockGitHubAPI();
     const db = new TaskDatabase(mockApi);
@@ -648,6 +706,36 @@ describe('TaskDatabase Persistence', () => {
     expect(mockApi.files['tasksDB/tasks.csv']).toBeTruthy();
   });
 
+  it('should derive milestone statuses from their linked tasks when building the payload', () => {
+    const db = new TaskDatabase(new MockGitHubAPI());
+    db.currentProject = {
+      name: 'Milestones',
+      milestones: [
+        { name: 'Beta', due_date: '2999-01-01', status: 'Not Started', linked_task_ids: [1, 2] },
+        { name: 'Manual', status: 'In Progress', linked_task_ids: [1], auto_status: false }
+      ]
+    };
+    db.tasks = [
+      { task_id: 1, task_name: 'API', status: 'Done' },
+      { task_id: 2, task_name: 'UI', status: 'Completed' }
+    ];
+
+    const data = db.buildFullData(db.tasks);
+    expect(data.project.milestones.map(m => m.status)).toEqual(['Achieved', 'In Progress']);
+  });
+
+  it('should roll logged time entries into actual_hours when building the payload', () => {
+    const db = new TaskDatabase(new MockGitHubAPI());
+    db.tasks = [
+      { task_id: 1, task_name: 'API', actual_hours: 1, time_entries: [{ worker: 'Ada', start: '2026-05-04T09:00:00Z', end: '2026-05-04T11:15:00Z', hours: 2.25 }] },
+      { task_id: 2, task_name: 'UI', actual_hours: 4 }
+    ];
+
+    const data = db.buildFullData(db.tasks);
+    expect(data.tasks.map(t => t.actual_hours)).toEqual([2.25, 4]);
+    expect(db.tasks[0].actual_hours).toBe(2.25);
+  });
+
   it('should refuse saving when duplicate task_id exists', async () => {
     const mockApi = new MockGitHubAPI();
     const db = new TaskDatabase(mockApi);
@@ -705,5 +793,218 @@ describe('TaskDatabase Persistence', () => {
     expect(result.success).toBeFalsy();
     expect(result.error).toContain('Duplicate task_id');
   });
+
+  it('should apply a batch in one save and leave tasks untouched when any operation fails', async () => {
+    const mockApi = new MockGitHubAPI();
+    // Count primary task-file commits; csv/alt/legacy/state companions carry a "(...)" message suffix.
+    let jsonWrites = 0;
+    const updateFile = mockApi.updateFile.bind(mockApi);
+    mockApi.updateFile = async (filePath, content, message, ...rest) => {
+      if (!String(message).includes('(')) jsonWrites += 1;
+      return updateFile(filePath, content, message, ...rest);
+    };
+    const db = new TaskDatabase(mockApi);
+    const baseTask = { description: 'Bulk', start_date: '2025-12-11', end_date: '2025-12-12', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'Testing' };
+    db.createTask({ task_name: 'First', ...baseTask });
+    db.createTask({ task_name: 'Second', ...baseTask, tags: ['keep'] });
+    const [first, second] = db.tasks;
+
+    const rejected = await db.applyBatch([
+      { op: 'update', taskId: first.task_id, changes: { status: 'Done' } },
+      { op: 'update', taskId: second.task_id, changes: { priority: 'Urgent' } }
+    ]);
+    expect(rejected.success).toBeFalsy();
+    expect(rejected.errors[0].index).toBe(1);
+    expect(db.getTask(first.task_id).status).toBe('Not Started');
+    expect(jsonWrites).toBe(0);
+
+    const applied = await db.applyBatch([
+      { op: 'update', taskId: first.task_id, changes: { status: 'In Progress', sprint_name: 'Sprint 7' } },
+      { op: 'update', taskId: second.task_id, changes: { tags: ['keep', 'bulk'] } },
+      { op: 'create', task: { task_name: 'Third', ...baseTask } },
+      { op: 'move', taskId: second.task_id, parentTaskId: first.task_id, index: 0 }
+    ], 'Bulk edit');
+    expect(applied.success).toBeTruthy();
+    expect(applied.applied).toBe(4);
+    expect(jsonWrites).toBe(1);
+    expect(db.tasks.map(task => task.task_name)).toEqual(['Second', 'First', 'Third']);
+    expect(db.getTask(second.task_id).parent_task_id).toBe(first.task_id);
+    expect(db.getTask(first.task_id).sprint_name).toBe('Sprint 7');
+
+    const cycle = await db.applyBatch([{ op: 'move', taskId: first.task_id, parentTaskId: second.task_id }]);
+    expect(cycle.success).toBeFalsy();
+    expect(cycle.error).toContain('cycle');
+  });
+
+  it('should load and save through the storage adapter configured for the project', async () => {
+    const previousConfig = globalThis.TEMPLATE_CONFIG;
+    globalThis.TEMPLATE_CONFIG = {
+      GITHUB: {
+        ACTIVE_PROJECT_ID: 'webdav-demo',
+        getProjectConfig: (projectId) => ({ id: projectId, owner: 'example', repo: 'tasks', branch: 'main', storage: ['webdav'] }),
+        getTasksFile: (projectId) => `public/tasksDB/external/${projectId}/node.tasks.json`
+      }
+    };
+    const saved = [];
+
+    try {
+      const mockApi = new MockGitHubAPI();
+      const db = new TaskDatabase(mockApi);
+      db.storage.register({
+        name: 'webdav',
+        load: async () => ({ payload: { project: { name: 'Remote' }, tasks: [] } }),
+        save: async (ctx) => {
+          saved.push({ project: ctx.projectId, tasks: ctx.db.buildFullData().tasks.length, message: ctx.message });
+          return { success: true, source: 'webdav' };
+        }
+      });
+
+      await db.loadTasks();
+      expect(db.currentProject.name).toBe('Remote');
+      db.createTask({ task_name: 'Stored elsewhere', description: 'WebDAV', start_date: '2025-12-11', end_date: '2025-12-12', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'Testing' });
+
+      const result = await db.saveTasks('Save to WebDAV');
+      expect(result).toEqual({ success: true, source: 'webdav' });
+      expect(saved).toEqual([{ project: 'webdav-demo', tasks: 1, message: 'Save to WebDAV' }]);
+      expect(Object.keys(mockApi.files)).toHaveLength(0);
+    } finally {
+      if (typeof previousConfig === 'undefined') {
+        delete globalThis.TEMPLATE_CONFIG;
+      } else {
+        globalThis.TEMPLATE_CONFIG = previousConfig;
+      }
+    }
+  });
+
+  it('should refuse a local disk save that would write a dependency cycle', async () => {
+    const previousFetch = globalThis.fetch;
+    let fetchCalls = 0;
+    globalThis.fetch = async () => {
+      fetchCalls += 1;
+      return { ok: true, status: 200, headers: { get: () => null }, json: async () => ({ ok: true }) };
+    };
+
+    try {
+      const db = new TaskDatabase(new MockGitHubAPI());
+      db.sourceKind = 'local-disk';
+      const base = { description: 'Loop', start_date: '2025-12-11', end_date: '2025-12-12', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'Testing' };
+      const first = db.createTask({ ...base, task_name: 'First' }).task;
+      const second = db.createTask({ ...base, task_name: 'Second', dependencies: [{ predecessor_task_id: first.task_id, type: 'FS' }] }).task;
+      db.updateTask(first.task_id, { dependencies: [{ predecessor_task_id: second.task_id, type: 'FS' }] });
+
+      const result = await db.saveTasks('Should fail');
+      expect(result.success).toBeFalsy();
+      expect(result.error).toContain(`dependency cycle #${first.task_id} → #${second.task_id} → #${first.task_id}`);
+      expect(fetchCalls).toBe(0);
+    } finally {
+      globalThis.fetch = previousFetch;
+    }
+  });
+
+  it('should send If-Match with the ETag from the local server load on the first save', async () => {
+    const previousConfig = globalThis.TEMPLATE_CONFIG;
+    const previousWindow = globalThis.window;
+    const previousFetch = globalThis.fetch;
+    const requests = [];
+    globalThis.TEMPLATE_CONFIG = { GITHUB: { ACTIVE_PROJECT_ID: 'disk-demo' } };
+    globalThis.window = {
+      location: { hostname: 'localhost', port: '3000', search: '' },
+      TaskBridgeProjectIntegration: {
+        createForDatabase: () => ({
+          loadFromBridge: async () => ({ handled: true, payload: { project: { name: 'On disk' }, tasks: [] }, etag: '"v1"' }),
+          // The bridge went offline after the load, so the save falls back to PUT /api/tasks.
+          saveToBridge: async () => ({ handled: false })
+        })
+      }
+    };
+    globalThis.fetch = async (url, options = {}) => {
+      requests.push({ url, headers: options.headers || {} });
+      return { ok: true, status: 200, headers: { get: () => '"v2"' }, json: async () => ({ ok: true }) };
+    };
+    const log = console.log;
+    const info = console.info;
+    console.log = () => {};
+    console.info = () => {};
+
+    try {
+      const db = new TaskDatabase(new MockGitHubAPI());
+      await db.loadTasks();
+      expect(db.sourceKind).toBe('local-disk');
+      expect(db.localDiskEtag).toBe('"v1"');
+      db.createTask({ task_name: 'First save', description: 'After load', start_date: '2025-12-11', end_date: '2025-12-12', priority: 'Medium', status: 'Not Started', estimated_hours: 1, category_name: 'Testing' });
+
+      const result = await db.saveTasks('First save');
+      expect(result.success).toBe(true);
+      expect(requests[0].url).toBe('/api/tasks?project=disk-demo');
+      expect(requests[0].headers['If-Match']).toBe('"v1"');
+      expect(db.localDiskEtag).toBe('"v2"');
+    } finally {
+      console.log = log;
+      console.info = info;
+      globalThis.fetch = previousFetch;
+      if (typeof previousWindow === 'undefined') {
+        delete globalThis.window;
+      } else {
+        globalThis.window = previousWindow;
+      }
+      if (typeof previousConfig === 'undefined') {
+        delete globalThis.TEMPLATE_CONFIG;
+      } else {
+        globalThis.TEMPLATE_CONFIG = previousConfig;
+      }
+    }
+  });
+
+  it('should surface local disk If-Match conflicts instead of falling back to localStorage', async () => {
+    const previousFetch = globalThis.fetch;
+    const requests = [];
+    let respondWithConflict = true;
+    globalThis.fetch = async (url, options = {}) => {
+      requests.push({ url, headers: options.headers || {} });
+      if (respondWithConflict) {
+        return {
+          ok: false,
+          status: 412,
+          headers: { get: () => '"server-etag"' },
+          json: async () => ({
+            ok: false,
+            etag: '"server-etag"',
+            conflicts: [{ action: 'update', taskId: '1', taskName: 'Local edit', changeSummary: 'status' }]
+          })
+        };
+      }
+      return { ok: true, status: 200, headers: { get: () => '"after-force"' }, json: async () => ({ ok: true }) };
+    };
+
+    try {
+      const db = new TaskDatabase(new MockGitHubAPI());
+      db.sourceKind = 'local-disk';
+      db.localDiskEtag = '"stale-etag"';
+      db.createTask({
+        task_name: 'Local edit',
+        description: 'Edited in another tab',
+        start_date: '2025-12-11',
+        end_date: '2025-12-12',
+        priority: 'Medium',
+        status: 'In Progress',
+        estimated_hours: 1,
+        category_name: 'Testing'
+      });
+
+      const conflicted = await db.saveTasks('Conflicting save');
+      expect(conflicted.success).toBe(false);
+      expect(conflicted.conflict.etag).toBe('"server-etag"');
+      expect(conflicted.conflict.conflicts[0].changeSummary).toBe('status');
+      expect(requests[0].headers['If-Match']).toBe('"stale-etag"');
+
+      respondWithConflict = false;
+      const forced = await db.saveTasks('Forced save', { force: true });
+      expect(forced.success).toBe(true);
+      expect(requests[1].headers['If-Match']).toBeUndefined();
+      expect(db.localDiskEtag).toBe('"after-force"');
+    } finally {
+      globalThis.fetch = previousFetch;
+    }
+  });
 });
 
@@ -0,0 +1,85 @@
+const path = require('path');
+
+const TaskTimeTracking = require(path.join(__dirname, '../../public/task-engine/js/task-time-tracking.js'));
+
+describe('TaskTimeTracking', () => {
+  it('turns a stopped timer into a time entry rolled up into actual_hours', () => {
+    const tracking = new TaskTimeTracking({ AUTOMATION: { AUTO_ROLLUP_ACTUAL_HOURS: true } });
+    const key = tracking.timerKey('demo', 7);
+
+    let timers = tracking.startTimer({}, key, { worker: 'Ada', now: new Date(2026, 4, 4, 9, 0) });
+    expect(() => tracking.startTimer(timers, key, { worker: 'Ada' })).toThrow('already running');
+    expect(tracking.elapsedHours(timers[key], new Date(2026, 4, 4, 10, 0))).toBe(1);
+
+    const stopped = tracking.stopTimer(timers, key, { now: new Date(2026, 4, 4, 10, 30), note: ' Schema review ' });
+    timers = stopped.timers;
+    expect(timers[key]).toBe(undefined);
+    expect(stopped.entry.worker).toBe('Ada');
+    expect(stopped.entry.hours).toBe(1.5);
+    expect(stopped.entry.note).toBe('Schema review');
+    expect(stopped.entry.start.slice(0, 16)).toBe('2026-05-04T09:00');
+    expect(() => tracking.stopTimer(timers, key)).toThrow('No timer');
+
+    let task = { task_id: 7, task_name: 'Schema', estimated_hours: 4, actual_hours: 0 };
+    task = tracking.addEntry(task, stopped.entry);
+    task = tracking.addEntry(task, { worker: 'Ada', start: '2026-05-05T13:00:00+00:00', end: '2026-05-05T16:00:00+00:00' });
+    expect(task.actual_hours).toBe(4.5);
+    expect(tracking.variance(task)).toEqual({ estimated: 4, actual: 4.5, variance: 0.5, percent: 13 });
+    expect(() => tracking.addEntry(task, { start: '2026-05-05T16:00:00+00:00', end: '2026-05-05T15:00:00+00:00' })).toThrow('end after');
+
+    task = tracking.removeEntry(task, 0);
+    expect(task.actual_hours).toBe(3);
+    expect(task.time_entries).toHaveLength(1);
+  });
+
+  it('rolls entries into actual_hours across tasks and inline subtasks', () => {
+    const tracking = new TaskTimeTracking({});
+    const tasks = [
+      { task_id: 1, actual_hours: 9, time_entries: [{ start: '2026-05-04T09:00:00Z', end: '2026-05-04T11:00:00Z' }] },
+      { task_id: 2, actual_hours: 5 },
+      { task_id: 3, subtasks: [{ name: 'Review', time_entries: [{ hours: 0.75 }] }, 'Plain subtask'] }
+    ];
+
+    const result = tracking.rollupTasks(tasks);
+    expect(result.changed).toEqual([1, 3]);
+    expect(result.tasks[0].actual_hours).toBe(2);
+    expect(result.tasks[1]).toBe(tasks[1]);
+    expect(result.tasks[2].subtasks[0].actual_hours).toBe(0.75);
+    expect(result.tasks[2].subtasks[1]).toBe('Plain subtask');
+    expect(tasks[0].actual_hours).toBe(9);
+
+    const disabled = new TaskTimeTracking({ AUTOMATION: { AUTO_ROLLUP_ACTUAL_HOURS: false } });
+    expect(disabled.rollupTasks(tasks).tasks).toBe(tasks);
+  });
+
+  it('builds a weekly timesheet per worker and exports it as CSV', () => {
+    const tracking = new TaskTimeTracking({});
+    const tasks = [
+      {
+        task_id: 1,
+        task_name: 'API, v2',
+        time_entries: [
+          { worker: 'Ada', start: '2026-05-04T09:00:00+02:00', end: '2026-05-04T12:00:00+02:00' },
+          { worker: 'Ada', start: '2026-05-06T23:00:00+02:00', end: '2026-05-07T01:00:00+02:00' },
+          { worker: 'Bo', start: '2026-05-05T10:00:00+02:00', end: '2026-05-05T11:30:00+02:00' },
+          { worker: 'Ada', start: '2026-05-11T09:00:00+02:00', end: '2026-05-11T10:00:00+02:00' }
+        ],
+        subtasks: [{ name: 'Docs', time_entries: [{ worker: 'Bo', start: '2026-05-10T08:00:00+02:00', end: '2026-05-10T09:00:00+02:00' }] }]
+      }
+    ];
+
+    const sheet = tracking.timesheet(tasks, { weekStart: '2026-05-07' });
+    expect(sheet.weekStart).toBe('2026-05-04');
+    expect(sheet.days[6]).toBe('2026-05-10');
+    expect(sheet.workers.map((row) => row.worker)).toEqual(['Ada', 'Bo']);
+    expect(sheet.workers[0].rows[0].hours).toEqual([3, 0, 2, 0, 0, 0, 0]);
+    expect(sheet.workers[1].rows.map((row) => row.task_name)).toEqual(['API, v2', 'API, v2 › Docs']);
+    expect(sheet.total).toBe(7.5);
+
+    expect(tracking.timesheet(tasks, { weekStart: '2026-05-04', worker: 'bo' }).workers).toHaveLength(1);
+
+    const csv = tracking.timesheetCsv(sheet).split('\n');
+    expect(csv[0]).toBe('worker,task_id,task_name,2026-05-04,2026-05-05,2026-05-06,2026-05-07,2026-05-08,2026-05-09,2026-05-10,total');
+    expect(csv[1]).toBe('Ada,1,"API, v2",3,0,2,0,0,0,0,5');
+  });
+});
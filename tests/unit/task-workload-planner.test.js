@@ -0,0 +1,79 @@
+const path = require('path');
+
+const TaskWorkloadPlanner = require(path.join(__dirname, '../../public/task-engine/js/task-workload-planner.js'));
+
+const config = { WORKLOAD: { DEFAULT_WEEKLY_CAPACITY_HOURS: 40, WORKING_DAYS: [1, 2, 3, 4, 5] } };
+
+const workers = [
+  { name: 'Ann', email: 'ann@example.com', weekly_capacity_hours: 20 },
+  { name: 'Bob', email: 'bob@example.com' }
+];
+
+// 2026-05-04 is a Monday.
+const tasks = () => [
+  { task_id: 1, task_name: 'API', status: 'Not Started', start_date: '2026-05-04', end_date: '2026-05-08', estimated_hours: 20, assigned_workers: [{ name: 'Ann' }] },
+  { task_id: 2, task_name: 'Schema', status: 'Not Started', start_date: '2026-05-04', end_date: '2026-05-05', estimated_hours: 8, assigned_workers: [{ email: 'ann@example.com' }] },
+  { task_id: 3, task_name: 'UI', status: 'Not Started', start_date: '2026-05-04', end_date: '2026-05-15', estimated_hours: 16, assigned_workers: [{ name: 'Bob' }] },
+  { task_id: 4, task_name: 'Old', status: 'Done', start_date: '2026-05-04', end_date: '2026-05-05', estimated_hours: 99, assigned_workers: [{ name: 'Bob' }] },
+  { task_id: 5, task_name: 'Undated', status: 'Not Started', estimated_hours: 5, assigned_workers: [{ name: 'Bob' }] },
+  { task_id: 6, task_name: 'Nobody', status: 'Not Started', start_date: '2026-05-04', end_date: '2026-05-04', estimated_hours: 2 }
+];
+
+describe('TaskWorkloadPlanner', () => {
+  it('spreads estimated hours over working days and flags days and weeks over capacity', () => {
+    const planner = new TaskWorkloadPlanner(config);
+    const byDay = planner.buildLoad(tasks(), workers, { unit: 'day', from: '2026-05-04', to: '2026-05-10' });
+
+    expect(byDay.buckets.map(bucket => bucket.working)).toEqual([true, true, true, true, true, false, false]);
+    const ann = byDay.workers.find(row => row.name === 'Ann');
+    expect(ann.cells.map(cell => [cell.hours, cell.capacity, cell.over])).toEqual([
+      [8, 4, true], [8, 4, true], [4, 4, false], [4, 4, false], [4, 4, false], [0, 0, false], [0, 0, false]
+    ]);
+    expect(ann.cells[0].tasks.map(entry => entry.task_id)).toEqual([1, 2]);
+    expect(byDay.workers.find(row => row.name === 'Bob').cells[0]).toEqual({ hours: 1.6, capacity: 8, over: false, tasks: [{ task_id: 3, task_name: 'UI', hours: 1.6 }] });
+    expect(byDay.unscheduled).toEqual([5]);
+    expect(byDay.unassigned).toEqual([6]);
+
+    const byWeek = planner.buildLoad(tasks(), workers, { unit: 'week', from: '2026-05-06', to: '2026-05-17' });
+    expect(byWeek.buckets.map(bucket => bucket.start)).toEqual(['2026-05-04', '2026-05-11']);
+    expect(byWeek.workers[0].cells.map(cell => [cell.hours, cell.capacity, cell.over])).toEqual([[28, 20, true], [0, 20, false]]);
+  });
+
+  it('suggests moving non-critical tasks later within their float to clear overloads', () => {
+    const planner = new TaskWorkloadPlanner(config);
+    const input = tasks();
+    const result = planner.suggestLeveling(input, workers);
+
+    expect(result.suggestions).toEqual([{
+      task_id: 2,
+      task_name: 'Schema',
+      workers: ['Ann'],
+      start_date: '2026-05-04',
+      end_date: '2026-05-05',
+      new_start_date: '2026-05-11',
+      new_end_date: '2026-05-12',
+      shift_days: 7,
+      total_float: 10
+    }]);
+    expect(result.remaining).toEqual([]);
+    expect(input[1].start_date).toBe('2026-05-04');
+  });
+
+  it('never pushes a successor past its planned start and leaves started tasks alone', () => {
+    const planner = new TaskWorkloadPlanner(config);
+    const input = tasks();
+    input.push({ task_id: 7, task_name: 'Review', status: 'Not Started', start_date: '2026-05-06', end_date: '2026-05-06', estimated_hours: 1, assigned_workers: [{ name: 'Bob' }], dependencies: [{ predecessor_task_id: 2, type: 'FS' }] });
+
+    const result = planner.suggestLeveling(input, workers);
+    expect(result.suggestions.map(entry => [entry.task_id, entry.new_start_date, entry.new_end_date])).toEqual([[1, '2026-05-11', '2026-05-15']]);
+    expect(result.remaining).toEqual([]);
+
+    input[0].status = 'In Progress';
+    const locked = planner.suggestLeveling(input, workers);
+    expect(locked.suggestions).toEqual([]);
+    expect(locked.remaining.map(entry => [entry.worker, entry.date, entry.hours, entry.capacity])).toEqual([
+      ['Ann', '2026-05-04', 8, 4],
+      ['Ann', '2026-05-05', 8, 4]
+    ]);
+  });
+});
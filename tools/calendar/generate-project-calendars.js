@@ -31,6 +31,11 @@ const {
   STATUS_TO_APPOINTMENT_MAP
 } = require('./calendar-appointment-schema');
 
+const TaskRecurrence = require('../../public/task-engine/js/task-recurrence.js');
+
+/** Shared recurrence rules for task `recurrence` fields. */
+const taskRecurrence = new TaskRecurrence();
+
 /** Root-level TaskDB directories excluded from root project discovery. */
 /** Excluded root project dirs. */
 const EXCLUDED_ROOT_PROJECT_DIRS = new Set(['external', 'local', '_examples', '_schema', '_templates']);
@@ -219,6 +224,27 @@ function normalizeRecurrence(value) {
   return RECURRENCE_VALUES.includes(normalized) ? normalized : 'none';
 }
 
+/**
+ * Calendar preset (`recurrence` + `recurrenceCount`) of a task's own `recurrence` rule, or `null`
+ * when it has none or needs to be expanded into occurrences (see expandRecurringTask).
+ */
+function resolveTaskRecurrencePreset(task, context) {
+  if (!task.recurrence || task.occurrence_of !== undefined) return null;
+  return taskRecurrence.toCalendarPreset(task.recurrence, taskRecurrence.countCompletedOccurrences(context.tasks || [], task.task_id));
+}
+
+/**
+ * Tasks whose `recurrence` rule cannot be written as a calendar preset (INTERVAL, BYDAY,
+ * BYMONTHDAY, UNTIL) become one virtual task per occurrence; other tasks pass through.
+ */
+function expandRecurringTask(task, context) {
+  if (!isPlainObject(task) || !taskRecurrence.normalizeRule(task.recurrence)) return [task];
+  const completed = taskRecurrence.countCompletedOccurrences(context.tasks || [], task.task_id);
+  if (taskRecurrence.toCalendarPreset(task.recurrence, completed)) return [task];
+  const occurrences = taskRecurrence.expandTask(task, { limit: 52, completed });
+  return occurrences.length > 0 ? occurrences : [task];
+}
+
 /** Normalize appointment status input to the supported status enum. */
 /** Normalize appointment status. */
 function normalizeAppointmentStatus(value, fallback = 'tentative') {
@@ -427,7 +453,9 @@ function buildAppointment(task, context) {
     ? Boolean(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.allDay))
     : Boolean(isDateOnlyString(startSource) && (!endSource || isDateOnlyString(endSource)));
   const calendarId = String(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.calendarId) || DEFAULT_CALENDAR_ID).trim() || DEFAULT_CALENDAR_ID;
-  const appointmentId = String(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.id) || `${context.projectId}:${task.task_id || slugify(task.task_name || task.title)}`).trim();
+  const occurrenceSuffix = task.occurrence_of !== undefined ? `@${task.start_date}` : '';
+  const appointmentId = String(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.id) || `${context.projectId}:${task.task_id || slugify(task.task_name || task.title)}`).trim() + occurrenceSuffix;
+  const recurrencePreset = resolveTaskRecurrencePreset(task, context);
   const status = normalizeAppointmentStatus(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.status), mapTaskStatusToAppointmentStatus(task.status));
   const title = String(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.title) || 'Untitled appointment').trim();
   const createdAt = toIsoDateTime(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.createdAt) || task.start_date) || new Date().toISOString();
@@ -450,7 +478,7 @@ function buildAppointment(task, context) {
     id: appointmentId,
     date,
     endDate,
-    recurrence: normalizeRecurrence(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.recurrence) || meta.recurrence),
+    recurrence: normalizeRecurrence(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.recurrence) || meta.recurrence || (recurrencePreset && recurrencePreset.recurrence)),
     title,
     description: String(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.description) || '').trim(),
     location: String(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.location) || '').trim(),
@@ -465,7 +493,7 @@ function buildAppointment(task, context) {
     timezone,
     calendarId,
     reminderMinutes: normalizeReminderMinutes(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.reminderMinutes)),
-    recurrenceCount: normalizePositiveCount(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.recurrenceCount)),
+    recurrenceCount: normalizePositiveCount(resolveTaskFieldValue(task, meta, TASK_TO_CALENDAR_FIELD_SOURCES.recurrenceCount) || (recurrencePreset && recurrencePreset.recurrenceCount)),
     professional: String(professionalCandidate || '').trim() || null,
     professionalId: professionalIdCandidate === null || professionalIdCandidate === undefined || professionalIdCandidate === ''
       ? null
@@ -523,10 +551,12 @@ function buildCalendarState(payload, options = {}) {
     projectId,
     projectName,
     projectTimezone: String(project.timezone || DEFAULT_TIMEZONE).trim() || DEFAULT_TIMEZONE,
-    calendarMetaById
+    calendarMetaById,
+    tasks: rawTasks
   };
 
   const appointments = tasks
+    .flatMap((task) => expandRecurringTask(task, context))
     .map((task) => buildAppointment(task, context))
     .filter(Boolean)
     .sort((left, right) => String(left.date).localeCompare(String(right.date)) || String(left.title).localeCompare(String(right.title)));
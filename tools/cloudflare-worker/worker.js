@@ -3,6 +3,8 @@
  *
  * The public app never ships GitHub write tokens; instead this worker validates
  * project access, constrains writable paths, and proxies the GitHub API.
+ * It also proxies GitHub's OAuth device flow (blocked by CORS in the browser) so
+ * users can sign in and write with their own token instead of the shared password.
  */
 
 const ALLOWED_ORIGINS = [
@@ -27,6 +29,9 @@ const ALLOWED_PATHS = [
   /^(?:public\/)?tasksDB\/(?:(?:external|local)\/)?[a-zA-Z0-9_-]+\/history\/[a-zA-Z0-9_-]+\.ndjson$/
 ];
 
+/** OAuth scopes the device flow may request; anything else is dropped. */
+const ALLOWED_OAUTH_SCOPES = ['public_repo', 'repo', 'read:user'];
+
 /**
  * Resolve the GitHub token to use for a specific project write operation.
  *
@@ -161,6 +166,19 @@ export default {
       return handleGetTaskHistory(request, env, origin);
     }
 
+    // Preview or restore a project to a point in its task history
+    if (path === '/api/task-history/rollback' && request.method === 'POST') {
+      return handleTaskHistoryRollback(request, env, origin);
+    }
+
+    // GitHub OAuth device flow (the browser cannot call these endpoints directly)
+    if (path === '/login/device/code' && request.method === 'POST') {
+      return handleDeviceCode(request, env, origin);
+    }
+    if (path === '/login/oauth/access_token' && request.method === 'POST') {
+      return handleAccessToken(request, env, origin);
+    }
+
     // Main API: PUT /api/tasks
     if (path === '/api/tasks' && request.method === 'PUT') {
       return handleTasksUpdate(request, env, origin);
@@ -294,6 +312,100 @@ function diffTasks(oldTasks, newTasks) {
   return events;
 }
 
+/**
+ * Shape raw diff entries into task-history events.
+ *
+ * @param {object[]} rawEvents
+ * @param {{ projectId: string, actor: string, origin: string, file: string, commitSha: string, message: string }} context
+ * @returns {object[]}
+ */
+function buildHistoryEvents(rawEvents, { projectId, actor, origin, file, commitSha, message }) {
+  const now = new Date().toISOString();
+  return rawEvents.map(ev => {
+    const taskName = (ev.after && (ev.after.task_name || ev.after.title)) || (ev.before && (ev.before.task_name || ev.before.title)) || '';
+    return {
+      ts: now,
+      projectId,
+      actor,
+      origin,
+      file,
+      commitSha,
+      message,
+      action: ev.action,
+      taskId: ev.taskId,
+      taskName,
+      changeSummary: ev.action === 'update' ? summarizeChanges(ev.changes) : ev.action,
+      changes: ev.changes,
+      before: ev.before,
+      after: ev.after
+    };
+  });
+}
+
+/**
+ * Undo one history event against a task list; stale events leave the list unchanged.
+ *
+ * @param {object[]} tasks
+ * @param {object} evt
+ * @returns {{tasks: object[], applied: boolean}}
+ */
+function applyInverseEvent(tasks, evt) {
+  const taskId = String(evt && evt.taskId);
+  const index = tasks.findIndex(task => getTaskKey(task) === taskId);
+
+  if (evt.action === 'create') {
+    if (index === -1) return { tasks, applied: false };
+    return { tasks: tasks.filter((_, i) => i !== index), applied: true };
+  }
+
+  if (evt.action === 'delete') {
+    if (index !== -1 || !evt.before) return { tasks, applied: false };
+    return { tasks: [...tasks, JSON.parse(JSON.stringify(evt.before))], applied: true };
+  }
+
+  if (index === -1 || !Array.isArray(evt.changes)) return { tasks, applied: false };
+  const restored = { ...tasks[index] };
+  for (const change of evt.changes) {
+    if (!change || !change.field) continue;
+    // JSON drops undefined, so a missing `before` means the field did not exist yet.
+    if (Object.prototype.hasOwnProperty.call(change, 'before')) restored[change.field] = JSON.parse(JSON.stringify(change.before));
+    else delete restored[change.field];
+  }
+  return { tasks: tasks.map((task, i) => (i === index ? restored : task)), applied: true };
+}
+
+/**
+ * Rebuild tasks as they were right after a target history event by undoing newer events.
+ * Mirrors `planHistoryRollback` in server.js; tests/fixtures/task-history/rollback.json checks both.
+ *
+ * @param {object[]} currentTasks
+ * @param {object[]} events - Oldest-first history events.
+ * @param {{ ts: string, taskId: string|number, action?: string }} target
+ * @returns {{tasks: object[], undone: object[], skipped: object[]}|null}
+ */
+function planRollback(currentTasks, events, target) {
+  let targetIndex = -1;
+  for (let i = events.length - 1; i >= 0; i--) {
+    const evt = events[i];
+    if (evt && String(evt.ts) === String(target.ts) && String(evt.taskId) === String(target.taskId) &&
+      (!target.action || evt.action === target.action)) {
+      targetIndex = i;
+      break;
+    }
+  }
+  if (targetIndex === -1) return null;
+
+  let tasks = Array.isArray(currentTasks) ? currentTasks.slice() : [];
+  const undone = [];
+  const skipped = [];
+  for (let i = events.length - 1; i > targetIndex; i--) {
+    const result = applyInverseEvent(tasks, events[i]);
+    tasks = result.tasks;
+    (result.applied ? undone : skipped).push(events[i]);
+  }
+  return { tasks, undone, skipped };
+}
+
 /**
  * Append task change events to the project's NDJSON history file.
  *
@@ -355,7 +467,7 @@ async function handleGetTaskHistory(request, env, origin) {
     const url = new URL(request.url);
     const projectId = (url.searchParams.get('project') || '').trim().replace(/[^a-zA-Z0-9_-]/g, '');
     const taskId = (url.searchParams.get('taskId') || '').trim();
-    const limit = Math.max(1, Math.min(500, Number(url.searchParams.get('limit') || '200')));
+    const limit = Math.max(1, Math.min(2000, Number(url.searchParams.get('limit') || '200')));
     if (!projectId) return jsonResponse({ error: 'Missing project parameter' }, origin, 400);
 
     const cfg = getProjectConfig(projectId, env);
@@ -385,6 +497,221 @@ async function handleGetTaskHistory(request, env, origin) {
   }
 }
 
+/**
+ * Preview (dryRun, default) or commit a rollback of node.tasks.json to just after one history event.
+ * Previews are public like history reads; commits require a GitHub user token or the project/master password.
+ *
+ * @param {Request} request
+ * @param {Record<string, string>} env
+ * @param {string} origin
+ * @returns {Promise<Response>}
+ */
+async function handleTaskHistoryRollback(request, env, origin) {
+  try {
+    const body = await request.json();
+    const projectId = safeProjectId(body && body.projectId);
+    const { ts, taskId, action } = body || {};
+    const dryRun = !body || body.dryRun !== false;
+    if (!projectId) return jsonResponse({ error: 'Missing projectId' }, origin, 400);
+    if (!ts || taskId === undefined || taskId === null || taskId === '') {
+      return jsonResponse({ error: 'ts and taskId of the target history event are required' }, origin, 400);
+    }
+
+    const cfg = getProjectConfig(projectId, env);
+    if (!cfg) return jsonResponse({ error: `Unknown project: ${projectId}` }, origin, 400);
+
+    let access = { token: getTokenForProject(projectId, env), actor: body.actor ? String(body.actor) : '' };
+    if (!dryRun) {
+      access = await resolveWriteAccess(request, body, projectId, env);
+      if (access.error) return jsonResponse({ error: access.error }, origin, access.status);
+    }
+
+    const token = access.token;
+    if (!token) return jsonResponse({ error: 'GitHub token not configured' }, origin, 500);
+
+    const basePath = getProjectBasePath(cfg);
+    const tasksPath = `${basePath}/node.tasks.json`;
+    const tasksFile = await getFileContentAndShaForRepo(cfg, tasksPath, token);
+    const payload = tasksFile ? safeJsonParse(tasksFile.content, null) : null;
+    if (!payload || !Array.isArray(payload.tasks)) {
+      return jsonResponse({ error: 'node.tasks.json not found' }, origin, 404);
+    }
+
+    const historyFile = await getFileContentAndShaForRepo(cfg, `${basePath}/history/changes.ndjson`, token);
+    const events = String((historyFile && historyFile.content) || '')
+      .split(/\r?\n/)
+      .filter(Boolean)
+      .map(line => safeJsonParse(line, null))
+      .filter(Boolean);
+
+    const plan = planRollback(payload.tasks, events, { ts, taskId, action });
+    if (!plan) return jsonResponse({ error: 'History event not found' }, origin, 404);
+
+    const changes = diffTasks(payload.tasks, plan.tasks).map(ev => ({
+      action: ev.action,
+      taskId: ev.taskId,
+      taskName: String((ev.after && ev.after.task_name) || (ev.before && ev.before.task_name) || ''),
+      changeSummary: ev.action === 'update' ? summarizeChanges(ev.changes) : ev.action,
+      changes: ev.changes
+    }));
+    const result = { success: true, dryRun, undone: plan.undone.length, skipped: plan.skipped.length, changes, tasks: plan.tasks };
+    if (dryRun) return jsonResponse(result, origin);
+
+    const message = `Rollback to ${ts} (#${taskId})`;
+    const nextContent = JSON.stringify({ ...payload, tasks: plan.tasks }, null, 2);
+    const updateResponse = await fetch(
+      `https://api.github.com/repos/${cfg.owner}/${cfg.repo}/contents/${tasksPath}`,
+      {
+        method: 'PUT',
+        headers: {
+          'Authorization': `token ${token}`,
+          'Accept': 'application/vnd.github.v3+json',
+          'Content-Type': 'application/json',
+          'User-Agent': 'TaskManager-Worker'
+        },
+        body: JSON.stringify({
+          message,
+          content: btoa(unescape(encodeURIComponent(nextContent))),
+          branch: cfg.branch,
+          sha: tasksFile.sha
+        })
+      }
+    );
+    if (!updateResponse.ok) {
+      const error = await updateResponse.json();
+      return jsonResponse({ error: error.message || 'GitHub API error' }, origin, updateResponse.status);
+    }
+    const commit = await updateResponse.json();
+
+    try {
+      await appendNdjsonEvents(projectId, token, buildHistoryEvents(diffTasks(payload.tasks, plan.tasks), {
+        projectId,
+        actor: access.actor,
+        origin,
+        file: tasksPath,
+        commitSha: commit && commit.commit ? commit.commit.sha : '',
+        message
+      }), env);
+    } catch {
+      // ignore history errors
+    }
+
+    return jsonResponse({ ...result, commit: commit && commit.commit ? commit.commit.sha : '' }, origin);
+  } catch (e) {
+    return jsonResponse({ error: e.message }, origin, 500);
+  }
+}
+
+/**
+ * Decide which token and actor a write runs as.
+ *
+ * An `Authorization: Bearer <token>` header is a GitHub user token from the device flow: it is
+ * checked against GitHub and the write is made with it, recorded under the user's login.
+ * Without it the shared access password is required and the project token is used.
+ *
+ * @param {Request} request
+ * @param {object} body
+ * @param {string} projectId
+ * @param {Record<string, string>} env
+ * @returns {Promise<{token: string, actor: string}|{error: string, status: number}>}
+ */
+async function resolveWriteAccess(request, body, projectId, env) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    const userResponse = await fetch('https://api.github.com/user', {
+      headers: {
+        'Authorization': `token ${match[1]}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'TaskManager-Worker'
+      }
+    });
+    if (!userResponse.ok) return { error: 'GitHub sign-in expired or was revoked', status: 401 };
+    const user = await userResponse.json();
+    return { token: match[1], actor: String((user && user.login) || '') };
+  }
+
+  const accessPassword = body && body.accessPassword;
+  const masterPassword = env.ACCESS_PASSWORD_MASTER || '';
+  const projectPassword = env[`ACCESS_PASSWORD_${safeProjectId(projectId).toUpperCase().replace(/-/g, '_')}`] || '';
+  if (!accessPassword || (accessPassword !== masterPassword && accessPassword !== projectPassword)) {
+    return { error: 'Invalid access password', status: 401 };
+  }
+  return { token: getTokenForProject(projectId, env), actor: (body && body.actor) ? String(body.actor) : '' };
+}
+
+/**
+ * Forward a form to one of GitHub's OAuth endpoints and relay its JSON reply.
+ *
+ * @param {string} url
+ * @param {Record<string, string>} form
+ * @param {string} origin
+ * @returns {Promise<Response>}
+ */
+async function postGitHubOAuth(url, form, origin) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': 'TaskManager-Worker'
+    },
+    body: new URLSearchParams(form).toString()
+  });
+  const data = safeJsonParse(await response.text(), null);
+  if (!data) return jsonResponse({ error: 'Unexpected response from GitHub' }, origin, 502);
+  return jsonResponse(data, origin, response.ok ? 200 : response.status);
+}
+
+/**
+ * Start the device flow: request a user code for the configured OAuth app.
+ *
+ * @param {Request} request
+ * @param {Record<string, string>} env
+ * @param {string} origin
+ * @returns {Promise<Response>}
+ */
+async function handleDeviceCode(request, env, origin) {
+  try {
+    const clientId = String((env && env.GITHUB_OAUTH_CLIENT_ID) || '').trim();
+    if (!clientId) return jsonResponse({ error: 'GitHub OAuth client not configured' }, origin, 500);
+
+    const body = await request.json().catch(() => ({}));
+    const requested = String((body && body.scope) || 'public_repo').split(/[\s,]+/);
+    const scope = requested.filter(s => ALLOWED_OAUTH_SCOPES.includes(s)).join(' ') || 'public_repo';
+    return postGitHubOAuth('https://github.com/login/device/code', { client_id: clientId, scope }, origin);
+  } catch (e) {
+    return jsonResponse({ error: e.message }, origin, 500);
+  }
+}
+
+/**
+ * Poll the device flow: exchange a device code for an access token once the user approved it.
+ * GitHub's pending states (`authorization_pending`, `slow_down`, ...) are relayed unchanged.
+ *
+ * @param {Request} request
+ * @param {Record<string, string>} env
+ * @param {string} origin
+ * @returns {Promise<Response>}
+ */
+async function handleAccessToken(request, env, origin) {
+  try {
+    const clientId = String((env && env.GITHUB_OAUTH_CLIENT_ID) || '').trim();
+    if (!clientId) return jsonResponse({ error: 'GitHub OAuth client not configured' }, origin, 500);
+
+    const body = await request.json().catch(() => ({}));
+    const deviceCode = String((body && body.device_code) || '').trim();
+    if (!deviceCode) return jsonResponse({ error: 'Missing device_code' }, origin, 400);
+    return postGitHubOAuth('https://github.com/login/oauth/access_token', {
+      client_id: clientId,
+      device_code: deviceCode,
+      grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+    }, origin);
+  } catch (e) {
+    return jsonResponse({ error: e.message }, origin, 500);
+  }
+}
+
 /**
  * Validate and persist a TaskDB file update through the GitHub contents API.
  *
@@ -398,9 +725,9 @@ async function handleTasksUpdate(request, env, origin) {
     const body = await request.json();
     
     // Validate required fields
-    const { projectId, accessPassword, filePath, content, message } = body;
+    const { projectId, filePath, content, message } = body;
     
-    if (!projectId || !accessPassword || !filePath || !content) {
+    if (!projectId || !filePath || !content) {
       return jsonResponse({ error: 'Missing required fields' }, origin, 400);
     }
 
@@ -409,12 +736,10 @@ async function handleTasksUpdate(request, env, origin) {
       return jsonResponse({ error: `Unknown project: ${projectId}` }, origin, 400);
     }
 
-    // Validate access password
-    const masterPassword = env.ACCESS_PASSWORD_MASTER || '';
-    const projectPassword = env[`ACCESS_PASSWORD_${projectId.toUpperCase().replace(/-/g, '_')}`] || '';
-    
-    if (accessPassword !== masterPassword && accessPassword !== projectPassword) {
-      return jsonResponse({ error: 'Invalid access password' }, origin, 401);
+    // Validate the signed-in GitHub user or the access password
+    const access = await resolveWriteAccess(request, body, projectId, env);
+    if (access.error) {
+      return jsonResponse({ error: access.error }, origin, access.status);
     }
 
     // Validate file path (only allow TaskDB files)
@@ -439,7 +764,7 @@ async function handleTasksUpdate(request, env, origin) {
     }
 
     // Get current file SHA (needed for update)
-    const token = getTokenForProject(projectId, env);
+    const token = access.token;
     if (!token) {
       return jsonResponse({ error: 'GitHub token not configured' }, origin, 500);
     }
@@ -509,30 +834,13 @@ async function handleTasksUpdate(request, env, origin) {
         const prevTasks = prev && Array.isArray(prev.tasks) ? prev.tasks : [];
         const nextTasks = next && Array.isArray(next.tasks) ? next.tasks : [];
 
-        const rawEvents = diffTasks(prevTasks, nextTasks);
-        const actor = (body && body.actor) ? String(body.actor) : '';
-        const now = new Date().toISOString();
-        const commitSha = result && result.commit && result.commit.sha ? result.commit.sha : (result && result.commit ? result.commit : '');
-        const msg = message || `Update ${filePath}`;
-
-        const events = rawEvents.map(ev => {
-          const taskName = (ev.after && (ev.after.task_name || ev.after.title)) || (ev.before && (ev.before.task_name || ev.before.title)) || '';
-          return {
-            ts: now,
-            projectId,
-            actor,
-            origin,
-            file: filePath,
-            commitSha,
-            message: msg,
-            action: ev.action,
-            taskId: ev.taskId,
-            taskName,
-            changeSummary: ev.action === 'update' ? summarizeChanges(ev.changes) : ev.action,
-            changes: ev.changes,
-            before: ev.before,
-            after: ev.after
-          };
+        const events = buildHistoryEvents(diffTasks(prevTasks, nextTasks), {
+          projectId,
+          actor: access.actor,
+          origin,
+          file: filePath,
+          commitSha: result && result.commit && result.commit.sha ? result.commit.sha : (result && result.commit ? result.commit : ''),
+          message: message || `Update ${filePath}`
         });
 
         // Append to history file (best-effort; do not block response)
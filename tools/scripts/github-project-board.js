@@ -0,0 +1,129 @@
+/**
+ * github-project-board.js
+ * -----------------------
+ * Imports a GitHub Projects (v2) board into a project's tasks, or exports the tasks back to the
+ * board, using the shared engine in public/task-engine/js/task-github-projects.js.
+ *
+ * Why:
+ * - Many repositories already plan on a Projects board; its items, Status, Iteration and Estimate
+ *   fields and views should not have to be re-entered as tasks (or kept up to date by hand).
+ *
+ * The board is `--owner` / `--number`, else the `project.github_project` recorded by the last import,
+ * else the owner of the project's repository (public/config/projects-config.js). GitHub's GraphQL API
+ * needs a token (`GITHUB_TOKEN` or `GH_TOKEN`) even for public boards. `--dry-run` prints the diff
+ * without saving or writing to GitHub; `--fixture` replaces GitHub with recorded GraphQL responses
+ * (see tests/fixtures/github-projects/) and only logs the mutations.
+ *
+ * Usage:
+ *   node tools/scripts/github-project-board.js github-task-manager import --owner octo-org --number 3 --dry-run
+ *   node tools/scripts/github-project-board.js github-task-manager import
+ *   node tools/scripts/github-project-board.js github-task-manager export --dry-run
+ *   node tools/scripts/github-project-board.js demo import --fixture tests/fixtures/github-projects/team-board.json --file /tmp/node.tasks.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TaskGitHubProjects = require('../../public/task-engine/js/task-github-projects.js');
+const TEMPLATE_CONFIG = require('../../public/config/tasks-template-config.js');
+const { GitHubRestClient, FixtureGitHubClient, findTasksFile, projectRepo } = require('./sync-github-issues.js');
+
+/** Parse CLI arguments for this board script. */
+function parseArgs(argv) {
+  const args = { projectId: '', direction: '', owner: '', number: null, dryRun: false, fixture: '', file: '' };
+  const rest = argv.slice(2);
+  for (let i = 0; i < rest.length; i += 1) {
+    const a = rest[i];
+    if (a === '--owner') args.owner = rest[++i] || '';
+    else if (a === '--number') args.number = parseInt(rest[++i], 10) || null;
+    else if (a === '--dry-run') args.dryRun = true;
+    else if (a === '--fixture') args.fixture = rest[++i] || '';
+    else if (a === '--file') args.file = rest[++i] || '';
+    else if (!args.projectId) args.projectId = a;
+    else if (!args.direction) args.direction = a;
+  }
+  return args;
+}
+
+/** Next free task ids after the highest one in use. */
+function assignTaskIds(tasks, created) {
+  let next = Math.max(0, ...tasks.map((task) => Number(task && task.task_id) || 0)) + 1;
+  return created.map((task) => ({ task_id: next++, ...task }));
+}
+
+/**
+ * Run the script entrypoint for this file.
+ *
+ * @param {string[]} [argv]
+ * @param {{ client?: object, log?: Function, now?: () => Date }} [options] - Injected GitHub client, logger and clock (tests).
+ * @returns {Promise<object>} The import result or export plan (with `applied` after a real export).
+ */
+async function main(argv = process.argv, options = {}) {
+  const args = parseArgs(argv);
+  const log = options.log || console.log;
+  const fail = (message) => {
+    throw new Error(message);
+  };
+
+  if (!args.projectId || !['import', 'export'].includes(args.direction)) {
+    fail('Usage: github-project-board.js <projectId> import|export [--owner login] [--number n] [--dry-run] [--fixture file] [--file node.tasks.json]');
+  }
+  const tasksFile = args.file ? path.resolve(args.file) : findTasksFile(args.projectId);
+  if (!tasksFile || !fs.existsSync(tasksFile)) fail(`node.tasks.json not found for project: ${args.projectId}`);
+  const data = JSON.parse(fs.readFileSync(tasksFile, 'utf8'));
+  const recorded = (data.project && data.project.github_project) || {};
+  const owner = args.owner || recorded.owner || projectRepo(args.projectId).split('/')[0];
+  const number = args.number || recorded.number;
+  if (!owner || !number) fail('A board is required (--owner login --number n)');
+
+  let client = options.client || null;
+  if (!client && args.fixture) client = FixtureGitHubClient.fromFile(path.resolve(args.fixture));
+  if (!client) {
+    const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN || '';
+    if (!token) fail('GitHub GraphQL needs a token: set GITHUB_TOKEN or GH_TOKEN');
+    client = new GitHubRestClient({ owner, repo: '', token });
+  }
+
+  const engine = new TaskGitHubProjects(TEMPLATE_CONFIG, options.now ? { now: options.now } : {});
+  const board = await engine.fetchBoard(client, owner, number);
+  log(`Board "${board.title}" (${owner} #${board.number}): ${board.items.length} item(s)`);
+  const tasks = data.tasks || [];
+
+  if (args.direction === 'import') {
+    const result = engine.importBoard(data, board, { owner });
+    engine.formatImport(result).forEach((line) => log(line));
+    if (args.dryRun) return result;
+    if (result.created.length > 0 || result.changes.length > 0 || result.projectChanged) {
+      data.project = result.project;
+      data.tasks = [...result.tasks, ...assignTaskIds(result.tasks, result.created)];
+      fs.writeFileSync(tasksFile, JSON.stringify(data, null, 2) + '\n', 'utf8');
+      log(`Updated ${tasksFile}`);
+    }
+    return result;
+  }
+
+  const plan = engine.planExport(tasks, board);
+  engine.formatExport(plan).forEach((line) => log(line));
+  if (args.dryRun) return plan;
+  const applied = await engine.applyExport(client, board, plan);
+  log(`Sent ${applied.applied} change(s) to GitHub`);
+  if (applied.added.length > 0) {
+    const itemIds = new Map(applied.added.map((entry) => [entry.task_id, entry.item_id]));
+    data.tasks = tasks.map((task) => (itemIds.has(task.task_id) ? { ...task, project_item_id: itemIds.get(task.task_id) } : task));
+    fs.writeFileSync(tasksFile, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    log(`Updated ${tasksFile}`);
+  }
+  return { ...plan, ...applied };
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  main
+};
@@ -0,0 +1,125 @@
+/**
+ * link-task-commits.js
+ * --------------------
+ * Records the commits and pull requests that reference a task (`task #12`, `task-12`,
+ * `task #project-id/12`) in the task's `links`, using public/task-engine/js/task-code-links.js.
+ *
+ * Why:
+ * - Tasks never showed the code that implements them.
+ * - A task whose pull request opens can move to "In Review", and to "Completed" when it merges
+ *   (`AUTOMATION.AUTO_STATUS_FROM_PULL_REQUESTS`, `CODE_LINKS` in tasks-template-config.js).
+ *
+ * Commits come from the local `git log` (skip with `--no-git`). `--github` adds the repository's
+ * pull requests and commits from the GitHub API (`GITHUB_TOKEN` or `GH_TOKEN` for private repos);
+ * `--fixture` reads both from a recorded API response file instead (see tests/fixtures/github-issues/).
+ *
+ * Usage:
+ *   node tools/scripts/link-task-commits.js github-task-manager
+ *   node tools/scripts/link-task-commits.js github-task-manager --range origin/main..HEAD --dry-run
+ *   node tools/scripts/link-task-commits.js github-task-manager --github --max 500
+ *   node tools/scripts/link-task-commits.js demo --fixture tests/fixtures/github-issues/sample-repo.json --file /tmp/node.tasks.json
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const TaskCodeLinks = require('../../public/task-engine/js/task-code-links.js');
+const TEMPLATE_CONFIG = require('../../public/config/tasks-template-config.js');
+const { GitHubRestClient, FixtureGitHubClient, findTasksFile, projectRepo } = require('./sync-github-issues.js');
+
+/**
+ * Read commits from the local repository.
+ *
+ * @param {{ range?: string, max?: number, cwd?: string }} [options]
+ * @returns {{ sha: string, date: string, author: string, message: string }[]}
+ */
+function readGitLog(options = {}) {
+  const args = ['log', `--max-count=${options.max || 200}`, '--pretty=format:%H%x00%aI%x00%an%x00%B%x1e'];
+  if (options.range) args.push(options.range);
+  const out = execFileSync('git', args, { cwd: options.cwd || process.cwd(), stdio: ['ignore', 'pipe', 'pipe'] }).toString('utf8');
+  return out.split('\x1e').map((record) => record.replace(/^\n/, '')).filter(Boolean).map((record) => {
+    const [sha, date, author, ...message] = record.split('\x00');
+    return { sha, date, author, message: message.join('\x00').trim() };
+  });
+}
+
+/** Parse CLI arguments for this linking script. */
+function parseArgs(argv) {
+  const args = { projectId: '', repo: '', range: '', max: 200, github: false, git: true, fixture: '', file: '', dryRun: false };
+  const rest = argv.slice(2);
+  for (let i = 0; i < rest.length; i += 1) {
+    const a = rest[i];
+    if (a === '--repo') args.repo = rest[++i] || '';
+    else if (a === '--range') args.range = rest[++i] || '';
+    else if (a === '--max') args.max = parseInt(rest[++i], 10) || 200;
+    else if (a === '--github') args.github = true;
+    else if (a === '--no-git') args.git = false;
+    else if (a === '--fixture') args.fixture = rest[++i] || '';
+    else if (a === '--file') args.file = rest[++i] || '';
+    else if (a === '--dry-run') args.dryRun = true;
+    else if (!args.projectId) args.projectId = a;
+  }
+  return args;
+}
+
+/**
+ * Run the script entrypoint for this file.
+ *
+ * @param {string[]} [argv]
+ * @param {{ client?: object, log?: Function }} [options] - Injected GitHub client and logger (tests).
+ * @returns {Promise<object>} The link result.
+ */
+async function main(argv = process.argv, options = {}) {
+  const args = parseArgs(argv);
+  const log = options.log || console.log;
+  const fail = (message) => {
+    throw new Error(message);
+  };
+
+  if (!args.projectId) fail('Usage: link-task-commits.js <projectId> [--repo owner/name] [--range a..b] [--max n] [--github] [--no-git] [--fixture file] [--file node.tasks.json] [--dry-run]');
+  const tasksFile = args.file ? path.resolve(args.file) : findTasksFile(args.projectId);
+  if (!tasksFile || !fs.existsSync(tasksFile)) fail(`node.tasks.json not found for project: ${args.projectId}`);
+  const repo = args.repo || projectRepo(args.projectId);
+
+  const commits = [];
+  const pullRequests = [];
+  let client = options.client || null;
+  if (!client && args.fixture) client = FixtureGitHubClient.fromFile(path.resolve(args.fixture));
+  if (!client && args.github) {
+    const [owner, name] = repo.split('/');
+    if (!owner || !name) fail('A repository is required (--repo owner/name)');
+    client = new GitHubRestClient({ owner, repo: name, token: process.env.GITHUB_TOKEN || process.env.GH_TOKEN || '' });
+  }
+  if (args.git && !args.fixture) commits.push(...readGitLog({ range: args.range, max: args.max, cwd: path.dirname(tasksFile) }));
+  if (client) {
+    commits.push(...((await client.listCommits('', args.max)) || []));
+    pullRequests.push(...((await client.listPullRequests('all', args.max)) || []));
+  }
+
+  const data = JSON.parse(fs.readFileSync(tasksFile, 'utf8'));
+  const linker = new TaskCodeLinks(TEMPLATE_CONFIG);
+  const result = linker.link(data.tasks || [], { commits, pullRequests, repo, projectId: args.projectId });
+  log(`Scanned ${commits.length} commit(s) and ${pullRequests.length} pull request(s)`);
+  linker.formatResult(result).forEach((line) => log(line));
+
+  if (!args.dryRun && result.tasks.some((task, index) => task !== data.tasks[index])) {
+    data.tasks = result.tasks;
+    fs.writeFileSync(tasksFile, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    log(`Updated ${tasksFile}`);
+  }
+  return result;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  readGitLog,
+  parseArgs,
+  main
+};
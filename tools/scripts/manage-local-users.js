@@ -0,0 +1,213 @@
+/**
+ * manage-local-users.js
+ * ---------------------
+ * Maintains the optional local user store that turns on authentication for `server.js`.
+ *
+ * Why:
+ * - The local server otherwise accepts writes from anyone who can reach it.
+ * - Team servers need per-project roles (viewer, contributor, maintainer) and a verified
+ *   actor name in task history instead of the free-text `X-Actor` header.
+ *
+ * The store is a JSON file (default `users.local.json` at the repository root, or
+ * `AUTH_USERS_FILE`). Passwords are kept as scrypt hashes and API tokens as SHA-256
+ * hashes; the plain token is printed once when it is issued.
+ *
+ * Usage:
+ *   node tools/scripts/manage-local-users.js add alice --password s3cret --role contributor
+ *   node tools/scripts/manage-local-users.js role alice maintainer --project github-task-manager
+ *   node tools/scripts/manage-local-users.js token alice --label laptop
+ *   node tools/scripts/manage-local-users.js revoke alice --label laptop
+ *   node tools/scripts/manage-local-users.js remove alice
+ *   node tools/scripts/manage-local-users.js list
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/** Roles in increasing order of what they may do; `none` grants nothing. */
+const ROLE_LEVELS = Object.freeze({ none: 0, viewer: 1, contributor: 2, maintainer: 3 });
+
+/** Store file used when neither `--file` nor `AUTH_USERS_FILE` is given. */
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', '..', 'users.local.json');
+
+/** Hash a password as `scrypt$<salt>$<hash>`. */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/** Compare two hex digests without leaking timing. */
+function safeEqualHex(a, b) {
+  const left = Buffer.from(String(a), 'hex');
+  const right = Buffer.from(String(b), 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/** Check a password against a stored `scrypt$...` hash. */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  return safeEqualHex(crypto.scryptSync(String(password), salt, 64).toString('hex'), hash);
+}
+
+/** Hash an API token as `sha256$<hex>`. */
+function hashToken(token) {
+  return `sha256$${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+}
+
+/** Create a new random API token. */
+function generateToken() {
+  return `tdb_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Read a user store, returning `null` when the file does not exist.
+ *
+ * @param {string} filePath
+ * @returns {{ anonymousRole: string, users: object[] }|null}
+ */
+function readUserStore(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    anonymousRole: data.anonymousRole === 'none' ? 'none' : 'viewer',
+    users: Array.isArray(data.users) ? data.users : []
+  };
+}
+
+/** Write a user store with owner-only permissions. */
+function writeUserStore(filePath, store) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(store, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Resolve the user behind an `Authorization` header (`Bearer <token>` or `Basic <base64 user:password>`).
+ *
+ * @param {{ users: object[] }} store
+ * @param {string} header
+ * @returns {{ user: object, method: 'token'|'password' }|null} `null` when the credentials do not match.
+ */
+function authenticate(store, header) {
+  const [scheme, credentials = ''] = String(header || '').trim().split(/\s+/, 2);
+  if (/^bearer$/i.test(scheme)) {
+    const tokenHash = hashToken(credentials);
+    const user = store.users.find((candidate) => (candidate.tokens || []).some((token) => (
+      safeEqualHex(String(token.hash).replace(/^sha256\$/, ''), tokenHash.replace(/^sha256\$/, ''))
+    )));
+    return user ? { user, method: 'token' } : null;
+  }
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 1) return null;
+    const username = decoded.slice(0, separator);
+    const user = store.users.find((candidate) => candidate.username === username);
+    return user && verifyPassword(decoded.slice(separator + 1), user.password) ? { user, method: 'password' } : null;
+  }
+  return null;
+}
+
+/**
+ * Role of a user on a project: the project entry, else the `*` entry, else `none`.
+ *
+ * @param {object|null} user
+ * @param {string} projectId
+ * @returns {'none'|'viewer'|'contributor'|'maintainer'}
+ */
+function roleFor(user, projectId) {
+  const roles = (user && user.roles) || {};
+  const role = Object.prototype.hasOwnProperty.call(roles, projectId) ? roles[projectId] : roles['*'];
+  return Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role) ? role : 'none';
+}
+
+/** Parse CLI arguments for this user management script. */
+function parseArgs(argv) {
+  const args = { command: '', username: '', role: '', password: '', project: '*', label: '', file: '' };
+  const rest = argv.slice(2);
+  for (let i = 0; i < rest.length; i += 1) {
+    const a = rest[i];
+    if (a === '--password') args.password = rest[++i] || '';
+    else if (a === '--role') args.role = rest[++i] || '';
+    else if (a === '--project') args.project = rest[++i] || '*';
+    else if (a === '--label') args.label = rest[++i] || '';
+    else if (a === '--file') args.file = rest[++i] || '';
+    else if (!args.command) args.command = a;
+    else if (!args.username) args.username = a;
+    else if (!args.role) args.role = a;
+  }
+  return args;
+}
+
+/** Run the script entrypoint for this file. */
+function main(argv = process.argv) {
+  const args = parseArgs(argv);
+  const filePath = path.resolve(args.file || process.env.AUTH_USERS_FILE || DEFAULT_USERS_FILE);
+  const store = readUserStore(filePath) || { anonymousRole: 'viewer', users: [] };
+  const user = store.users.find((candidate) => candidate.username === args.username);
+  const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+  };
+
+  if (args.command === 'list') {
+    console.log(`User store: ${filePath}`);
+    for (const entry of store.users) {
+      const roles = Object.entries(entry.roles || {}).map(([project, role]) => `${project}=${role}`).join(', ');
+      console.log(`- ${entry.username} [${roles || 'no roles'}] tokens: ${(entry.tokens || []).length}`);
+    }
+    return;
+  }
+
+  if (!args.username) fail('A username is required');
+  if (args.role && !Object.prototype.hasOwnProperty.call(ROLE_LEVELS, args.role)) {
+    fail(`Unknown role "${args.role}". Use one of: ${Object.keys(ROLE_LEVELS).join(', ')}`);
+  }
+
+  if (args.command === 'add') {
+    if (user) fail(`User "${args.username}" already exists`);
+    const entry = { username: args.username, roles: { [args.project]: args.role || 'viewer' }, tokens: [] };
+    if (args.password) entry.password = hashPassword(args.password);
+    store.users.push(entry);
+  } else if (!user) {
+    fail(`User "${args.username}" not found`);
+  } else if (args.command === 'role') {
+    if (!args.role) fail('A role is required');
+    user.roles = { ...(user.roles || {}), [args.project]: args.role };
+  } else if (args.command === 'password') {
+    if (!args.password) fail('--password is required');
+    user.password = hashPassword(args.password);
+  } else if (args.command === 'token') {
+    const token = generateToken();
+    user.tokens = [...(user.tokens || []), { label: args.label || `token-${(user.tokens || []).length + 1}`, hash: hashToken(token), createdAt: new Date().toISOString() }];
+    console.log(token);
+  } else if (args.command === 'revoke') {
+    user.tokens = (user.tokens || []).filter((token) => args.label && token.label !== args.label);
+  } else if (args.command === 'remove') {
+    store.users = store.users.filter((candidate) => candidate !== user);
+  } else {
+    fail('Usage: manage-local-users.js <add|role|password|token|revoke|remove|list> <username> [role] [--password p] [--project id] [--label name] [--file path]');
+  }
+
+  writeUserStore(filePath, store);
+  if (args.command !== 'token') console.log(`Updated ${filePath}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  ROLE_LEVELS,
+  DEFAULT_USERS_FILE,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateToken,
+  readUserStore,
+  writeUserStore,
+  authenticate,
+  roleFor,
+  main
+};
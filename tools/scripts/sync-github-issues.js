@@ -0,0 +1,294 @@
+/**
+ * sync-github-issues.js
+ * ---------------------
+ * Two-way sync between a project's tasks and the GitHub Issues they are linked to
+ * (`issue-#N` tag), using the shared engine in public/task-engine/js/task-issue-sync.js.
+ *
+ * Why:
+ * - Issues imported from, or created for, tasks drift from them afterwards.
+ * - Status, labels (tags, priority, category), assignees, milestones (sprints) and comments are
+ *   reconciled in both directions; fields changed on both sides are reported as conflicts.
+ *
+ * The repository comes from `--repo`, else from the project entry in public/config/projects-config.js.
+ * The token comes from `GITHUB_TOKEN` (or `GH_TOKEN`). With `--fixture`, GitHub is replaced by a
+ * recorded API response file (see tests/fixtures/github-issues/) and writes are only logged.
+ *
+ * Usage:
+ *   node tools/scripts/sync-github-issues.js github-task-manager
+ *   node tools/scripts/sync-github-issues.js github-task-manager --dry-run
+ *   node tools/scripts/sync-github-issues.js github-task-manager --prefer github
+ *   node tools/scripts/sync-github-issues.js github-task-manager --repo owner/name --file path/to/node.tasks.json
+ *   node tools/scripts/sync-github-issues.js demo --fixture tests/fixtures/github-issues/sample-repo.json --file /tmp/node.tasks.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TaskIssueSync = require('../../public/task-engine/js/task-issue-sync.js');
+const TEMPLATE_CONFIG = require('../../public/config/tasks-template-config.js');
+const PROJECTS_CONFIG = require('../../public/config/projects-config.js');
+
+const repoRoot = path.join(__dirname, '..', '..');
+
+/**
+ * GitHub REST client for the sync engine.
+ */
+class GitHubRestClient {
+  /**
+   * @param {{ owner: string, repo: string, token?: string, apiBase?: string, fetchImpl?: Function }} options
+   */
+  constructor(options) {
+    this.owner = options.owner;
+    this.repo = options.repo;
+    this.token = options.token || '';
+    this.apiBase = options.apiBase || 'https://api.github.com';
+    this.fetchImpl = options.fetchImpl || fetch;
+  }
+
+  /** Send one request and return the parsed JSON body. */
+  async request(endpoint, method = 'GET', body = null) {
+    const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'github-task-manager' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+    const response = await this.fetchImpl(`${this.apiBase}/repos/${this.owner}/${this.repo}${endpoint}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`GitHub ${method} ${endpoint} failed: ${response.status} ${text.slice(0, 200)}`);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  /** Read the pages of a list endpoint, up to `limit` items. */
+  async list(endpoint, limit = Infinity) {
+    const items = [];
+    for (let page = 1; ; page += 1) {
+      const separator = endpoint.includes('?') ? '&' : '?';
+      const batch = await this.request(`${endpoint}${separator}per_page=100&page=${page}`);
+      items.push(...batch);
+      if (batch.length < 100 || items.length >= limit) return items.slice(0, limit);
+    }
+  }
+
+  listIssues(state = 'open') { return this.list(`/issues?state=${state}`); }
+  listIssueComments(number) { return this.list(`/issues/${number}/comments`); }
+  updateIssue(number, patch) { return this.request(`/issues/${number}`, 'PATCH', patch); }
+  createIssueComment(number, body) { return this.request(`/issues/${number}/comments`, 'POST', { body }); }
+  listMilestones() { return this.list('/milestones?state=all'); }
+  createMilestone(title) { return this.request('/milestones', 'POST', { title }); }
+  listPullRequests(state = 'all', limit = 300) { return this.list(`/pulls?state=${state}&sort=updated&direction=desc`, limit); }
+  listCommits(branch = '', limit = 200) { return this.list(`/commits${branch ? `?sha=${encodeURIComponent(branch)}` : ''}`, limit); }
+
+  /** Run a GraphQL query or mutation and return its `data`. */
+  async graphql(query, variables = {}) {
+    const headers = { Accept: 'application/vnd.github+json', 'Content-Type': 'application/json', 'User-Agent': 'github-task-manager' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    const response = await this.fetchImpl(`${this.apiBase}/graphql`, { method: 'POST', headers, body: JSON.stringify({ query, variables }) });
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`GitHub GraphQL request failed: ${response.status} ${text.slice(0, 200)}`);
+    }
+    const payload = await response.json();
+    if (payload.errors && payload.errors.length > 0) throw new Error(`GitHub GraphQL: ${payload.errors.map((error) => error.message).join('; ')}`);
+    return payload.data;
+  }
+}
+
+/**
+ * Stand-in for GitHub backed by recorded API responses.
+ *
+ * The fixture holds `issues`, `comments` (keyed by issue number), `milestones`, `pulls` and
+ * `commits` as GitHub returns them. Reads return copies, writes change the in-memory fixture, and every call is logged in
+ * `requests` so tests can assert what would have been sent.
+ *
+ * GraphQL responses live under `graphql`, keyed by operation name and then by the `after`
+ * cursor of the page (`""` for the first page and for mutations). Mutations without a recorded
+ * response return empty data.
+ */
+class FixtureGitHubClient {
+  /**
+   * @param {{ issues?: object[], comments?: Record<string, object[]>, milestones?: object[], pulls?: object[], commits?: object[], graphql?: Record<string, Record<string, object>> }} fixture
+   */
+  constructor(fixture = {}) {
+    this.issues = JSON.parse(JSON.stringify(fixture.issues || []));
+    this.comments = JSON.parse(JSON.stringify(fixture.comments || {}));
+    this.milestones = JSON.parse(JSON.stringify(fixture.milestones || []));
+    this.pulls = JSON.parse(JSON.stringify(fixture.pulls || []));
+    this.commits = JSON.parse(JSON.stringify(fixture.commits || []));
+    this.graphqlResponses = JSON.parse(JSON.stringify(fixture.graphql || {}));
+    this.requests = [];
+    this.nextId = 900000;
+  }
+
+  /** Read and parse a fixture file. */
+  static fromFile(filePath) {
+    return new FixtureGitHubClient(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  copy(value) { return JSON.parse(JSON.stringify(value)); }
+
+  findIssue(number) {
+    const issue = this.issues.find((candidate) => candidate.number === Number(number));
+    if (!issue) throw new Error(`GitHub issue #${number} not found`);
+    return issue;
+  }
+
+  async listIssues(state = 'open') {
+    this.requests.push({ method: 'GET', endpoint: `/issues?state=${state}` });
+    return this.copy(this.issues.filter((issue) => state === 'all' || issue.state === state));
+  }
+
+  async listIssueComments(number) {
+    this.requests.push({ method: 'GET', endpoint: `/issues/${number}/comments` });
+    return this.copy(this.comments[number] || []);
+  }
+
+  async updateIssue(number, patch) {
+    this.requests.push({ method: 'PATCH', endpoint: `/issues/${number}`, body: this.copy(patch) });
+    const issue = this.findIssue(number);
+    if (patch.state) {
+      issue.state = patch.state;
+      issue.state_reason = patch.state === 'closed' ? (patch.state_reason || 'completed') : 'reopened';
+    }
+    if (patch.labels) issue.labels = patch.labels.map((name) => ({ name }));
+    if (patch.assignees) issue.assignees = patch.assignees.map((login) => ({ login }));
+    if ('milestone' in patch) issue.milestone = this.milestones.find((milestone) => milestone.number === patch.milestone) || null;
+    return this.copy(issue);
+  }
+
+  async createIssueComment(number, body) {
+    this.requests.push({ method: 'POST', endpoint: `/issues/${number}/comments`, body: { body } });
+    this.findIssue(number);
+    const comment = { id: this.nextId++, body, user: { login: 'task-manager' }, created_at: new Date().toISOString() };
+    this.comments[number] = [...(this.comments[number] || []), comment];
+    return this.copy(comment);
+  }
+
+  async listMilestones() {
+    this.requests.push({ method: 'GET', endpoint: '/milestones?state=all' });
+    return this.copy(this.milestones);
+  }
+
+  async createMilestone(title) {
+    this.requests.push({ method: 'POST', endpoint: '/milestones', body: { title } });
+    const milestone = { number: Math.max(0, ...this.milestones.map((candidate) => candidate.number)) + 1, title, state: 'open' };
+    this.milestones.push(milestone);
+    return this.copy(milestone);
+  }
+
+  async listPullRequests(state = 'all', limit = 300) {
+    this.requests.push({ method: 'GET', endpoint: `/pulls?state=${state}` });
+    return this.copy(this.pulls.filter((pull) => state === 'all' || pull.state === state).slice(0, limit));
+  }
+
+  async listCommits(branch = '', limit = 200) {
+    this.requests.push({ method: 'GET', endpoint: `/commits${branch ? `?sha=${branch}` : ''}` });
+    return this.copy(this.commits.slice(0, limit));
+  }
+
+  async graphql(query, variables = {}) {
+    const [, kind, operation] = String(query).match(/^\s*(query|mutation)\s+(\w+)/) || [];
+    this.requests.push({ method: 'POST', endpoint: '/graphql', operation, variables: this.copy(variables) });
+    const response = (this.graphqlResponses[operation] || {})[variables.after || ''];
+    if (!response) {
+      if (kind === 'mutation') return {};
+      throw new Error(`No recorded GraphQL response for ${operation || 'query'} (after: ${variables.after || 'none'})`);
+    }
+    if (response.errors && response.errors.length > 0) throw new Error(`GitHub GraphQL: ${response.errors.map((error) => error.message).join('; ')}`);
+    return this.copy(response.data);
+  }
+}
+
+/** Find a project's node.tasks.json under public/tasksDB. */
+function findTasksFile(projectId) {
+  for (const scope of ['external', 'local', '']) {
+    const candidate = path.join(repoRoot, 'public', 'tasksDB', scope, projectId, 'node.tasks.json');
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/** Repository (`owner/name`) configured for a project, if any. */
+function projectRepo(projectId) {
+  const project = PROJECTS_CONFIG.find((candidate) => candidate && candidate.id === projectId);
+  if (project && project.owner && project.repo) return `${project.owner}/${project.repo}`;
+  return TEMPLATE_CONFIG.GITHUB && TEMPLATE_CONFIG.GITHUB.OWNER ? `${TEMPLATE_CONFIG.GITHUB.OWNER}/${TEMPLATE_CONFIG.GITHUB.REPO}` : '';
+}
+
+/** Parse CLI arguments for this sync script. */
+function parseArgs(argv) {
+  const args = { projectId: '', repo: '', prefer: null, dryRun: false, fixture: '', file: '' };
+  const rest = argv.slice(2);
+  for (let i = 0; i < rest.length; i += 1) {
+    const a = rest[i];
+    if (a === '--repo') args.repo = rest[++i] || '';
+    else if (a === '--prefer') args.prefer = rest[++i] || null;
+    else if (a === '--dry-run') args.dryRun = true;
+    else if (a === '--fixture') args.fixture = rest[++i] || '';
+    else if (a === '--file') args.file = rest[++i] || '';
+    else if (!args.projectId) args.projectId = a;
+  }
+  return args;
+}
+
+/**
+ * Run the script entrypoint for this file.
+ *
+ * @param {string[]} [argv]
+ * @param {{ client?: object, log?: Function }} [options] - Injected GitHub client and logger (tests).
+ * @returns {Promise<object>} The sync report.
+ */
+async function main(argv = process.argv, options = {}) {
+  const args = parseArgs(argv);
+  const log = options.log || console.log;
+  const fail = (message) => {
+    throw new Error(message);
+  };
+
+  if (!args.projectId) fail('Usage: sync-github-issues.js <projectId> [--repo owner/name] [--prefer github|tasks] [--dry-run] [--fixture file] [--file node.tasks.json]');
+  if (args.prefer && !['github', 'tasks'].includes(args.prefer)) fail(`Unknown --prefer "${args.prefer}". Use github or tasks`);
+  const tasksFile = args.file ? path.resolve(args.file) : findTasksFile(args.projectId);
+  if (!tasksFile || !fs.existsSync(tasksFile)) fail(`node.tasks.json not found for project: ${args.projectId}`);
+
+  let client = options.client;
+  if (!client && args.fixture) client = FixtureGitHubClient.fromFile(path.resolve(args.fixture));
+  if (!client) {
+    const [owner, repo] = (args.repo || projectRepo(args.projectId)).split('/');
+    if (!owner || !repo) fail('A repository is required (--repo owner/name)');
+    client = new GitHubRestClient({ owner, repo, token: process.env.GITHUB_TOKEN || process.env.GH_TOKEN || '' });
+  }
+
+  const data = JSON.parse(fs.readFileSync(tasksFile, 'utf8'));
+  const engine = new TaskIssueSync(TEMPLATE_CONFIG, args.prefer ? { prefer: args.prefer } : {});
+  const report = await engine.sync(data.tasks || [], client, { workers: data.workers || [], dryRun: args.dryRun });
+  engine.formatReport(report).forEach((line) => log(line));
+
+  if (!args.dryRun && report.tasks.some((task, index) => task !== data.tasks[index])) {
+    data.tasks = report.tasks;
+    fs.writeFileSync(tasksFile, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    log(`Updated ${tasksFile}`);
+  }
+  if (args.fixture && client.requests) {
+    log(`Fixture mode: ${client.requests.filter((request) => request.method !== 'GET').length} write request(s) recorded, none sent`);
+  }
+  return report;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  GitHubRestClient,
+  FixtureGitHubClient,
+  findTasksFile,
+  projectRepo,
+  parseArgs,
+  main
+};
@@ -8,6 +8,9 @@
  * - duplicate task_id
  * - timestamp pollution in task_name (10+ digit sequences)
  * - optional test-task convention: if is_test === true then tags include "e2e-test"
+ * - project integrity across the root module and every sub-module file: dependency cycles
+ *   (with the path around the loop), dangling dependencies, dependencies into modules that
+ *   no longer exist and parent_task_id loops (task-engine/js/task-integrity-checker.js)
  *
  * Usage:
  *   node tools/scripts/validate-tasks-schema.js ai-career-roadmap
@@ -16,6 +19,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const TaskIntegrityChecker = require('../../public/task-engine/js/task-integrity-checker.js');
+const { readProjectModules } = require('../../server.js');
 
 const colors = {
   reset: '\x1b[0m',
@@ -209,23 +214,26 @@ function validateProjectFile(projectId, tasksJson) {
     }
   }
 
-  // Dependency reference warning pass (after collecting IDs)
-  for (let i = 0; i < tasksJson.tasks.length; i++) {
-    const task = tasksJson.tasks[i];
-    if (!task || typeof task !== 'object') continue;
-    if (!Array.isArray(task.dependencies)) continue;
-    for (let d = 0; d < task.dependencies.length; d++) {
-      const dep = task.dependencies[d];
-      if (!dep || typeof dep !== 'object') continue;
-      if (typeof dep.predecessor_task_id === 'number' && !taskIds.has(dep.predecessor_task_id)) {
-        warnings.push(`tasks[${i}].dependencies[${d}] references non-existent task_id: ${dep.predecessor_task_id}`);
-      }
-    }
-  }
-
+  // Dangling dependency references are reported by checkProjectIntegrity across all modules.
   return { errors, warnings };
 }
 
+/**
+ * Run the shared integrity pass over the root module and every sub-module of a project folder.
+ *
+ * @param {string} projectDir
+ * @returns {{ modules: number, errors: string[], warnings: string[] }}
+ */
+function checkProjectIntegrity(projectDir) {
+  const modules = readProjectModules(projectDir);
+  const result = new TaskIntegrityChecker().checkProject(modules);
+  return {
+    modules: modules.length,
+    errors: result.errors.map((issue) => `${issue.path}: ${issue.message}`),
+    warnings: result.warnings.map((issue) => `${issue.path}: ${issue.message}`)
+  };
+}
+
 /** Run the script entrypoint for this file. */
 function main() {
   const args = parseArgs(process.argv);
@@ -249,7 +257,11 @@ function main() {
       const { tasksPath, data } = loadTasksJson(projectId);
       console.log(`${colors.green}✓${colors.reset} Parsed ${path.relative(process.cwd(), tasksPath)}`);
 
-      const { errors, warnings } = validateProjectFile(projectId, data);
+      const schema = validateProjectFile(projectId, data);
+      const integrity = checkProjectIntegrity(path.dirname(tasksPath));
+      console.log(`${colors.green}✓${colors.reset} Integrity pass over ${integrity.modules} module(s)`);
+      const errors = [...schema.errors, ...integrity.errors];
+      const warnings = [...schema.warnings, ...integrity.warnings];
       totalErrors += errors.length;
       totalWarnings += warnings.length;
 
@@ -279,5 +291,8 @@ function main() {
   process.exit(0);
 }
 
-main();
+if (require.main === module) {
+  main();
+}
 
+module.exports = { validateProjectFile, checkProjectIntegrity };